@@ -0,0 +1,218 @@
+const fs = require('fs');
+const { getClientId } = require('./claimMapping');
+const { createLogger } = require('./logger');
+require('dotenv').config();
+
+const log = createLogger({ component: 'accessPolicy' });
+
+// ---------------------------------------------------------------------------
+// Access policy for the preuserinfo / preaccesstoken hooks
+//   ACCESS_POLICY_FILE points to a JSON file:
+//   {
+//     "mode": "enforce",                 // or "dryRun": only log what would be denied
+//     "rules": [
+//       {
+//         "name": "contractors-office-hours",
+//         "hooks": ["preaccesstoken"],   // default: all hooks
+//         "effect": "deny",              // allow | deny
+//         "when": {
+//           "orgIds": ["..."], "clientIds": ["..."], "projectIds": ["..."], "roles": ["contractor"],
+//           "metadata": { "okta_groups": ["contractors"], "okta_authentication_type": ["EMAIL_PASSWORD"] },
+//           "time": { "days": ["sat", "sun"], "from": "18:00", "to": "08:00", "timezone": "Europe/Berlin" }
+//         },
+//         "statusCode": 403,
+//         "message": "Contractors may only sign in during office hours.",
+//         "dryRun": false                // per-rule dry run
+//       }
+//     ]
+//   }
+//   Rules are evaluated in order and the first match decides; no match allows.
+//   All conditions of a rule must hold; a list condition holds if any entry matches.
+//   ACCESS_POLICY_DRY_RUN=true forces dry-run mode.
+//
+//   The file is re-read when its mtime changes. A file that no longer parses
+//   is logged and the last good policy stays in force; without one,
+//   evaluateAccessPolicy throws and the registry denies the login.
+// ---------------------------------------------------------------------------
+
+const EFFECTS = ['allow', 'deny'];
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DEFAULT_MESSAGE = 'You are not authorized to access this application.';
+
+let cache = { path: null, mtimeMs: -1, policy: null };
+
+function checkTimezone(timezone, where) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch {
+    throw new Error(`${where}: unknown timezone "${timezone}"`);
+  }
+}
+
+function parseTime(value, where) {
+  const m = /^(\d{2}):(\d{2})$/.exec(String(value));
+  if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) throw new Error(`${where}: time must be "HH:MM"`);
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+/**
+ * Parses and validates an access policy document.
+ * @param {Object} doc
+ * @returns {{ mode: string, rules: Object[] }}
+ */
+function parseAccessPolicy(doc) {
+  const mode = doc.mode || 'enforce';
+  if (!['enforce', 'dryRun'].includes(mode)) throw new Error('policy: mode must be "enforce" or "dryRun"');
+  if (!Array.isArray(doc.rules)) throw new Error('policy: "rules" must be an array');
+
+  const rules = doc.rules.map((rule, idx) => {
+    const where = `rules[${idx}]${rule.name ? ` (${rule.name})` : ''}`;
+    if (!EFFECTS.includes(rule.effect)) throw new Error(`${where}: effect must be "allow" or "deny"`);
+
+    const when = rule.when || {};
+    if (when.time) {
+      for (const day of when.time.days || []) {
+        if (!DAYS.includes(day)) throw new Error(`${where}: unknown day "${day}"`);
+      }
+      if ((when.time.from === undefined) !== (when.time.to === undefined)) {
+        throw new Error(`${where}: time needs both "from" and "to"`);
+      }
+      if (when.time.timezone !== undefined) checkTimezone(when.time.timezone, where);
+      if (when.time.from !== undefined) {
+        parseTime(when.time.from, where);
+        parseTime(when.time.to, where);
+      }
+    }
+    return { ...rule, name: rule.name || `rule ${idx}`, when };
+  });
+
+  return { mode, rules };
+}
+
+function loadAccessPolicy() {
+  const filePath = process.env.ACCESS_POLICY_FILE;
+  if (!filePath) return null;
+
+  let mtimeMs;
+  try {
+    ({ mtimeMs } = fs.statSync(filePath));
+    if (cache.path === filePath && cache.mtimeMs === mtimeMs) return cache.policy;
+    const policy = parseAccessPolicy(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    cache = { path: filePath, mtimeMs, policy };
+    log.info('access policy loaded', { file: filePath, rules: policy.rules.length });
+  } catch (e) {
+    if (cache.path !== filePath || !cache.policy) throw new Error(`access policy ${filePath}: ${e.message}`, { cause: e });
+    if (cache.mtimeMs !== mtimeMs) {
+      // Logged once per change of the file; the last good policy stays in force
+      log.error('access policy reload failed, keeping the last good policy', { file: filePath, err: e });
+      cache.mtimeMs = mtimeMs;
+    }
+  }
+  return cache.policy;
+}
+
+/** Forgets the loaded policy (tests). */
+function resetAccessPolicy() {
+  cache = { path: null, mtimeMs: -1, policy: null };
+}
+
+function anyOf(expected, actual) {
+  const wanted = Array.isArray(expected) ? expected.map(String) : [String(expected)];
+  return actual.some(v => wanted.includes(String(v)));
+}
+
+// Decoded user metadata values; JSON arrays (e.g. okta_groups) become lists.
+function metadataValues(payload, key) {
+  const entry = (payload.user_metadata || []).find(m => m.key === key);
+  if (!entry) return [];
+  const decoded = Buffer.from(String(entry.value || ''), 'base64').toString('utf8');
+  try {
+    const parsed = JSON.parse(decoded);
+    if (Array.isArray(parsed)) return parsed;
+  } catch {
+    // plain string value
+  }
+  return [decoded];
+}
+
+function inTimeWindow(time, now) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: time.timezone || 'UTC',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }).formatToParts(now).map(p => [p.type, p.value])
+  );
+
+  if (time.days && !time.days.includes(parts.weekday.toLowerCase())) return false;
+  if (time.from === undefined) return true;
+
+  const minutes = Number(parts.hour) * 60 + Number(parts.minute);
+  const from = parseTime(time.from);
+  const to = parseTime(time.to);
+  // Windows may wrap around midnight ("18:00" - "08:00")
+  return from <= to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+}
+
+function matches(when, payload, now) {
+  const grants = payload.user_grants || [];
+
+  if (when.orgIds && !anyOf(when.orgIds, [payload.org?.id].filter(Boolean))) return false;
+  if (when.clientIds && !anyOf(when.clientIds, [getClientId(payload)].filter(Boolean))) return false;
+  if (when.projectIds && !anyOf(when.projectIds, grants.map(g => g.projectId).filter(Boolean))) return false;
+  if (when.roles && !anyOf(when.roles, grants.flatMap(g => g.roles || []))) return false;
+  for (const [key, expected] of Object.entries(when.metadata || {})) {
+    if (!anyOf(expected, metadataValues(payload, key))) return false;
+  }
+  if (when.time && !inTimeWindow(when.time, now)) return false;
+  return true;
+}
+
+/**
+ * @typedef {Object} PolicyDecision
+ * @property {boolean} allowed - Final outcome after dry-run handling
+ * @property {string|null} rule - Name of the deciding rule
+ * @property {boolean} dryRun - A deny was only logged
+ * @property {{ forwardedStatusCode: number, forwardedErrorMessage: string }} [error]
+ */
+
+/**
+ * Evaluates the access policy for a hook invocation.
+ *
+ * @param {'preuserinfo'|'preaccesstoken'} hook
+ * @param {Object} payload - Action request body
+ * @param {Date} [now]
+ * @returns {PolicyDecision}
+ * @throws When no valid policy could be loaded; callers must deny the login
+ */
+function evaluateAccessPolicy(hook, payload, now = new Date()) {
+  const policy = loadAccessPolicy();
+  if (!policy) return { allowed: true, rule: null, dryRun: false };
+
+  const rule = policy.rules.find(r => (!r.hooks || r.hooks.includes(hook)) && matches(r.when, payload, now));
+  if (!rule || rule.effect === 'allow') {
+    return { allowed: true, rule: rule ? rule.name : null, dryRun: false };
+  }
+
+  const userId = payload.user?.id;
+  const dryRun = policy.mode === 'dryRun' || rule.dryRun === true || process.env.ACCESS_POLICY_DRY_RUN === 'true';
+  if (dryRun) {
+    log.warn('access policy would deny (dry run)', { hook, userId, rule: rule.name });
+    return { allowed: true, rule: rule.name, dryRun: true };
+  }
+
+  log.warn('access policy denied', { hook, userId, rule: rule.name });
+  return {
+    allowed: false,
+    rule: rule.name,
+    dryRun: false,
+    error: {
+      forwardedStatusCode: rule.statusCode || 403,
+      forwardedErrorMessage: rule.message || DEFAULT_MESSAGE,
+    },
+  };
+}
+
+module.exports = { evaluateAccessPolicy, parseAccessPolicy, resetAccessPolicy };
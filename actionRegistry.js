@@ -0,0 +1,373 @@
+const { validateZitadelSignature } = require('./zitadelSignature');
+const { evaluateAccessPolicy } = require('./accessPolicy');
+const { getEventQueue } = require('./eventQueue');
+const { createLogger, withLogContext } = require('./logger');
+const { observeAction } = require('./metrics');
+const { getPayloadInspector } = require('./payloadInspector');
+const { createPipeline, forwardError } = require('./responsePipeline');
+const { runWithDeadline, isUpstreamFailure } = require('./upstream');
+const { resolveTransformers } = require('./transformers');
+
+const log = createLogger({ component: 'actionRegistry' });
+
+// ---------------------------------------------------------------------------
+// Action registry
+//   One entry per ZITADEL target. Every route mounted from here gets the same
+//   signature validation, request logging and error responses.
+//
+//   path          – route the ZITADEL target points to
+//   targetType    – restCall | restWebhook | restAsync (as configured in ZITADEL)
+//   signingKeyEnv – env var holding the target's signing key(s)
+//   requires      – setting groups the action needs (REQUIREMENTS in config.js),
+//                   checked at startup
+//   errorPolicy   – what to answer when the handler throws (see ERROR_POLICIES);
+//                   defaults to the target type's policy
+//   failMode      – open | closed: what to answer when an upstream (ZITADEL,
+//                   legacy directory) is unavailable or the deadline passes;
+//                   open continues the flow (error policy, or 200 for
+//                   webhooks), closed stops it (forwarded 503 error for
+//                   restCall, HTTP 503 otherwise). Defaults: restCall open,
+//                   webhooks closed
+//   timeoutMs     – deadline for the handler, upstream calls included
+//                   (default ACTION_TIMEOUT_MS or 5000); keep it below the
+//                   target's timeout in ZITADEL
+//   logBody       – set to false to keep the (redacted) body out of the log
+//                   and the payload inspector (payloadInspector.js)
+//   policyHook    – preuserinfo | preaccesstoken: evaluate accessPolicy.js
+//                   first and forward its error when the login is denied
+//                   (a forwarded 503 when the policy cannot be evaluated)
+//   handler       – async (req, res) => void
+//   transformers  – instead of handler, restCall only: response transformers
+//                   (transformers/) chained by responsePipeline.js
+//   processEvent  – async (payload) => void, instead of handler: the event is
+//                   persisted to the event queue (eventQueue.js), acknowledged
+//                   right away and processed with retries in the background
+// ---------------------------------------------------------------------------
+const ACTIONS = [
+  {
+    name: 'preuserinfo',
+    path: '/action/preuserinfo',
+    targetType: 'restCall',
+    signingKeyEnv: 'PREUSERINFO_SIGNING_KEY',
+    failMode: 'open',
+    requires: ['claimRules', 'accessPolicy'],
+    errorPolicy: 'emptyClaims',
+    policyHook: 'preuserinfo',
+    handler: require('./actions/preuserinfo').handler,
+  },
+  {
+    name: 'internal-post-auth',
+    path: '/action/internal-post-auth',
+    targetType: 'restWebhook',
+    signingKeyEnv: 'INTERNAL_POST_AUTH_SIGNING_KEY',
+    requires: ['zitadel'],
+    processEvent: require('./actions/internalPostAuth').processEvent,
+  },
+  {
+    name: 'external-post-auth',
+    path: '/action/external-post-auth',
+    targetType: 'restCall',
+    signingKeyEnv: 'EXTERNAL_POST_AUTH_SIGNING_KEY',
+    failMode: 'open',
+    requires: ['idpProfiles'],
+    transformers: ['idpProfile'],
+  },
+  {
+    name: 'uniqueSession',
+    path: '/action/uniqueSession',
+    targetType: 'restWebhook',
+    signingKeyEnv: 'UNIQUE_SESSION_SIGNING_KEY',
+    failMode: 'open',
+    requires: ['zitadel', 'sessionPolicy'],
+    handler: require('./actions/uniqueSession').handler,
+  },
+  {
+    name: 'testClaims',
+    path: '/action/testClaims',
+    targetType: 'restCall',
+    signingKeyEnv: 'TEST_CLAIMS_SIGNING_KEY',
+    failMode: 'open',
+    handler: require('./actions/testClaims').handler,
+  },
+  {
+    name: 'test',
+    path: '/action/test',
+    targetType: 'restCall',
+    signingKeyEnv: 'TEST_SIGNING_KEY',
+    failMode: 'open',
+    transformers: [], // echoes the response; inspect it with the payload inspector
+  },
+  {
+    name: 'testv2',
+    path: '/action/testv2',
+    targetType: 'restCall',
+    signingKeyEnv: 'TESTV2_SIGNING_KEY',
+    failMode: 'open',
+    transformers: [],
+  },
+  {
+    name: 'list-users',
+    path: '/action/list-users',
+    targetType: 'restCall',
+    signingKeyEnv: 'LIST_USERS_SIGNING_KEY',
+    failMode: 'open',
+    timeoutMs: 8000, // lookup, user creation and read-back
+    requires: ['zitadel', 'legacyDirectory'],
+    transformers: ['legacyUserLookup'],
+  },
+  {
+    name: 'set-session',
+    path: '/action/set-session',
+    targetType: 'restWebhook',
+    signingKeyEnv: 'SET_SESSION_SIGNING_KEY',
+    failMode: 'closed',
+    requires: ['zitadel', 'legacyDirectory'],
+    errorPolicy: 'passthrough',
+    logBody: false, // request.checks.password holds the cleartext password
+    handler: require('./actions/setSession').handler,
+  },
+  {
+    name: 'set-password',
+    path: '/action/set-password',
+    targetType: 'restWebhook',
+    signingKeyEnv: 'SET_PASSWORD_SIGNING_KEY',
+    failMode: 'closed',
+    requires: ['zitadel'],
+    handler: require('./actions/setPassword').handler,
+  },
+  {
+    name: 'authorization',
+    path: '/action/authorization',
+    targetType: 'restCall',
+    signingKeyEnv: 'AUTHORIZATION_SIGNING_KEY',
+    failMode: 'open',
+    requires: ['zitadel', 'accessPolicy'],
+    errorPolicy: 'emptyClaims',
+    policyHook: 'preaccesstoken',
+    handler: require('./actions/authorization').handler,
+  },
+  {
+    name: 'org-metadata-changed',
+    path: '/action/org-metadata-changed',
+    targetType: 'restAsync',
+    signingKeyEnv: 'ORG_METADATA_CHANGED_SIGNING_KEY',
+    failMode: 'open',
+    handler: require('./actions/orgMetadataChanged').handler,
+  },
+  {
+    name: 'set-role',
+    path: '/action/set-role',
+    targetType: 'restWebhook',
+    signingKeyEnv: 'SET_ROLE_SIGNING_KEY',
+    requires: ['zitadel', 'roleAssignments'],
+    processEvent: require('./actions/setRole').processEvent,
+  },
+];
+
+// Responses sent when a handler throws.
+const ERROR_POLICIES = {
+  // restCall: hand the original response back to ZITADEL unchanged
+  passthrough: (req, res) => res.status(200).json(req.body?.response || {}),
+  // preuserinfo / preaccesstoken: issue the token without extra claims
+  emptyClaims: (req, res) => res.status(200).json({ append_claims: [] }),
+  // webhooks: let ZITADEL see the failure
+  fail: (req, res) => res.status(500).json({ error: 'Internal server error' }),
+};
+
+const DEFAULT_ERROR_POLICY = {
+  restCall: 'passthrough',
+  restWebhook: 'fail',
+  restAsync: 'fail',
+};
+
+const DEFAULT_FAIL_MODE = {
+  restCall: 'open',
+  restWebhook: 'closed',
+  restAsync: 'closed',
+};
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const UNAVAILABLE_MESSAGE = 'The service is temporarily unavailable. Please try again later.';
+const POLICY_ERROR_MESSAGE = 'Access could not be checked. Please try again later.';
+
+function resolveFailMode(action) {
+  const failMode = action.failMode || DEFAULT_FAIL_MODE[action.targetType];
+  if (!['open', 'closed'].includes(failMode)) {
+    throw new Error(`Action ${action.name}: unknown failMode "${failMode}"`);
+  }
+  return failMode;
+}
+
+function resolveTimeoutMs(action) {
+  const fallback = Number(process.env.ACTION_TIMEOUT_MS);
+  return action.timeoutMs || (Number.isInteger(fallback) && fallback > 0 ? fallback : DEFAULT_TIMEOUT_MS);
+}
+
+function resolveErrorPolicy(action) {
+  if (!(action.targetType in DEFAULT_ERROR_POLICY)) {
+    throw new Error(`Action ${action.name}: unknown targetType "${action.targetType}"`);
+  }
+  const policyName = action.errorPolicy || DEFAULT_ERROR_POLICY[action.targetType];
+  if (!ERROR_POLICIES[policyName]) {
+    throw new Error(`Action ${action.name}: unknown errorPolicy "${policyName}"`);
+  }
+  return policyName;
+}
+
+function resolveHandler(action) {
+  if (!action.transformers) return action.handler;
+  if (action.targetType !== 'restCall') {
+    throw new Error(`Action ${action.name}: transformers need targetType "restCall"`);
+  }
+  try {
+    return createPipeline(action.name, resolveTransformers(action.transformers));
+  } catch (e) {
+    throw new Error(`Action ${action.name}: ${e.message}`);
+  }
+}
+
+/**
+ * Finds the registry entry serving a request path.
+ * @param {string} path - e.g. "/action/set-role"
+ * @returns {Object|undefined}
+ */
+function findActionByPath(path, actions = ACTIONS) {
+  return actions.find(a => a.path === path);
+}
+
+// Records the request in the metrics and the payload inspector once the
+// response is sent. The outcome is set along the way (res.locals.actionOutcome);
+// otherwise it follows the status.
+function trackOutcome(action, req, res) {
+  // Includes body parsing when server.js stamped the request
+  const started = res.locals.startedAt ?? process.hrtime.bigint();
+  const time = Date.now();
+  let answered;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (body && body.forwardedStatusCode !== undefined) res.locals.actionOutcome ??= 'forwarded_error';
+    answered = body;
+    return json(body);
+  };
+  res.on('finish', () => {
+    const outcome = res.locals.actionOutcome || (res.statusCode < 400 ? 'ok' : 'error');
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    observeAction(action.name, outcome, seconds);
+    getPayloadInspector().record({
+      action: action.name,
+      route: action.path,
+      targetType: action.targetType,
+      status: res.statusCode,
+      outcome,
+      latencyMs: seconds * 1000,
+      correlationId: res.getHeader('X-Correlation-ID'),
+      request: req.body,
+      response: answered,
+      captureBody: action.logBody !== false,
+      time,
+    });
+  });
+}
+
+// Persists the event and acknowledges it; the queue worker does the rest.
+function enqueueEvent(action, req, res) {
+  const { id, key, duplicate } = getEventQueue().enqueue(action.name, req.body);
+  if (duplicate) {
+    log.info('event already queued or processed, skipping', { eventKey: key });
+  }
+  res.locals.actionOutcome = 'queued';
+  res.status(200).json({ status: duplicate ? 'duplicate' : 'queued', id });
+}
+
+// Access policy check ahead of the handler. A policy that cannot be evaluated
+// denies the login whatever the action's error policy: failing open would
+// issue tokens the deny rules are meant to stop.
+function checkAccessPolicy(action, req, res) {
+  let decision;
+  try {
+    decision = evaluateAccessPolicy(action.policyHook, req.body);
+  } catch (e) {
+    log.error('access policy evaluation failed, denying', { err: e });
+    res.status(200).json(forwardError(503, POLICY_ERROR_MESSAGE));
+    return false;
+  }
+  if (!decision.allowed) {
+    res.status(200).json(decision.error);
+    return false;
+  }
+  return true;
+}
+
+// Answers a request whose upstream is unavailable according to the failMode.
+function answerUnavailable(action, failMode, errorPolicy, req, res) {
+  if (failMode === 'open') {
+    res.locals.actionOutcome = 'fallback';
+    if (errorPolicy === 'fail') return res.status(200).json({});
+    return ERROR_POLICIES[errorPolicy](req, res);
+  }
+  res.locals.actionOutcome = 'unavailable';
+  if (action.targetType === 'restCall') return res.status(200).json(forwardError(503, UNAVAILABLE_MESSAGE));
+  res.status(503).json({ error: 'Service unavailable' });
+}
+
+/**
+ * Wraps an action handler with signature validation, logging and error handling.
+ *
+ * @param {Object} action - Registry entry
+ * @returns {Function} - Express route handler
+ */
+function createActionRoute(action) {
+  const errorPolicy = resolveErrorPolicy(action);
+  const onError = ERROR_POLICIES[errorPolicy];
+  const handler = resolveHandler(action);
+  const failMode = resolveFailMode(action);
+  const timeoutMs = resolveTimeoutMs(action);
+
+  return (req, res) => withLogContext({ action: action.name }, async () => {
+    trackOutcome(action, req, res);
+    if (!validateZitadelSignature(req, res, process.env[action.signingKeyEnv])) {
+      res.locals.actionOutcome = 'signature_rejected';
+      return; // Response already sent by validation function
+    }
+
+    // Bodies are redacted by the logger; logBody: false skips them entirely
+    log.info('action request received', action.logBody === false ? {} : { body: req.body });
+
+    try {
+      if (action.policyHook && !checkAccessPolicy(action, req, res)) return;
+      if (action.processEvent) {
+        enqueueEvent(action, req, res);
+      } else {
+        await runWithDeadline(timeoutMs, () => handler(req, res));
+      }
+    } catch (e) {
+      if (isUpstreamFailure(e)) {
+        log.warn(`upstream unavailable, failing ${failMode}`, { upstream: e.upstream, err: e });
+        if (!res.headersSent) answerUnavailable(action, failMode, errorPolicy, req, res);
+        return;
+      }
+      log.error('action handler failed', { err: e });
+      if (!res.headersSent) {
+        res.locals.actionOutcome = errorPolicy === 'fail' ? 'error' : 'fallback';
+        onError(req, res);
+      }
+    }
+  });
+}
+
+/**
+ * Mounts every registered action on the given Express app.
+ *
+ * @param {import('express').Express} app
+ * @param {Array<Object>} [actions=ACTIONS]
+ */
+function mountActions(app, actions = ACTIONS) {
+  for (const action of actions) {
+    if (action.processEvent) {
+      getEventQueue().registerProcessor(action.name, action.processEvent);
+    }
+    app.post(action.path, createActionRoute(action));
+  }
+}
+
+module.exports = { ACTIONS, ERROR_POLICIES, mountActions, createActionRoute, findActionByPath };
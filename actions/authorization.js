@@ -0,0 +1,32 @@
+const { resolvePermissions } = require('../orgPermissions');
+const { createLogger } = require('../logger');
+
+const log = createLogger({ component: 'authorization' });
+
+// ---------------------------------------------------------------------------
+// Authorization – preAccessToken (Function / restCall)
+//     Maps user_grants[].roles -> permissions via Org metadata
+//     (see orgPermissions.js) and appends a "permissions" claim.
+// ---------------------------------------------------------------------------
+async function handler(req, res) {
+  const { org, user_grants = [] } = req.body || {};
+  const orgId = org?.id;
+
+  if (!orgId) {
+    log.warn('missing org.id in payload');
+    return res.json({ append_claims: [] });
+  }
+
+  const { roles, permissions } = await resolvePermissions(orgId, user_grants);
+
+  const append_claims = [];
+  if (permissions.length > 0) {
+    append_claims.push({ key: 'permissions', value: permissions });
+  }
+
+  log.info('permissions resolved', { orgId, roles, permissions });
+
+  return res.json({ append_claims });
+}
+
+module.exports = { handler };
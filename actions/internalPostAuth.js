@@ -0,0 +1,20 @@
+const { setUserMetadata } = require('../zitadelClient');
+const { createLogger } = require('../logger');
+
+const log = createLogger({ component: 'internalPostAuth' });
+
+// ---------------------------------------------------------------------------
+// Internal e-mail/password login –  post auth  (restWebhook, queued)
+// ---------------------------------------------------------------------------
+async function processEvent(event) {
+  const userId = event.aggregateID;
+  if (userId) {
+    await setUserMetadata(userId, {
+      okta_authentication_type: 'EMAIL_PASSWORD',
+      okta_groups            : JSON.stringify([]),
+    });
+    log.info('EMAIL_PASSWORD metadata stored', { userId });
+  }
+}
+
+module.exports = { processEvent };
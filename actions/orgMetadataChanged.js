@@ -0,0 +1,25 @@
+const { invalidateOrgPermissions } = require('../orgPermissions');
+const { invalidateSessionPolicies } = require('../sessionManager');
+const { createLogger } = require('../logger');
+
+const log = createLogger({ component: 'orgMetadataChanged' });
+
+// --- Event Action (restAsync): org.metadata.set / org.metadata.removed ---
+// Drops the cached role -> permission map and session policies of the org so
+// the next token issuance and session cleanup read the new metadata.
+async function handler(req, res) {
+  const { aggregateID, resourceOwner, event_type } = req.body || {};
+  const orgId = aggregateID || resourceOwner;
+
+  if (!orgId) {
+    log.error('missing aggregateID in org metadata event');
+    return res.status(400).json({ error: 'Missing aggregateID in payload' });
+  }
+
+  invalidateOrgPermissions(orgId);
+  invalidateSessionPolicies(orgId);
+  log.info('org metadata caches invalidated', { orgId, eventType: event_type });
+  res.sendStatus(200);
+}
+
+module.exports = { handler };
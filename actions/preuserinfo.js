@@ -0,0 +1,19 @@
+const { buildClaims } = require('../claimMapping');
+const { createLogger } = require('../logger');
+
+const log = createLogger({ component: 'preuserinfo' });
+
+// ---------------------------------------------------------------------------
+// Complement token – preuserinfo  (sync restCall)
+//   Metadata -> claims according to the rules in claimMapping.js
+// ---------------------------------------------------------------------------
+async function handler(req, res) {
+  const append_claims = buildClaims(req.body);
+
+  log.info('appending claims', { claims: append_claims.map(c => c.key) });
+  res.json({
+    append_claims
+  });
+}
+
+module.exports = { handler };
@@ -0,0 +1,38 @@
+const { getUserMetadataValue, setUserMetadata } = require('../zitadelClient');
+const { createLogger } = require('../logger');
+const { passwordsMigrated } = require('../metrics');
+
+const log = createLogger({ component: 'setPassword' });
+
+// --- Response Action (restWebhook): SetPassword ---
+async function handler(req, res) {
+  const { request, response } = req.body || {};
+  const userId = request?.userId;
+
+  if (!userId) {
+    log.error('missing userId in SetPassword request');
+    return res.status(400).json({ error: 'Missing userId in request' });
+  }
+
+  // Retrieve user migration metadata
+  const migratedValue = await getUserMetadataValue(userId, 'migratedFromLegacy');
+
+  // If user already migrated or no migration metadata, skip password set
+  if (migratedValue === 'true') {
+    log.info('user already migrated, skipping', { userId });
+    return res.json(response || {});
+  }
+  if (migratedValue === null) {
+    log.info('no migration metadata found, skipping', { userId });
+    return res.json(response || {});
+  }
+
+  // If SetPassword response is successful, update metadata flag
+  log.info('password set, marking user as migrated', { userId });
+  await setUserMetadata(userId, { migratedFromLegacy: 'true' });
+  passwordsMigrated.inc({ action: 'set-password' });
+
+  return res.json(response || {});
+}
+
+module.exports = { handler };
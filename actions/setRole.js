@@ -0,0 +1,36 @@
+const { applyRoleAssignments, isIgnoredEvent } = require('../roleAssignment');
+const { createLogger } = require('../logger');
+
+const log = createLogger({ component: 'setRole' });
+
+// --- Event Action (restWebhook, queued): SetRole ---
+// Runs from the event queue; throwing schedules a retry.
+// Grants the org's default roles (see roleAssignment.js), or revokes them on
+// user removed/deactivated events (deactivation: unless
+// ROLE_REVOKE_ON_DEACTIVATION=false).
+async function processEvent(event) {
+  const { resourceOwner, aggregateID, event_type: eventType } = event || {};
+
+  const userId = aggregateID;
+  const organizationId = resourceOwner;
+
+  if (!userId || !organizationId) {
+    const err = new Error('Missing required parameters for set-role action');
+    err.permanent = true;
+    throw err;
+  }
+
+  if (isIgnoredEvent(eventType)) {
+    log.info('event leaves role assignments unchanged', { userId, eventType });
+    return;
+  }
+
+  const results = await applyRoleAssignments({ userId, organizationId, eventType });
+  if (results.length === 0) {
+    log.warn('no role assignments configured', { organizationId, eventType });
+    return;
+  }
+  log.info('role assignments applied', { userId, eventType, results });
+}
+
+module.exports = { processEvent };
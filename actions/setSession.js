@@ -0,0 +1,57 @@
+const { getSession, getUserMetadataValue, setUserMetadata, setUserPassword } = require('../zitadelClient');
+const { verifyLegacyPassword } = require('../legacyMigration');
+const { findLegacyUser } = require('../legacyDirectory');
+const { createLogger } = require('../logger');
+const { passwordsMigrated, passwordMismatches } = require('../metrics');
+
+const log = createLogger({ component: 'setSession' });
+
+// --- Request Action (restWebhook): SetSession ---
+async function handler(req, res) {
+  const { request, response } = req.body || {};
+  const pw = request?.checks?.password?.password;
+  const sessionId = request?.sessionId;
+  const sessionToken = request?.sessionToken;
+
+  // We only want to handle requests adding a password check
+  if (!pw) return res.json(response || {});
+
+  // Retrieve session details to get userId and loginName
+  const session = await getSession(sessionId, sessionToken);
+  const userId = session.factors?.user?.id;
+  const legacyLoginName = session.factors?.user?.loginName;
+
+  const migratedValue = await getUserMetadataValue(userId, 'migratedFromLegacy');
+
+  // If user already migrated or no migration metadata, skip password set
+  if (migratedValue === 'true') {
+    log.info('user already migrated, skipping password set', { userId });
+    return res.json(response || {});
+  }
+  if (migratedValue === null) {
+    log.info('no migration metadata found, skipping password set', { userId });
+    return res.json(response || {});
+  }
+
+  // Verify user password in the legacy directory
+  const legacy = await findLegacyUser(legacyLoginName);
+  if (!(await verifyLegacyPassword(legacy, pw))) {
+    passwordMismatches.inc();
+    // Forward error through Zitadel if the password doesn't match - Interrupt on Error must be enabled
+    return res.status(200).json({
+        "forwardedStatusCode": 400,
+        "forwardedErrorMessage": "Wrong username or password. Please try again."
+    });
+  }
+
+  // Set user password in Zitadel and update metadata to mark migration complete
+  if (userId) {
+    await setUserPassword(userId, pw);
+    await setUserMetadata(userId, { migratedFromLegacy: 'true' });
+    passwordsMigrated.inc({ action: 'set-session' });
+  }
+
+  return res.json(response || {});
+}
+
+module.exports = { handler };
@@ -0,0 +1,54 @@
+// Demo action showing the response shapes a pre-access-token / pre-userinfo
+// restCall can return. It currently always forwards an error, blocking the login.
+async function handler(req, res) {
+  let claims = {
+    append_claims: [
+      {
+        key: "companyId",
+        value: "COMPANY123"
+      },
+      {
+        key: "personId",
+        value: "PERSON123"
+      },
+      {
+        key: "userId",
+        value: "USER123"
+      }  
+    ]
+  };
+  let response = {
+  set_user_metadata: [
+    {
+      key: "action_metadata_key",
+      value: "YWN0aW9uIG1ldGFkYXRhIHZhbHVl"
+    }
+  ],
+  append_claims: [
+      {
+        key: "companyId",
+        value: "COMPANY123"
+      },
+      {
+        key: "personId",
+        value: "PERSON123"
+      },
+      {
+        key: "userId",
+        value: "USER123"
+      }  
+    ],
+  append_log_claims: [
+    "Log to be appended to the log claim on the token"
+  ]
+  };
+  let error = {
+    "forwardedStatusCode": 403,
+    "forwardedErrorMessage": "You are not authorized to access this application."
+  };
+
+  //res.json(claims);
+  res.json(error);
+}
+
+module.exports = { handler };
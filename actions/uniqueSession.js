@@ -0,0 +1,21 @@
+const { uniqueSession } = require('../sessionManager');
+const { createLogger } = require('../logger');
+
+const log = createLogger({ component: 'uniqueSession' });
+
+async function handler(req, res) {
+  const { userID } = req.body;
+
+  if (!userID) {
+    log.error('missing userID in payload');
+    return res.status(400).json({ error: 'Missing userID in payload' });
+  }
+
+  const { kept, deleted, failed } = await uniqueSession(userID);
+  if (failed.length > 0) {
+    return res.status(500).json({ error: 'Session cleanup incomplete', kept, deleted, failed });
+  }
+  res.status(200).json({ status: 'Session cleanup complete', kept, deleted });
+}
+
+module.exports = { handler };
@@ -0,0 +1,154 @@
+const express = require('express');
+const { requireAdminToken } = require('./adminAuth');
+const { collectMigrationReport, migrationReportToCsv } = require('./migrationReport');
+const { getEventQueue } = require('./eventQueue');
+const permissionMappings = require('./permissionMappings');
+const { getPayloadInspector } = require('./payloadInspector');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'adminApi' });
+
+// ---------------------------------------------------------------------------
+// Admin API (mounted on /admin, bearer ADMIN_API_TOKEN)
+// ---------------------------------------------------------------------------
+
+// Exposed errors (validation, not found, conflict) are the caller's; anything
+// else is ZITADEL failing
+function sendMappingError(res, e, what) {
+  if (e.expose) {
+    return res.status(e.status).json(e.details ? { error: e.message, details: e.details } : { error: e.message });
+  }
+  log.error(`${what} failed`, { err: e });
+  res.status(502).json({ error: `Failed to ${what}` });
+}
+
+function createAdminRouter() {
+  const router = express.Router();
+  router.use(requireAdminToken);
+
+  // Trickle migration progress: ?format=json (default) | csv, ?orgId= (default ZITADEL_ORG_ID)
+  router.get('/migration/report', async (req, res) => {
+    const { orgId } = req.query;
+    if (orgId !== undefined && (typeof orgId !== 'string' || !orgId.trim())) {
+      return res.status(400).json({ error: 'orgId must be a single non-empty value' });
+    }
+    try {
+      const report = await collectMigrationReport(orgId ? { organizationId: orgId.trim() } : undefined);
+      if (req.query.format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', 'attachment; filename="migration-report.csv"');
+        return res.send(migrationReportToCsv(report));
+      }
+      res.json(report);
+    } catch (e) {
+      log.error('migration report failed', { err: e });
+      res.status(502).json({ error: 'Failed to collect migration report' });
+    }
+  });
+
+  // Event queue: counts of pending / dead-lettered / processed events
+  router.get('/queue', (req, res) => {
+    res.json(getEventQueue().stats());
+  });
+
+  router.get('/queue/dead-letters', (req, res) => {
+    res.json({ deadLetters: getEventQueue().listDeadLetters() });
+  });
+
+  // Replays one dead letter, or all of them when no id is given
+  router.post(['/queue/dead-letters/replay', '/queue/dead-letters/:id/replay'], (req, res) => {
+    const ids = req.params.id ? [req.params.id] : undefined;
+    const replayed = getEventQueue().replayDeadLetters(ids);
+    if (ids && replayed.length === 0) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+    res.json({ replayed });
+  });
+
+  // Payload inspector: recent action invocations, newest first (?action=, ?limit=)
+  router.get('/inspector/invocations', (req, res) => {
+    const inspector = getPayloadInspector();
+    const limit = Number(req.query.limit) || undefined;
+    res.json({
+      actions: inspector.actions(),
+      invocations: inspector.list({ action: req.query.action, limit }),
+    });
+  });
+
+  router.get('/inspector/invocations/:id', (req, res) => {
+    const invocation = getPayloadInspector().get(req.params.id);
+    if (!invocation) return res.status(404).json({ error: 'Invocation not found' });
+    res.json(invocation);
+  });
+
+  router.delete('/inspector/invocations', (req, res) => {
+    getPayloadInspector().clear();
+    res.status(204).end();
+  });
+
+  // Role -> permission mappings of an org (see permissionMappings.js);
+  // ?projectId= names the project whose role keys writes are checked against
+  const mappings = '/orgs/:orgId/role-permissions';
+
+  router.get(mappings, async (req, res) => {
+    try {
+      res.json({ mappings: await permissionMappings.listMappings(req.params.orgId) });
+    } catch (e) {
+      sendMappingError(res, e, 'list role mappings');
+    }
+  });
+
+  router.post(mappings, async (req, res) => {
+    const { role, ...definition } = req.body || {};
+    try {
+      const mapping = await permissionMappings.saveMapping(req.params.orgId, role, definition, {
+        mode: 'create',
+        projectId: req.query.projectId,
+      });
+      res.status(201).json(mapping);
+    } catch (e) {
+      sendMappingError(res, e, 'create role mapping');
+    }
+  });
+
+  // Permissions a user would get with unsaved changes: { userId | grants, changes }
+  router.post(`${mappings}/preview`, async (req, res) => {
+    try {
+      res.json(await permissionMappings.previewPermissions(req.params.orgId, { projectId: req.query.projectId, ...req.body }));
+    } catch (e) {
+      sendMappingError(res, e, 'preview permissions');
+    }
+  });
+
+  router.get(`${mappings}/:role`, async (req, res) => {
+    try {
+      res.json(await permissionMappings.getMapping(req.params.orgId, req.params.role));
+    } catch (e) {
+      sendMappingError(res, e, 'read role mapping');
+    }
+  });
+
+  router.put(`${mappings}/:role`, async (req, res) => {
+    try {
+      res.json(await permissionMappings.saveMapping(req.params.orgId, req.params.role, req.body, {
+        mode: 'update',
+        projectId: req.query.projectId,
+      }));
+    } catch (e) {
+      sendMappingError(res, e, 'update role mapping');
+    }
+  });
+
+  router.delete(`${mappings}/:role`, async (req, res) => {
+    try {
+      await permissionMappings.deleteMapping(req.params.orgId, req.params.role);
+      res.status(204).end();
+    } catch (e) {
+      sendMappingError(res, e, 'delete role mapping');
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
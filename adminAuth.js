@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+require('dotenv').config();
+
+/**
+ * Express middleware protecting the /admin API with a static bearer token
+ * (ADMIN_API_TOKEN). The API is disabled when no token is configured.
+ */
+function requireAdminToken(req, res, next) {
+  const expected = process.env.ADMIN_API_TOKEN;
+  if (!expected) {
+    return res.status(503).json({ error: 'Admin API disabled (ADMIN_API_TOKEN not set)' });
+  }
+
+  const header = req.headers['authorization'] || '';
+  const provided = header.startsWith('Bearer ') ? header.slice(7) : '';
+  const a = crypto.createHash('sha256').update(provided).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  if (!provided || !crypto.timingSafeEqual(a, b)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+}
+
+module.exports = { requireAdminToken };
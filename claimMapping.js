@@ -0,0 +1,190 @@
+const fs = require('fs');
+const { createLogger } = require('./logger');
+require('dotenv').config();
+
+const log = createLogger({ component: 'claimMapping' });
+
+// ---------------------------------------------------------------------------
+// Claim mapping for /action/preuserinfo
+//   CLAIM_RULES_FILE points to a JSON file:
+//   {
+//     "default":  { "precedence": "user", "rules": [ ... ] },
+//     "projects": { "<projectId>": { ...rule set } },
+//     "clients":  { "<clientId>":  { ...rule set } }
+//   }
+//   A rule matches metadata by exact `key` or by `prefix`:
+//     { "key": "okta_groups", "claim": "groups", "type": "array" }
+//     { "prefix": "okta_", "stripPrefix": false, "type": "string", "source": "both" }
+//   type:       string (default) | json | boolean | number | array
+//   source:     user | org | both (default)
+//   precedence: which metadata wins when user and org define the same claim
+//               ("user" by default)
+//   The first matching rule wins; metadata matching no rule is not emitted.
+//   The file is re-read when it changes on disk.
+// ---------------------------------------------------------------------------
+
+// Behaviour without a rule file: copy okta_* metadata as strings.
+const DEFAULT_RULE_SET = {
+  precedence: 'user',
+  rules: [{ prefix: 'okta_', type: 'string' }],
+};
+
+const TYPES = ['string', 'json', 'boolean', 'number', 'array'];
+const SOURCES = ['user', 'org', 'both'];
+
+let cache = { path: null, mtimeMs: -1, config: null };
+
+function validateRuleSet(ruleSet, where) {
+  if (!ruleSet || !Array.isArray(ruleSet.rules)) {
+    throw new Error(`${where}: "rules" must be an array`);
+  }
+  if (ruleSet.precedence && !['user', 'org'].includes(ruleSet.precedence)) {
+    throw new Error(`${where}: precedence must be "user" or "org"`);
+  }
+  ruleSet.rules.forEach((rule, idx) => {
+    const at = `${where}.rules[${idx}]`;
+    if (!rule.key === !rule.prefix) throw new Error(`${at}: exactly one of "key" or "prefix" is required`);
+    if (rule.claim && rule.prefix) throw new Error(`${at}: "claim" can only be used with "key"`);
+    if (rule.type && !TYPES.includes(rule.type)) throw new Error(`${at}: unknown type "${rule.type}"`);
+    if (rule.source && !SOURCES.includes(rule.source)) throw new Error(`${at}: unknown source "${rule.source}"`);
+  });
+  return ruleSet;
+}
+
+/**
+ * Parses and validates a claim rules document.
+ * @param {Object} doc
+ * @returns {{ default: Object, projects: Object, clients: Object }}
+ */
+function parseClaimRules(doc) {
+  const config = {
+    default: validateRuleSet(doc.default || DEFAULT_RULE_SET, 'default'),
+    projects: {},
+    clients: {},
+  };
+  for (const scope of ['projects', 'clients']) {
+    for (const [id, ruleSet] of Object.entries(doc[scope] || {})) {
+      config[scope][id] = validateRuleSet(ruleSet, `${scope}.${id}`);
+    }
+  }
+  return config;
+}
+
+function loadClaimRules() {
+  const filePath = process.env.CLAIM_RULES_FILE;
+  if (!filePath) return { default: DEFAULT_RULE_SET, projects: {}, clients: {} };
+
+  const { mtimeMs } = fs.statSync(filePath);
+  if (cache.path !== filePath || cache.mtimeMs !== mtimeMs) {
+    const config = parseClaimRules(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    cache = { path: filePath, mtimeMs, config };
+  }
+  return cache.config;
+}
+
+// The requesting client, when ZITADEL includes it in the payload.
+function getClientId(payload) {
+  const aud = payload.userinfo?.aud;
+  return payload.client_id || payload.clientId || (Array.isArray(aud) ? aud[0] : aud) || null;
+}
+
+/**
+ * Picks the rule set for a preuserinfo payload: client first, then the
+ * project of the user's grants, then the default.
+ *
+ * @param {Object} payload
+ * @returns {Object} - Rule set
+ */
+function resolveRuleSet(payload) {
+  const config = loadClaimRules();
+  const clientId = getClientId(payload);
+  if (clientId && config.clients[clientId]) return config.clients[clientId];
+
+  for (const grant of payload.user_grants || []) {
+    if (grant.projectId && config.projects[grant.projectId]) return config.projects[grant.projectId];
+  }
+  return config.default;
+}
+
+function coerce(value, type) {
+  switch (type) {
+    case 'json':
+      return JSON.parse(value);
+    case 'boolean': {
+      const v = value.trim().toLowerCase();
+      if (['true', '1', 'yes', 'on'].includes(v)) return true;
+      if (['false', '0', 'no', 'off', ''].includes(v)) return false;
+      throw new Error(`not a boolean: "${value}"`);
+    }
+    case 'number': {
+      const n = Number(value);
+      if (value.trim() === '' || Number.isNaN(n)) throw new Error(`not a number: "${value}"`);
+      return n;
+    }
+    case 'array': {
+      try {
+        const parsed = JSON.parse(value);
+        if (Array.isArray(parsed)) return parsed;
+      } catch {
+        // not JSON – fall back to a comma separated list
+      }
+      return value.split(',').map(s => s.trim()).filter(Boolean);
+    }
+    default:
+      return value;
+  }
+}
+
+function findRule(rules, key, source) {
+  return rules.find(rule => {
+    const ruleSource = rule.source || 'both';
+    if (ruleSource !== 'both' && ruleSource !== source) return false;
+    return rule.key ? rule.key === key : key.startsWith(rule.prefix);
+  });
+}
+
+function claimName(rule, key) {
+  if (rule.claim) return rule.claim;
+  if (rule.prefix && rule.stripPrefix) return key.slice(rule.prefix.length);
+  return key;
+}
+
+function mapMetadata(metadata, rules, source) {
+  const claims = new Map();
+  for (const { key, value } of metadata) {
+    if (!key) continue;
+    const rule = findRule(rules, key, source);
+    if (!rule) continue;
+
+    const decoded = Buffer.from(String(value || ''), 'base64').toString('utf8');
+    try {
+      claims.set(claimName(rule, key), coerce(decoded, rule.type || 'string'));
+    } catch (e) {
+      log.warn('skipping metadata that does not match its rule type', { source, key, reason: e.message });
+    }
+  }
+  return claims;
+}
+
+/**
+ * Builds the append_claims for a preuserinfo payload.
+ *
+ * @param {Object} payload - preuserinfo request body
+ * @returns {Array<{ key: string, value: any }>}
+ */
+function buildClaims(payload) {
+  const { user_metadata = [], org = {} } = payload;
+  const ruleSet = resolveRuleSet(payload);
+
+  const userClaims = mapMetadata(user_metadata, ruleSet.rules, 'user');
+  const orgClaims = mapMetadata(org.metadata || [], ruleSet.rules, 'org');
+
+  const [low, high] = (ruleSet.precedence || 'user') === 'user'
+    ? [orgClaims, userClaims]
+    : [userClaims, orgClaims];
+  const merged = new Map([...low, ...high]);
+
+  return Array.from(merged, ([key, value]) => ({ key, value }));
+}
+
+module.exports = { buildClaims, parseClaimRules, resolveRuleSet, getClientId };
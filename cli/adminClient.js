@@ -0,0 +1,37 @@
+require('dotenv').config();
+
+// ---------------------------------------------------------------------------
+// HTTP client for the admin API, shared by the CLIs that talk to a running
+// server (ADMIN_API_URL, ADMIN_API_TOKEN)
+// ---------------------------------------------------------------------------
+
+const DEFAULT_ADMIN_URL = 'http://localhost:5001/admin';
+
+/**
+ * Calls the admin API. Throws an Error carrying `status` (and `details` for
+ * validation errors) when the response is not ok.
+ *
+ * @param {string} baseUrl
+ * @param {string} path
+ * @param {{ method?: string, body?: * }} [init] - body is sent as JSON
+ * @returns {Promise<Object>} - Parsed JSON body ({} for empty responses)
+ */
+async function adminFetch(baseUrl, path, { method = 'GET', body } = {}) {
+  const headers = { Authorization: `Bearer ${process.env.ADMIN_API_TOKEN || ''}` };
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+  const res = await fetch(`${baseUrl.replace(/\/$/, '')}${path}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const err = new Error(`${method} ${path} -> ${res.status}: ${json.error || res.statusText}`);
+    err.status = res.status;
+    if (json.details) err.details = json.details;
+    throw err;
+  }
+  return json;
+}
+
+module.exports = { adminFetch, DEFAULT_ADMIN_URL };
@@ -0,0 +1,248 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { listLegacyUsers, findLegacyUser } = require('../legacyDirectory');
+const { createUserFromLegacy, findMigratedUser } = require('../legacyMigration');
+const { usersCreated } = require('../metrics');
+const { mapWithConcurrency } = require('../concurrency');
+const { isUpstreamFailure } = require('../upstream');
+
+// ---------------------------------------------------------------------------
+// Bulk pre-migration of legacy users into ZITADEL
+//   Creates users the same way /action/list-users does (migratedFromLegacy =
+//   "migrating"), so /action/set-session still migrates their password on
+//   first login. Progress is checkpointed after every batch; re-running with
+//   the same checkpoint file resumes where the last run stopped.
+//
+//   Users whose creation fails are kept in the checkpoint's retry list and
+//   tried again first by every resumed run. When ZITADEL or the legacy
+//   directory is unavailable (upstream.js) the run stops without moving the
+//   checkpoint past the current batch, so a re-run picks the batch up again.
+//
+//   npm run migrate:bulk -- [--dry-run] [--batch-size 50] [--concurrency 5]
+//                           [--checkpoint file] [--report file] [--restart]
+// ---------------------------------------------------------------------------
+
+const USAGE = `Usage: node cli/bulkMigrate.js [options]
+
+  --dry-run             Only report what would be created
+  --batch-size <n>      Users read from the legacy directory per batch (default 50)
+  --concurrency <n>     Parallel ZITADEL calls per batch (default 5)
+  --checkpoint <file>   Checkpoint file (default .migration-checkpoint.json)
+  --report <file>       JSON Lines report, appended to (default migration-report.jsonl)
+  --restart             Ignore an existing checkpoint (and its retry list) and start from the first user
+  --help                Show this help`;
+
+function parseOptions(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      'dry-run': { type: 'boolean', default: false },
+      'batch-size': { type: 'string', default: '50' },
+      'concurrency': { type: 'string', default: '5' },
+      'checkpoint': { type: 'string', default: '.migration-checkpoint.json' },
+      'report': { type: 'string', default: 'migration-report.jsonl' },
+      'restart': { type: 'boolean', default: false },
+      'help': { type: 'boolean', default: false },
+    },
+  });
+
+  const batchSize = Number(values['batch-size']);
+  const concurrency = Number(values.concurrency);
+  if (!Number.isInteger(batchSize) || batchSize < 1) throw new Error('--batch-size must be a positive integer');
+  if (!Number.isInteger(concurrency) || concurrency < 1) throw new Error('--concurrency must be a positive integer');
+
+  return {
+    dryRun: values['dry-run'],
+    batchSize,
+    concurrency,
+    checkpointPath: values.checkpoint,
+    reportPath: values.report,
+    restart: values.restart,
+    help: values.help,
+  };
+}
+
+function readCheckpoint(checkpointPath) {
+  if (!fs.existsSync(checkpointPath)) return null;
+  return JSON.parse(fs.readFileSync(checkpointPath, 'utf8'));
+}
+
+// Write-then-rename so a crash never leaves a half written checkpoint behind.
+function writeCheckpoint(checkpointPath, checkpoint) {
+  const tmp = `${checkpointPath}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(checkpoint, null, 2));
+  fs.renameSync(tmp, checkpointPath);
+}
+
+// Report status -> key in checkpoint.totals
+const TOTALS = { 'created': 'created', 'would-create': 'wouldCreate', 'skipped': 'skipped', 'failed': 'failed' };
+
+// Key the retry list finds the user again by (findLegacyUser)
+function lookupKey(legacy) {
+  return legacy.loginName || legacy.email || legacy.username;
+}
+
+/**
+ * @returns {Promise<Object>} Report entry; throws when an upstream is unavailable
+ */
+async function migrateOne(legacy, { dryRun }) {
+  const entry = { username: legacy.username, email: legacy.email, legacyUserId: legacy.userId };
+  try {
+    const existing = await findMigratedUser(legacy);
+    if (existing) {
+      return { ...entry, status: 'skipped', reason: 'already present', userId: existing.userId };
+    }
+    if (dryRun) {
+      return { ...entry, status: 'would-create' };
+    }
+    const userId = await createUserFromLegacy(legacy);
+    usersCreated.inc({ source: 'bulk' });
+    return { ...entry, status: 'created', userId };
+  } catch (e) {
+    if (isUpstreamFailure(e)) throw e;
+    // Lost a race with the JIT flow (or a previous, crashed run)
+    if (e.status === 409) {
+      return { ...entry, status: 'skipped', reason: 'already present' };
+    }
+    return { ...entry, status: 'failed', error: e.message };
+  }
+}
+
+// Migrates a list of users. Once an upstream is unavailable no further user
+// is started, and the first such error is thrown after the others settled.
+async function migrateAll(users, options, onResult) {
+  let unavailable = null;
+  await mapWithConcurrency(users, options.concurrency, async (legacy) => {
+    if (unavailable) return;
+    try {
+      onResult(legacy, await migrateOne(legacy, options));
+    } catch (e) {
+      unavailable ??= e;
+    }
+  });
+  if (unavailable) throw unavailable;
+}
+
+function stopped(e, checkpoint) {
+  const err = new Error(`${e.message}; stopped at offset ${checkpoint.offset}, re-run to resume`, { cause: e });
+  err.upstream = e.upstream;
+  return err;
+}
+
+async function run(options) {
+  const previous = options.restart ? null : readCheckpoint(options.checkpointPath);
+  const checkpoint = previous || {
+    offset: 0,
+    totals: { created: 0, wouldCreate: 0, skipped: 0, failed: 0 },
+    retry: [],
+    startedAt: new Date().toISOString(),
+  };
+  checkpoint.retry ??= []; // checkpoints written before the retry list
+  checkpoint.totals.wouldCreate ??= 0;
+  if (previous) {
+    console.log(`Resuming from checkpoint at offset ${checkpoint.offset} (${checkpoint.retry.length} user(s) to retry)`);
+  }
+  if (options.dryRun) {
+    console.log('Dry run: no users will be created');
+  }
+
+  const report = fs.createWriteStream(options.reportPath, { flags: 'a' });
+  const record = (result, totals) => {
+    totals[TOTALS[result.status]]++;
+    report.write(`${JSON.stringify({ ...result, at: new Date().toISOString() })}\n`);
+  };
+  // A dry run must not move a real run's checkpoint forward
+  const save = () => {
+    checkpoint.updatedAt = new Date().toISOString();
+    if (!options.dryRun) writeCheckpoint(options.checkpointPath, checkpoint);
+  };
+
+  try {
+    // Users that failed in earlier runs; each result replaces the failure
+    if (checkpoint.retry.length > 0) {
+      const totals = { ...checkpoint.totals };
+      const still = [];
+      try {
+        const users = [];
+        for (const { loginName } of checkpoint.retry) {
+          const legacy = await findLegacyUser(loginName);
+          if (legacy) users.push(legacy);
+          else console.log(`Retry: ${loginName} is no longer in the legacy directory`);
+        }
+        await migrateAll(users, options, (legacy, result) => {
+          record(result, totals);
+          totals.failed--;
+          if (result.status === 'failed') still.push({ loginName: lookupKey(legacy), error: result.error });
+        });
+      } catch (e) {
+        throw isUpstreamFailure(e) ? stopped(e, checkpoint) : e;
+      }
+      console.log(`Retried ${checkpoint.retry.length} user(s), ${still.length} still failing`);
+      checkpoint.totals = totals;
+      checkpoint.retry = still;
+      save();
+    }
+
+    for (;;) {
+      const batch = await listLegacyUsers({ offset: checkpoint.offset, limit: options.batchSize });
+      if (batch.length === 0) break;
+
+      // Counted on a copy: a batch cut short by an unavailable upstream is
+      // not checkpointed and runs again on resume
+      const totals = { ...checkpoint.totals };
+      const retry = [...checkpoint.retry];
+      try {
+        await migrateAll(batch, options, (legacy, result) => {
+          record(result, totals);
+          if (result.status === 'failed') retry.push({ loginName: lookupKey(legacy), error: result.error });
+        });
+      } catch (e) {
+        throw stopped(e, checkpoint);
+      }
+
+      checkpoint.totals = totals;
+      checkpoint.retry = retry;
+      checkpoint.offset += batch.length;
+      save();
+
+      const { created, wouldCreate, skipped, failed } = checkpoint.totals;
+      console.log(`Processed ${checkpoint.offset} users (${options.dryRun ? `would create ${wouldCreate}` : `created ${created}`}, skipped ${skipped}, failed ${failed})`);
+
+      if (batch.length < options.batchSize) break;
+    }
+  } finally {
+    await new Promise(resolve => report.end(resolve));
+  }
+
+  checkpoint.finishedAt = new Date().toISOString();
+  save();
+
+  console.log('Bulk migration finished:', checkpoint.totals);
+  console.log(`Report written to ${options.reportPath}`);
+  return checkpoint.totals;
+}
+
+if (require.main === module) {
+  let options;
+  try {
+    options = parseOptions(process.argv.slice(2));
+  } catch (e) {
+    console.error(e.message);
+    console.error(USAGE);
+    process.exit(2);
+  }
+  if (options.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  run(options)
+    .then(totals => process.exit(totals.failed > 0 ? 1 : 0))
+    .catch(e => {
+      console.error('Bulk migration aborted:', e);
+      process.exit(1);
+    });
+}
+
+module.exports = { run, parseOptions };
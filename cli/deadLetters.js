@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+const { parseArgs } = require('util');
+const { adminFetch, DEFAULT_ADMIN_URL } = require('./adminClient');
+require('dotenv').config();
+
+// ---------------------------------------------------------------------------
+// Inspect and replay dead-lettered events through the admin API
+//   npm run queue:dead-letters -- list
+//   npm run queue:dead-letters -- replay <id> [<id> ...] | --all
+//   The queue lives in the server process, so this talks to a running server.
+// ---------------------------------------------------------------------------
+
+const USAGE = `Usage: node cli/deadLetters.js <list|replay> [ids...] [options]
+
+  list                  Print dead-lettered events (id, action, attempts, last error)
+  replay <id> [...]     Move the given dead letters back to the queue
+  replay --all          Move every dead letter back to the queue
+  --json                Print raw JSON
+  --url <url>           Admin API base URL (default ADMIN_API_URL or http://localhost:5001/admin)
+  --help                Show this help
+
+ADMIN_API_TOKEN must hold the server's admin token.`;
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      'all': { type: 'boolean', default: false },
+      'json': { type: 'boolean', default: false },
+      'url': { type: 'string', default: process.env.ADMIN_API_URL || DEFAULT_ADMIN_URL },
+      'help': { type: 'boolean', default: false },
+    },
+  });
+  const [command, ...ids] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return values.help ? 0 : 2;
+  }
+
+  if (command === 'list') {
+    const { deadLetters } = await adminFetch(values.url, '/queue/dead-letters');
+    if (values.json) {
+      process.stdout.write(`${JSON.stringify(deadLetters, null, 2)}\n`);
+    } else {
+      for (const e of deadLetters) {
+        console.log(`${e.id}  ${e.key}  attempts=${e.attempts}  ${new Date(e.deadAt).toISOString()}  ${e.lastError}`);
+      }
+      console.error(`${deadLetters.length} dead letter(s)`);
+    }
+    return 0;
+  }
+
+  if (command === 'replay') {
+    if (!values.all && ids.length === 0) {
+      console.error('replay needs at least one id, or --all');
+      return 2;
+    }
+    const replayed = [];
+    if (values.all) {
+      replayed.push(...(await adminFetch(values.url, '/queue/dead-letters/replay', { method: 'POST' })).replayed);
+    } else {
+      for (const id of ids) {
+        try {
+          replayed.push(...(await adminFetch(values.url, `/queue/dead-letters/${encodeURIComponent(id)}/replay`, { method: 'POST' })).replayed);
+        } catch (e) {
+          if (e.status !== 404) throw e;
+          console.error(`No dead letter with id ${id}`);
+        }
+      }
+    }
+    console.log(values.json ? JSON.stringify({ replayed }) : `Replayed ${replayed.length} event(s)`);
+    return 0;
+  }
+
+  console.error(`Unknown command "${command}"`);
+  console.error(USAGE);
+  return 2;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch(e => {
+      console.error('Dead letter command failed:', e.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { main };
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+const { parseArgs } = require('util');
+const { getKeyStore } = require('../jwtKeys');
+require('dotenv').config();
+
+// ---------------------------------------------------------------------------
+// Manage the JWT IdP signing keys (JWT_IDP_KEYS_FILE)
+//   npm run jwt:keys -- list
+//   npm run jwt:keys -- generate   add a key now (signs after one overlap)
+//   npm run jwt:keys -- rotate     run the scheduled rotation check now
+//   Works on the key file directly; a running server picks changes up.
+// ---------------------------------------------------------------------------
+
+const USAGE = `Usage: node cli/jwtKeys.js <list|generate|rotate> [options]
+
+  list        Print the keys (kid, created, next | active | retired)
+  generate    Add a new key; it is published right away and signs after JWT_IDP_KEY_OVERLAP_HOURS
+  rotate      Generate / retire keys that are due, as the server does hourly
+  --json      Print raw JSON
+  --help      Show this help`;
+
+function printKeys(keys, json) {
+  if (json) {
+    process.stdout.write(`${JSON.stringify(keys, null, 2)}\n`);
+    return;
+  }
+  for (const k of keys) console.log(`${k.kid}  ${k.createdAt}  ${k.status}`);
+  console.error(`${keys.length} key(s) in ${getKeyStore().file}`);
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      'json': { type: 'boolean', default: false },
+      'help': { type: 'boolean', default: false },
+    },
+  });
+  const [command] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return values.help ? 0 : 2;
+  }
+
+  const store = getKeyStore();
+  if (command === 'list') {
+    printKeys(store.list(), values.json);
+    return 0;
+  }
+  if (command === 'generate') {
+    const { kid } = store.generate();
+    console.error(`Generated key ${kid}`);
+    printKeys(store.list(), values.json);
+    return 0;
+  }
+  if (command === 'rotate') {
+    console.error(store.rotate() ? 'Keys rotated' : 'Nothing due');
+    printKeys(store.list(), values.json);
+    return 0;
+  }
+
+  console.error(`Unknown command "${command}"`);
+  console.error(USAGE);
+  return 2;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch(e => {
+      console.error('JWT key command failed:', e.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { main };
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { collectMigrationReport, migrationReportToCsv } = require('../migrationReport');
+
+// ---------------------------------------------------------------------------
+// Trickle migration progress report
+//   npm run migrate:report -- [--format json|csv] [--output file] [--org id]
+// ---------------------------------------------------------------------------
+
+const USAGE = `Usage: node cli/migrationReport.js [options]
+
+  --format <json|csv>   json: counts + users still migrating (default); csv: users still migrating
+  --output <file>       Write the report to a file instead of stdout
+  --org <id>            Organization to report on (default ZITADEL_ORG_ID, all orgs if unset)
+  --help                Show this help`;
+
+async function main(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      'format': { type: 'string', default: 'json' },
+      'output': { type: 'string' },
+      'org': { type: 'string' },
+      'help': { type: 'boolean', default: false },
+    },
+  });
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!['json', 'csv'].includes(values.format)) {
+    console.error(`Unknown --format "${values.format}"`);
+    console.error(USAGE);
+    return 2;
+  }
+
+  const report = await collectMigrationReport({ organizationId: values.org || process.env.ZITADEL_ORG_ID });
+  const output = values.format === 'csv'
+    ? migrationReportToCsv(report)
+    : `${JSON.stringify(report, null, 2)}\n`;
+
+  if (values.output) {
+    fs.writeFileSync(values.output, output);
+    console.error(`Report written to ${values.output}`);
+  } else {
+    process.stdout.write(output);
+  }
+  console.error('Migration state:', report.counts);
+  return 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch(e => {
+      console.error('Migration report failed:', e);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+const { ACTIONS } = require('../actionRegistry');
+const { computeSignature, parseSigningKeys } = require('../zitadelSignature');
+const { diffJson, formatDiff } = require('../jsonDiff');
+require('dotenv').config();
+
+// ---------------------------------------------------------------------------
+// Replays a recorded or templated ZITADEL payload against a local action route
+//   npm run action:replay -- <fixture|file> [--set path=value ...]
+//   Signs the payload like ZITADEL (zitadel-signature: t=...,v1=...) with the
+//   action's signing key, POSTs it and diffs the answer against the payload's
+//   `response` object. Every send is signed anew with a timestamp later than the
+//   previous one, so the server's replay check accepts each of them.
+//
+//   Fixtures (fixtures/actions/*.json) are { action, description, payload }; a
+//   plain recorded payload needs --action. Before parsing, the file text may use
+//     {{now}} ISO timestamp   {{unix}} seconds   {{uuid}}   {{sequence}}
+//     {{env.NAME}} value of an env var (JSON-escaped, empty when unset)
+// ---------------------------------------------------------------------------
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'actions');
+
+const USAGE = `Usage: node cli/replayAction.js <fixture|file> [options]
+
+  <fixture>             Name of a fixture in fixtures/actions (e.g. preuserinfo) or a path to a JSON file
+  --action <name>       Registry action to call (default: the fixture's "action")
+  --set <path=value>    Override a payload field, e.g. --set request.checks.password.password=secret
+                        (value parsed as JSON when possible; repeatable)
+  --url <url>           Server base URL (default http://localhost:5001)
+  --key <key>           Signing key (default: the action's <NAME>_SIGNING_KEY)
+  --repeat <n>          Send the payload n times, each with a fresh signature (default 1)
+  --dry-run             Print the signed request instead of sending it
+  --list                List the available fixtures
+  --help                Show this help`;
+
+function expandTemplate(text) {
+  const now = new Date();
+  return text.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, name) => {
+    if (name === 'now') return now.toISOString();
+    if (name === 'unix') return String(Math.floor(now.getTime() / 1000));
+    if (name === 'uuid') return crypto.randomUUID();
+    if (name === 'sequence') return String(now.getTime());
+    if (name.startsWith('env.')) return JSON.stringify(process.env[name.slice(4)] || '').slice(1, -1);
+    throw new Error(`Unknown template variable ${match}`);
+  });
+}
+
+/**
+ * Reads a fixture by name or path.
+ * @param {string} ref
+ * @returns {{ action?: string, description?: string, payload: Object }}
+ */
+function loadFixture(ref) {
+  const file = fs.existsSync(ref) ? ref : path.join(FIXTURES_DIR, ref.endsWith('.json') ? ref : `${ref}.json`);
+  if (!fs.existsSync(file)) throw new Error(`No fixture or file "${ref}" (see --list)`);
+  const doc = JSON.parse(expandTemplate(fs.readFileSync(file, 'utf8')));
+  return doc.payload && typeof doc.payload === 'object' ? doc : { payload: doc };
+}
+
+function listFixtures() {
+  return fs.readdirSync(FIXTURES_DIR)
+    .filter(f => f.endsWith('.json'))
+    .map((f) => {
+      const { action, description } = JSON.parse(expandTemplate(fs.readFileSync(path.join(FIXTURES_DIR, f), 'utf8')));
+      return { name: f.replace(/\.json$/, ''), action, description };
+    });
+}
+
+// Applies "a.b[0].c=value" overrides in place.
+function setPath(target, assignment) {
+  const idx = assignment.indexOf('=');
+  if (idx === -1) throw new Error(`--set needs path=value, got "${assignment}"`);
+  const keys = assignment.slice(0, idx).split(/\.|\[(\d+)\]/).filter(Boolean);
+  const raw = assignment.slice(idx + 1);
+  let value;
+  try {
+    value = JSON.parse(raw);
+  } catch {
+    value = raw;
+  }
+
+  let node = target;
+  keys.slice(0, -1).forEach((key, i) => {
+    if (!(node[key] !== null && typeof node[key] === 'object')) node[key] = /^\d+$/.test(keys[i + 1]) ? [] : {};
+    node = node[key];
+  });
+  node[keys[keys.length - 1]] = value;
+}
+
+// Last `t=` we signed with. The server accepts a signature only once, so an
+// unchanged body sent twice within a second must not get the same timestamp.
+let lastTimestamp = 0;
+
+function nextTimestamp() {
+  lastTimestamp = Math.max(Math.floor(Date.now() / 1000), lastTimestamp + 1);
+  return lastTimestamp;
+}
+
+/**
+ * Signs a raw body the way ZITADEL does.
+ * Without a timestamp, each call signs with a new one (the current time, or one
+ * second after the previous call when that is later).
+ * @returns {string} - zitadel-signature header value
+ */
+function signPayload(signingKey, rawBody, timestamp = nextTimestamp()) {
+  return `t=${timestamp},v1=${computeSignature(signingKey, timestamp, rawBody)}`;
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      'action': { type: 'string' },
+      'set': { type: 'string', multiple: true, default: [] },
+      'url': { type: 'string', default: `http://localhost:${process.env.PORT || 5001}` },
+      'key': { type: 'string' },
+      'repeat': { type: 'string', default: '1' },
+      'dry-run': { type: 'boolean', default: false },
+      'list': { type: 'boolean', default: false },
+      'help': { type: 'boolean', default: false },
+    },
+  });
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (values.list) {
+    for (const f of listFixtures()) console.log(`${f.name.padEnd(24)} ${String(f.action).padEnd(22)} ${f.description || ''}`);
+    return 0;
+  }
+  const repeat = Number(values.repeat);
+  if (positionals.length !== 1 || !Number.isInteger(repeat) || repeat < 1) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  const fixture = loadFixture(positionals[0]);
+  const actionName = values.action || fixture.action;
+  const action = ACTIONS.find(a => a.name === actionName);
+  if (!action) {
+    console.error(`Unknown action "${actionName}". Known: ${ACTIONS.map(a => a.name).join(', ')}`);
+    return 2;
+  }
+
+  const payload = fixture.payload;
+  values.set.forEach(assignment => setPath(payload, assignment));
+
+  const signingKey = values.key || parseSigningKeys(process.env[action.signingKeyEnv])[0];
+  if (!signingKey) {
+    console.error(`No signing key: set ${action.signingKeyEnv} or pass --key`);
+    return 2;
+  }
+
+  const rawBody = JSON.stringify(payload);
+  const url = `${values.url.replace(/\/$/, '')}${action.path}`;
+  // Signed right before each send, never reused
+  const signedHeaders = () => ({ 'Content-Type': 'application/json', 'zitadel-signature': signPayload(signingKey, rawBody) });
+
+  if (values['dry-run']) {
+    console.log(`POST ${url}`);
+    for (const [name, value] of Object.entries(signedHeaders())) console.log(`${name}: ${value}`);
+    console.log(`\n${JSON.stringify(payload, null, 2)}`);
+    return 0;
+  }
+
+  let failed = 0;
+  for (let i = 0; i < repeat; i++) {
+    if (i > 0) console.log('');
+    const started = Date.now();
+    const res = await fetch(url, { method: 'POST', headers: signedHeaders(), body: rawBody });
+    const text = await res.text();
+    let body = text;
+    try {
+      body = JSON.parse(text);
+    } catch {
+      // not JSON (e.g. "OK" from sendStatus)
+    }
+
+    console.log(`${action.name} (${action.targetType}) -> ${res.status} ${res.statusText} in ${Date.now() - started} ms`);
+    console.log(typeof body === 'string' ? body : JSON.stringify(body, null, 2));
+
+    if (payload.response !== undefined && body && typeof body === 'object') {
+      const diff = diffJson(payload.response, body);
+      console.log(`\nDiff against payload.response (${diff.length} change${diff.length === 1 ? '' : 's'}):`);
+      if (diff.length > 0) console.log(formatDiff(diff));
+    }
+    if (!res.ok) failed++;
+  }
+  return failed === 0 ? 0 : 1;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch(e => {
+      console.error('Replay failed:', e.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { main, loadFixture, listFixtures, expandTemplate, signPayload, setPath };
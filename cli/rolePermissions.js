@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { adminFetch, DEFAULT_ADMIN_URL } = require('./adminClient');
+require('dotenv').config();
+
+// ---------------------------------------------------------------------------
+// Manage an org's role -> permission mappings through the admin API
+//   npm run role-permissions -- list <orgId>
+//   npm run role-permissions -- create <orgId> <role> --permissions invoices:read,invoices:write
+//   npm run role-permissions -- preview <orgId> --user <userId> --role viewer --permissions invoices:*
+// ---------------------------------------------------------------------------
+
+const USAGE = `Usage: node cli/rolePermissions.js <command> <orgId> [role] [options]
+
+  list <orgId>                  Print the org's mappings
+  get <orgId> <role>            Print one mapping
+  create <orgId> <role>         Add a mapping (fails when the role is mapped)
+  update <orgId> <role>         Replace a mapping
+  delete <orgId> <role>         Remove a mapping
+  preview <orgId>               Show the permissions claim a user gets now and
+                                with the changes, without saving them
+
+Mapping (create, update, preview --role):
+  --permissions <a,b>           Permissions (a trailing "*" is a wildcard)
+  --includes <role,...>         Roles whose permissions are inherited
+  --projects <id,...>           Only grants of these projects confer the role
+  --file <path>                 JSON definition instead of the flags above
+                                (preview: { "<role>": <definition>|null, ... })
+
+Preview:
+  --user <userId>               Use the user's grants in the org
+  --grants <json>               Or explicit grants: [{"projectId":"…","roles":["…"]}]
+  --role <role>                 Role the mapping flags apply to
+  --delete <role>               Preview without this mapping
+
+  --project <id>                Project whose role keys are checked (default PROJECT_ID of the server)
+  --json                        Print raw JSON
+  --url <url>                   Admin API base URL (default ADMIN_API_URL or ${DEFAULT_ADMIN_URL})
+  --help                        Show this help
+
+ADMIN_API_TOKEN must hold the server's admin token.`;
+
+function splitList(value) {
+  return value === undefined ? undefined : value.split(',').map(s => s.trim()).filter(Boolean);
+}
+
+function definitionFromFlags(values) {
+  const definition = {};
+  if (values.permissions !== undefined) definition.permissions = splitList(values.permissions);
+  if (values.includes !== undefined) definition.includes = splitList(values.includes);
+  if (values.projects !== undefined) definition.projects = splitList(values.projects);
+  return definition;
+}
+
+function formatMapping(m) {
+  const parts = [`${m.role}: ${m.permissions.join(', ') || '–'}`];
+  if (m.includes.length > 0) parts.push(`includes ${m.includes.join(', ')}`);
+  if (m.projects) parts.push(`projects ${m.projects.join(', ')}`);
+  return parts.join('  ');
+}
+
+function previewChanges(values) {
+  if (values.file) return JSON.parse(fs.readFileSync(values.file, 'utf8'));
+  const changes = {};
+  if (values.role) changes[values.role] = definitionFromFlags(values);
+  if (values.delete) changes[values.delete] = null;
+  return changes;
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      'permissions': { type: 'string' },
+      'includes': { type: 'string' },
+      'projects': { type: 'string' },
+      'file': { type: 'string' },
+      'user': { type: 'string' },
+      'grants': { type: 'string' },
+      'role': { type: 'string' },
+      'delete': { type: 'string' },
+      'project': { type: 'string' },
+      'json': { type: 'boolean', default: false },
+      'url': { type: 'string', default: process.env.ADMIN_API_URL || DEFAULT_ADMIN_URL },
+      'help': { type: 'boolean', default: false },
+    },
+  });
+  const [command, orgId, role] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return values.help ? 0 : 2;
+  }
+  if (!orgId) {
+    console.error(`${command} needs an org id`);
+    return 2;
+  }
+
+  const base = `/orgs/${encodeURIComponent(orgId)}/role-permissions`;
+  const query = values.project ? `?projectId=${encodeURIComponent(values.project)}` : '';
+  const print = (result, text) => console.log(values.json ? JSON.stringify(result, null, 2) : text);
+
+  if (command === 'list') {
+    const { mappings } = await adminFetch(values.url, base);
+    print(mappings, mappings.map(formatMapping).join('\n'));
+    if (!values.json) console.error(`${mappings.length} mapping(s)`);
+    return 0;
+  }
+
+  if (command === 'preview') {
+    if (!values.user && !values.grants) {
+      console.error('preview needs --user or --grants');
+      return 2;
+    }
+    const body = { changes: previewChanges(values) };
+    if (values.user) body.userId = values.user;
+    else body.grants = JSON.parse(values.grants);
+    const result = await adminFetch(values.url, `${base}/preview${query}`, { method: 'POST', body });
+    print(result, [
+      `current:  ${result.current.permissions.join(', ') || '–'}`,
+      `proposed: ${result.proposed.permissions.join(', ') || '–'}`,
+      `added:    ${result.added.join(', ') || '–'}`,
+      `removed:  ${result.removed.join(', ') || '–'}`,
+    ].join('\n'));
+    return 0;
+  }
+
+  if (!['get', 'create', 'update', 'delete'].includes(command)) {
+    console.error(`Unknown command "${command}"`);
+    console.error(USAGE);
+    return 2;
+  }
+  if (!role) {
+    console.error(`${command} needs a role`);
+    return 2;
+  }
+  const path = `${base}/${encodeURIComponent(role)}`;
+
+  if (command === 'get') {
+    const mapping = await adminFetch(values.url, path);
+    print(mapping, formatMapping(mapping));
+  } else if (command === 'delete') {
+    await adminFetch(values.url, path, { method: 'DELETE' });
+    console.log(`Deleted mapping for ${role}`);
+  } else {
+    const raw = values.file ? JSON.parse(fs.readFileSync(values.file, 'utf8')) : definitionFromFlags(values);
+    const definition = Array.isArray(raw) ? { permissions: raw } : raw;
+    const mapping = command === 'create'
+      ? await adminFetch(values.url, `${base}${query}`, { method: 'POST', body: { ...definition, role } })
+      : await adminFetch(values.url, `${path}${query}`, { method: 'PUT', body: definition });
+    print(mapping, `${command === 'create' ? 'Created' : 'Updated'} ${formatMapping(mapping)}`);
+  }
+  return 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch(e => {
+      console.error('Role permission command failed:', e.message);
+      for (const detail of e.details || []) console.error(`  - ${detail}`);
+      process.exit(1);
+    });
+}
+
+module.exports = { main };
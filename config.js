@@ -0,0 +1,286 @@
+const fs = require('fs');
+const { parseSigningKeys } = require('./zitadelSignature');
+const { parseClaimRules } = require('./claimMapping');
+const { parseAccessPolicy } = require('./accessPolicy');
+const { parseIdpProfiles } = require('./idpProfiles');
+const { parseSessionPolicy } = require('./sessionManager');
+const { parseRoleAssignments } = require('./roleAssignment');
+const { ADAPTERS: LEGACY_ADAPTERS } = require('./legacyDirectory');
+const { parseClaimMap } = require('./jwtIdp');
+const { RESOLVERS: IDENTITY_RESOLVERS } = require('./identityResolvers');
+const { loadJwks } = require('./identityResolvers/bearer');
+require('dotenv').config();
+
+// ---------------------------------------------------------------------------
+// Startup configuration
+//   loadConfig() checks the environment once, before the server listens, and
+//   reports every missing or invalid setting instead of failing on the first
+//   login that needs it:
+//     server         PORT, HOST, LOG_LEVEL, SIGNATURE_TOLERANCE_SECONDS, EVENT_QUEUE_*,
+//                    INSPECTOR_BUFFER_SIZE, TRANSFORMER_TIMEOUT_MS, ACTION_TIMEOUT_MS,
+//                    upstream timeouts, retries and circuit breakers (upstream.js)
+//     every action   its signing key (signingKeyEnv in actionRegistry.js)
+//     `requires`     the setting groups of REQUIREMENTS an action depends on
+//     jwt-idp        JWT_IDP_* when the JWT IdP flow is enabled (JWT_IDP_ISSUER)
+//   DISABLED_ACTIONS (comma separated action names) switches actions off: they
+//   are not mounted and their settings are not checked.
+// ---------------------------------------------------------------------------
+
+const DEFAULT_PORT = 5001;
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+/**
+ * @typedef {Object} ConfigProblem
+ * @property {string} scope   - "server" or the action name
+ * @property {string} setting - env var at fault
+ * @property {string} message
+ */
+
+function splitList(value) {
+  return String(value || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+function problem(setting, message) {
+  return { setting, message };
+}
+
+function integer(env, name, { min = 0, max = Number.MAX_SAFE_INTEGER } = {}) {
+  if (env[name] === undefined || env[name] === '') return [];
+  const value = Number(env[name]);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    return [problem(name, `must be an integer between ${min} and ${max}, got "${env[name]}"`)];
+  }
+  return [];
+}
+
+function oneOf(env, name, values) {
+  if (!env[name] || values.includes(String(env[name]).toLowerCase())) return [];
+  return [problem(name, `must be one of ${values.join(', ')}, got "${env[name]}"`)];
+}
+
+function httpUrl(env, name, { required = false } = {}) {
+  if (!env[name]) return required ? [problem(name, 'is not set')] : [];
+  try {
+    if (['http:', 'https:'].includes(new URL(env[name]).protocol)) return [];
+  } catch {
+    // reported below
+  }
+  return [problem(name, `must be an http(s) URL, got "${env[name]}"`)];
+}
+
+function existingFile(env, name) {
+  if (!env[name]) return [problem(name, 'is not set')];
+  if (!fs.existsSync(env[name])) return [problem(name, `file "${env[name]}" does not exist`)];
+  return [];
+}
+
+// A JSON setting (or JSON file) that must pass the owning module's parser
+function jsonValue(env, name, parse) {
+  if (!env[name]) return [];
+  try {
+    parse(JSON.parse(env[name]));
+    return [];
+  } catch (e) {
+    return [problem(name, e.message)];
+  }
+}
+
+function jsonFile(env, name, parse) {
+  if (!env[name]) return [];
+  try {
+    parse(JSON.parse(fs.readFileSync(env[name], 'utf8')));
+    return [];
+  } catch (e) {
+    return [problem(name, `${env[name]}: ${e.message}`)];
+  }
+}
+
+function zitadelCredentials(env) {
+  const keyVar = env.ZITADEL_SERVICE_ACCOUNT_KEY ? 'ZITADEL_SERVICE_ACCOUNT_KEY'
+    : env.ZITADEL_SERVICE_ACCOUNT_KEY_FILE ? 'ZITADEL_SERVICE_ACCOUNT_KEY_FILE' : null;
+  if (keyVar) {
+    try {
+      const key = JSON.parse(keyVar === 'ZITADEL_SERVICE_ACCOUNT_KEY'
+        ? env.ZITADEL_SERVICE_ACCOUNT_KEY
+        : fs.readFileSync(env.ZITADEL_SERVICE_ACCOUNT_KEY_FILE, 'utf8'));
+      const missing = ['keyId', 'userId', 'key'].filter(field => !key[field]);
+      return missing.length ? [problem(keyVar, `service account key lacks ${missing.join(', ')}`)] : [];
+    } catch (e) {
+      return [problem(keyVar, `unreadable service account key: ${e.message}`)];
+    }
+  }
+  if (env.CLIENT_ID && !env.CLIENT_SECRET) return [problem('CLIENT_SECRET', 'is not set (CLIENT_ID is)')];
+  if (env.CLIENT_SECRET && !env.CLIENT_ID) return [problem('CLIENT_ID', 'is not set (CLIENT_SECRET is)')];
+  if (env.CLIENT_ID || env.ACCESS_TOKEN) return [];
+  return [problem('ACCESS_TOKEN',
+    'is not set and neither are ZITADEL_SERVICE_ACCOUNT_KEY(_FILE) or CLIENT_ID + CLIENT_SECRET')];
+}
+
+// Setting groups actions can depend on (`requires` in actionRegistry.js)
+const REQUIREMENTS = {
+  zitadel: (env) => [
+    ...(!env.ZITADEL_DOMAIN ? [problem('ZITADEL_DOMAIN', 'is not set')]
+      : env.ZITADEL_DOMAIN.includes('/') ? [problem('ZITADEL_DOMAIN', 'must be a host name without scheme or path')]
+        : []),
+    ...httpUrl(env, 'ZITADEL_API_URL'),
+    ...zitadelCredentials(env),
+  ],
+  legacyDirectory: (env) => {
+    const name = env.LEGACY_DIRECTORY || 'memory';
+    if (!LEGACY_ADAPTERS[name]) {
+      return [problem('LEGACY_DIRECTORY', `must be one of ${Object.keys(LEGACY_ADAPTERS).join(', ')}, got "${name}"`)];
+    }
+    const passwords = [
+      ...oneOf(env, 'LEGACY_ALLOW_PLAINTEXT_PASSWORDS', ['true', 'false']),
+      ...integer(env, 'LEGACY_SHA_CRYPT_MAX_ROUNDS', { min: 1000, max: 999999999 }),
+      ...integer(env, 'LEGACY_BCRYPT_MAX_COST', { min: 4, max: 31 }),
+      ...integer(env, 'LEGACY_ARGON2_MAX_MEMORY_KIB', { min: 8 }),
+      ...integer(env, 'LEGACY_ARGON2_MAX_ITERATIONS', { min: 1 }),
+    ];
+    if (name === 'file') return [...existingFile(env, 'LEGACY_FILE_PATH'), ...passwords];
+    if (name === 'sqlite') return [...existingFile(env, 'LEGACY_SQLITE_PATH'), ...passwords];
+    if (name === 'http') return [...httpUrl(env, 'LEGACY_HTTP_URL', { required: true }), ...httpUrl(env, 'LEGACY_HTTP_LIST_URL'), ...passwords];
+    return passwords;
+  },
+  claimRules: env => jsonFile(env, 'CLAIM_RULES_FILE', parseClaimRules),
+  accessPolicy: env => jsonFile(env, 'ACCESS_POLICY_FILE', parseAccessPolicy),
+  idpProfiles: env => jsonFile(env, 'IDP_PROFILES_FILE', parseIdpProfiles),
+  sessionPolicy: env => [
+    ...jsonValue(env, 'SESSION_POLICY', parseSessionPolicy),
+    ...integer(env, 'SESSION_POLICY_CACHE_TTL_SECONDS'),
+  ],
+  roleAssignments: env => jsonValue(env, 'ROLE_ASSIGNMENTS', parseRoleAssignments),
+};
+
+function serverProblems(env) {
+  return [
+    ...integer(env, 'PORT', { min: 1, max: 65535 }),
+    ...oneOf(env, 'LOG_LEVEL', LOG_LEVELS),
+    ...integer(env, 'SIGNATURE_TOLERANCE_SECONDS', { min: 1 }),
+    ...integer(env, 'EVENT_QUEUE_MAX_ATTEMPTS', { min: 1 }),
+    ...integer(env, 'EVENT_QUEUE_BACKOFF_BASE_MS'),
+    ...integer(env, 'EVENT_QUEUE_BACKOFF_MAX_MS'),
+    ...integer(env, 'INSPECTOR_BUFFER_SIZE'),
+    ...integer(env, 'TRANSFORMER_TIMEOUT_MS', { min: 1 }),
+    ...integer(env, 'ACTION_TIMEOUT_MS', { min: 1 }),
+    ...integer(env, 'ZITADEL_TIMEOUT_MS', { min: 1 }),
+    ...integer(env, 'LEGACY_DIRECTORY_TIMEOUT_MS', { min: 1 }),
+    ...integer(env, 'UPSTREAM_RETRIES'),
+    ...integer(env, 'UPSTREAM_RETRY_BASE_MS'),
+    ...integer(env, 'CIRCUIT_FAILURE_THRESHOLD', { min: 1 }),
+    ...integer(env, 'CIRCUIT_RESET_SECONDS', { min: 1 }),
+  ];
+}
+
+// Settings of each identity resolver in JWT_IDP_RESOLVERS (identityResolvers/)
+const RESOLVER_REQUIREMENTS = {
+  header: env => (!env.JWT_IDP_USER_HEADER ? [problem('JWT_IDP_USER_HEADER', 'is not set')] : []),
+  cookie: env => (splitList(env.JWT_IDP_COOKIE_SECRET).length === 0 ? [problem('JWT_IDP_COOKIE_SECRET', 'is not set')] : []),
+  bearer: (env) => {
+    if (!env.JWT_IDP_BEARER_JWKS_FILE) return [problem('JWT_IDP_BEARER_JWKS_FILE', 'is not set')];
+    try {
+      loadJwks(env.JWT_IDP_BEARER_JWKS_FILE);
+      return [];
+    } catch (e) {
+      return [problem('JWT_IDP_BEARER_JWKS_FILE', e.message)];
+    }
+  },
+  form: env => [
+    ...REQUIREMENTS.legacyDirectory(env),
+    ...integer(env, 'JWT_IDP_FORM_MAX_FAILURES', { min: 1 }),
+    ...integer(env, 'JWT_IDP_FORM_MAX_FAILURES_PER_IP', { min: 1 }),
+    ...integer(env, 'JWT_IDP_FORM_LOCKOUT_SECONDS', { min: 1 }),
+  ],
+};
+
+function identityResolverProblems(env) {
+  const names = splitList(env.JWT_IDP_RESOLVERS || 'header');
+  if (names.length === 0) return [problem('JWT_IDP_RESOLVERS', 'lists no resolver')];
+  return names.flatMap(name => (IDENTITY_RESOLVERS[name]
+    ? RESOLVER_REQUIREMENTS[name](env)
+    : [problem('JWT_IDP_RESOLVERS', `unknown resolver "${name}" (expected one of ${Object.keys(IDENTITY_RESOLVERS).join(', ')})`)]));
+}
+
+function jwtIdpProblems(env) {
+  const problems = [
+    ...httpUrl(env, 'JWT_IDP_ISSUER'),
+    ...(!env.ZITADEL_DOMAIN ? [problem('ZITADEL_DOMAIN', 'is not set')] : []),
+    ...identityResolverProblems(env),
+    ...integer(env, 'JWT_IDP_TOKEN_TTL_SECONDS', { min: 30, max: 3600 }),
+    ...integer(env, 'JWT_IDP_KEY_ROTATION_DAYS', { min: 1 }),
+    ...integer(env, 'JWT_IDP_KEY_OVERLAP_HOURS', { min: 1 }),
+    ...jsonValue(env, 'JWT_IDP_CLAIMS', parseClaimMap),
+  ];
+  const rotationHours = Number(env.JWT_IDP_KEY_ROTATION_DAYS || 30) * 24;
+  if (problems.length === 0 && Number(env.JWT_IDP_KEY_OVERLAP_HOURS || 24) * 2 > rotationHours) {
+    problems.push(problem('JWT_IDP_KEY_OVERLAP_HOURS', 'must be at most half of JWT_IDP_KEY_ROTATION_DAYS'));
+  }
+  return problems;
+}
+
+function actionProblems(action, env, checked) {
+  const problems = [];
+  if (parseSigningKeys(env[action.signingKeyEnv]).length === 0) {
+    problems.push(problem(action.signingKeyEnv, 'is not set'));
+  }
+  for (const group of action.requires || []) {
+    if (!REQUIREMENTS[group]) throw new Error(`Action ${action.name}: unknown requirement "${group}"`);
+    if (!checked.has(group)) checked.set(group, REQUIREMENTS[group](env));
+    problems.push(...checked.get(group));
+  }
+  return problems;
+}
+
+/**
+ * Validates the environment for the server and every enabled action.
+ *
+ * @param {Array<Object>} actions - Registry entries (actionRegistry.js)
+ * @param {Object} [env=process.env]
+ * @returns {{ port: number, host: string, actions: Array<Object>, disabledActions: string[], problems: ConfigProblem[] }}
+ */
+function loadConfig(actions, env = process.env) {
+  const disabledActions = splitList(env.DISABLED_ACTIONS);
+  const problems = serverProblems(env).map(p => ({ scope: 'server', ...p }));
+
+  if (env.JWT_IDP_ISSUER) {
+    problems.push(...jwtIdpProblems(env).map(p => ({ scope: 'jwt-idp', ...p })));
+  }
+
+  const known = new Set(actions.map(a => a.name));
+  for (const name of disabledActions.filter(n => !known.has(n))) {
+    problems.push({ scope: 'server', ...problem('DISABLED_ACTIONS', `unknown action "${name}"`) });
+  }
+
+  const enabled = actions.filter(a => !disabledActions.includes(a.name));
+  const checked = new Map();
+  for (const action of enabled) {
+    problems.push(...actionProblems(action, env, checked).map(p => ({ scope: action.name, ...p })));
+  }
+
+  return {
+    port: Number(env.PORT) || DEFAULT_PORT,
+    host: env.HOST || '0.0.0.0',
+    actions: enabled,
+    disabledActions,
+    problems,
+  };
+}
+
+/**
+ * One line per scope, e.g. "set-role: SET_ROLE_SIGNING_KEY is not set; ZITADEL_DOMAIN is not set"
+ * @param {ConfigProblem[]} problems
+ * @returns {string[]}
+ */
+function formatProblems(problems) {
+  const byScope = new Map();
+  for (const p of problems) {
+    if (!byScope.has(p.scope)) byScope.set(p.scope, []);
+    byScope.get(p.scope).push(`${p.setting} ${p.message}`);
+  }
+  return Array.from(byScope, ([scope, messages]) => `${scope}: ${messages.join('; ')}`);
+}
+
+module.exports = { loadConfig, formatProblems, REQUIREMENTS, DEFAULT_PORT };
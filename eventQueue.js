@@ -0,0 +1,322 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createLogger, withLogContext, getLogContext } = require('./logger');
+require('dotenv').config();
+
+const log = createLogger({ component: 'eventQueue' });
+
+// ---------------------------------------------------------------------------
+// Durable queue for event-driven webhook actions
+//   Events are appended to an operation log (EVENT_QUEUE_DIR/events.log,
+//   default ./data/queue) and fsynced before the webhook is acknowledged.
+//   A worker processes due events one at a time with exponential backoff;
+//   events that keep failing (or fail permanently) move to the dead-letter
+//   store, from where they can be replayed through the admin API.
+//   Each event is processed at most once per "<action>:<aggregateID>:<sequence>".
+// ---------------------------------------------------------------------------
+
+const DEFAULTS = {
+  maxAttempts: 8,
+  backoffBaseMs: 1000,
+  backoffMaxMs: 5 * 60 * 1000,
+  pollIntervalMs: 1000,
+  compactAfterOps: 5000,
+  processedKeysKept: 10000,
+};
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Idempotency key of an event payload.
+ * @param {string} actionName
+ * @param {Object} event - ZITADEL event payload (aggregateID, sequence, …)
+ * @returns {string}
+ */
+function eventKey(actionName, event) {
+  const aggregateId = event?.aggregateID ?? 'unknown';
+  const sequence = event?.sequence ?? event?.event_sequence;
+  // Without a sequence fall back to the payload itself so identical deliveries still collapse
+  const seq = sequence ?? crypto.createHash('sha256').update(JSON.stringify(event ?? null)).digest('hex').slice(0, 16);
+  return `${actionName}:${aggregateId}:${seq}`;
+}
+
+// Client errors (bad payload, missing parameters) will not succeed on retry.
+function isPermanentError(err) {
+  if (err?.permanent) return true;
+  const status = err?.status;
+  return status >= 400 && status < 500 && ![401, 408, 429].includes(status);
+}
+
+class EventQueue {
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.EVENT_QUEUE_DIR || path.join(process.cwd(), 'data', 'queue');
+    this.logPath = path.join(this.dir, 'events.log');
+    this.maxAttempts = options.maxAttempts || envNumber('EVENT_QUEUE_MAX_ATTEMPTS', DEFAULTS.maxAttempts);
+    this.backoffBaseMs = options.backoffBaseMs || envNumber('EVENT_QUEUE_BACKOFF_BASE_MS', DEFAULTS.backoffBaseMs);
+    this.backoffMaxMs = options.backoffMaxMs || envNumber('EVENT_QUEUE_BACKOFF_MAX_MS', DEFAULTS.backoffMaxMs);
+    this.pollIntervalMs = options.pollIntervalMs || DEFAULTS.pollIntervalMs;
+    this.compactAfterOps = options.compactAfterOps || DEFAULTS.compactAfterOps;
+
+    this.processors = new Map();  // action name -> async (payload) => void
+    this.entries = new Map();     // id -> { id, key, action, payload, status, attempts, nextAttemptAt, lastError, … }
+    this.processedKeys = new Map(); // key -> processedAt (insertion ordered)
+    this.opsSinceCompaction = 0;
+    this.fd = null;
+    this.timer = null;
+    this.ticking = null;    // in-flight tick()
+  }
+
+  /**
+   * Registers the function that processes events of one action.
+   * @param {string} actionName
+   * @param {(payload: Object) => Promise<void>} processor - Throws to retry
+   */
+  registerProcessor(actionName, processor) {
+    this.processors.set(actionName, processor);
+  }
+
+  open() {
+    if (this.fd !== null) return;
+    fs.mkdirSync(this.dir, { recursive: true });
+    if (fs.existsSync(this.logPath)) {
+      for (const line of fs.readFileSync(this.logPath, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          this.apply(JSON.parse(line));
+        } catch {
+          // A torn last line from a crash mid-write; the op was never acknowledged
+          log.warn('skipping unreadable queue log line', { file: this.logPath });
+        }
+      }
+    }
+    this.compact();
+  }
+
+  apply(op) {
+    const entry = this.entries.get(op.id);
+    switch (op.op) {
+      case 'enqueue':
+        this.entries.set(op.id, {
+          id: op.id,
+          key: op.key,
+          action: op.action,
+          payload: op.payload,
+          status: 'pending',
+          attempts: op.attempts || 0,
+          nextAttemptAt: op.nextAttemptAt || op.enqueuedAt,
+          correlationId: op.correlationId,
+          enqueuedAt: op.enqueuedAt,
+          lastError: op.lastError || null,
+        });
+        break;
+      case 'attempt':
+        if (entry) Object.assign(entry, { attempts: op.attempts, nextAttemptAt: op.nextAttemptAt, lastError: op.lastError });
+        break;
+      case 'dead':
+        if (entry) Object.assign(entry, { status: 'dead', attempts: op.attempts, lastError: op.lastError, deadAt: op.at });
+        break;
+      case 'replay':
+        if (entry) Object.assign(entry, { status: 'pending', attempts: 0, nextAttemptAt: op.at, deadAt: undefined });
+        break;
+      case 'done':
+        if (entry) {
+          this.entries.delete(op.id);
+          this.processedKeys.set(entry.key, op.at);
+        }
+        break;
+      case 'processed':
+        this.processedKeys.set(op.key, op.at);
+        break;
+      default:
+        break;
+    }
+  }
+
+  append(op) {
+    if (this.fd === null) this.open();
+    fs.writeSync(this.fd, `${JSON.stringify(op)}\n`);
+    fs.fsyncSync(this.fd);
+    this.apply(op);
+    if (++this.opsSinceCompaction >= this.compactAfterOps) this.compact();
+  }
+
+  // Rewrites the log with only the current state (write-then-rename).
+  compact() {
+    if (this.fd !== null) fs.closeSync(this.fd);
+
+    while (this.processedKeys.size > DEFAULTS.processedKeysKept) {
+      this.processedKeys.delete(this.processedKeys.keys().next().value);
+    }
+
+    const lines = [];
+    for (const [key, at] of this.processedKeys) lines.push({ op: 'processed', key, at });
+    for (const e of this.entries.values()) {
+      lines.push({
+        op: 'enqueue', id: e.id, key: e.key, action: e.action, payload: e.payload, correlationId: e.correlationId,
+        attempts: e.attempts, nextAttemptAt: e.nextAttemptAt, enqueuedAt: e.enqueuedAt, lastError: e.lastError,
+      });
+      if (e.status === 'dead') {
+        lines.push({ op: 'dead', id: e.id, attempts: e.attempts, lastError: e.lastError, at: e.deadAt });
+      }
+    }
+
+    const tmp = `${this.logPath}.tmp`;
+    fs.writeFileSync(tmp, lines.map(l => `${JSON.stringify(l)}\n`).join(''));
+    fs.renameSync(tmp, this.logPath);
+    this.fd = fs.openSync(this.logPath, 'a');
+    this.opsSinceCompaction = 0;
+  }
+
+  /**
+   * Persists an event. Returns without enqueuing when the same event is
+   * already queued or was processed before.
+   *
+   * @param {string} actionName
+   * @param {Object} payload
+   * @returns {{ id: string|null, key: string, duplicate: boolean }}
+   */
+  enqueue(actionName, payload) {
+    if (this.fd === null) this.open();
+    const key = eventKey(actionName, payload);
+    const existing = Array.from(this.entries.values()).find(e => e.key === key);
+    if (existing || this.processedKeys.has(key)) {
+      return { id: existing ? existing.id : null, key, duplicate: true };
+    }
+
+    const now = Date.now();
+    const id = crypto.randomUUID();
+    const { correlationId } = getLogContext();
+    this.append({ op: 'enqueue', id, key, action: actionName, payload, correlationId, enqueuedAt: now, nextAttemptAt: now });
+    setImmediate(() => this.tick());
+    return { id, key, duplicate: false };
+  }
+
+  backoffMs(attempts) {
+    const exp = Math.min(this.backoffMaxMs, this.backoffBaseMs * 2 ** (attempts - 1));
+    // Full jitter on the upper half so retries of a burst spread out
+    return Math.round(exp / 2 + Math.random() * (exp / 2));
+  }
+
+  processEntry(entry) {
+    // Log lines of the worker carry the correlation id of the request that queued the event
+    const context = { correlationId: entry.correlationId, action: entry.action, eventKey: entry.key };
+    return withLogContext(context, () => this.attempt(entry));
+  }
+
+  async attempt(entry) {
+    const processor = this.processors.get(entry.action);
+    const attempts = entry.attempts + 1;
+    try {
+      if (!processor) {
+        const err = new Error(`No processor registered for action "${entry.action}"`);
+        err.permanent = true;
+        throw err;
+      }
+      await processor(entry.payload);
+      this.append({ op: 'done', id: entry.id, at: Date.now() });
+      log.info('event processed', { attempts });
+    } catch (e) {
+      const lastError = e?.message || String(e);
+      if (isPermanentError(e) || attempts >= this.maxAttempts) {
+        this.append({ op: 'dead', id: entry.id, attempts, lastError, at: Date.now() });
+        log.error('event dead-lettered', { attempts, lastError });
+      } else {
+        const nextAttemptAt = Date.now() + this.backoffMs(attempts);
+        this.append({ op: 'attempt', id: entry.id, attempts, nextAttemptAt, lastError });
+        log.warn('event failed, will retry', { attempts, nextAttemptAt: new Date(nextAttemptAt).toISOString(), lastError });
+      }
+    }
+  }
+
+  /**
+   * Processes every due event, oldest first. While a pass is running, callers
+   * get that pass's promise.
+   * @returns {Promise<void>}
+   */
+  tick() {
+    if (!this.ticking) {
+      this.ticking = this.processDue().finally(() => {
+        this.ticking = null;
+      });
+    }
+    return this.ticking;
+  }
+
+  async processDue() {
+    for (;;) {
+      const now = Date.now();
+      const due = Array.from(this.entries.values())
+        .filter(e => e.status === 'pending' && e.nextAttemptAt <= now)
+        .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)[0];
+      if (!due) return;
+      await this.processEntry(due);
+    }
+  }
+
+  start() {
+    this.open();
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+    this.timer.unref();
+    this.tick();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Stops the worker and releases the log file.
+  close() {
+    this.stop();
+    if (this.fd !== null) fs.closeSync(this.fd);
+    this.fd = null;
+  }
+
+  /** @returns {{ pending: number, dead: number, processed: number }} */
+  stats() {
+    const all = Array.from(this.entries.values());
+    return {
+      pending: all.filter(e => e.status === 'pending').length,
+      dead: all.filter(e => e.status === 'dead').length,
+      processed: this.processedKeys.size,
+    };
+  }
+
+  /** @returns {Object[]} Dead-lettered events, oldest first */
+  listDeadLetters() {
+    if (this.fd === null) this.open();
+    return Array.from(this.entries.values())
+      .filter(e => e.status === 'dead')
+      .sort((a, b) => a.deadAt - b.deadAt);
+  }
+
+  /**
+   * Moves dead-lettered events back to the queue.
+   * @param {string[]} [ids] - Omit to replay every dead letter
+   * @returns {string[]} - Replayed ids
+   */
+  replayDeadLetters(ids) {
+    const dead = this.listDeadLetters();
+    const selected = ids ? dead.filter(e => ids.includes(e.id)) : dead;
+    for (const entry of selected) {
+      this.append({ op: 'replay', id: entry.id, at: Date.now() });
+    }
+    if (selected.length > 0) setImmediate(() => this.tick());
+    return selected.map(e => e.id);
+  }
+}
+
+let queue = null;
+
+/** @returns {EventQueue} The process-wide queue */
+function getEventQueue() {
+  if (!queue) queue = new EventQueue();
+  return queue;
+}
+
+module.exports = { EventQueue, getEventQueue, eventKey, isPermanentError };
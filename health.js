@@ -0,0 +1,81 @@
+const express = require('express');
+const { getAuthenticatedUser, getAuthMode } = require('./zitadelClient');
+const { createLogger } = require('./logger');
+require('dotenv').config();
+
+const log = createLogger({ component: 'health' });
+
+// ---------------------------------------------------------------------------
+// Health endpoints (unauthenticated, for load balancer / Kubernetes probes)
+//   GET /healthz  liveness: the process is up and answering
+//   GET /readyz   readiness: the configuration is valid and, when an enabled
+//                 action requires ZITADEL, the credentials authenticate an API
+//                 call. That check is cached for READINESS_CACHE_SECONDS
+//                 (default 10) so probes do not hit ZITADEL on every call.
+// ---------------------------------------------------------------------------
+
+const DEFAULT_CACHE_SECONDS = 10;
+const CHECK_TIMEOUT_MS = 5000;
+
+function cacheTtlMs() {
+  const value = Number(process.env.READINESS_CACHE_SECONDS ?? DEFAULT_CACHE_SECONDS);
+  return (Number.isFinite(value) && value >= 0 ? value : DEFAULT_CACHE_SECONDS) * 1000;
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`no answer within ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function checkZitadel() {
+  const authMode = getAuthMode();
+  try {
+    await withTimeout(getAuthenticatedUser(), CHECK_TIMEOUT_MS);
+    return { ok: true, authMode };
+  } catch (e) {
+    log.warn('readiness: ZITADEL credentials check failed', { err: e });
+    // Keep response bodies of ZITADEL out of the public answer
+    return { ok: false, authMode, error: e.status ? `ZITADEL answered ${e.status}` : e.message };
+  }
+}
+
+/**
+ * @param {{ actions: Array<Object>, problems: Array<Object> }} config - from loadConfig()
+ * @returns {import('express').Router}
+ */
+function createHealthRouter(config) {
+  const router = express.Router();
+  const needsZitadel = config.actions.some(a => (a.requires || []).includes('zitadel'));
+  let cached = { at: 0, result: null, pending: null };
+
+  function zitadelStatus() {
+    if (cached.result && Date.now() - cached.at < cacheTtlMs()) return cached.result;
+    if (!cached.pending) {
+      cached.pending = checkZitadel().then((result) => {
+        cached = { at: Date.now(), result, pending: null };
+        return result;
+      });
+    }
+    return cached.pending;
+  }
+
+  router.get('/healthz', (req, res) => {
+    res.json({ status: 'ok' });
+  });
+
+  router.get('/readyz', async (req, res) => {
+    const checks = { config: { ok: config.problems.length === 0, problems: config.problems.length } };
+    if (needsZitadel) checks.zitadel = await zitadelStatus();
+
+    const ready = Object.values(checks).every(c => c.ok);
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not_ready', checks });
+  });
+
+  return router;
+}
+
+module.exports = { createHealthRouter };
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// JWS algorithms we verify, as node:crypto digest + key options
+const ALGORITHMS = {
+  RS256: { digest: 'SHA256' },
+  RS384: { digest: 'SHA384' },
+  RS512: { digest: 'SHA512' },
+  PS256: { digest: 'SHA256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { digest: 'SHA256', dsaEncoding: 'ieee-p1363' },
+  ES384: { digest: 'SHA384', dsaEncoding: 'ieee-p1363' },
+};
+const CLOCK_SKEW_SECONDS = 60;
+const REGISTERED_CLAIMS = ['iss', 'aud', 'exp', 'nbf', 'iat', 'jti'];
+
+function rejected(message) {
+  const err = new Error(message);
+  err.status = 401;
+  return err;
+}
+
+function decodeJson(part) {
+  try {
+    return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+  } catch {
+    throw rejected('bearer token: malformed');
+  }
+}
+
+/**
+ * Reads and validates a JWK set file.
+ * @param {string} filePath
+ * @returns {Object[]} keys
+ */
+function loadJwks(filePath) {
+  const { keys } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(keys) || keys.length === 0) throw new Error(`${filePath}: "keys" must be a non-empty array`);
+  keys.forEach(jwk => crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+  return keys;
+}
+
+/**
+ * Verifies a compact JWS against a set of JWKs and returns its claims.
+ * The token must carry a numeric `exp`.
+ * @param {string} token
+ * @param {Object[]} keys
+ * @param {{ issuer?: string, audience?: string[] }} [expected]
+ * @returns {Object}
+ */
+function verifyJwt(token, keys, { issuer, audience = [] } = {}) {
+  const [headerPart, payloadPart, signaturePart, extra] = String(token).split('.');
+  if (!headerPart || !payloadPart || !signaturePart || extra !== undefined) throw rejected('bearer token: malformed');
+
+  const header = decodeJson(headerPart);
+  const alg = ALGORITHMS[header.alg];
+  if (!alg) throw rejected(`bearer token: unsupported alg "${header.alg}"`);
+  const candidates = header.kid ? keys.filter(k => k.kid === header.kid) : keys;
+  const valid = candidates.some((jwk) => {
+    try {
+      const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+      return crypto.verify(alg.digest, Buffer.from(`${headerPart}.${payloadPart}`),
+        { key, padding: alg.padding, dsaEncoding: alg.dsaEncoding }, Buffer.from(signaturePart, 'base64url'));
+    } catch {
+      return false; // key type does not match the alg
+    }
+  });
+  if (!valid) throw rejected('bearer token: invalid signature');
+
+  const claims = decodeJson(payloadPart);
+  const now = Math.floor(Date.now() / 1000);
+  // A token without an expiry would stay usable forever once leaked
+  if (typeof claims.exp !== 'number') throw rejected('bearer token: no "exp"');
+  if (claims.exp + CLOCK_SKEW_SECONDS <= now) throw rejected('bearer token: expired');
+  if (claims.nbf !== undefined && claims.nbf - CLOCK_SKEW_SECONDS > now) throw rejected('bearer token: not yet valid');
+  if (issuer && claims.iss !== issuer) throw rejected('bearer token: wrong issuer');
+  const aud = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (audience.length > 0 && !aud.some(a => audience.includes(a))) throw rejected('bearer token: wrong audience');
+  if (!claims.sub) throw rejected('bearer token: no "sub"');
+  return claims;
+}
+
+/**
+ * Bearer JWT in the Authorization header, verified against a local JWKS file.
+ *
+ * @param {Object} options
+ * @param {string} options.jwksFile
+ * @param {string} [options.issuer]
+ * @param {string[]} [options.audience]
+ * @returns {import('./index').IdentityResolver}
+ */
+function createBearerResolver({ jwksFile, issuer, audience }) {
+  if (!jwksFile) throw new Error('Bearer identity resolver: JWT_IDP_BEARER_JWKS_FILE is not set');
+  let cache = { mtimeMs: null, keys: null };
+
+  function currentKeys() {
+    const { mtimeMs } = fs.statSync(jwksFile);
+    if (cache.mtimeMs !== mtimeMs) cache = { mtimeMs, keys: loadJwks(jwksFile) };
+    return cache.keys;
+  }
+
+  return {
+    name: 'bearer',
+    async resolve(req) {
+      const header = req.get('authorization') || '';
+      if (!/^Bearer\s+/i.test(header)) return null;
+      const claims = verifyJwt(header.replace(/^Bearer\s+/i, ''), currentKeys(), { issuer, audience });
+      const identity = {};
+      for (const [claim, value] of Object.entries(claims)) {
+        if (!REGISTERED_CLAIMS.includes(claim)) identity[claim] = value;
+      }
+      return identity;
+    },
+  };
+}
+
+module.exports = { createBearerResolver, verifyJwt, loadJwks };
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+
+// Cookie value: <base64url(JSON claims)>.<base64url(HMAC-SHA256(secret, first part))>
+// The claims need "sub"; "exp" (unix seconds) is enforced when present.
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const idx = part.indexOf('=');
+    if (idx === -1) continue;
+    const name = part.slice(0, idx).trim();
+    if (!(name in cookies)) {
+      try {
+        cookies[name] = decodeURIComponent(part.slice(idx + 1).trim());
+      } catch {
+        cookies[name] = part.slice(idx + 1).trim();
+      }
+    }
+  }
+  return cookies;
+}
+
+function sign(secret, data) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function rejected(message) {
+  const err = new Error(message);
+  err.status = 401;
+  return err;
+}
+
+/**
+ * Signed session cookie issued by the legacy application.
+ *
+ * @param {Object} options
+ * @param {string} options.cookieName
+ * @param {string[]} options.secrets - Current secret first; older ones still verify
+ * @returns {import('./index').IdentityResolver}
+ */
+function createCookieResolver({ cookieName, secrets }) {
+  if (!secrets || secrets.length === 0) throw new Error('Cookie identity resolver: JWT_IDP_COOKIE_SECRET is not set');
+
+  return {
+    name: 'cookie',
+    async resolve(req) {
+      const value = parseCookies(req.get('cookie'))[cookieName];
+      if (!value) return null;
+
+      const [data, signature] = value.split('.');
+      if (!data || !signature || !secrets.some(secret => safeEqual(sign(secret, data), signature))) {
+        throw rejected(`cookie ${cookieName}: invalid signature`);
+      }
+      let claims;
+      try {
+        claims = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+      } catch {
+        throw rejected(`cookie ${cookieName}: unreadable payload`);
+      }
+      if (!claims?.sub) throw rejected(`cookie ${cookieName}: no "sub"`);
+      if (claims.exp !== undefined && Number(claims.exp) * 1000 <= Date.now()) {
+        throw rejected(`cookie ${cookieName}: expired`);
+      }
+      const { exp, iat, ...identity } = claims;
+      return identity;
+    },
+  };
+}
+
+module.exports = { createCookieResolver, parseCookies, sign };
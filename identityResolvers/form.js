@@ -0,0 +1,122 @@
+const { findLegacyUser } = require('../legacyDirectory');
+const { verifyLegacyPassword } = require('../legacyMigration');
+const { createLogger } = require('../logger');
+
+const log = createLogger({ component: 'formResolver' });
+
+// Failed sign-ins allowed per username / per client IP within the lockout
+// window before further attempts are refused without checking the password.
+const DEFAULT_MAX_FAILURES = 5;
+const DEFAULT_MAX_FAILURES_PER_IP = 20;
+const DEFAULT_LOCKOUT_SECONDS = 900;
+// Beyond this many tracked keys, expired entries are dropped on each failure
+const PRUNE_THRESHOLD = 10000;
+
+/**
+ * Fixed-window failure counter: the window opens with the first failure and
+ * the key is locked once `max` failures fall within it.
+ */
+function createFailureCounter(max, windowMs) {
+  const entries = new Map(); // key -> { count, resetAt }
+
+  const current = (key, now) => {
+    const entry = entries.get(key);
+    if (entry && entry.resetAt <= now) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  return {
+    isLocked: (key, now) => (current(key, now)?.count ?? 0) >= max,
+    fail(key, now) {
+      const entry = current(key, now);
+      if (entry) return ++entry.count;
+      if (entries.size >= PRUNE_THRESHOLD) {
+        for (const [k, e] of entries) if (e.resetAt <= now) entries.delete(k);
+      }
+      entries.set(key, { count: 1, resetAt: now + windowMs });
+      return 1;
+    },
+    clear: key => entries.delete(key),
+  };
+}
+
+function envInteger(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+function rejected(message, status, userMessage) {
+  const err = new Error(message);
+  err.status = status;
+  err.userMessage = userMessage;
+  return err;
+}
+
+/**
+ * Local login form, checked against the legacy user directory. /auth/start
+ * shows the form when no other resolver knows the user; the form posts back
+ * to /auth/start.
+ *
+ * Failed attempts are logged and counted per username and per client IP
+ * (`req.ip`). Once either reaches its limit within the lockout window, the
+ * form answers 429 without looking at the password until the window ends.
+ * A successful sign-in clears the username's count.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.maxFailures] - Per username (JWT_IDP_FORM_MAX_FAILURES, default 5)
+ * @param {number} [options.maxFailuresPerIp] - Per client IP (JWT_IDP_FORM_MAX_FAILURES_PER_IP, default 20)
+ * @param {number} [options.lockoutSeconds] - Window and lockout (JWT_IDP_FORM_LOCKOUT_SECONDS, default 900)
+ * @returns {import('./index').IdentityResolver}
+ */
+function createFormResolver({
+  maxFailures = envInteger('JWT_IDP_FORM_MAX_FAILURES', DEFAULT_MAX_FAILURES),
+  maxFailuresPerIp = envInteger('JWT_IDP_FORM_MAX_FAILURES_PER_IP', DEFAULT_MAX_FAILURES_PER_IP),
+  lockoutSeconds = envInteger('JWT_IDP_FORM_LOCKOUT_SECONDS', DEFAULT_LOCKOUT_SECONDS),
+} = {}) {
+  const byUsername = createFailureCounter(maxFailures, lockoutSeconds * 1000);
+  const byIp = createFailureCounter(maxFailuresPerIp, lockoutSeconds * 1000);
+
+  return {
+    name: 'form',
+    loginForm: true,
+    async resolve(req) {
+      if (req.method !== 'POST') return null;
+      const { username, password } = req.body || {};
+      if (!username || !password) return null;
+
+      const loginName = String(username);
+      const userKey = loginName.trim().toLowerCase();
+      const ip = req.ip || 'unknown';
+      const now = Date.now();
+
+      if (byUsername.isLocked(userKey, now) || byIp.isLocked(ip, now)) {
+        log.warn('login form: attempt refused, too many failures', { username: loginName, ip });
+        throw rejected('form: too many failed attempts', 429, 'Too many failed sign-in attempts. Please try again later.');
+      }
+
+      const legacy = await findLegacyUser(loginName);
+      if (!(await verifyLegacyPassword(legacy, String(password)))) {
+        const failures = byUsername.fail(userKey, now);
+        const ipFailures = byIp.fail(ip, now);
+        log.warn('login form: failed attempt', { username: loginName, ip, knownUser: Boolean(legacy), failures, ipFailures });
+        throw rejected('form: wrong username or password', 401, 'Wrong username or password. Please try again.');
+      }
+
+      byUsername.clear(userKey);
+      return {
+        sub: legacy.userId || legacy.username,
+        email: legacy.email,
+        name: legacy.displayName,
+        given_name: legacy.givenName,
+        family_name: legacy.familyName,
+        preferred_username: legacy.username,
+        locale: legacy.preferredLanguage,
+      };
+    },
+  };
+}
+
+module.exports = { createFormResolver };
@@ -0,0 +1,27 @@
+/**
+ * Trusted headers set by an authenticating reverse proxy (oauth2-proxy,
+ * mod_auth_openidc, …). The proxy must strip these headers from client requests.
+ *
+ * @param {Object} options
+ * @param {string} options.userHeader - Header carrying the user id (sub)
+ * @param {string} [options.emailHeader]
+ * @param {string} [options.nameHeader]
+ * @returns {import('./index').IdentityResolver}
+ */
+function createHeaderResolver({ userHeader, emailHeader, nameHeader }) {
+  if (!userHeader) throw new Error('Header identity resolver: JWT_IDP_USER_HEADER is not set');
+
+  return {
+    name: 'header',
+    async resolve(req) {
+      const sub = req.get(userHeader);
+      if (!sub) return null;
+      const identity = { sub };
+      if (emailHeader && req.get(emailHeader)) identity.email = req.get(emailHeader);
+      if (nameHeader && req.get(nameHeader)) identity.name = req.get(nameHeader);
+      return identity;
+    },
+  };
+}
+
+module.exports = { createHeaderResolver };
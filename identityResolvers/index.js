@@ -0,0 +1,103 @@
+const { createHeaderResolver } = require('./header');
+const { createCookieResolver } = require('./cookie');
+const { createBearerResolver } = require('./bearer');
+const { createFormResolver } = require('./form');
+require('dotenv').config();
+
+// ---------------------------------------------------------------------------
+// Identity resolvers for the JWT IdP flow (/auth/start)
+//   JWT_IDP_RESOLVERS lists the resolvers to try, in order (default: header):
+//     header  trusted headers from a reverse proxy (JWT_IDP_USER_HEADER, …)
+//     cookie  signed session cookie of the legacy app (JWT_IDP_COOKIE_*)
+//     bearer  Authorization: Bearer <jwt> checked against a local JWKS (JWT_IDP_BEARER_*)
+//     form    local login form checked against the legacy directory
+//   The first resolver that knows the user decides the subject and claims of
+//   the minted JWT.
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} Identity
+ * @property {string} sub - Stable user id, becomes the JWT's subject
+ * @property {string} [email]
+ * @property {string} [name]
+ */
+
+/**
+ * @typedef {Object} IdentityResolver
+ * @property {string} name
+ * @property {(req: import('express').Request) => Promise<Identity|null>} resolve -
+ *   null when the request carries nothing for this resolver; throws (status 401)
+ *   when it carries an invalid credential, or status 429 when it refuses the attempt
+ * @property {boolean} [loginForm] - /auth/start shows a login form that posts back to it
+ */
+
+function splitList(value) {
+  return String(value || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+const RESOLVERS = {
+  header: () => createHeaderResolver({
+    userHeader: process.env.JWT_IDP_USER_HEADER,
+    emailHeader: process.env.JWT_IDP_EMAIL_HEADER,
+    nameHeader: process.env.JWT_IDP_NAME_HEADER,
+  }),
+  cookie: () => createCookieResolver({
+    cookieName: process.env.JWT_IDP_COOKIE_NAME || 'session',
+    secrets: splitList(process.env.JWT_IDP_COOKIE_SECRET),
+  }),
+  bearer: () => createBearerResolver({
+    jwksFile: process.env.JWT_IDP_BEARER_JWKS_FILE,
+    issuer: process.env.JWT_IDP_BEARER_ISSUER || undefined,
+    audience: splitList(process.env.JWT_IDP_BEARER_AUDIENCE),
+  }),
+  form: () => createFormResolver(),
+};
+
+/** @returns {string[]} Configured resolver names, in order */
+function resolverNames() {
+  return splitList(process.env.JWT_IDP_RESOLVERS || 'header');
+}
+
+let resolvers = null;
+
+/**
+ * Returns the configured resolvers (created once).
+ * @returns {IdentityResolver[]}
+ */
+function getIdentityResolvers() {
+  if (!resolvers) {
+    resolvers = resolverNames().map((name) => {
+      if (!RESOLVERS[name]) {
+        throw new Error(`Unknown identity resolver "${name}" in JWT_IDP_RESOLVERS (expected: ${Object.keys(RESOLVERS).join(', ')})`);
+      }
+      return RESOLVERS[name]();
+    });
+  }
+  return resolvers;
+}
+
+/**
+ * Tries the configured resolvers in order.
+ *
+ * @param {import('express').Request} req
+ * @returns {Promise<{ identity: Identity|null, source: string|null, errors: Error[] }>}
+ *   errors: credentials that were present but rejected
+ */
+async function resolveIdentity(req) {
+  const errors = [];
+  for (const resolver of getIdentityResolvers()) {
+    try {
+      const identity = await resolver.resolve(req);
+      if (identity?.sub) return { identity: { ...identity, sub: String(identity.sub) }, source: resolver.name, errors };
+    } catch (e) {
+      e.resolver = resolver.name;
+      errors.push(e);
+    }
+  }
+  return { identity: null, source: null, errors };
+}
+
+module.exports = { getIdentityResolvers, resolveIdentity, resolverNames, RESOLVERS };
@@ -0,0 +1,220 @@
+const fs = require('fs');
+const { createLogger } = require('./logger');
+require('dotenv').config();
+
+const log = createLogger({ component: 'idpProfiles' });
+
+// ---------------------------------------------------------------------------
+// External IdP attribute mapping for /action/external-post-auth
+//   IDP_PROFILES_FILE points to a JSON file:
+//   {
+//     "profiles": {
+//       "<entraIdpId>": { "preset": "entra-id-oidc" },
+//       "<samlIdpId>": {
+//         "authenticationType": "SSO:ACME:SAML",
+//         "attributes": { "givenName": [["attributes", "urn:oid:2.5.4.42"]], "email": "attributes.mail" },
+//         "metadata": { "okta_groups": { "from": "attributes.memberOf", "type": "array" } }
+//       }
+//     },
+//     "fallback": "okta-oidc"            // preset name, profile object or "passthrough"
+//   }
+//   `from` / attribute sources are one path or a list of candidate paths (first
+//   non-empty wins). A path is "a.b.c" or, for keys containing dots, ["a", "b.c"].
+//   Without a file every IdP is treated as Okta OIDC.
+// ---------------------------------------------------------------------------
+
+const SAML_CLAIMS = 'http://schemas.xmlsoap.org/ws/2005/05/identity/claims';
+
+const PRESETS = {
+  'okta-oidc': {
+    authenticationType: 'SSO:OKTA:OIDC',
+    attributes: {
+      givenName: 'given_name',
+      familyName: 'family_name',
+      email: 'email',
+      username: 'email',
+    },
+    metadata: { okta_groups: { from: 'groups', type: 'array' } },
+  },
+  'entra-id-oidc': {
+    authenticationType: 'SSO:ENTRA:OIDC',
+    attributes: {
+      givenName: 'given_name',
+      familyName: 'family_name',
+      email: ['email', 'preferred_username', 'upn'],
+      username: ['preferred_username', 'upn', 'email'],
+    },
+    metadata: { okta_groups: { from: 'groups', type: 'array' } },
+  },
+  'google-workspace': {
+    authenticationType: 'SSO:GOOGLE:OIDC',
+    attributes: {
+      givenName: 'given_name',
+      familyName: 'family_name',
+      email: 'email',
+      username: 'email',
+      preferredLanguage: 'locale',
+    },
+    metadata: {
+      okta_groups: { from: 'groups', type: 'array' },
+      google_hosted_domain: { from: 'hd' },
+    },
+  },
+  'saml': {
+    authenticationType: 'SSO:SAML',
+    attributes: {
+      givenName: [['attributes', `${SAML_CLAIMS}/givenname`], 'attributes.givenName', 'attributes.firstName'],
+      familyName: [['attributes', `${SAML_CLAIMS}/surname`], 'attributes.surname', 'attributes.lastName'],
+      email: [['attributes', `${SAML_CLAIMS}/emailaddress`], 'attributes.email', 'attributes.mail'],
+      username: [['attributes', `${SAML_CLAIMS}/emailaddress`], 'attributes.email', 'attributes.mail', 'id'],
+    },
+    metadata: {
+      okta_groups: {
+        from: [['attributes', 'http://schemas.microsoft.com/ws/2008/06/identity/claims/groups'], 'attributes.groups', 'attributes.memberOf'],
+        type: 'array',
+      },
+    },
+  },
+};
+
+// addHumanUser field each profile attribute is written to.
+const TARGETS = {
+  givenName: (user, v) => { user.profile.givenName = v; },
+  familyName: (user, v) => { user.profile.familyName = v; },
+  displayName: (user, v) => { user.profile.displayName = v; },
+  nickName: (user, v) => { user.profile.nickName = v; },
+  preferredLanguage: (user, v) => { user.profile.preferredLanguage = v; },
+  email: (user, v) => { user.email.email = v; },
+  username: (user, v) => { user.username = v; },
+};
+
+let cache = { path: null, mtimeMs: -1, config: null };
+
+function resolveProfile(profile, where) {
+  if (typeof profile === 'string') {
+    if (!PRESETS[profile]) throw new Error(`${where}: unknown preset "${profile}"`);
+    return PRESETS[profile];
+  }
+  const base = profile.preset ? resolveProfile(profile.preset, where) : {};
+  const merged = {
+    ...base,
+    ...profile,
+    attributes: { ...base.attributes, ...profile.attributes },
+    metadata: { ...base.metadata, ...profile.metadata },
+  };
+  for (const attr of Object.keys(merged.attributes)) {
+    if (!TARGETS[attr]) throw new Error(`${where}: unknown attribute "${attr}"`);
+  }
+  if (!merged.authenticationType) throw new Error(`${where}: authenticationType is required`);
+  return merged;
+}
+
+/**
+ * Parses and validates an IdP profiles document.
+ * @param {Object} doc
+ * @returns {{ profiles: Record<string, Object>, fallback: Object|null }}
+ */
+function parseIdpProfiles(doc) {
+  const profiles = {};
+  for (const [idpId, profile] of Object.entries(doc.profiles || {})) {
+    profiles[idpId] = resolveProfile(profile, `profiles.${idpId}`);
+  }
+  const fallback = doc.fallback === 'passthrough'
+    ? null
+    : resolveProfile(doc.fallback || 'okta-oidc', 'fallback');
+  return { profiles, fallback };
+}
+
+function loadIdpProfiles() {
+  const filePath = process.env.IDP_PROFILES_FILE;
+  if (!filePath) return { profiles: {}, fallback: PRESETS['okta-oidc'] };
+
+  const { mtimeMs } = fs.statSync(filePath);
+  if (cache.path !== filePath || cache.mtimeMs !== mtimeMs) {
+    cache = { path: filePath, mtimeMs, config: parseIdpProfiles(JSON.parse(fs.readFileSync(filePath, 'utf8'))) };
+  }
+  return cache.config;
+}
+
+/**
+ * Selects the profile for an IdP, falling back when none is configured.
+ * @param {string} idpId
+ * @returns {Object|null} - null means "pass the response through unchanged"
+ */
+function getIdpProfile(idpId) {
+  const { profiles, fallback } = loadIdpProfiles();
+  if (idpId && profiles[idpId]) return profiles[idpId];
+  if (process.env.IDP_PROFILES_FILE) log.warn('no IdP profile, using fallback', { idpId });
+  return fallback;
+}
+
+function getPath(obj, path) {
+  const segments = Array.isArray(path) ? path : String(path).split('.');
+  return segments.reduce((cur, seg) => (cur === null || cur === undefined ? undefined : cur[seg]), obj);
+}
+
+function isEmpty(v) {
+  return v === undefined || v === null || v === '' || (Array.isArray(v) && v.length === 0);
+}
+
+// First non-empty value among the candidate paths.
+function pick(raw, from) {
+  const candidates = Array.isArray(from) ? from : [from];
+  for (const path of candidates) {
+    const value = getPath(raw, path);
+    if (!isEmpty(value)) return value;
+  }
+  return undefined;
+}
+
+function toScalar(value) {
+  return Array.isArray(value) ? String(value[0]) : String(value);
+}
+
+function toMetadataValue(value, type) {
+  if (type === 'array') {
+    if (isEmpty(value)) return JSON.stringify([]);
+    return JSON.stringify(Array.isArray(value) ? value : [value]);
+  }
+  if (type === 'json') return JSON.stringify(value ?? null);
+  return isEmpty(value) ? '' : toScalar(value);
+}
+
+/**
+ * Applies the IdP's profile to the addHumanUser part of a
+ * RetrieveIdentityProviderIntent response (in place).
+ *
+ * @param {Object} resp - The `response` object of the payload
+ * @returns {Object} - The same response
+ */
+function applyIdpProfile(resp) {
+  const addUser = resp.addHumanUser;
+  const idpInfo = resp.idpInformation || {};
+  const profile = getIdpProfile(idpInfo.idpId);
+  if (!profile) return resp;
+
+  const raw = idpInfo.rawInformation ?? {};
+  addUser.profile ??= {};
+  addUser.email ??= {};
+
+  for (const [attr, from] of Object.entries(profile.attributes)) {
+    const value = pick(raw, from);
+    if (!isEmpty(value)) TARGETS[attr](addUser, toScalar(value));
+  }
+  addUser.email.isVerified = profile.emailVerified ?? true;
+
+  addUser.metadata ??= [];
+  const pushMeta = (k, v) =>
+    addUser.metadata.push({ key: k, value: Buffer.from(v).toString('base64') });
+
+  pushMeta(profile.authenticationTypeKey || 'okta_authentication_type', profile.authenticationType);
+  for (const [key, spec] of Object.entries(profile.metadata)) {
+    const { from, type = 'string' } = typeof spec === 'string' ? { from: spec } : spec;
+    const value = toMetadataValue(pick(raw, from), type);
+    if (value !== '') pushMeta(key, value);
+  }
+
+  return resp;
+}
+
+module.exports = { applyIdpProfile, parseIdpProfiles, getIdpProfile, PRESETS };
@@ -0,0 +1,63 @@
+// ---------------------------------------------------------------------------
+// Structural diff of two JSON values, used to compare an action's answer with
+// the original `response` object it was given.
+// ---------------------------------------------------------------------------
+
+function isObject(value) {
+  return value !== null && typeof value === 'object';
+}
+
+function joinPath(base, key) {
+  if (typeof key === 'number') return `${base}[${key}]`;
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? (base ? `${base}.${key}` : key) : `${base}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * @typedef {Object} DiffEntry
+ * @property {'added'|'removed'|'changed'} op
+ * @property {string} path - e.g. "addHumanUser.metadata[0].value"
+ * @property {*} [before]
+ * @property {*} [after]
+ */
+
+/**
+ * Lists the differences between two JSON values, depth first.
+ *
+ * @param {*} before
+ * @param {*} after
+ * @param {string} [basePath]
+ * @returns {DiffEntry[]}
+ */
+function diffJson(before, after, basePath = '') {
+  if (isObject(before) && isObject(after) && Array.isArray(before) === Array.isArray(after)) {
+    const keys = Array.isArray(before)
+      ? Array.from({ length: Math.max(before.length, after.length) }, (_, i) => i)
+      : Array.from(new Set([...Object.keys(before), ...Object.keys(after)]));
+
+    return keys.flatMap((key) => {
+      const path = joinPath(basePath, key);
+      if (!(key in after)) return [{ op: 'removed', path, before: before[key] }];
+      if (!(key in before)) return [{ op: 'added', path, after: after[key] }];
+      return diffJson(before[key], after[key], path);
+    });
+  }
+  if (JSON.stringify(before) === JSON.stringify(after)) return [];
+  return [{ op: 'changed', path: basePath || '(root)', before, after }];
+}
+
+/**
+ * Renders diff entries one per line ("+ path: value", "- path: value",
+ * "~ path: old -> new").
+ * @param {DiffEntry[]} entries
+ * @returns {string}
+ */
+function formatDiff(entries) {
+  const show = (v) => JSON.stringify(v);
+  return entries.map((e) => {
+    if (e.op === 'added') return `+ ${e.path}: ${show(e.after)}`;
+    if (e.op === 'removed') return `- ${e.path}: ${show(e.before)}`;
+    return `~ ${e.path}: ${show(e.before)} -> ${show(e.after)}`;
+  }).join('\n');
+}
+
+module.exports = { diffJson, formatDiff };
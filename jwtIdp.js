@@ -0,0 +1,290 @@
+const crypto = require('crypto');
+const express = require('express');
+const { getKeyStore } = require('./jwtKeys');
+const { resolveIdentity, getIdentityResolvers } = require('./identityResolvers');
+const { createLogger } = require('./logger');
+require('dotenv').config();
+
+const log = createLogger({ component: 'jwtIdp' });
+
+// ---------------------------------------------------------------------------
+// JWT IdP flow
+//   ZITADEL's JWT IdP redirects the browser to GET /auth/start (the IdP's "JWT
+//   endpoint"). The identity resolvers (identityResolvers/) establish who the
+//   user is; we mint a short-lived JWT for them and let the browser post it to
+//   https://<ZITADEL_DOMAIN>/idps/jwt in the ZITADEL_IDP_HEADER_NAME header
+//   (default Authorization: Bearer <jwt>).
+//   ZITADEL checks it against GET /.well-known/jwks.json (the IdP's "Keys
+//   endpoint"); signing keys and their rotation live in jwtKeys.js.
+//
+//   JWT_IDP_ISSUER             iss, enables the flow; must match the IdP's issuer
+//   JWT_IDP_AUDIENCE           aud (comma separated, optional)
+//   JWT_IDP_TOKEN_TTL_SECONDS  token lifetime (default 300)
+//   JWT_IDP_CLAIMS             JSON { "<claim>": "<identity attribute>" | { "value": <literal> } },
+//                              default: email, email_verified, name, given_name,
+//                              family_name, preferred_username from the identity
+//   When no resolver knows the user, /auth/start shows the login form (form
+//   resolver) or an error page; the flow never continues without an identity.
+// ---------------------------------------------------------------------------
+
+const DEFAULT_TTL_SECONDS = 300;
+// Resolver errors that reject the user's credential (401) or refuse the
+// attempt (429, login form rate limit), as opposed to a resolver failing
+const REJECTION_STATUSES = [401, 429];
+
+function isRejection(err) {
+  return REJECTION_STATUSES.includes(err.status);
+}
+
+const REGISTERED_CLAIMS = ['iss', 'sub', 'aud', 'exp', 'nbf', 'iat', 'jti'];
+const DEFAULT_CLAIMS = {
+  email: 'email',
+  email_verified: 'email_verified',
+  name: 'name',
+  given_name: 'given_name',
+  family_name: 'family_name',
+  preferred_username: 'preferred_username',
+};
+
+/**
+ * Validates a claim map (JWT_IDP_CLAIMS).
+ * @param {Object} raw
+ * @returns {Object<string, string|{ value: * }>}
+ */
+function parseClaimMap(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error('claims must be an object');
+  for (const [claim, source] of Object.entries(raw)) {
+    if (REGISTERED_CLAIMS.includes(claim)) throw new Error(`claims: "${claim}" is set by the issuer`);
+    const literal = source && typeof source === 'object' && 'value' in source;
+    if (typeof source !== 'string' && !literal) {
+      throw new Error(`claims.${claim}: must be an identity attribute name or { "value": ... }`);
+    }
+  }
+  return raw;
+}
+
+function claimMap() {
+  return process.env.JWT_IDP_CLAIMS ? parseClaimMap(JSON.parse(process.env.JWT_IDP_CLAIMS)) : DEFAULT_CLAIMS;
+}
+
+function audience() {
+  const list = String(process.env.JWT_IDP_AUDIENCE || '').split(',').map(s => s.trim()).filter(Boolean);
+  return list.length > 1 ? list : list[0];
+}
+
+function ttlSeconds() {
+  const value = Number(process.env.JWT_IDP_TOKEN_TTL_SECONDS);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_TTL_SECONDS;
+}
+
+/**
+ * Mints a signed JWT for a user.
+ * @param {import('./identityResolvers').Identity} identity
+ * @returns {string}
+ */
+function issueToken(identity, now = Date.now()) {
+  if (!identity?.sub) throw new Error('identity without "sub"');
+  const claims = {};
+  for (const [claim, source] of Object.entries(claimMap())) {
+    const value = typeof source === 'string' ? identity[source] : source.value;
+    if (value !== undefined && value !== null && value !== '') claims[claim] = value;
+  }
+
+  const iat = Math.floor(now / 1000);
+  return getKeyStore().sign({
+    ...claims,
+    iss: process.env.JWT_IDP_ISSUER,
+    sub: String(identity.sub),
+    aud: audience(),
+    iat,
+    nbf: iat,
+    exp: iat + ttlSeconds(),
+    jti: crypto.randomUUID(),
+  }, now);
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+}
+
+const PAGE_STYLE = `body { font-family: system-ui, sans-serif; max-width: 24rem; margin: 4rem auto; padding: 0 1rem; color: #222; }
+    label, input, button { display: block; width: 100%; box-sizing: border-box; }
+    input { margin: .25rem 0 1rem; padding: .5rem; }
+    button { padding: .6rem; }
+    .error { color: #b00020; }`;
+
+function renderPage(title, body) {
+  return `<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <title>${escapeHtml(title)}</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'; form-action 'self';">
+  <meta name="referrer" content="no-referrer" />
+  <style>
+    ${PAGE_STYLE}
+  </style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+function sendErrorPage(res, status, title, message) {
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(status).type('html').send(renderPage(title, `  <h1>${escapeHtml(title)}</h1>
+  <p>${escapeHtml(message)}</p>`));
+}
+
+function sendLoginForm(res, status, { action, error }) {
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(status).type('html').send(renderPage('Sign in', `  <h1>Sign in</h1>
+  ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+  <form method="post" action="${escapeHtml(action)}">
+    <label for="username">Username or e-mail</label>
+    <input id="username" name="username" autocomplete="username" required autofocus />
+    <label for="password">Password</label>
+    <input id="password" name="password" type="password" autocomplete="current-password" required />
+    <button type="submit">Sign in</button>
+  </form>`));
+}
+
+// JSON for an inline <script>; "<" is escaped so values cannot close the tag
+function scriptJson(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+function renderPostPage({ zitadelDomain, upstream, headerName, headerValue }) {
+  return `<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <title>Signing in…</title>
+  <!-- Allow cross-origin fetch to your ZITADEL domain -->
+  <meta http-equiv="Content-Security-Policy"
+        content="default-src 'none'; script-src 'unsafe-inline'; connect-src https://${zitadelDomain};">
+  <meta name="referrer" content="no-referrer" />
+</head>
+<body>
+  <p>Signing you in…</p>
+  <script>
+    (async () => {
+      const upstream = ${scriptJson(upstream)};
+      const headerName = ${scriptJson(headerName)};
+      const headerValue = ${scriptJson(headerValue)};
+
+      try {
+        // Do not use credentials:'omit' — we need browser cookies.
+        const r = await fetch(upstream, {
+          method: 'POST',
+          headers: { [headerName]: headerValue },
+          redirect: 'follow',
+          credentials: 'include'
+        });
+
+        // If ZITADEL redirected, fetch() will usually follow and expose the final URL.
+        if (r.redirected) {
+          window.location.replace(r.url);
+          return;
+        }
+
+        // If not redirected, try to use the final URL anyway.
+        if (r.url) {
+          window.location.replace(r.url);
+          return;
+        }
+
+        // Fallback: show response text (useful for debugging)
+        const text = await r.text();
+        document.body.innerText = text || 'Finished, but no redirect detected.';
+      } catch (e) {
+        document.body.innerText = 'Error contacting ZITADEL: ' + (e && e.message ? e.message : e);
+      }
+    })();
+  </script>
+</body>
+</html>`;
+}
+
+/**
+ * Routes of the JWT IdP: GET|POST /auth/start and GET /.well-known/jwks.json.
+ * @returns {import('express').Router}
+ */
+function createJwtIdpRouter() {
+  const router = express.Router();
+
+  router.get('/.well-known/jwks.json', (req, res) => {
+    res.setHeader('Cache-Control', 'public, max-age=300');
+    res.json(getKeyStore().jwks());
+  });
+
+  // GET: redirect from ZITADEL; POST: the login form posting back
+  const startFlow = async (req, res) => {
+    const zitadelDomain = process.env.ZITADEL_DOMAIN;
+    const headerName = (process.env.ZITADEL_IDP_HEADER_NAME || 'Authorization').toLowerCase();
+
+    log.info('JWT IdP flow: incoming request', {
+      method: req.method,
+      queryKeys: Object.keys(req.query),
+      hasAuthRequestID: 'authRequestID' in req.query,
+      userAgentIDLength: (req.query.userAgentID || '').length,
+    });
+
+    const { authRequestID, userAgentID } = req.query;
+    if (!authRequestID || !userAgentID) {
+      return sendErrorPage(res, 400, 'Sign-in link incomplete', 'Start the sign-in again from the application.');
+    }
+    if (!zitadelDomain || !process.env.JWT_IDP_ISSUER) {
+      log.error('JWT IdP flow not configured (ZITADEL_DOMAIN, JWT_IDP_ISSUER)');
+      return sendErrorPage(res, 500, 'Sign-in unavailable', 'Sign-in is not configured on this server.');
+    }
+
+    const { identity, source, errors } = await resolveIdentity(req);
+    for (const e of errors) {
+      if (isRejection(e)) log.warn('identity rejected', { resolver: e.resolver, reason: e.message });
+      else log.error('identity resolver failed', { resolver: e.resolver, err: e });
+    }
+
+    if (!identity) {
+      if (!errors.every(isRejection)) {
+        return sendErrorPage(res, 503, 'Sign-in unavailable', 'We could not verify your sign-in right now. Please try again later.');
+      }
+      if (getIdentityResolvers().some(r => r.loginForm)) {
+        const formError = errors.find(e => e.resolver === 'form');
+        return sendLoginForm(res, formError ? formError.status : 200, { action: req.originalUrl, error: formError?.userMessage });
+      }
+      return sendErrorPage(res, 401, 'Not signed in', 'We could not tell who you are. Sign in to the application first, then try again.');
+    }
+
+    let token;
+    try {
+      token = issueToken(identity);
+    } catch (e) {
+      log.error('failed to issue JWT', { err: e });
+      return sendErrorPage(res, 500, 'Sign-in failed', 'Your sign-in token could not be issued. Please try again later.');
+    }
+
+    // Build the exact upstream URL we’ll POST to from the browser
+    const upstream = `https://${zitadelDomain}/idps/jwt?authRequestID=${encodeURIComponent(
+      String(authRequestID)
+    )}&userAgentID=${encodeURIComponent(String(userAgentID))}`;
+    const headerValue = headerName === 'authorization' ? `Bearer ${token}` : token;
+
+    log.info('browser will POST to ZITADEL /idps/jwt', { upstream, headerName, source, sub: identity.sub });
+
+    // Serve a minimal HTML page that performs the POST from the *browser*
+    // so the ZITADEL cookies (user-agent context) are included.
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.send(renderPostPage({ zitadelDomain, upstream, headerName, headerValue }));
+  };
+
+  router.get('/auth/start', startFlow);
+  router.post('/auth/start', express.urlencoded({ extended: false }), startFlow);
+
+  return router;
+}
+
+module.exports = { createJwtIdpRouter, issueToken, parseClaimMap, DEFAULT_CLAIMS };
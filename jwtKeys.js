@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+require('dotenv').config();
+
+const log = createLogger({ component: 'jwtKeys' });
+
+// ---------------------------------------------------------------------------
+// Signing keys of the JWT IdP (jwtIdp.js)
+//   RS256 key pairs kept in JWT_IDP_KEYS_FILE (default data/jwt-idp/keys.json,
+//   mode 0600). The file is re-read when it changes, so keys generated with
+//   `npm run jwt:keys` are picked up by a running server.
+//
+//   Rotation with overlap (JWT_IDP_KEY_ROTATION_DAYS, default 30;
+//   JWT_IDP_KEY_OVERLAP_HOURS, default 24):
+//     - a new key is generated one overlap before the current one is due and
+//       only published in the JWKS at first ("next")
+//     - it signs tokens once it has been published for one overlap, so
+//       ZITADEL's cached JWKS already knows it ("active")
+//     - the key it replaces stays published for another overlap ("retired")
+//       and is then removed
+//   The first key of an empty store signs right away.
+// ---------------------------------------------------------------------------
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const CHECK_INTERVAL_MS = HOUR_MS;
+const ALG = 'RS256';
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+// RFC 7638 thumbprint, stable for the key's lifetime
+function thumbprint(jwk) {
+  const canonical = JSON.stringify({ e: jwk.e, kty: jwk.kty, n: jwk.n });
+  return crypto.createHash('sha256').update(canonical).digest('base64url');
+}
+
+function createKey(now) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwk = publicKey.export({ format: 'jwk' });
+  const kid = thumbprint(jwk);
+  return {
+    kid,
+    alg: ALG,
+    createdAt: new Date(now).toISOString(),
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    publicJwk: { ...jwk, kid, alg: ALG, use: 'sig' },
+  };
+}
+
+// Every save renames a new file into place, so the inode changes even when
+// two writes share an mtime
+function fileVersion(file) {
+  const { mtimeMs, ino } = fs.statSync(file);
+  return `${mtimeMs}:${ino}`;
+}
+
+function createdAt(key) {
+  return Date.parse(key.createdAt);
+}
+
+function newestFirst(keys) {
+  return [...keys].sort((a, b) => createdAt(b) - createdAt(a));
+}
+
+class KeyStore {
+  constructor(options = {}) {
+    this.file = options.file || process.env.JWT_IDP_KEYS_FILE || path.join(process.cwd(), 'data', 'jwt-idp', 'keys.json');
+    this.rotationMs = (options.rotationDays || envNumber('JWT_IDP_KEY_ROTATION_DAYS', 30)) * DAY_MS;
+    this.overlapMs = (options.overlapHours || envNumber('JWT_IDP_KEY_OVERLAP_HOURS', 24)) * HOUR_MS;
+    this.keys = [];
+    this.version = null;  // mtime + inode of the file last read
+    this.timer = null;
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) {
+      this.keys = [];
+      this.version = null;
+      return;
+    }
+    const version = fileVersion(this.file);
+    if (version === this.version) return;
+    this.keys = JSON.parse(fs.readFileSync(this.file, 'utf8')).keys || [];
+    this.version = version;
+  }
+
+  // Write-then-rename, readable by the service user only
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ keys: this.keys }, null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, this.file);
+    this.version = fileVersion(this.file);
+  }
+
+  /**
+   * Adds a new key. It is published right away and signs once it is one
+   * overlap old (or immediately when it is the only key).
+   * @returns {{ kid: string, createdAt: string }}
+   */
+  generate(now = Date.now()) {
+    this.load();
+    const key = createKey(now);
+    this.keys.push(key);
+    this.save();
+    log.info('generated JWT signing key', { kid: key.kid });
+    return { kid: key.kid, createdAt: key.createdAt };
+  }
+
+  /**
+   * The key that signs tokens: the newest key published for at least one overlap.
+   * @returns {Object|null}
+   */
+  activeKey(now = Date.now()) {
+    this.load();
+    const keys = newestFirst(this.keys);
+    return keys.find(k => createdAt(k) + this.overlapMs <= now) || keys[keys.length - 1] || null;
+  }
+
+  /**
+   * Generates the next key when the active one is due and drops retired keys
+   * once they have been unused for one overlap.
+   * @returns {boolean} - Whether the key set changed
+   */
+  rotate(now = Date.now()) {
+    this.load();
+    if (this.keys.length === 0) {
+      this.generate(now);
+      return true;
+    }
+
+    let changed = false;
+    const [newest] = newestFirst(this.keys);
+    if (createdAt(newest) + this.rotationMs - this.overlapMs <= now) {
+      this.generate(now);
+      changed = true;
+    }
+
+    const active = this.activeKey(now);
+    if (createdAt(active) + 2 * this.overlapMs <= now) {
+      const retired = this.keys.filter(k => createdAt(k) < createdAt(active));
+      if (retired.length > 0) {
+        this.keys = this.keys.filter(k => !retired.includes(k));
+        this.save();
+        log.info('removed retired JWT signing keys', { kids: retired.map(k => k.kid) });
+        changed = true;
+      }
+    }
+    return changed;
+  }
+
+  /**
+   * Keys with their state, newest first (no private key material).
+   * @returns {Array<{ kid: string, createdAt: string, status: 'next'|'active'|'retired' }>}
+   */
+  list(now = Date.now()) {
+    const active = this.activeKey(now);
+    if (!active) return [];
+    return newestFirst(this.keys).map(k => ({
+      kid: k.kid,
+      createdAt: k.createdAt,
+      status: k === active ? 'active' : createdAt(k) > createdAt(active) ? 'next' : 'retired',
+    }));
+  }
+
+  /** @returns {{ keys: Object[] }} - JWK set of every published key */
+  jwks() {
+    this.load();
+    return { keys: newestFirst(this.keys).map(k => k.publicJwk) };
+  }
+
+  /**
+   * Signs a JWT with the active key.
+   * @param {Object} payload - Claims
+   * @returns {string}
+   */
+  sign(payload, now = Date.now()) {
+    const key = this.activeKey(now);
+    if (!key) throw new Error('No JWT signing key (run the server once or `npm run jwt:keys -- generate`)');
+    const header = { alg: ALG, typ: 'JWT', kid: key.kid };
+    const signingInput = `${Buffer.from(JSON.stringify(header)).toString('base64url')}.${Buffer.from(JSON.stringify(payload)).toString('base64url')}`;
+    const signature = crypto.sign('RSA-SHA256', Buffer.from(signingInput), key.privateKey);
+    return `${signingInput}.${signature.toString('base64url')}`;
+  }
+
+  /** Rotates now and then hourly. */
+  start() {
+    if (this.timer) return;
+    this.rotate();
+    this.timer = setInterval(() => {
+      try {
+        this.rotate();
+      } catch (e) {
+        log.error('JWT signing key rotation failed', { err: e });
+      }
+    }, CHECK_INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+let store = null;
+
+/** @returns {KeyStore} The process-wide key store */
+function getKeyStore() {
+  if (!store) store = new KeyStore();
+  return store;
+}
+
+module.exports = { KeyStore, getKeyStore, thumbprint };
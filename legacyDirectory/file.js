@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+
+// Minimal RFC 4180 CSV parser: quoted fields, escaped quotes, CRLF.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...data] = rows.filter(r => r.some(v => v !== ''));
+  return data.map(values =>
+    Object.fromEntries(header.map((name, idx) => [name.trim(), values[idx] ?? '']))
+  );
+}
+
+function loadRecords(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  if (path.extname(filePath).toLowerCase() === '.csv') {
+    return parseCsv(text);
+  }
+  const parsed = JSON.parse(text);
+  // Either an array of records or an object keyed by login name
+  return Array.isArray(parsed)
+    ? parsed
+    : Object.entries(parsed).map(([loginName, record]) => ({ loginName, ...record }));
+}
+
+/**
+ * JSON or CSV export of the legacy user table. The file is re-read when it
+ * changes on disk, so exports can be refreshed without a restart.
+ *
+ * @param {Object} options
+ * @param {string} options.filePath - .json or .csv file
+ * @param {Function} options.matches - (record, loginName) => boolean
+ * @returns {import('./index').LegacyDirectory}
+ */
+function createFileDirectory({ filePath, matches }) {
+  if (!filePath) throw new Error('file legacy directory: LEGACY_FILE_PATH is required');
+
+  let cache = { mtimeMs: -1, records: [] };
+  const getRecords = () => {
+    const { mtimeMs } = fs.statSync(filePath);
+    if (mtimeMs !== cache.mtimeMs) {
+      cache = { mtimeMs, records: loadRecords(filePath) };
+    }
+    return cache.records;
+  };
+
+  return {
+    name: 'file',
+    async findUser(loginName) {
+      return getRecords().find(record => matches(record, loginName)) || null;
+    },
+    async listUsers({ offset = 0, limit = 100 } = {}) {
+      return getRecords().slice(offset, offset + limit);
+    },
+  };
+}
+
+module.exports = { createFileDirectory, parseCsv };
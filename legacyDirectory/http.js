@@ -0,0 +1,64 @@
+function responseError(message, res, body) {
+  const err = new Error(`${message}: ${res.status} ${body}`);
+  err.status = res.status;
+  return err;
+}
+
+/**
+ * Generic HTTP legacy store. `url` may contain a `{loginName}` placeholder;
+ * otherwise the login name is sent as the `loginName` query parameter.
+ * A 404 means "no such user"; the body may be the record itself or `{ user }`.
+ * `listUrl` is called with `offset` / `limit` query parameters and may answer
+ * with an array or `{ users }`. Other error answers throw with err.status,
+ * which upstream.js uses to tell failures (429, 5xx) from client errors.
+ *
+ * @param {Object} options
+ * @param {string} options.url
+ * @param {string} [options.listUrl]
+ * @param {string} [options.token] - Sent as a bearer token
+ * @returns {import('./index').LegacyDirectory}
+ */
+function createHttpDirectory({ url, listUrl, token }) {
+  if (!url) throw new Error('http legacy directory: LEGACY_HTTP_URL is required');
+
+  const buildUrl = (loginName) => {
+    if (url.includes('{loginName}')) {
+      return url.replace('{loginName}', encodeURIComponent(loginName));
+    }
+    const target = new URL(url);
+    target.searchParams.set('loginName', loginName);
+    return target.toString();
+  };
+
+  const headers = {
+    'Accept': 'application/json',
+    ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+  };
+
+  return {
+    name: 'http',
+    async findUser(loginName, { signal } = {}) {
+      const res = await fetch(buildUrl(loginName), { headers, signal });
+      if (res.status === 404) return null;
+      if (!res.ok) {
+        throw responseError('Legacy directory lookup failed', res, await res.text().catch(() => ''));
+      }
+      const body = await res.json();
+      return body?.user ?? body ?? null;
+    },
+    async listUsers({ offset = 0, limit = 100 } = {}, { signal } = {}) {
+      if (!listUrl) throw new Error('http legacy directory: LEGACY_HTTP_LIST_URL is required to list users');
+      const target = new URL(listUrl);
+      target.searchParams.set('offset', String(offset));
+      target.searchParams.set('limit', String(limit));
+      const res = await fetch(target.toString(), { headers, signal });
+      if (!res.ok) {
+        throw responseError('Legacy directory listing failed', res, await res.text().catch(() => ''));
+      }
+      const body = await res.json();
+      return Array.isArray(body) ? body : (body?.users || []);
+    },
+  };
+}
+
+module.exports = { createHttpDirectory };
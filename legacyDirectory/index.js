@@ -0,0 +1,140 @@
+const { createMemoryDirectory } = require('./memory');
+const { createFileDirectory } = require('./file');
+const { createSqliteDirectory } = require('./sqlite');
+const { createHttpDirectory } = require('./http');
+const { callUpstream } = require('../upstream');
+require('dotenv').config();
+
+// ---------------------------------------------------------------------------
+// Legacy user directory used by the trickle migration.
+//   LEGACY_DIRECTORY selects the adapter: memory (default) | file | sqlite | http
+//   Lookups go through upstream.js (timeout, retries, circuit breaker). Only
+//   network errors, timeouts and 429/5xx answers (err.status) count as the
+//   directory failing; other adapter errors reach the caller unchanged.
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} LegacyUser
+ * @property {string} [userId]
+ * @property {string} username
+ * @property {string} [loginName]
+ * @property {string} givenName
+ * @property {string} familyName
+ * @property {string} [displayName]
+ * @property {string} [preferredLanguage]
+ * @property {string} email
+ * @property {string} password - Stored password (plaintext or hash)
+ */
+
+/**
+ * @typedef {Object} LegacyDirectory
+ * @property {string} name
+ * @property {(loginName: string, options?: { signal?: AbortSignal }) => Promise<Object|null>} findUser - Raw record or null
+ * @property {(page: { offset: number, limit: number }, options?: { signal?: AbortSignal }) => Promise<Object[]>} listUsers -
+ *   Raw records in a stable order
+ */
+
+// Column names we accept for each LegacyUser field (SQL/CSV exports tend to use snake_case).
+const FIELD_ALIASES = {
+  userId: ['userId', 'user_id', 'id'],
+  username: ['username', 'user_name'],
+  loginName: ['loginName', 'login_name'],
+  givenName: ['givenName', 'given_name', 'first_name'],
+  familyName: ['familyName', 'family_name', 'last_name'],
+  displayName: ['displayName', 'display_name'],
+  preferredLanguage: ['preferredLanguage', 'preferred_language', 'locale'],
+  email: ['email'],
+  password: ['password', 'password_hash', 'passwordHash'],
+};
+
+/**
+ * Maps a raw adapter record onto the LegacyUser shape.
+ * @param {Object|null} record
+ * @returns {LegacyUser|null}
+ */
+function normalizeLegacyUser(record) {
+  if (!record) return null;
+  const user = {};
+  for (const [field, aliases] of Object.entries(FIELD_ALIASES)) {
+    const alias = aliases.find(a => record[a] !== undefined && record[a] !== null && record[a] !== '');
+    if (alias) user[field] = String(record[alias]);
+  }
+  user.username ??= user.email;
+  user.displayName ??= [user.givenName, user.familyName].filter(Boolean).join(' ') || undefined;
+  return user;
+}
+
+/**
+ * Login names may be the legacy login name, the e-mail or the username
+ * (case-insensitive). Used by the adapters that search records themselves
+ * (memory, file); the sqlite and http adapters leave it to their query.
+ *
+ * @param {Object} record - Raw adapter record
+ * @param {string} loginName
+ * @returns {boolean}
+ */
+function matchesLoginName(record, loginName) {
+  const wanted = String(loginName).toLowerCase();
+  const user = normalizeLegacyUser(record);
+  return [user.loginName, user.email, user.username]
+    .some(v => v && v.toLowerCase() === wanted);
+}
+
+const ADAPTERS = {
+  memory: () => createMemoryDirectory({ matches: matchesLoginName }),
+  file: () => createFileDirectory({
+    filePath: process.env.LEGACY_FILE_PATH,
+    matches: matchesLoginName,
+  }),
+  sqlite: () => createSqliteDirectory({
+    dbPath: process.env.LEGACY_SQLITE_PATH,
+    query: process.env.LEGACY_SQL_QUERY || undefined,
+    listQuery: process.env.LEGACY_SQL_LIST_QUERY || undefined,
+  }),
+  http: () => createHttpDirectory({
+    url: process.env.LEGACY_HTTP_URL,
+    listUrl: process.env.LEGACY_HTTP_LIST_URL,
+    token: process.env.LEGACY_HTTP_TOKEN,
+  }),
+};
+
+let directory = null;
+
+/**
+ * Returns the configured legacy directory (created once).
+ * @returns {LegacyDirectory}
+ */
+function getLegacyDirectory() {
+  if (!directory) {
+    const name = process.env.LEGACY_DIRECTORY || 'memory';
+    const factory = ADAPTERS[name];
+    if (!factory) {
+      throw new Error(`Unknown LEGACY_DIRECTORY "${name}" (expected one of: ${Object.keys(ADAPTERS).join(', ')})`);
+    }
+    directory = factory();
+  }
+  return directory;
+}
+
+/**
+ * Looks a user up in the configured legacy directory.
+ * @param {string} loginName
+ * @returns {Promise<LegacyUser|null>}
+ */
+async function findLegacyUser(loginName) {
+  if (!loginName) return null;
+  const record = await callUpstream('legacyDirectory', signal => getLegacyDirectory().findUser(loginName, { signal }), { idempotent: true });
+  return normalizeLegacyUser(record);
+}
+
+/**
+ * Reads one page of users from the configured legacy directory.
+ * @param {{ offset?: number, limit?: number }} [page]
+ * @returns {Promise<LegacyUser[]>}
+ */
+async function listLegacyUsers(page = {}) {
+  const records = await callUpstream('legacyDirectory', signal => getLegacyDirectory().listUsers(page, { signal }), { idempotent: true });
+  return records.map(normalizeLegacyUser);
+}
+
+module.exports = { getLegacyDirectory, findLegacyUser, listLegacyUsers, normalizeLegacyUser, matchesLoginName, ADAPTERS };
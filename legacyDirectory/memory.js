@@ -0,0 +1,35 @@
+// --- Mock "Legacy" directory, used when no real store is configured ---
+const LEGACY_DB = {
+  "non-existing@trickle-migration.matias-auth-bkeog4.us1.zitadel.cloud": {
+    userId: "db-163840776835432346",
+    username: "non-existing",
+    givenName: "Legacy",
+    familyName: "User",
+    displayName: "Legacy User",
+    preferredLanguage: "en",
+    email: "non-existing@gmail.com",
+    // PBKDF2 of "Password1!" (plaintext passwords are off by default)
+    password: "$pbkdf2-sha256$29000$bGVnYWN5LWRlbW8tc2FsdA$f2.SkvVnjXLwYDYE79IZvzjOwiVEYDgUMH5r7lthag8"
+  }
+};
+
+/**
+ * @param {Object} [options]
+ * @param {Record<string, Object>} [options.users] - Records keyed by login name
+ * @param {Function} [options.matches] - (record, loginName) => boolean; default: the key only
+ * @returns {import('./index').LegacyDirectory}
+ */
+function createMemoryDirectory({ users = LEGACY_DB, matches = (record, loginName) => record.loginName === loginName } = {}) {
+  const records = () => Object.entries(users).map(([loginName, record]) => ({ loginName, ...record }));
+  return {
+    name: 'memory',
+    async findUser(loginName) {
+      return records().find(record => matches(record, loginName)) || null;
+    },
+    async listUsers({ offset = 0, limit = 100 } = {}) {
+      return records().slice(offset, offset + limit);
+    },
+  };
+}
+
+module.exports = { createMemoryDirectory, LEGACY_DB };
@@ -0,0 +1,64 @@
+// Same matching as the other adapters: login name, e-mail or username. The
+// default query compares whichever of these columns (the FIELD_ALIASES of
+// index.js) the users table has.
+const LOGIN_COLUMNS = ['login_name', 'loginName', 'email', 'username', 'user_name'];
+const DEFAULT_LIST_QUERY = 'SELECT * FROM users ORDER BY rowid LIMIT @limit OFFSET @offset';
+
+function buildDefaultQuery(db) {
+  const wanted = LOGIN_COLUMNS.map(c => c.toLowerCase());
+  const columns = db.prepare('PRAGMA table_info(users)').all()
+    .map(c => c.name)
+    .filter(name => wanted.includes(name.toLowerCase()));
+  if (columns.length === 0) {
+    throw new Error(`sqlite legacy directory: table "users" needs one of the columns ${LOGIN_COLUMNS.join(', ')}, or set LEGACY_SQL_QUERY`);
+  }
+  const where = columns.map(c => `lower("${c}") = lower(@loginName)`).join(' OR ');
+  return `SELECT * FROM users WHERE ${where} LIMIT 1`;
+}
+
+/**
+ * SQLite legacy store. `query` must select a single user and may reference
+ * the login name as the named parameter `@loginName`; without it the `users`
+ * table is searched by the login name, e-mail and username columns it has.
+ * `listQuery` pages through all users with `@limit` / `@offset` in a stable
+ * order.
+ *
+ * @param {Object} options
+ * @param {string} options.dbPath
+ * @param {string} [options.query]
+ * @param {string} [options.listQuery]
+ * @returns {import('./index').LegacyDirectory}
+ */
+function createSqliteDirectory({ dbPath, query, listQuery = DEFAULT_LIST_QUERY }) {
+  if (!dbPath) throw new Error('sqlite legacy directory: LEGACY_SQLITE_PATH is required');
+
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch {
+    throw new Error('sqlite legacy directory: the optional dependency "better-sqlite3" is not installed');
+  }
+
+  const db = new Database(dbPath, { readonly: true, fileMustExist: true });
+  let findStmt;
+  try {
+    findStmt = db.prepare(query || buildDefaultQuery(db));
+  } catch (e) {
+    db.close();
+    throw e;
+  }
+  let listStmt = null;
+
+  return {
+    name: 'sqlite',
+    async findUser(loginName) {
+      return findStmt.get({ loginName }) || null;
+    },
+    async listUsers({ offset = 0, limit = 100 } = {}) {
+      listStmt ??= db.prepare(listQuery);
+      return listStmt.all({ offset, limit });
+    },
+  };
+}
+
+module.exports = { createSqliteDirectory };
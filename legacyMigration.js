@@ -0,0 +1,92 @@
+const { createUser, getUser, searchUsers } = require('./zitadelClient');
+const { verifyPassword } = require('./passwordHashes');
+require('dotenv').config();
+
+function generateRandomPassword() {
+  const length = 8;
+  const charset = {
+    lower: 'abcdefghijklmnopqrstuvwxyz',
+    upper: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+    symbol: '!@#$%^&*()_+[]{}|;:,.<>?',
+    number: '0123456789'
+  };
+
+  let password = '';
+  password += charset.lower[Math.floor(Math.random() * charset.lower.length)];
+  password += charset.upper[Math.floor(Math.random() * charset.upper.length)];
+  password += charset.symbol[Math.floor(Math.random() * charset.symbol.length)];
+  password += charset.number[Math.floor(Math.random() * charset.number.length)];
+
+  const allChars = charset.lower + charset.upper + charset.symbol + charset.number;
+  while (password.length < length) {
+    password += allChars[Math.floor(Math.random() * allChars.length)];
+  }
+
+  return password.split('').sort(() => Math.random() - 0.5).join(''); // Shuffle the password
+}
+
+async function createUserFromLegacy(legacy) {
+  const body = {
+    organizationId: process.env.ZITADEL_ORG_ID,
+    userId: legacy.userId,
+    username: legacy.username,
+    human: {
+      profile: {
+      givenName: legacy.givenName,
+      familyName: legacy.familyName,
+      displayName: legacy.displayName,
+      preferredLanguage: legacy.preferredLanguage || "en"
+      },
+    email: {
+      email: legacy.email,
+      isVerified: true
+      },
+    password: {
+      password: generateRandomPassword(),
+      changeRequired: false
+    },
+    metadata: [{ key: "migratedFromLegacy", value: Buffer.from("migrating").toString("base64") }]
+    }
+  };
+  return createUser(body);
+}
+
+/**
+ * Looks for a ZITADEL user created from this legacy record, by legacy user id
+ * when the record has one, otherwise by username within ZITADEL_ORG_ID.
+ *
+ * @param {import('./legacyDirectory').LegacyUser} legacy
+ * @returns {Promise<Object|null>} - The ZITADEL user, or null
+ */
+async function findMigratedUser(legacy) {
+  if (legacy.userId) {
+    try {
+      return await getUser(legacy.userId);
+    } catch (e) {
+      if (e.status === 404) return null;
+      throw e;
+    }
+  }
+
+  const queries = [{ userNameQuery: { userName: legacy.username, method: 'TEXT_QUERY_METHOD_EQUALS' } }];
+  if (process.env.ZITADEL_ORG_ID) {
+    queries.push({ organizationIdQuery: { organizationId: process.env.ZITADEL_ORG_ID } });
+  }
+  const { result } = await searchUsers({ queries });
+  return result[0] || null;
+}
+
+/**
+ * Checks a password entered at the hosted login against the legacy record.
+ * The stored value may be plaintext or any hash format supported by passwordHashes.js.
+ *
+ * @param {import('./legacyDirectory').LegacyUser} legacy
+ * @param {string} pw
+ * @returns {Promise<boolean>}
+ */
+async function verifyLegacyPassword(legacy, pw) {
+  if (!legacy?.password) return false;
+  return verifyPassword(legacy.password, pw);
+}
+
+module.exports = { generateRandomPassword, createUserFromLegacy, findMigratedUser, verifyLegacyPassword };
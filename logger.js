@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+require('dotenv').config();
+
+// ---------------------------------------------------------------------------
+// Structured JSON logger
+//   One JSON object per line on stdout:
+//     { "time", "level", "msg", "component", "correlationId", "action", ... }
+//   LOG_LEVEL: debug | info (default) | warn | error | silent
+//
+//   Request context (correlation id, action name) is carried through async
+//   calls with AsyncLocalStorage, so every line logged while handling a
+//   request carries it without passing it around.
+//
+//   Everything is passed through redact() first:
+//     - credential keys (password, sessionToken, accessToken, idToken, secret, …)
+//       and LOG_REDACT_KEYS (comma separated) are replaced by "[REDACTED]"
+//     - metadata entries ({ key, value }) whose key is in LOG_REDACT_METADATA_KEYS
+//       keep their key but lose their value
+//     - e-mail addresses are masked (a***@example.com), JWTs and bearer tokens
+//       inside strings are replaced
+// ---------------------------------------------------------------------------
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const REDACTED = '[REDACTED]';
+
+const SENSITIVE_KEYS = [
+  'password', 'newpassword', 'currentpassword', 'pw',
+  'sessiontoken', 'accesstoken', 'access_token', 'idtoken', 'id_token', 'refreshtoken', 'refresh_token',
+  'token', 'idpintenttoken', 'assertion', 'client_secret', 'clientsecret', 'secret', 'authorization',
+  'cookie', 'set-cookie', 'zitadel-signature',
+];
+
+const EMAIL_RE = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+const JWT_RE = /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+(?:\.[A-Za-z0-9_-]*)?/g;
+const BEARER_RE = /\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/gi;
+
+const storage = new AsyncLocalStorage();
+
+function envList(name) {
+  return String(process.env[name] || '')
+    .split(',')
+    .map(s => s.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function redactString(value) {
+  return value
+    .replace(JWT_RE, REDACTED)
+    .replace(BEARER_RE, `$1 ${REDACTED}`)
+    .replace(EMAIL_RE, '$1***@$2');
+}
+
+/**
+ * Returns a copy of a value with secrets and PII masked.
+ * @param {*} value
+ * @returns {*}
+ */
+function redact(value) {
+  const keys = new Set([...SENSITIVE_KEYS, ...envList('LOG_REDACT_KEYS')]);
+  const metadataKeys = new Set(envList('LOG_REDACT_METADATA_KEYS'));
+  const seen = new WeakSet();
+
+  const walk = (v) => {
+    if (typeof v === 'string') return redactString(v);
+    if (v instanceof Error) return serializeError(v, walk);
+    if (v === null || typeof v !== 'object') return v;
+    if (Buffer.isBuffer(v)) return `<${v.length} bytes>`;
+    if (seen.has(v)) return '[Circular]';
+    seen.add(v);
+
+    if (Array.isArray(v)) return v.map(walk);
+    if (v instanceof Map) return walk(Object.fromEntries(v));
+
+    const out = {};
+    // { key, value } metadata entries: keep the key, drop configured values
+    const isMetadataEntry = typeof v.key === 'string' && 'value' in v;
+    for (const [k, child] of Object.entries(v)) {
+      if (keys.has(k.toLowerCase()) && !(isMetadataEntry && k === 'key')) {
+        out[k] = REDACTED;
+      } else if (isMetadataEntry && k === 'value' && metadataKeys.has(v.key.toLowerCase())) {
+        out[k] = REDACTED;
+      } else {
+        out[k] = walk(child);
+      }
+    }
+    return out;
+  };
+  return walk(value);
+}
+
+function serializeError(err, walk = redact) {
+  const out = { name: err.name, message: walk(err.message) };
+  if (err.status !== undefined) out.status = err.status;
+  if (err.code !== undefined) out.code = err.code;
+  if (err.stack) out.stack = walk(err.stack);
+  return out;
+}
+
+function threshold() {
+  return LEVELS[String(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info;
+}
+
+/**
+ * @typedef {Object} Logger
+ * @property {(msg: string, fields?: Object) => void} debug
+ * @property {(msg: string, fields?: Object) => void} info
+ * @property {(msg: string, fields?: Object) => void} warn
+ * @property {(msg: string, fields?: Object) => void} error
+ * @property {(context: Object) => Logger} child
+ */
+
+/**
+ * Creates a logger that adds `bindings` to every line.
+ * @param {Object} [bindings] - e.g. { component: 'eventQueue' }
+ * @returns {Logger}
+ */
+function createLogger(bindings = {}) {
+  const write = (level, msg, fields) => {
+    if (LEVELS[level] < threshold()) return;
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...bindings,
+      ...storage.getStore(),
+      ...(fields instanceof Error ? { err: fields } : fields),
+    };
+    process.stdout.write(`${JSON.stringify(redact(entry))}\n`);
+  };
+
+  return {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+    child: (context) => createLogger({ ...bindings, ...context }),
+  };
+}
+
+/**
+ * Runs fn with extra log context (merged into the current one).
+ * @template T
+ * @param {Object} context - e.g. { action: 'set-role' }
+ * @param {() => T} fn
+ * @returns {T}
+ */
+function withLogContext(context, fn) {
+  return storage.run({ ...storage.getStore(), ...context }, fn);
+}
+
+/** @returns {Object} The current log context ({} outside a request) */
+function getLogContext() {
+  return storage.getStore() || {};
+}
+
+/**
+ * Express middleware: takes the correlation id from X-Correlation-ID /
+ * X-Request-ID (or generates one), echoes it back and binds it to the
+ * request's log context.
+ */
+function requestContext(req, res, next) {
+  const incoming = req.get('x-correlation-id') || req.get('x-request-id') || '';
+  const correlationId = /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('X-Correlation-ID', correlationId);
+  withLogContext({ correlationId }, next);
+}
+
+module.exports = {
+  createLogger,
+  withLogContext,
+  getLogContext,
+  requestContext,
+  redact,
+  REDACTED,
+};
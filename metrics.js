@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const client = require('prom-client');
+
+// ---------------------------------------------------------------------------
+// Prometheus metrics, served on GET /metrics
+//   actions_requests_total / actions_request_duration_seconds {action, outcome}
+//     outcome: ok | queued | signature_rejected | invalid_json | forwarded_error
+//              | fallback (error policy answered instead of the handler)
+//              | unavailable (an upstream was down and the action failed closed) | error
+//   zitadel_api_requests_total / zitadel_api_request_duration_seconds {method, endpoint, status}
+//   session_cleanup_sessions_total {result: deleted | failed}
+//   migration_users_created_total {source: jit | bulk}
+//   migration_passwords_migrated_total {action}
+//   migration_password_mismatches_total
+//   upstream_circuit_state {upstream}: 0 closed, 1 half-open, 2 open
+//   upstream_retries_total {upstream}
+// ---------------------------------------------------------------------------
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+// Login-path latency: most actions should answer well below a second
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const actionRequests = new client.Counter({
+  name: 'actions_requests_total',
+  help: 'Action requests by action and outcome',
+  labelNames: ['action', 'outcome'],
+  registers: [registry],
+});
+
+const actionDuration = new client.Histogram({
+  name: 'actions_request_duration_seconds',
+  help: 'Time to answer an action request',
+  labelNames: ['action', 'outcome'],
+  buckets: LATENCY_BUCKETS,
+  registers: [registry],
+});
+
+const zitadelRequests = new client.Counter({
+  name: 'zitadel_api_requests_total',
+  help: 'Outbound ZITADEL API calls by endpoint and HTTP status',
+  labelNames: ['method', 'endpoint', 'status'],
+  registers: [registry],
+});
+
+const zitadelDuration = new client.Histogram({
+  name: 'zitadel_api_request_duration_seconds',
+  help: 'Latency of outbound ZITADEL API calls',
+  labelNames: ['method', 'endpoint', 'status'],
+  buckets: LATENCY_BUCKETS,
+  registers: [registry],
+});
+
+const sessionCleanup = new client.Counter({
+  name: 'session_cleanup_sessions_total',
+  help: 'Sessions the session policy tried to delete, by result',
+  labelNames: ['result'],
+  registers: [registry],
+});
+
+const usersCreated = new client.Counter({
+  name: 'migration_users_created_total',
+  help: 'Users created in ZITADEL from the legacy directory',
+  labelNames: ['source'],
+  registers: [registry],
+});
+
+const passwordsMigrated = new client.Counter({
+  name: 'migration_passwords_migrated_total',
+  help: 'Users whose legacy password was migrated',
+  labelNames: ['action'],
+  registers: [registry],
+});
+
+const passwordMismatches = new client.Counter({
+  name: 'migration_password_mismatches_total',
+  help: 'Logins rejected because the password did not match the legacy record',
+  registers: [registry],
+});
+
+const CIRCUIT_STATES = { closed: 0, 'half-open': 1, open: 2 };
+
+const circuitState = new client.Gauge({
+  name: 'upstream_circuit_state',
+  help: 'Circuit breaker state per upstream: 0 closed, 1 half-open, 2 open',
+  labelNames: ['upstream'],
+  registers: [registry],
+});
+
+const upstreamRetries = new client.Counter({
+  name: 'upstream_retries_total',
+  help: 'Retried calls to an upstream',
+  labelNames: ['upstream'],
+  registers: [registry],
+});
+
+/**
+ * @param {string} upstream
+ * @param {'closed'|'half-open'|'open'} state
+ */
+function observeCircuitState(upstream, state) {
+  circuitState.set({ upstream }, CIRCUIT_STATES[state]);
+}
+
+/**
+ * Records one answered action request.
+ * @param {string} action
+ * @param {string} outcome
+ * @param {number} seconds
+ */
+function observeAction(action, outcome, seconds) {
+  actionRequests.inc({ action, outcome });
+  actionDuration.observe({ action, outcome }, seconds);
+}
+
+// "/v2/users/2817.../metadata/search?x=1" -> "/v2/users/:id/metadata/search"
+function endpointLabel(path) {
+  return String(path)
+    .split('?')[0]
+    .split('/')
+    .map(segment => (/\d/.test(segment) && segment.length >= 8 ? ':id' : segment))
+    .join('/');
+}
+
+/**
+ * Records one outbound ZITADEL API call.
+ * @param {string} method
+ * @param {string} path
+ * @param {number|string} status - HTTP status, or "network_error"
+ * @param {number} seconds
+ */
+function observeZitadelCall(method, path, status, seconds) {
+  const labels = { method: String(method || 'GET').toUpperCase(), endpoint: endpointLabel(path), status: String(status) };
+  zitadelRequests.inc(labels);
+  zitadelDuration.observe(labels, seconds);
+}
+
+/**
+ * Express handler for GET /metrics. When METRICS_TOKEN is set, scrapes must
+ * send it as bearer token.
+ */
+async function metricsHandler(req, res) {
+  const token = process.env.METRICS_TOKEN;
+  if (token) {
+    const header = req.get('authorization') || '';
+    const provided = header.startsWith('Bearer ') ? header.slice(7) : '';
+    // Hashing first gives timingSafeEqual equal lengths
+    const a = crypto.createHash('sha256').update(provided).digest();
+    const b = crypto.createHash('sha256').update(token).digest();
+    if (!provided || !crypto.timingSafeEqual(a, b)) {
+      return res.status(401).send('Unauthorized');
+    }
+  }
+  res.setHeader('Content-Type', registry.contentType);
+  res.send(await registry.metrics());
+}
+
+module.exports = {
+  registry,
+  metricsHandler,
+  observeAction,
+  observeZitadelCall,
+  endpointLabel,
+  sessionCleanup,
+  usersCreated,
+  passwordsMigrated,
+  passwordMismatches,
+  observeCircuitState,
+  upstreamRetries,
+};
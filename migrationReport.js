@@ -0,0 +1,103 @@
+const { searchUsers } = require('./zitadelClient');
+require('dotenv').config();
+
+// ---------------------------------------------------------------------------
+// Trickle migration progress
+//   The only migration state is the user's migratedFromLegacy metadata:
+//     "migrating" – created from the legacy store, password not migrated yet
+//     "true"      – password migrated (set-session / set-password)
+//     (absent)    – native ZITADEL user
+// ---------------------------------------------------------------------------
+
+const PAGE_SIZE = 100;
+const METADATA_KEY = 'migratedFromLegacy';
+
+/**
+ * @typedef {Object} MigrationReport
+ * @property {string} generatedAt
+ * @property {string|null} organizationId - null: every org
+ * @property {{ migrated: number, migrating: number, notMigrated: number, total: number }} counts
+ * @property {Array<{ userId: string, username: string, loginName: string, state: string, changeDate?: string }>} stuck
+ *   Users still in "migrating"
+ */
+
+// User search filters on the migration metadata, evaluated by ZITADEL
+const hasMetadataKey = { metadataKeyQuery: { key: METADATA_KEY, method: 'TEXT_QUERY_METHOD_EQUALS' } };
+const hasMetadataValue = value => ({
+  metadataValueQuery: { value: Buffer.from(value).toString('base64'), method: 'BYTE_FILTER_METHOD_EQUALS' },
+});
+
+async function countUsers(queries) {
+  const { details } = await searchUsers({ query: { offset: '0', limit: 1 }, queries });
+  return Number(details?.totalResult || 0);
+}
+
+async function* listAllUsers(queries) {
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { result } = await searchUsers({
+      query: { offset: String(offset), limit: PAGE_SIZE, asc: true },
+      sortingColumn: 'USER_FIELD_NAME_CREATION_DATE',
+      queries,
+    });
+    yield* result;
+    if (result.length < PAGE_SIZE) return;
+  }
+}
+
+/**
+ * Counts users per migration state and lists the ones stuck in "migrating".
+ * The states are filtered by ZITADEL's user search (metadata key and value
+ * queries), so only the users still migrating are paged through; every user
+ * with the metadata key that is not migrating counts as migrated. ZITADEL
+ * applies the key and value queries independently: no other metadata of a
+ * migrated user may have the value "migrating".
+ *
+ * @param {{ organizationId?: string }} [options] - Default ZITADEL_ORG_ID; unset reports on every org
+ * @returns {Promise<MigrationReport>}
+ */
+async function collectMigrationReport({ organizationId = process.env.ZITADEL_ORG_ID } = {}) {
+  const scope = organizationId ? [{ organizationIdQuery: { organizationId } }] : [];
+
+  const [total, withState] = await Promise.all([
+    countUsers(scope),
+    countUsers([...scope, hasMetadataKey]),
+  ]);
+
+  const stuck = [];
+  for await (const user of listAllUsers([...scope, hasMetadataKey, hasMetadataValue('migrating')])) {
+    stuck.push({
+      userId: user.userId,
+      username: user.username,
+      loginName: user.preferredLoginName,
+      state: user.state,
+      changeDate: user.details?.changeDate,
+    });
+  }
+  stuck.sort((a, b) => String(a.username).localeCompare(String(b.username)));
+
+  const counts = {
+    migrated: withState - stuck.length,
+    migrating: stuck.length,
+    notMigrated: total - withState,
+    total,
+  };
+  return { generatedAt: new Date().toISOString(), organizationId: organizationId || null, counts, stuck };
+}
+
+function csvField(value) {
+  const s = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * CSV export of the users still migrating (one row per user).
+ * @param {MigrationReport} report
+ * @returns {string}
+ */
+function migrationReportToCsv(report) {
+  const columns = ['userId', 'username', 'loginName', 'state', 'changeDate'];
+  const rows = report.stuck.map(u => columns.map(c => csvField(u[c])).join(','));
+  return [columns.join(','), ...rows].join('\n') + '\n';
+}
+
+module.exports = { collectMigrationReport, migrationReportToCsv };
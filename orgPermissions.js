@@ -0,0 +1,257 @@
+const { listOrganizationMetadata } = require('./zitadelClient');
+const { createLogger } = require('./logger');
+require('dotenv').config();
+
+const log = createLogger({ component: 'orgPermissions' });
+
+// ---------------------------------------------------------------------------
+// Role -> permission model for /action/authorization
+//   Each org metadata entry maps a role key to its permissions. The value is
+//   either a list (JSON array or comma/space separated), or an object:
+//     { "permissions": ["invoices:*"], "includes": ["viewer"], "projects": ["<projectId>"] }
+//   includes – roles whose permissions this role inherits
+//   projects – only grants of these projects confer the role, also when it
+//              is reached through another role's includes
+//   A permission ending in "*" also expands to every known permission it matches.
+//
+//   Metadata keys of other features (RESERVED_METADATA_KEYS) are not roles.
+//   Mappings can be managed through the admin API (permissionMappings.js).
+//
+//   Parsed maps are cached per org for ORG_PERMISSIONS_CACHE_TTL_SECONDS
+//   (default 60). A stale map is served when ZITADEL cannot be reached.
+// ---------------------------------------------------------------------------
+
+const DEFAULT_TTL_SECONDS = 60;
+
+// Org metadata read by roleAssignment.js and sessionManager.js
+const RESERVED_METADATA_KEYS = ['default_roles', 'session_policy'];
+const DEFINITION_FIELDS = ['permissions', 'includes', 'projects'];
+const PERMISSION_RE = /^[\w.:\/-]+\*?$|^\*$/;
+
+const cache = new Map();    // orgId -> { roles, expiresAt }
+const pending = new Map();  // orgId -> in-flight load
+
+function getTtlMs() {
+  const ttl = Number(process.env.ORG_PERMISSIONS_CACHE_TTL_SECONDS ?? DEFAULT_TTL_SECONDS);
+  return (Number.isFinite(ttl) && ttl >= 0 ? ttl : DEFAULT_TTL_SECONDS) * 1000;
+}
+
+function decodeValue(value) {
+  try {
+    const txt = Buffer.from(String(value || ''), 'base64').toString('utf8');
+    return /�{3,}/.test(txt) ? String(value || '') : txt;
+  } catch {
+    return String(value || '');
+  }
+}
+
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return (Array.isArray(value) ? value : [value]).map(String).filter(Boolean);
+}
+
+/**
+ * Parses one metadata value into a role definition.
+ * @param {string} valueUtf8
+ * @returns {{ permissions: string[], includes: string[], projects: string[]|null }}
+ */
+function parseRoleDefinition(valueUtf8) {
+  let parsed;
+  try {
+    parsed = JSON.parse(valueUtf8);
+  } catch {
+    parsed = String(valueUtf8)
+      .split(/[\s,]+/)
+      .map(s => s.trim())
+      .filter(Boolean);
+  }
+
+  if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+    return {
+      permissions: toList(parsed.permissions),
+      includes: toList(parsed.includes),
+      projects: parsed.projects ? toList(parsed.projects) : null,
+    };
+  }
+  return { permissions: toList(parsed), includes: [], projects: null };
+}
+
+/**
+ * Strictly validates a role definition as written through the admin API;
+ * parseRoleDefinition() stays lenient for values entered by hand.
+ *
+ * @param {*} raw - Permission list or { permissions, includes, projects }
+ * @returns {{ definition: { permissions: string[], includes: string[], projects: string[]|null }|null, errors: string[] }}
+ */
+function validateRoleDefinition(raw) {
+  const errors = [];
+  const doc = Array.isArray(raw) ? { permissions: raw } : raw;
+  if (!doc || typeof doc !== 'object') {
+    return { definition: null, errors: ['must be a list of permissions or an object'] };
+  }
+
+  for (const field of Object.keys(doc).filter(f => !DEFINITION_FIELDS.includes(f))) {
+    errors.push(`unknown field "${field}" (expected ${DEFINITION_FIELDS.join(', ')})`);
+  }
+  for (const field of DEFINITION_FIELDS) {
+    const value = doc[field];
+    if (value === undefined || (field === 'projects' && value === null)) continue;
+    if (!Array.isArray(value) || value.some(v => typeof v !== 'string' || !v.trim())) {
+      errors.push(`"${field}" must be a list of non-empty strings`);
+    }
+  }
+  if (errors.length > 0) return { definition: null, errors };
+
+  const permissions = doc.permissions || [];
+  if (permissions.length === 0 && !(doc.includes || []).length) {
+    errors.push('grants nothing: set "permissions" or "includes"');
+  }
+  for (const perm of permissions.filter(p => !PERMISSION_RE.test(p))) {
+    errors.push(`invalid permission "${perm}" (letters, digits, "._:/-", and "*" only at the end)`);
+  }
+  if (doc.projects && doc.projects.length === 0) errors.push('"projects" must not be empty (omit it for every project)');
+
+  return {
+    definition: errors.length ? null : { permissions, includes: doc.includes || [], projects: doc.projects || null },
+    errors,
+  };
+}
+
+/**
+ * Builds the role map from (base64 encoded) org metadata.
+ * @param {Array<{key:string,value:string}>} metadata
+ * @returns {Map<string, { permissions: string[], includes: string[], projects: string[]|null }>}
+ */
+function parseRoleMap(metadata) {
+  const roles = new Map();
+  for (const { key, value } of metadata) {
+    if (!key || RESERVED_METADATA_KEYS.includes(key)) continue;
+    roles.set(key, parseRoleDefinition(decodeValue(value)));
+  }
+  return roles;
+}
+
+async function loadRoleMap(orgId) {
+  const roles = parseRoleMap(await listOrganizationMetadata(orgId));
+  cache.set(orgId, { roles, expiresAt: Date.now() + getTtlMs() });
+  return roles;
+}
+
+/**
+ * Returns the org's role map, from cache while it is fresh.
+ * @param {string} orgId
+ */
+async function getRoleMap(orgId) {
+  const cached = cache.get(orgId);
+  if (cached && cached.expiresAt > Date.now()) return cached.roles;
+
+  if (!pending.has(orgId)) {
+    pending.set(orgId, loadRoleMap(orgId).finally(() => pending.delete(orgId)));
+  }
+  try {
+    return await pending.get(orgId);
+  } catch (e) {
+    if (cached) {
+      log.warn('serving stale permissions', { orgId, err: e });
+      return cached.roles;
+    }
+    throw e;
+  }
+}
+
+/**
+ * Drops cached role maps, e.g. when an org metadata event arrives.
+ * @param {string} [orgId] - Omit to clear every org
+ */
+function invalidateOrgPermissions(orgId) {
+  if (orgId) {
+    cache.delete(orgId);
+  } else {
+    cache.clear();
+  }
+}
+
+// Every role the user holds, honouring project scoping and inheritance. The
+// "projects" filter applies to included roles as well: a role included from a
+// grant of another project is not conferred.
+function collectRoles(roleMap, userGrants) {
+  const roles = new Set();
+  const visited = new Set(); // "<projectId> <role>", also guards against include cycles
+
+  const inScope = (role, projectId) => {
+    const projects = roleMap.get(role)?.projects;
+    return !projects || projects.includes(projectId);
+  };
+
+  const visit = (role, projectId) => {
+    const key = `${projectId} ${role}`;
+    if (visited.has(key) || !inScope(role, projectId)) return;
+    visited.add(key);
+    roles.add(role);
+    for (const included of roleMap.get(role)?.includes || []) visit(included, projectId);
+  };
+
+  for (const grant of userGrants) {
+    for (const r of grant.roles || []) {
+      if (r) visit(String(r), grant.projectId);
+    }
+  }
+  return [...roles];
+}
+
+function wildcardMatches(pattern, permission) {
+  return pattern === '*' || permission.startsWith(pattern.slice(0, -1));
+}
+
+/**
+ * Resolves the permissions claim for a user's grants in an org.
+ *
+ * @param {string} orgId
+ * @param {Array<{ projectId?: string, roles?: string[] }>} userGrants
+ * @returns {Promise<{ roles: string[], permissions: string[] }>}
+ */
+async function resolvePermissions(orgId, userGrants) {
+  const roleMap = await getRoleMap(orgId);
+  return resolvePermissionsFromMap(roleMap, userGrants);
+}
+
+/**
+ * Same as resolvePermissions, for an already parsed role map.
+ * @param {Map<string, Object>} roleMap
+ * @param {Array<{ projectId?: string, roles?: string[] }>} userGrants
+ * @returns {{ roles: string[], permissions: string[] }}
+ */
+function resolvePermissionsFromMap(roleMap, userGrants) {
+  const roles = collectRoles(roleMap, userGrants);
+
+  const permissions = [];
+  const seen = new Set();
+  const add = (perm) => {
+    if (!seen.has(perm)) {
+      seen.add(perm);
+      permissions.push(perm);
+    }
+  };
+
+  const granted = roles.flatMap(role => roleMap.get(role)?.permissions || []);
+  const known = Array.from(roleMap.values()).flatMap(def => def.permissions).filter(p => !p.endsWith('*'));
+
+  for (const perm of granted) {
+    add(perm);
+    if (perm.endsWith('*')) {
+      known.filter(p => wildcardMatches(perm, p)).forEach(add);
+    }
+  }
+
+  return { roles, permissions };
+}
+
+module.exports = {
+  resolvePermissions,
+  resolvePermissionsFromMap,
+  invalidateOrgPermissions,
+  parseRoleMap,
+  parseRoleDefinition,
+  validateRoleDefinition,
+  RESERVED_METADATA_KEYS,
+};
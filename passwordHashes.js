@@ -0,0 +1,323 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { argon2Verify, bcryptVerify } = require('hash-wasm');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'passwordHashes' });
+
+// ---------------------------------------------------------------------------
+// Legacy password hash verification
+//   The format is detected from the stored value of each user record:
+//     $2a$ / $2b$ / $2y$                     bcrypt
+//     $argon2id$ / $argon2i$ / $argon2d$     argon2
+//     $pbkdf2-sha256$iter$salt$hash          PBKDF2 (passlib, adapted base64)
+//     pbkdf2_sha256$iter$salt$hash           PBKDF2 (Django)
+//     {SSHA} / {SSHA256} / {SSHA512}         salted SHA (LDAP, base64(hash + salt))
+//     sha1$salt$hex / sha256$salt$hex        salted SHA (hash(salt + password))
+//     $1$ / $5$ / $6$                        crypt(3) MD5 / SHA-256 / SHA-512
+//   Anything else is compared as a plaintext password, but only with
+//   LEGACY_ALLOW_PLAINTEXT_PASSWORDS=true and never when the value looks like
+//   a hash of another format ($…$ / {…} prefixes, bare hex or base64
+//   digests): those verify as false, so a leaked hash cannot be used as the
+//   password.
+//
+//   PBKDF2 runs on the libuv thread pool and SHA-crypt yields every few
+//   thousand rounds, refusing more than LEGACY_SHA_CRYPT_MAX_ROUNDS (default
+//   1,000,000). bcrypt and argon2 (hash-wasm) run synchronously on the main
+//   thread and block the event loop for the whole check: tens to hundreds of
+//   milliseconds at bcrypt cost 10 or argon2 m=65536, t=2, during which no
+//   other request is served. Their cost is capped instead: hashes above
+//   LEGACY_BCRYPT_MAX_COST (default 12), LEGACY_ARGON2_MAX_MEMORY_KIB (default
+//   65536) or LEGACY_ARGON2_MAX_ITERATIONS (default 4) are refused.
+// ---------------------------------------------------------------------------
+
+const DEFAULT_SHA_CRYPT_MAX_ROUNDS = 1000000;
+const DEFAULT_BCRYPT_MAX_COST = 12;
+const DEFAULT_ARGON2_MAX_MEMORY_KIB = 65536;
+const DEFAULT_ARGON2_MAX_ITERATIONS = 4;
+const SHA_CRYPT_YIELD_ROUNDS = 5000;
+
+const CRYPT_ALPHABET = './0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+// Constant-time comparison of two strings/buffers of possibly different length.
+function safeEqual(a, b) {
+  const ha = crypto.createHash('sha256').update(a).digest();
+  const hb = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(ha, hb) && Buffer.compare(Buffer.from(a), Buffer.from(b)) === 0;
+}
+
+function cryptBase64(bytes, groups) {
+  let out = '';
+  for (const [b2, b1, b0, n] of groups) {
+    let w = ((b2 === null ? 0 : bytes[b2]) << 16) | ((b1 === null ? 0 : bytes[b1]) << 8) | bytes[b0];
+    for (let i = 0; i < n; i++) {
+      out += CRYPT_ALPHABET[w & 0x3f];
+      w >>= 6;
+    }
+  }
+  return out;
+}
+
+function repeatToLength(buf, length) {
+  const out = Buffer.alloc(length);
+  for (let i = 0; i < length; i++) out[i] = buf[i % buf.length];
+  return out;
+}
+
+const MD5_CRYPT_GROUPS = [
+  [0, 6, 12, 4], [1, 7, 13, 4], [2, 8, 14, 4], [3, 9, 15, 4], [4, 10, 5, 4], [null, null, 11, 2],
+];
+
+// crypt(3) "$1$" – MD5-crypt (poul-henning kamp)
+function md5Crypt(password, setting) {
+  const pw = Buffer.from(password);
+  const salt = Buffer.from(setting.split('$')[2].slice(0, 8));
+  const md5 = (...parts) => crypto.createHash('md5').update(Buffer.concat(parts)).digest();
+
+  let final = md5(pw, salt, pw);
+  const ctx = [pw, Buffer.from('$1$'), salt];
+  for (let pl = pw.length; pl > 0; pl -= 16) ctx.push(final.subarray(0, Math.min(pl, 16)));
+  for (let i = pw.length; i; i >>= 1) ctx.push(i & 1 ? Buffer.alloc(1) : pw.subarray(0, 1));
+  final = md5(...ctx);
+
+  for (let i = 0; i < 1000; i++) {
+    const parts = [];
+    parts.push(i & 1 ? pw : final);
+    if (i % 3) parts.push(salt);
+    if (i % 7) parts.push(pw);
+    parts.push(i & 1 ? final : pw);
+    final = md5(...parts);
+  }
+
+  return `$1$${salt.toString()}$${cryptBase64(final, MD5_CRYPT_GROUPS)}`;
+}
+
+const SHA256_CRYPT_GROUPS = [
+  [0, 10, 20, 4], [21, 1, 11, 4], [12, 22, 2, 4], [3, 13, 23, 4], [24, 4, 14, 4],
+  [15, 25, 5, 4], [6, 16, 26, 4], [27, 7, 17, 4], [18, 28, 8, 4], [9, 19, 29, 4],
+  [null, 31, 30, 3],
+];
+
+const SHA512_CRYPT_GROUPS = [
+  [0, 21, 42, 4], [22, 43, 1, 4], [44, 2, 23, 4], [3, 24, 45, 4], [25, 46, 4, 4],
+  [47, 5, 26, 4], [6, 27, 48, 4], [28, 49, 7, 4], [50, 8, 29, 4], [9, 30, 51, 4],
+  [31, 52, 10, 4], [53, 11, 32, 4], [12, 33, 54, 4], [34, 55, 13, 4], [56, 14, 35, 4],
+  [15, 36, 57, 4], [37, 58, 16, 4], [59, 17, 38, 4], [18, 39, 60, 4], [40, 61, 19, 4],
+  [62, 20, 41, 4], [null, null, 63, 2],
+];
+
+// An integer limit from the environment, or the default when unset or below `min`.
+function envLimit(name, fallback, min) {
+  const value = Number(process.env[name]);
+  return Number.isInteger(value) && value >= min ? value : fallback;
+}
+
+function shaCryptMaxRounds() {
+  return envLimit('LEGACY_SHA_CRYPT_MAX_ROUNDS', DEFAULT_SHA_CRYPT_MAX_ROUNDS, 1000);
+}
+
+// Refuses bcrypt and argon2 hashes that would block the event loop for too long.
+function checkBcryptCost(stored) {
+  const cost = Number(stored.slice(4, 6));
+  if (cost > envLimit('LEGACY_BCRYPT_MAX_COST', DEFAULT_BCRYPT_MAX_COST, 4)) {
+    throw new Error(`bcrypt cost ${cost} exceeds LEGACY_BCRYPT_MAX_COST`);
+  }
+}
+
+function checkArgon2Cost(stored) {
+  const memory = Number(stored.match(/[$,]m=(\d+)/)?.[1]);
+  const iterations = Number(stored.match(/[$,]t=(\d+)/)?.[1]);
+  if (memory > envLimit('LEGACY_ARGON2_MAX_MEMORY_KIB', DEFAULT_ARGON2_MAX_MEMORY_KIB, 8)) {
+    throw new Error(`argon2 memory ${memory} KiB exceeds LEGACY_ARGON2_MAX_MEMORY_KIB`);
+  }
+  if (iterations > envLimit('LEGACY_ARGON2_MAX_ITERATIONS', DEFAULT_ARGON2_MAX_ITERATIONS, 1)) {
+    throw new Error(`argon2 iterations ${iterations} exceed LEGACY_ARGON2_MAX_ITERATIONS`);
+  }
+}
+
+const yieldToEventLoop = () => new Promise(resolve => setImmediate(resolve));
+
+// crypt(3) "$5$" / "$6$" – SHA-crypt (Ulrich Drepper)
+async function shaCrypt(password, setting) {
+  const id = setting[1];
+  const algorithm = id === '5' ? 'sha256' : 'sha512';
+  const groups = id === '5' ? SHA256_CRYPT_GROUPS : SHA512_CRYPT_GROUPS;
+  const hashLength = id === '5' ? 32 : 64;
+  const digest = (...parts) => crypto.createHash(algorithm).update(Buffer.concat(parts)).digest();
+
+  const fields = setting.split('$');
+  let rounds = 5000;
+  let roundsSpec = '';
+  let saltField = fields[2];
+  if (saltField.startsWith('rounds=')) {
+    rounds = Math.min(Math.max(parseInt(saltField.slice(7), 10) || 5000, 1000), 999999999);
+    if (rounds > shaCryptMaxRounds()) throw new Error(`${rounds} rounds exceed LEGACY_SHA_CRYPT_MAX_ROUNDS`);
+    roundsSpec = `rounds=${rounds}$`;
+    saltField = fields[3];
+  }
+
+  const pw = Buffer.from(password);
+  const salt = Buffer.from(saltField.slice(0, 16));
+
+  const b = digest(pw, salt, pw);
+  const aParts = [pw, salt];
+  let i;
+  for (i = pw.length; i > hashLength; i -= hashLength) aParts.push(b);
+  aParts.push(b.subarray(0, i));
+  for (let cnt = pw.length; cnt > 0; cnt >>= 1) aParts.push(cnt & 1 ? b : pw);
+  const a = digest(...aParts);
+
+  const pBytes = repeatToLength(digest(...Array(pw.length).fill(pw)), pw.length);
+  const sBytes = repeatToLength(digest(...Array(16 + a[0]).fill(salt)), salt.length);
+
+  let c = a;
+  for (let r = 0; r < rounds; r++) {
+    if (r > 0 && r % SHA_CRYPT_YIELD_ROUNDS === 0) await yieldToEventLoop();
+    const parts = [];
+    parts.push(r & 1 ? pBytes : c);
+    if (r % 3) parts.push(sBytes);
+    if (r % 7) parts.push(pBytes);
+    parts.push(r & 1 ? c : pBytes);
+    c = digest(...parts);
+  }
+
+  return `$${id}$${roundsSpec}${salt.toString()}$${cryptBase64(c, groups)}`;
+}
+
+// passlib's "adapted base64": '.' instead of '+', no padding
+function decodeAb64(value) {
+  return Buffer.from(value.replace(/\./g, '+'), 'base64');
+}
+
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+const FORMATS = [
+  {
+    name: 'bcrypt',
+    test: s => /^\$2[aby]\$\d{2}\$/.test(s),
+    verify: (pw, s) => {
+      checkBcryptCost(s);
+      return bcryptVerify({ password: pw, hash: s });
+    },
+  },
+  {
+    name: 'argon2',
+    test: s => /^\$argon2(id|i|d)\$/.test(s),
+    verify: (pw, s) => {
+      checkArgon2Cost(s);
+      return argon2Verify({ password: pw, hash: s });
+    },
+  },
+  {
+    name: 'pbkdf2',
+    // $pbkdf2-sha256$29000$<ab64 salt>$<ab64 hash>
+    test: s => /^\$pbkdf2(-sha(1|256|512))?\$\d+\$[^$]*\$[^$]+$/.test(s),
+    verify: async (pw, s) => {
+      const [, scheme, iterations, salt, hash] = s.split('$');
+      const digest = scheme.split('-')[1] || 'sha1';
+      const expected = decodeAb64(hash);
+      return safeEqual(await pbkdf2(pw, decodeAb64(salt), Number(iterations), expected.length, digest), expected);
+    },
+  },
+  {
+    name: 'pbkdf2-django',
+    // pbkdf2_sha256$260000$<salt>$<base64 hash>
+    test: s => /^pbkdf2_sha(1|256)\$\d+\$[^$]+\$[^$]+$/.test(s),
+    verify: async (pw, s) => {
+      const [scheme, iterations, salt, hash] = s.split('$');
+      const digest = scheme.split('_')[1];
+      const expected = Buffer.from(hash, 'base64');
+      return safeEqual(await pbkdf2(pw, salt, Number(iterations), expected.length, digest), expected);
+    },
+  },
+  {
+    name: 'ssha',
+    // {SSHA}base64(sha1(password + salt) + salt)
+    test: s => /^\{SSHA(256|512)?\}/i.test(s),
+    verify: (pw, s) => {
+      const [, variant = ''] = s.match(/^\{SSHA(256|512)?\}/i);
+      const algorithm = `sha${variant || '1'}`;
+      const digestLength = { sha1: 20, sha256: 32, sha512: 64 }[algorithm];
+      const decoded = Buffer.from(s.slice(s.indexOf('}') + 1), 'base64');
+      const expected = decoded.subarray(0, digestLength);
+      const salt = decoded.subarray(digestLength);
+      const actual = crypto.createHash(algorithm).update(Buffer.concat([Buffer.from(pw), salt])).digest();
+      return safeEqual(actual, expected);
+    },
+  },
+  {
+    name: 'salted-sha',
+    // sha256$<salt>$<hex of sha256(salt + password)>
+    test: s => /^sha(1|256)\$[^$]*\$[0-9a-f]+$/i.test(s),
+    verify: (pw, s) => {
+      const [algorithm, salt, hash] = s.split('$');
+      const actual = crypto.createHash(algorithm.toLowerCase()).update(salt + pw).digest('hex');
+      return safeEqual(actual, hash.toLowerCase());
+    },
+  },
+  {
+    name: 'md5-crypt',
+    test: s => /^\$1\$[^$]{0,8}\$[./0-9A-Za-z]{22}$/.test(s),
+    verify: (pw, s) => safeEqual(md5Crypt(pw, s), s),
+  },
+  {
+    name: 'sha-crypt',
+    test: s => /^\$[56]\$(rounds=\d+\$)?[^$]{0,16}\$[./0-9A-Za-z]+$/.test(s),
+    verify: async (pw, s) => safeEqual(await shaCrypt(pw, s), s),
+  },
+];
+
+// Values that are hashes of some format, even one we cannot verify
+const HASH_LIKE = [
+  /^\$[\w-]+\$/, // modular crypt: $id$…
+  /^\{[\w.-]+\}/, // LDAP scheme: {SHA}…, {MD5}…
+  /^[\w-]+\$[^$]*\$/, // Django style: algorithm$…$…
+  /^(?:[0-9a-f]{32}|[0-9a-f]{40}|[0-9a-f]{64}|[0-9a-f]{128})$/i, // hex MD5 / SHA-1 / SHA-256 / SHA-512
+  /^(?:[A-Za-z0-9+/]{22}(?:==)?|[A-Za-z0-9+/]{27}=?|[A-Za-z0-9+/]{43}=?|[A-Za-z0-9+/]{86}(?:==)?)$/, // same, base64
+];
+
+function looksLikeHash(stored) {
+  return HASH_LIKE.some(re => re.test(stored));
+}
+
+/**
+ * Detects the hash format of a stored legacy password.
+ * @param {string} stored
+ * @returns {string} - Format name, "unknown" for an unsupported hash, or "plaintext"
+ */
+function detectHashFormat(stored) {
+  const format = FORMATS.find(f => f.test(String(stored)));
+  if (format) return format.name;
+  return looksLikeHash(String(stored)) ? 'unknown' : 'plaintext';
+}
+
+/**
+ * Verifies a cleartext password against a stored legacy password/hash.
+ * Malformed hashes verify as false instead of throwing.
+ *
+ * @param {string} stored - Value from the legacy record
+ * @param {string} password - Password entered by the user
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(stored, password) {
+  if (typeof stored !== 'string' || !stored || typeof password !== 'string') return false;
+
+  const format = FORMATS.find(f => f.test(stored));
+  if (!format) {
+    if (looksLikeHash(stored)) {
+      log.warn('legacy password stored in an unsupported hash format');
+      return false;
+    }
+    if (process.env.LEGACY_ALLOW_PLAINTEXT_PASSWORDS !== 'true') return false;
+    return safeEqual(password, stored);
+  }
+
+  try {
+    return Boolean(await format.verify(password, stored));
+  } catch (e) {
+    log.error('legacy password verification failed', { format: format.name, reason: e.message });
+    return false;
+  }
+}
+
+module.exports = { verifyPassword, detectHashFormat };
@@ -0,0 +1,257 @@
+const { redact } = require('./logger');
+const { diffJson } = require('./jsonDiff');
+require('dotenv').config();
+
+// ---------------------------------------------------------------------------
+// Payload inspector
+//   Keeps the last INSPECTOR_BUFFER_SIZE (default 100, 0 disables) action
+//   invocations in memory: route, status, latency, the request payload and
+//   the body we answered, both redacted like log lines (logger.js). Actions
+//   with logBody: false keep their payloads out of here as well.
+//   For restCall payloads with a `response` object, the invocation carries
+//   the diff between that response and our answer (jsonDiff.js).
+//
+//   Read through the admin API (/admin/inspector/invocations) or the HTML
+//   view at /inspector, which asks for the admin token and calls that API.
+// ---------------------------------------------------------------------------
+
+const DEFAULT_SIZE = 100;
+
+function bufferSize() {
+  const value = Number(process.env.INSPECTOR_BUFFER_SIZE ?? DEFAULT_SIZE);
+  return Number.isInteger(value) && value >= 0 ? value : DEFAULT_SIZE;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * @typedef {Object} Invocation
+ * @property {string} id
+ * @property {string} time - ISO timestamp of the request
+ * @property {string} action
+ * @property {string} route
+ * @property {string} targetType
+ * @property {number} status
+ * @property {string} outcome - as in the action metrics
+ * @property {number} latencyMs
+ * @property {string} [correlationId]
+ * @property {*} [request] - Redacted payload (absent for logBody: false)
+ * @property {*} [response] - Redacted body we answered
+ * @property {Array<import('./jsonDiff').DiffEntry>|null} diff - payload.response -> answer, null when not applicable
+ */
+
+class PayloadInspector {
+  constructor(options = {}) {
+    this.size = options.size ?? bufferSize();
+    this.entries = [];
+    this.seq = 0;
+  }
+
+  /**
+   * Adds an invocation, dropping the oldest one when the buffer is full.
+   * @param {Object} invocation
+   * @param {boolean} [invocation.captureBody=true]
+   * @returns {Invocation|null}
+   */
+  record({ action, route, targetType, status, outcome, latencyMs, correlationId, request, response, captureBody = true, time = Date.now() }) {
+    if (this.size === 0) return null;
+    const entry = {
+      id: String(++this.seq),
+      time: new Date(time).toISOString(),
+      action,
+      route,
+      targetType,
+      status,
+      outcome,
+      latencyMs: Math.round(latencyMs * 1000) / 1000,
+      correlationId,
+      diff: null,
+    };
+    if (captureBody) {
+      entry.request = redact(request);
+      entry.response = redact(response);
+      if (isPlainObject(entry.request?.response) && response !== undefined) {
+        entry.diff = diffJson(entry.request.response, entry.response);
+      }
+    }
+
+    this.entries.push(entry);
+    if (this.entries.length > this.size) this.entries.splice(0, this.entries.length - this.size);
+    return entry;
+  }
+
+  /**
+   * Invocations, newest first.
+   * @param {{ action?: string, limit?: number }} [filter]
+   * @returns {Invocation[]}
+   */
+  list({ action, limit } = {}) {
+    const matching = this.entries.filter(e => !action || e.action === action).reverse();
+    return limit > 0 ? matching.slice(0, limit) : matching;
+  }
+
+  /** @returns {Invocation|undefined} */
+  get(id) {
+    return this.entries.find(e => e.id === id);
+  }
+
+  /** @returns {string[]} Names of the actions in the buffer */
+  actions() {
+    return Array.from(new Set(this.entries.map(e => e.action))).sort();
+  }
+
+  clear() {
+    this.entries = [];
+  }
+}
+
+let inspector = null;
+
+/** @returns {PayloadInspector} The process-wide inspector */
+function getPayloadInspector() {
+  if (!inspector) inspector = new PayloadInspector();
+  return inspector;
+}
+
+// The page holds no data: it asks for the admin token and reads the admin
+// API, rendering payloads with textContent only.
+const INSPECTOR_PAGE = `<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <title>Payload inspector</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <meta http-equiv="Content-Security-Policy" content="default-src 'none'; script-src 'unsafe-inline'; style-src 'unsafe-inline'; connect-src 'self';">
+  <meta name="referrer" content="no-referrer" />
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 1.5rem; color: #222; }
+    form, .toolbar { display: flex; gap: .5rem; align-items: center; margin-bottom: 1rem; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { text-align: left; padding: .3rem .6rem; border-bottom: 1px solid #ddd; font-size: .9rem; }
+    tbody tr { cursor: pointer; }
+    tbody tr:hover, tr.selected { background: #eef3ff; }
+    .panes { display: grid; grid-template-columns: 1fr 1fr; gap: 1rem; }
+    pre { background: #f6f8fa; padding: .75rem; overflow: auto; max-height: 30rem; font-size: .8rem; }
+    .added { color: #116329; } .removed { color: #b00020; } .changed { color: #9a6700; }
+    .error { color: #b00020; }
+  </style>
+</head>
+<body>
+  <h1>Payload inspector</h1>
+  <form id="login">
+    <input id="token" type="password" placeholder="Admin API token" autocomplete="off" size="40" />
+    <button type="submit">Load</button>
+  </form>
+  <div class="toolbar">
+    <label for="action">Action</label>
+    <select id="action"><option value="">all</option></select>
+    <button id="refresh" type="button">Refresh</button>
+    <span id="status"></span>
+  </div>
+  <table>
+    <thead><tr><th>Time</th><th>Action</th><th>Route</th><th>Status</th><th>Outcome</th><th>Latency (ms)</th><th>Changes</th></tr></thead>
+    <tbody id="rows"></tbody>
+  </table>
+  <div id="detail" hidden>
+    <h2>Diff (original response → our answer)</h2>
+    <pre id="diff"></pre>
+    <div class="panes">
+      <div><h2>Request</h2><pre id="request"></pre></div>
+      <div><h2>Response</h2><pre id="response"></pre></div>
+    </div>
+  </div>
+  <script>
+    (() => {
+      const $ = (id) => document.getElementById(id);
+      let token = sessionStorage.getItem('inspectorToken') || '';
+
+      async function api(path) {
+        const r = await fetch('admin/inspector' + path, { headers: { Authorization: 'Bearer ' + token } });
+        if (!r.ok) throw new Error(r.status === 401 ? 'Wrong token' : 'Admin API answered ' + r.status);
+        return r.json();
+      }
+
+      function cell(row, text) {
+        const td = document.createElement('td');
+        td.textContent = text;
+        row.appendChild(td);
+      }
+
+      function showDiff(diff) {
+        const pre = $('diff');
+        pre.replaceChildren();
+        if (!diff) return void (pre.textContent = 'No original response in this payload.');
+        if (diff.length === 0) return void (pre.textContent = 'Unchanged.');
+        const show = (v) => JSON.stringify(v);
+        for (const e of diff) {
+          const line = document.createElement('div');
+          line.className = e.op;
+          line.textContent = e.op === 'added' ? '+ ' + e.path + ': ' + show(e.after)
+            : e.op === 'removed' ? '- ' + e.path + ': ' + show(e.before)
+            : '~ ' + e.path + ': ' + show(e.before) + ' -> ' + show(e.after);
+          pre.appendChild(line);
+        }
+      }
+
+      function select(entry, row) {
+        document.querySelectorAll('tr.selected').forEach(r => r.classList.remove('selected'));
+        row.classList.add('selected');
+        $('detail').hidden = false;
+        showDiff(entry.diff);
+        $('request').textContent = 'request' in entry ? JSON.stringify(entry.request, null, 2) : '(not captured for this action)';
+        $('response').textContent = 'response' in entry ? JSON.stringify(entry.response, null, 2) : '(not captured for this action)';
+      }
+
+      async function load() {
+        if (!token) return;
+        $('status').className = '';
+        $('status').textContent = 'Loading…';
+        try {
+          const action = $('action').value;
+          const data = await api('/invocations' + (action ? '?action=' + encodeURIComponent(action) : ''));
+          const options = [''].concat(data.actions);
+          $('action').replaceChildren(...options.map((name) => {
+            const o = document.createElement('option');
+            o.value = name;
+            o.textContent = name || 'all';
+            o.selected = name === action;
+            return o;
+          }));
+          const rows = data.invocations.map((entry) => {
+            const row = document.createElement('tr');
+            [new Date(entry.time).toLocaleTimeString(), entry.action, entry.route, entry.status, entry.outcome,
+              entry.latencyMs, entry.diff ? entry.diff.length : '–'].forEach(v => cell(row, String(v)));
+            row.addEventListener('click', () => select(entry, row));
+            return row;
+          });
+          $('rows').replaceChildren(...rows);
+          $('status').textContent = data.invocations.length + ' invocation(s)';
+        } catch (e) {
+          $('status').className = 'error';
+          $('status').textContent = e.message;
+        }
+      }
+
+      $('login').addEventListener('submit', (ev) => {
+        ev.preventDefault();
+        token = $('token').value;
+        sessionStorage.setItem('inspectorToken', token);
+        load();
+      });
+      $('action').addEventListener('change', load);
+      $('refresh').addEventListener('click', load);
+      load();
+    })();
+  </script>
+</body>
+</html>`;
+
+/** Express handler serving the inspector's HTML view. */
+function inspectorPage(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+  res.type('html').send(INSPECTOR_PAGE);
+}
+
+module.exports = { PayloadInspector, getPayloadInspector, inspectorPage };
@@ -0,0 +1,211 @@
+const {
+  listOrganizationMetadata,
+  setOrganizationMetadata,
+  deleteOrganizationMetadata,
+  listProjectRoles,
+  listAuthorizations,
+} = require('./zitadelClient');
+const {
+  parseRoleMap,
+  validateRoleDefinition,
+  resolvePermissionsFromMap,
+  invalidateOrgPermissions,
+  RESERVED_METADATA_KEYS,
+} = require('./orgPermissions');
+const { createLogger } = require('./logger');
+require('dotenv').config();
+
+const log = createLogger({ component: 'permissionMappings' });
+
+// ---------------------------------------------------------------------------
+// Role -> permission mappings managed through the admin API
+//   The mappings are the org metadata read by orgPermissions.js. Writes are
+//   validated strictly (validateRoleDefinition) and against the role keys of
+//   ZITADEL projects: the mapped role and every role it includes must be a
+//   role of the project(s) it is scoped to – the definition's "projects", else
+//   the projectId of the request, else PROJECT_ID. Includes may also name
+//   other mappings.
+//
+//   Errors meant for the caller carry err.status (404, 409, 422; 422 also has
+//   err.details) and err.expose; ZITADEL failures do not have err.expose.
+// ---------------------------------------------------------------------------
+
+const ROLE_KEY_RE = /^[\w.:-]+$/;
+
+function httpError(status, message, details) {
+  const err = new Error(message);
+  err.status = status;
+  err.expose = true;
+  if (details) err.details = details;
+  return err;
+}
+
+function toMapping(role, definition) {
+  return { role, ...definition };
+}
+
+// Stored form: only the fields that are set
+function serialize({ permissions, includes, projects }) {
+  const value = { permissions };
+  if (includes.length > 0) value.includes = includes;
+  if (projects) value.projects = projects;
+  return JSON.stringify(value);
+}
+
+async function loadRoleMap(orgId) {
+  return parseRoleMap(await listOrganizationMetadata(orgId));
+}
+
+async function projectRoleKeys(projectIds) {
+  const keys = new Set();
+  for (const projectId of projectIds) {
+    let roles;
+    try {
+      roles = await listProjectRoles(projectId);
+    } catch (e) {
+      if (e.status === 404) throw httpError(422, 'Invalid role mapping', [`project ${projectId} not found`]);
+      throw e;
+    }
+    for (const role of roles) keys.add(role.key);
+  }
+  return keys;
+}
+
+/**
+ * Validates a definition for `role` against the schema, the org's other
+ * mappings and the project role keys.
+ * @returns {Promise<{ permissions: string[], includes: string[], projects: string[]|null }>}
+ */
+async function validateMapping(role, raw, roleMap, { projectId } = {}) {
+  const errors = [];
+  if (!ROLE_KEY_RE.test(role || '')) errors.push(`invalid role key "${role}"`);
+  if (RESERVED_METADATA_KEYS.includes(role)) errors.push(`"${role}" is reserved org metadata, not a role`);
+
+  const { definition, errors: schemaErrors } = validateRoleDefinition(raw);
+  errors.push(...schemaErrors);
+  if (errors.length > 0) throw httpError(422, 'Invalid role mapping', errors);
+
+  const projectIds = definition.projects || [projectId || process.env.PROJECT_ID].filter(Boolean);
+  if (projectIds.length === 0) {
+    throw httpError(422, 'Invalid role mapping', ['no project to check role keys against: set "projects", ?projectId= or PROJECT_ID']);
+  }
+  const known = await projectRoleKeys(projectIds);
+  const scope = projectIds.join(', ');
+  if (!known.has(role)) errors.push(`"${role}" is not a role of project ${scope}`);
+  for (const included of definition.includes) {
+    if (included === role) errors.push(`"${role}" includes itself`);
+    else if (!known.has(included) && !roleMap.has(included)) errors.push(`included role "${included}" is neither a role of project ${scope} nor mapped`);
+  }
+  if (errors.length > 0) throw httpError(422, 'Invalid role mapping', errors);
+  return definition;
+}
+
+/**
+ * @param {string} orgId
+ * @returns {Promise<Array<{ role: string, permissions: string[], includes: string[], projects: string[]|null }>>}
+ */
+async function listMappings(orgId) {
+  const roleMap = await loadRoleMap(orgId);
+  return Array.from(roleMap, ([role, definition]) => toMapping(role, definition));
+}
+
+/**
+ * @param {string} orgId
+ * @param {string} role
+ */
+async function getMapping(orgId, role) {
+  const definition = (await loadRoleMap(orgId)).get(role);
+  if (!definition) throw httpError(404, `No mapping for role "${role}"`);
+  return toMapping(role, definition);
+}
+
+/**
+ * Creates or updates a mapping.
+ * @param {string} orgId
+ * @param {string} role
+ * @param {*} raw - Permission list or { permissions, includes, projects }
+ * @param {{ mode: 'create'|'update', projectId?: string }} options
+ */
+async function saveMapping(orgId, role, raw, { mode, projectId } = {}) {
+  const roleMap = await loadRoleMap(orgId);
+  if (mode === 'create' && roleMap.has(role)) throw httpError(409, `Role "${role}" is already mapped`);
+  if (mode === 'update' && !roleMap.has(role)) throw httpError(404, `No mapping for role "${role}"`);
+
+  const definition = await validateMapping(role, raw, roleMap, { projectId });
+  await setOrganizationMetadata(orgId, { [role]: serialize(definition) });
+  invalidateOrgPermissions(orgId);
+  log.info('role mapping saved', { orgId, role, mode });
+  return toMapping(role, definition);
+}
+
+/**
+ * @param {string} orgId
+ * @param {string} role
+ */
+async function deleteMapping(orgId, role) {
+  const roleMap = await loadRoleMap(orgId);
+  if (!roleMap.has(role)) throw httpError(404, `No mapping for role "${role}"`);
+  await deleteOrganizationMetadata(orgId, [role]);
+  invalidateOrgPermissions(orgId);
+  log.info('role mapping deleted', { orgId, role });
+}
+
+async function userGrants(orgId, userId) {
+  const authorizations = await listAuthorizations(userId);
+  return authorizations
+    .filter(a => !a.organization?.id || a.organization.id === orgId)
+    .map(a => ({ projectId: a.project?.id, roles: (a.roles || []).map(r => r.key) }));
+}
+
+/**
+ * Resolves the permissions claim with and without unsaved changes.
+ * @param {string} orgId
+ * @param {Object} request
+ * @param {string} [request.userId] - Use the user's authorizations in the org
+ * @param {Array<{ projectId?: string, roles: string[] }>} [request.grants] - Or explicit grants
+ * @param {Object<string, *>} [request.changes] - role -> definition, null deletes the mapping
+ * @param {string} [request.projectId] - Project to check role keys against
+ * @returns {Promise<{ grants: Object[], current: Object, proposed: Object, added: string[], removed: string[] }>}
+ */
+async function previewPermissions(orgId, { userId, grants, changes = {}, projectId } = {}) {
+  if (!userId && !Array.isArray(grants)) throw httpError(422, 'Invalid preview', ['set "userId" or "grants"']);
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    throw httpError(422, 'Invalid preview', ['"changes" must be an object of role -> definition (null deletes)']);
+  }
+
+  const roleMap = await loadRoleMap(orgId);
+  const proposedMap = new Map(roleMap);
+  const errors = [];
+  for (const [role, raw] of Object.entries(changes)) {
+    if (raw === null) {
+      proposedMap.delete(role);
+      continue;
+    }
+    try {
+      proposedMap.set(role, await validateMapping(role, raw, proposedMap, { projectId }));
+    } catch (e) {
+      if (!e.expose) throw e;
+      errors.push(...e.details.map(d => `${role}: ${d}`));
+    }
+  }
+  if (errors.length > 0) throw httpError(422, 'Invalid role mapping', errors);
+
+  const effectiveGrants = userId ? await userGrants(orgId, userId) : grants;
+  const current = resolvePermissionsFromMap(roleMap, effectiveGrants);
+  const proposed = resolvePermissionsFromMap(proposedMap, effectiveGrants);
+  return {
+    grants: effectiveGrants,
+    current,
+    proposed,
+    added: proposed.permissions.filter(p => !current.permissions.includes(p)),
+    removed: current.permissions.filter(p => !proposed.permissions.includes(p)),
+  };
+}
+
+module.exports = {
+  listMappings,
+  getMapping,
+  saveMapping,
+  deleteMapping,
+  previewPermissions,
+};
@@ -0,0 +1,128 @@
+const { createLogger } = require('./logger');
+require('dotenv').config();
+
+const log = createLogger({ component: 'responsePipeline' });
+
+// ---------------------------------------------------------------------------
+// Response transformer pipeline for restCall actions
+//   A registry entry with `transformers` instead of a handler passes the
+//   payload's `response` through each transformer in turn and answers the
+//   result. Transformers live in transformers/ and can be chained on any
+//   target; an entry may name one ("idpProfile") or override its options
+//   ({ "name": "idpProfile", "optional": true, "timeoutMs": 500 }).
+//
+//   transform(ctx) gets a private copy of the current response and returns
+//     undefined             the response stays as it is
+//     an object             the new response
+//     forwardError(…)       ZITADEL's forwarded error; ends the pipeline
+//
+//   A step that throws or runs longer than its timeout (TRANSFORMER_TIMEOUT_MS,
+//   default 5000) is skipped when it is optional; otherwise the pipeline fails
+//   and the action's error policy answers (passthrough: the original response).
+//   A timed-out step is not stopped: ctx.signal is aborted, the step should
+//   check it before side effects.
+// ---------------------------------------------------------------------------
+
+const DEFAULT_TIMEOUT_MS = 5000;
+
+function defaultTimeoutMs() {
+  const value = Number(process.env.TRANSFORMER_TIMEOUT_MS);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_TIMEOUT_MS;
+}
+
+/**
+ * @typedef {Object} TransformContext
+ * @property {Object} payload - The whole action payload (req.body)
+ * @property {Object} [request] - payload.request
+ * @property {Object} response - Copy of the response as left by the previous step
+ * @property {Object} original - The payload's response, as ZITADEL sent it
+ * @property {string} action - Registry name of the action
+ * @property {Object} state - Shared between the steps of one invocation
+ * @property {AbortSignal} signal - Aborted when the step times out
+ */
+
+/**
+ * @typedef {Object} Transformer
+ * @property {string} name
+ * @property {(ctx: TransformContext) => Promise<Object|undefined>} transform
+ * @property {boolean} [optional] - Skip the step when it fails instead of failing the pipeline
+ * @property {number} [timeoutMs]
+ */
+
+/**
+ * A forwarded error: ZITADEL answers the caller with this status and message.
+ * @param {number} status
+ * @param {string} message
+ */
+function forwardError(status, message) {
+  return { forwardedStatusCode: status, forwardedErrorMessage: message };
+}
+
+function isForwardedError(value) {
+  return value?.forwardedStatusCode !== undefined;
+}
+
+async function runStep(step, ctx) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`no result within ${step.timeoutMs} ms`));
+    }, step.timeoutMs);
+  });
+  try {
+    return await Promise.race([step.transform({ ...ctx, signal: controller.signal }), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Builds an Express handler running the given transformers on req.body.response.
+ *
+ * @param {string} actionName
+ * @param {Transformer[]} transformers
+ * @returns {(req: import('express').Request, res: import('express').Response) => Promise<void>}
+ */
+function createPipeline(actionName, transformers) {
+  const steps = transformers.map(t => ({ ...t, timeoutMs: t.timeoutMs || defaultTimeoutMs() }));
+
+  return async (req, res) => {
+    const original = req.body?.response;
+    if (!original || typeof original !== 'object') {
+      log.error('no response object found in payload');
+      return res.status(400).json({ error: 'No response object found in payload' });
+    }
+
+    let response = original;
+    const state = {};
+    for (const step of steps) {
+      const started = process.hrtime.bigint();
+      const ctx = { payload: req.body, request: req.body.request, response: structuredClone(response), original, action: actionName, state };
+      let result;
+      try {
+        result = await runStep(step, ctx);
+      } catch (e) {
+        if (!step.optional) {
+          e.message = `transformer ${step.name}: ${e.message}`;
+          throw e;
+        }
+        log.warn('optional transformer failed, skipped', { transformer: step.name, err: e });
+        continue;
+      }
+      const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+
+      if (isForwardedError(result)) {
+        log.info('transformer forwarded an error', { transformer: step.name, durationMs, status: result.forwardedStatusCode });
+        return res.json(result);
+      }
+      const changed = result !== undefined && JSON.stringify(result) !== JSON.stringify(response);
+      if (changed) response = result;
+      log.debug('transformer applied', { transformer: step.name, durationMs, changed });
+    }
+    res.json(response);
+  };
+}
+
+module.exports = { createPipeline, forwardError, isForwardedError };
@@ -0,0 +1,197 @@
+const {
+  createAuthorization,
+  listAuthorizations,
+  updateAuthorization,
+  deleteAuthorization,
+  listOrganizationMetadata,
+  decodeMetadataValue,
+} = require('./zitadelClient');
+const { createLogger } = require('./logger');
+require('dotenv').config();
+
+const log = createLogger({ component: 'roleAssignment' });
+
+// ---------------------------------------------------------------------------
+// Default role assignments for /action/set-role
+//   A list of assignments:
+//     [
+//       { "projectId": "<id>", "roleKeys": ["member"] },
+//       { "projectId": "<id>", "roleKeys": ["trial"], "eventTypes": ["user.human.added"] }
+//     ]
+//   eventTypes – only events of these types grant the roles (default: any event
+//                that is not a revocation event)
+//   Resolved from the org's `default_roles` metadata, then the ROLE_ASSIGNMENTS
+//   env var (JSON), then PROJECT_ID + ROLE_KEYS.
+//
+//   Granting merges the role keys into the user's existing authorization for
+//   the project; revocation events (user removed/deactivated) remove the
+//   configured keys again. ROLE_REVOKE_ON_DEACTIVATION=false leaves a
+//   deactivated user's roles alone instead. user.reactivated is a granting
+//   event, so assignments without eventTypes come back on reactivation.
+// ---------------------------------------------------------------------------
+
+const ROLES_METADATA_KEY = 'default_roles';
+const REVOKE_EVENT_TYPES = ['user.removed', 'user.deactivated'];
+
+function splitList(value) {
+  return String(value || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Validates a list of role assignments.
+ * @param {Array<Object>} raw
+ * @returns {Array<{ projectId: string, roleKeys: string[], eventTypes: string[]|null }>}
+ */
+function parseRoleAssignments(raw) {
+  if (!Array.isArray(raw)) throw new Error('role assignments must be an array');
+  return raw.map((entry, idx) => {
+    const at = `role assignments[${idx}]`;
+    if (!entry || !entry.projectId) throw new Error(`${at}: "projectId" is required`);
+    const roleKeys = Array.isArray(entry.roleKeys) ? entry.roleKeys.map(String).filter(Boolean) : splitList(entry.roleKeys);
+    if (roleKeys.length === 0) throw new Error(`${at}: "roleKeys" must not be empty`);
+    if (entry.eventTypes !== undefined && !Array.isArray(entry.eventTypes)) {
+      throw new Error(`${at}: "eventTypes" must be an array`);
+    }
+    return { projectId: String(entry.projectId), roleKeys, eventTypes: entry.eventTypes || null };
+  });
+}
+
+function parseAssignmentsValue(value, source) {
+  try {
+    return parseRoleAssignments(JSON.parse(value));
+  } catch (e) {
+    log.warn('ignoring invalid role assignments', { source, reason: e.message });
+    return null;
+  }
+}
+
+async function resolveRoleAssignments(organizationId) {
+  const orgEntry = (await listOrganizationMetadata(organizationId)).find(m => m.key === ROLES_METADATA_KEY);
+  const fromOrg = orgEntry && parseAssignmentsValue(decodeMetadataValue(orgEntry.value), `org ${organizationId}`);
+  if (fromOrg) return fromOrg;
+
+  if (process.env.ROLE_ASSIGNMENTS) {
+    const fromEnv = parseAssignmentsValue(process.env.ROLE_ASSIGNMENTS, 'ROLE_ASSIGNMENTS');
+    if (fromEnv) return fromEnv;
+  }
+
+  const roleKeys = splitList(process.env.ROLE_KEYS);
+  if (process.env.PROJECT_ID && roleKeys.length > 0) {
+    return [{ projectId: process.env.PROJECT_ID, roleKeys, eventTypes: null }];
+  }
+  return [];
+}
+
+function revokesOnDeactivation() {
+  return process.env.ROLE_REVOKE_ON_DEACTIVATION !== 'false';
+}
+
+/**
+ * Whether an event neither grants nor revokes: user.deactivated with
+ * ROLE_REVOKE_ON_DEACTIVATION=false.
+ * @param {string} eventType
+ * @returns {boolean}
+ */
+function isIgnoredEvent(eventType) {
+  return eventType === 'user.deactivated' && !revokesOnDeactivation();
+}
+
+function isRevokeEvent(eventType) {
+  return REVOKE_EVENT_TYPES.includes(eventType) && !isIgnoredEvent(eventType);
+}
+
+// Assignments triggered by an event; revocation events undo every assignment.
+function selectAssignments(assignments, eventType) {
+  if (isIgnoredEvent(eventType)) return [];
+  if (isRevokeEvent(eventType)) return assignments;
+  return assignments.filter(a => !a.eventTypes || a.eventTypes.includes(eventType));
+}
+
+function roleKeysOf(authorization) {
+  return (authorization.roles || []).map(r => (typeof r === 'string' ? r : r.key)).filter(Boolean);
+}
+
+async function findAuthorization(userId, projectId, organizationId) {
+  const authorizations = await listAuthorizations(userId, projectId);
+  return authorizations.find(a => !a.organization?.id || a.organization.id === organizationId) || null;
+}
+
+/**
+ * Adds role keys to the user's authorization for a project, creating it if needed.
+ * @returns {Promise<'created'|'updated'|'unchanged'>}
+ */
+async function grantRoles(userId, organizationId, projectId, roleKeys) {
+  let existing = await findAuthorization(userId, projectId, organizationId);
+  if (!existing) {
+    try {
+      await createAuthorization({ userId, projectId, organizationId, roleKeys });
+      return 'created';
+    } catch (e) {
+      // Created concurrently (e.g. by another event); merge into it instead
+      if (e.status !== 409) throw e;
+      existing = await findAuthorization(userId, projectId, organizationId);
+      if (!existing) throw e;
+    }
+  }
+
+  const current = roleKeysOf(existing);
+  const merged = Array.from(new Set([...current, ...roleKeys]));
+  if (merged.length === current.length) return 'unchanged';
+  await updateAuthorization(existing.id, merged);
+  return 'updated';
+}
+
+/**
+ * Removes role keys from the user's authorization for a project; the
+ * authorization is deleted when no roles remain.
+ * @returns {Promise<'deleted'|'updated'|'unchanged'>}
+ */
+async function revokeRoles(userId, organizationId, projectId, roleKeys) {
+  const existing = await findAuthorization(userId, projectId, organizationId);
+  if (!existing) return 'unchanged';
+
+  const current = roleKeysOf(existing);
+  const remaining = current.filter(k => !roleKeys.includes(k));
+  if (remaining.length === current.length) return 'unchanged';
+  if (remaining.length === 0) {
+    try {
+      await deleteAuthorization(existing.id);
+    } catch (e) {
+      if (e.status !== 404) throw e; // removed together with the user
+    }
+    return 'deleted';
+  }
+  await updateAuthorization(existing.id, remaining);
+  return 'updated';
+}
+
+/**
+ * Applies the org's default role assignments for a user event.
+ *
+ * @param {{ userId: string, organizationId: string, eventType?: string }} event
+ * @returns {Promise<Array<{ projectId: string, roleKeys: string[], result: string }>>}
+ */
+async function applyRoleAssignments({ userId, organizationId, eventType }) {
+  const assignments = selectAssignments(await resolveRoleAssignments(organizationId), eventType);
+  const revoke = isRevokeEvent(eventType);
+  const results = [];
+
+  for (const { projectId, roleKeys } of assignments) {
+    const result = revoke
+      ? await revokeRoles(userId, organizationId, projectId, roleKeys)
+      : await grantRoles(userId, organizationId, projectId, roleKeys);
+    results.push({ projectId, roleKeys, result });
+  }
+  return results;
+}
+
+module.exports = {
+  applyRoleAssignments,
+  parseRoleAssignments,
+  selectAssignments,
+  isIgnoredEvent,
+  REVOKE_EVENT_TYPES,
+};
@@ -1,15 +1,28 @@
 const express = require('express');
 const bodyParser = require('body-parser');
-const crypto = require('crypto');
-const { uniqueSession } = require('./sessionManager');
+const { ACTIONS, mountActions, findActionByPath } = require('./actionRegistry');
+const { loadConfig, formatProblems } = require('./config');
+const { createHealthRouter } = require('./health');
+const { createJwtIdpRouter } = require('./jwtIdp');
+const { getKeyStore } = require('./jwtKeys');
+const { createAdminRouter } = require('./adminApi');
+const { inspectorPage } = require('./payloadInspector');
+const { getEventQueue } = require('./eventQueue');
+const { createLogger, requestContext } = require('./logger');
+const { metricsHandler, observeAction } = require('./metrics');
 require('dotenv').config();
 
+const log = createLogger({ component: 'server' });
+
+const config = loadConfig(ACTIONS);
 const app = express();
-const PORT = 5001;
 
 
 // Custom middleware to capture raw body AND parse JSON for signature validation
-app.use('/action', express.raw({type: 'application/json'}), (req, res, next) => {
+app.use('/action', (req, res, next) => {
+  res.locals.startedAt = process.hrtime.bigint();
+  next();
+}, express.raw({type: 'application/json'}), (req, res, next) => {
   // Store the raw body for signature validation
   req.rawBody = req.body.toString('utf8');
   
@@ -17,7 +30,11 @@ app.use('/action', express.raw({type: 'application/json'}), (req, res, next) =>
   try {
     req.body = JSON.parse(req.rawBody);
   } catch (error) {
-    console.error('JSON parsing error:', error);
+    log.warn('invalid JSON body', { path: req.originalUrl, reason: error.message });
+    const action = findActionByPath(req.originalUrl.split('?')[0], config.actions);
+    if (action) {
+      observeAction(action.name, 'invalid_json', Number(process.hrtime.bigint() - res.locals.startedAt) / 1e9);
+    }
     return res.status(400).json({ error: 'Invalid JSON' });
   }
   
@@ -32,850 +49,51 @@ app.use((req, res, next) => {
   next();
 });
 
-// ---------------------------------------------------------------------------
-// 0)  Helpers
-// ---------------------------------------------------------------------------
-const ZITADEL_DOMAIN = process.env.ZITADEL_DOMAIN;   // e.g. "auth.example.com"
-const accessToken  = process.env.ACCESS_TOKEN;   // PAT or service-user access-token
-
-/**
- * Validates Zitadel webhook signature
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {string} signingKey - The signing key for this specific endpoint
- * @returns {boolean} - Returns true if validation passes, sends error response and returns false if validation fails
- */
-function validateZitadelSignature(req, res, signingKey) {
-  // Get the webhook signature
-  const signatureHeader = req.headers['zitadel-signature'];
-  if (!signatureHeader) {
-    console.error("Missing signature");
-    res.status(400).send('Missing signature');
-    return false;
-  }
-
-  // Validate the webhook signature
-  const elements = signatureHeader.split(',');
-  const timestampElement = elements.find(e => e.startsWith('t='));
-  const signatureElement = elements.find(e => e.startsWith('v1='));
-  
-  if (!timestampElement || !signatureElement) {
-    console.error("Invalid signature format");
-    res.status(400).send('Invalid signature format');
-    return false;
-  }
-  
-  const timestamp = timestampElement.split('=')[1];
-  const signature = signatureElement.split('=')[1];
-  const signedPayload = `${timestamp}.${req.rawBody}`;
-  const hmac = crypto.createHmac('sha256', signingKey)
-    .update(signedPayload)
-    .digest('hex');
-
-  const isValid = crypto.timingSafeEqual(
-    Buffer.from(hmac),
-    Buffer.from(signature)
-  );
-
-  if (!isValid) {
-    console.error("Invalid signature");
-    res.status(400).send('Invalid signature');
-    return false;
-  }
-
-  console.log("Signature validation successful");
-  return true;
-}
-
-/**
- * Write one or many metadata entries for a user in a single call.
- *
- * @param {string} userId
- * @param {Record<string,string>|Array<{key:string,value:string}>} meta
- */
-async function setUserMetadata(userId, meta) {
-  // Accept either an object {k:v, …} or an array [{key,k,value:v} …]
-  const metadataArr = Array.isArray(meta)
-    ? meta.map(({ key, value }) => ({ key, value: Buffer.from(value).toString('base64') }))
-    : Object.entries(meta).map(([k, v]) => ({ key: k, value: Buffer.from(v).toString('base64') }));
-
-  console.log(`Setting metadata for user ${userId}:`, metadataArr);
-  const resp = await fetch(
-    `https://${ZITADEL_DOMAIN}/management/v1/users/${encodeURIComponent(userId)}/metadata/_bulk`,
-    {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Content-Type' : 'application/json',
-      },
-      body: JSON.stringify({ metadata: metadataArr }),
-    },
-  );
-
-  if (!resp.ok) {
-    const txt = await resp.text();
-    throw new Error(`setUserMetadata failed: ${resp.status} – ${txt}`);
-  }
-}
-
-function redactToken(s, keep = 8) {
-  if (!s) return s;
-  const head = s.slice(0, keep);
-  return `${head}...<redacted>`;
-}
+// Correlation id for every log line of a request. Registered after the body
+// parsers: their stream callbacks would not keep the async context.
+app.use(requestContext);
 
 // ---------------------------------------------------------------------------
-// 1) Complement token – preuserinfo  (sync restCall)
+// 1) ZITADEL actions – see actionRegistry.js
 // ---------------------------------------------------------------------------
-app.post('/action/preuserinfo', (req, res) => {
-  // Validate signature first
-  const PREUSERINFO_SIGNING_KEY = process.env.PREUSERINFO_SIGNING_KEY;
-  if (!validateZitadelSignature(req, res, PREUSERINFO_SIGNING_KEY)) {
-    return; // Response already sent by validation function
-  }
+mountActions(app, config.actions);
 
-  console.log('Received preuserinfo request:', req.body);
-  const { user_metadata = [], org = {} } = req.body;
-  const append_claims = [];
+// Admin API – see adminApi.js
+app.use('/admin', createAdminRouter());
 
-  const addIfPrefixed = ({ key, value }) => {
-    if (key?.startsWith('okta_')) {
-      append_claims.push({ key, value: Buffer.from(value, 'base64').toString('utf8') });
-    }
-  };
+// Payload inspector view; its data comes from the admin API – see payloadInspector.js
+app.get('/inspector', inspectorPage);
 
-  user_metadata.forEach(addIfPrefixed);
-  (org.metadata || []).forEach(addIfPrefixed);
+// Prometheus metrics – see metrics.js
+app.get('/metrics', metricsHandler);
 
-  console.log('Appending claims:', append_claims);
-  res.json({
-    append_claims
-  });
-});
+// /healthz and /readyz – see health.js
+app.use(createHealthRouter(config));
 
 // ---------------------------------------------------------------------------
-// 2) Internal e-mail/password login –  post auth  (sync restWebhook)
+// 2) JWT IdP flow – /auth/start and the JWKS, see jwtIdp.js
 // ---------------------------------------------------------------------------
-app.post('/action/internal-post-auth', async (req, res) => {
-  // Validate signature first
-  const INTERNAL_POST_AUTH_SIGNING_KEY = process.env.INTERNAL_POST_AUTH_SIGNING_KEY;
-  if (!validateZitadelSignature(req, res, INTERNAL_POST_AUTH_SIGNING_KEY)) {
-    return; // Response already sent by validation function
-  }
-
-  console.log('Received internal post-auth request:', req.body);
-  try {
-    const userId = req.body.aggregateID;
-    if (userId) {
-      await setUserMetadata(userId, {
-        okta_authentication_type: 'EMAIL_PASSWORD',
-        okta_groups            : JSON.stringify([]),
-      });
-      console.log('EMAIL_PASSWORD metadata stored for', userId);
-    }
-    res.sendStatus(200);
-  } catch (e) {
-    console.error(e);
-    res.sendStatus(500);
-  }
-});
-
-// ---------------------------------------------------------------------------
-// 3) Okta OIDC – post auth  (sync restCall on RetrieveIdentityProviderIntent)
-// ---------------------------------------------------------------------------
-app.post('/action/external-post-auth', (req, res) => {
-  // Validate signature first
-  const EXTERNAL_POST_AUTH_SIGNING_KEY = process.env.EXTERNAL_POST_AUTH_SIGNING_KEY;
-  if (!validateZitadelSignature(req, res, EXTERNAL_POST_AUTH_SIGNING_KEY)) {
-    return; // Response already sent by validation function
-  }
-
-  console.log('Received external post-auth request:', JSON.stringify(req.body, null, 2));
-  const ctx  = req.body;
-  const resp = ctx?.response;
-
-  if (!resp?.addHumanUser) return res.json(resp || {});
-
-  const addUser = resp.addHumanUser;
-  console.log('Received external post-auth request addUser:', JSON.stringify(addUser));
-  const extInfo = resp.idpInformation?.rawInformation ?? {};
-  console.log('Received external post-auth request extInfo:', extInfo);
-
-  addUser.profile.givenName    = extInfo.given_name      || addUser.profile.givenName;
-  addUser.profile.familyName   = extInfo.family_name     || addUser.profile.familyName ;
-  addUser.email.email          = extInfo.email           || addUser.email.email;
-  addUser.username             = extInfo.email           || addUser.username;
-  addUser.email.isVerified     = true;
-
-  addUser.metadata ??= [];
-  const pushMeta = (k, v) =>
-    addUser.metadata.push({ key: k, value: Buffer.from(v).toString('base64') });
-
-  pushMeta('okta_authentication_type', 'SSO:OKTA:OIDC');
-  pushMeta('okta_groups', JSON.stringify(extInfo.groups ?? []));
-
-  console.log('Ending external post-auth flow: ', JSON.stringify(resp, null, 2));
-  res.json(resp);
-});
-
-
-app.post('/action/uniqueSession', async (req, res) => {
-  // Validate signature first
-  const UNIQUE_SESSION_SIGNING_KEY = process.env.UNIQUE_SESSION_SIGNING_KEY;
-  if (!validateZitadelSignature(req, res, UNIQUE_SESSION_SIGNING_KEY)) {
-    return; // Response already sent by validation function
-  }
-
-  const { userID } = req.body;
-
-  if (!userID) {
-    console.error('Missing userID in payload');
-    return res.status(400).json({ error: 'Missing userID in payload' });
-  }
-
-  try {
-    await uniqueSession(userID);
-    res.status(200).json({ status: 'Session cleanup complete' });
-  } catch (err) {
-    console.error('Failed to process uniqueSession:', err);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-}); 
-
-
-app.post('/action/testClaims', async (req, res) => {
-  // Validate signature first
-  /*
-  const TEST_SIGNING_KEY = process.env.TEST_CLAIMS_SIGNING_KEY;
-  if (!validateZitadelSignature(req, res, TEST_SIGNING_KEY)) {
-    return; // Response already sent by validation function
-  }
-    */
-
-  let claims = {
-    append_claims: [
-      {
-        key: "companyId",
-        value: "COMPANY123"
-      },
-      {
-        key: "personId",
-        value: "PERSON123"
-      },
-      {
-        key: "userId",
-        value: "USER123"
-      }  
-    ]
-  };
-  let response = {
-  set_user_metadata: [
-    {
-      key: "action_metadata_key",
-      value: "YWN0aW9uIG1ldGFkYXRhIHZhbHVl"
-    }
-  ],
-  append_claims: [
-      {
-        key: "companyId",
-        value: "COMPANY123"
-      },
-      {
-        key: "personId",
-        value: "PERSON123"
-      },
-      {
-        key: "userId",
-        value: "USER123"
-      }  
-    ],
-  append_log_claims: [
-    "Log to be appended to the log claim on the token"
-  ]
-  };
-  let error = {
-    "forwardedStatusCode": 403,
-    "forwardedErrorMessage": "You are not authorized to access this application."
-  };
-
-  console.log('Request Body:', JSON.stringify(req.body, null, 2));
-  //res.json(claims);
-  res.json(error);
-}); 
-
-
-app.post('/action/test', async (req, res) => {
-  // Validate signature first
-  const TEST_SIGNING_KEY = process.env.TEST_SIGNING_KEY;
-  if (!validateZitadelSignature(req, res, TEST_SIGNING_KEY)) {
-    return; // Response already sent by validation function
-  }
-
-  console.log('=== TEST ACTION ===');
-  console.log('Request Body:', JSON.stringify(req.body, null, 2));
-  console.log('=====================================');
-  
-  // For restCall target type, we need to return the request object back
-  // Extract the request from the payload and return it (unchanged in this case)
-  const { response } = req.body;
-  
-  if (!response) {
-    console.error('No response object found in payload');
-    return res.status(400).json({ error: 'No response object found in payload' });
-  }
-  
-  // Return the response object back to Zitadel (unchanged for logging purposes)
-  res.status(200).json(response);
-});
-
-app.post('/action/testv2', async (req, res) => {
-   // Validate signature first
-  const TESTV2_SIGNING_KEY = process.env.TESTV2_SIGNING_KEY;
-  if (!validateZitadelSignature(req, res, TESTV2_SIGNING_KEY)) {
-    return; // Response already sent by validation function
-  }
-
-  console.log('=== TEST ACTION ===');
-  console.log('Request Body:', JSON.stringify(req.body, null, 2));
-  console.log('=====================================');
-  
-  // For restCall target type, we need to return the request object back
-  // Extract the request from the payload and return it (unchanged in this case)
-  const { response } = req.body;
-  
-  if (!response) {
-    console.error('No response object found in payload');
-    return res.status(400).json({ error: 'No response object found in payload' });
-  }
-  
-  // Return the response object back to Zitadel (unchanged for logging purposes)
-  res.status(200).json(response);
-});
-
-// ---------------------------------------------------------------------------
-// 4) JWT IdP flow – start auth (sync restCall)
-// ---------------------------------------------------------------------------
-app.get('/auth/start', (req, res) => {
-  const zitadelDomain = process.env.ZITADEL_DOMAIN || 'matias-auth-bkeog4.us1.zitadel.cloud';
-  const headerName = (process.env.ZITADEL_IDP_HEADER_NAME || 'Authorization').toLowerCase();
-  const idToken = process.env.ID_TOKEN;
-
-  console.log('--- JWT IdP flow: incoming redirect from ZITADEL ---');
-  console.log('originalUrl:', req.originalUrl);
-  console.log('query keys:', Object.keys(req.query));
-  console.log('authRequestID present?', 'authRequestID' in req.query);
-  console.log('userAgentID present?', 'userAgentID' in req.query);
-  console.log('userAgentID length:', (req.query.userAgentID || '').length);
-
-  const { authRequestID, userAgentID } = req.query;
-  if (!authRequestID || !userAgentID) {
-    return res.status(400).send('Missing authRequestID or userAgentID');
-  }
-  if (!idToken) {
-    console.error('Missing ID_TOKEN env var');
-    return res.status(500).send('Server misconfiguration: missing ID_TOKEN');
-  }
-
-  // Build the exact upstream URL we’ll POST to from the browser
-  const upstream = `https://${zitadelDomain}/idps/jwt?authRequestID=${encodeURIComponent(
-    String(authRequestID)
-  )}&userAgentID=${encodeURIComponent(String(userAgentID))}`;
-
-  const headerValue =
-    headerName === 'authorization' ? `Bearer ${idToken}` : idToken;
-
-  console.log('--- Browser will POST to ZITADEL /idps/jwt ---');
-  console.log('upstream URL:', upstream);
-  console.log('header name:', headerName);
-  console.log('header value (redacted):', redactToken(headerValue));
-
-  // Serve a minimal HTML page that performs the POST from the *browser*
-  // so the ZITADEL cookies (user-agent context) are included.
-  res.setHeader('Cache-Control', 'no-store');
-  res.setHeader('Content-Type', 'text/html; charset=utf-8');
-  res.send(`<!doctype html>
-<html>
-<head>
-  <meta charset="utf-8" />
-  <title>Signing in…</title>
-  <!-- Allow cross-origin fetch to your ZITADEL domain -->
-  <meta http-equiv="Content-Security-Policy"
-        content="default-src 'none'; script-src 'unsafe-inline'; connect-src https://${zitadelDomain};">
-  <meta name="referrer" content="no-referrer" />
-</head>
-<body>
-  <p>Signing you in…</p>
-  <script>
-    (async () => {
-      const upstream = ${JSON.stringify(upstream)};
-      const headerName = ${JSON.stringify(headerName)};
-      const headerValue = ${JSON.stringify(headerValue)};
-
-      try {
-        // Do not use credentials:'omit' — we need browser cookies.
-        const r = await fetch(upstream, {
-          method: 'POST',
-          headers: { [headerName]: headerValue },
-          redirect: 'follow',
-          credentials: 'include'
-        });
-
-        // If ZITADEL redirected, fetch() will usually follow and expose the final URL.
-        if (r.redirected) {
-          window.location.replace(r.url);
-          return;
-        }
-
-        // If not redirected, try to use the final URL anyway.
-        if (r.url) {
-          window.location.replace(r.url);
-          return;
-        }
-
-        // Fallback: show response text (useful for debugging)
-        const text = await r.text();
-        document.body.innerText = text || 'Finished, but no redirect detected.';
-      } catch (e) {
-        document.body.innerText = 'Error contacting ZITADEL: ' + (e && e.message ? e.message : e);
-      }
-    })();
-  </script>
-</body>
-</html>`);
-});
-
-// --- Mock "Legacy" directory (replace with real calls later) ---
-const LEGACY_DB = {
-  "non-existing@trickle-migration.matias-auth-bkeog4.us1.zitadel.cloud": {
-    userId: "db-163840776835432346",
-    username: "non-existing",
-    givenName: "Legacy",
-    familyName: "User",
-    displayName: "Legacy User",
-    preferredLanguage: "en",
-    email: "non-existing@gmail.com",
-    password: "Password1!"
-  }
-};
-
-// --- Helper functions ---
-async function zFetch(path, init = {}) {
-  const res = await fetch(`https://${ZITADEL_DOMAIN}${path}`, {
-    ...init,
-    headers: {
-      'Authorization': `Bearer ${accessToken}`,
-      'Content-Type': 'application/json',
-      ...(init.headers || {})
+app.use(createJwtIdpRouter());
+
+// Refuses to start with an invalid configuration (see config.js).
+if (require.main === module) {
+  if (config.problems.length > 0) {
+    for (const line of formatProblems(config.problems)) log.error(`invalid configuration: ${line}`);
+    log.error('not starting: fix the settings above or disable the affected actions with DISABLED_ACTIONS');
+    process.exit(1);
+  }
+  if (config.disabledActions.length > 0) {
+    log.info('actions disabled', { actions: config.disabledActions });
+  }
+  app.listen(config.port, config.host, () => {
+    log.info('API listening', { url: `http://${config.host}:${config.port}` });
+    getEventQueue().start();
+    log.info('event queue worker started', getEventQueue().stats());
+    if (process.env.JWT_IDP_ISSUER) {
+      getKeyStore().start();
+      log.info('JWT IdP signing keys loaded', { keys: getKeyStore().list() });
     }
   });
-  if (!res.ok) {
-    const txt = await res.text().catch(() => '');
-    throw new Error(`Zitadel API ${path} failed: ${res.status} ${res.statusText} ${txt}`);
-  }
-  return res.json();
 }
 
-function generateRandomPassword() {
-  const length = 8;
-  const charset = {
-    lower: 'abcdefghijklmnopqrstuvwxyz',
-    upper: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
-    symbol: '!@#$%^&*()_+[]{}|;:,.<>?',
-    number: '0123456789'
-  };
-
-  let password = '';
-  password += charset.lower[Math.floor(Math.random() * charset.lower.length)];
-  password += charset.upper[Math.floor(Math.random() * charset.upper.length)];
-  password += charset.symbol[Math.floor(Math.random() * charset.symbol.length)];
-  password += charset.number[Math.floor(Math.random() * charset.number.length)];
-
-  const allChars = charset.lower + charset.upper + charset.symbol + charset.number;
-  while (password.length < length) {
-    password += allChars[Math.floor(Math.random() * allChars.length)];
-  }
-
-  return password.split('').sort(() => Math.random() - 0.5).join(''); // Shuffle the password
-}
-
-async function createUserFromLegacy(legacy) {
-  const body = {
-    organizationId: process.env.ZITADEL_ORG_ID,
-    userId: legacy.userId,
-    username: legacy.username,
-    human: {
-      profile: {
-      givenName: legacy.givenName,
-      familyName: legacy.familyName,
-      displayName: legacy.displayName,
-      preferredLanguage: legacy.preferredLanguage || "en"
-      },
-    email: {
-      email: legacy.email,
-      isVerified: true
-      },
-    password: {
-      password: generateRandomPassword(),
-      changeRequired: false
-    },
-    metadata: [{ key: "migratedFromLegacy", value: Buffer.from("migrating").toString("base64") }]
-    }
-  };
-  const resp = await zFetch('/v2/users/new', { method: 'POST', body: JSON.stringify(body) });
-  return resp.id;
-}
-
-async function setUserPassword(userId, pw) {
-  const body = { human: { password: { password: { password: pw, changeRequired: false } } } };
-  await zFetch(`/v2/users/${userId}`, { method: 'PATCH', body: JSON.stringify(body) });
-}
-
-// --- Response Action (restCall): ListUsers ---
-app.post('/action/list-users', async (req, res) => {
-  try {
-    const body = req.body || {};
-    const resp = body.response || {};
-    const userID = body.userID;
-
-    // We only want to handle requests from the hosted login page
-    if (userID !== 'zitadel-cloud-login') {
-      console.log('list-users action: ignoring request not coming from hosted login page');
-      return res.json(resp);
-    }
-
-    const total = Number((resp.details && resp.details.totalResult) || 0);
-    if (total > 0) {
-      console.log('list-users action: user already found, skipping migration');
-      return res.json(resp);
-    }
-
-    const q = (((body.request || {}).queries || [])[0] || {}).loginNameQuery;
-    const loginName = q && q.loginName ? String(q.loginName) : null;
-
-    // Check if user exists in legacy DB (replace with real calls later)
-     // --->
-    if (!loginName || !LEGACY_DB[loginName]) {
-      console.log('No legacy user found for loginName:', loginName);
-      return res.json(resp);
-    }
-    // <---
-
-    // Create user in Zitadel from legacy data
-    let userId = await createUserFromLegacy(LEGACY_DB[loginName]);
-
-    // Retrieve newly created user for confirmation
-    const userSearch = await zFetch(`/v2/users/${userId}`, { method: 'GET' });
-    const userObj = userSearch.user || {};
-
-    const manipulated = {
-      details: {
-        totalResult: "1",
-        timestamp: new Date().toISOString()
-      },
-      result: [
-        {
-          userId: userObj.userId,
-          details: userObj.details,
-          state: userObj.state || "USER_STATE_ACTIVE",
-          username: userObj.username,
-          loginNames: userObj.loginNames || [loginName],
-          preferredLoginName: userObj.preferredLoginName || loginName,
-          human: userObj.human
-        }
-      ]
-    };
-
-    return res.json(manipulated);
-  } catch (e) {
-    console.error('list-users action error:', e);
-    return res.status(200).json(req.body?.response || {});
-  }
-});
-
-// --- Request Action (restWebhook): SetSession ---
-app.post('/action/set-session', async (req, res) => {
-  try {
-    const { request, response } = req.body || {};
-    const pw = request?.checks?.password?.password;
-    const sessionId = request?.sessionId;
-    const sessionToken = request?.sessionToken;
-
-    // We only want to handle requests adding a password check
-    if (!pw) return res.json(response || {});
-
-    // Retrieve session details to get userId and loginName
-    const search = await zFetch(`/v2/sessions/${sessionId}?sessionToken=${encodeURIComponent(sessionToken)}`, {
-      method: 'GET'
-    });
-    const userId = search?.session?.factors?.user?.id;
-    const legacyLoginName = search?.session?.factors?.user?.loginName;
-
-    const metadataSearchBody = {
-      filters: [
-        {
-          keyFilter: {
-            key: "migratedFromLegacy",
-            method: "TEXT_FILTER_METHOD_EQUALS"
-          }
-        }
-      ]
-    };
-
-    const metadataSearchResponse = await zFetch(`/v2/users/${userId}/metadata/search`, {
-      method: 'POST',
-      body: JSON.stringify(metadataSearchBody)
-    });
-
-    const metadata = metadataSearchResponse.metadata || [];
-    const migratedMetadata = metadata.find(m => m.key === 'migratedFromLegacy');
-    const migratedValue = migratedMetadata ? Buffer.from(migratedMetadata.value, 'base64').toString('utf8') : null;
-
-    // If user already migrated or no migration metadata, skip password set
-    if (migratedValue === 'true') {
-      console.info('User already migrated, skipping password set for user:', userId);
-      return res.json(response || {});
-    }
-    if (metadata.length === 0) {
-      console.info('No migration metadata found, skipping password set for user:', userId);
-      return res.json(response || {});
-    }
-
-    // Verify user password in legacy DB
-    const legacy = LEGACY_DB[legacyLoginName];
-    if (pw !== legacy.password) {
-      // Forward error through Zitadel if the password doesn't match - Interrupt on Error must be enabled
-      return res.status(200).json({
-          "forwardedStatusCode": 400,
-          "forwardedErrorMessage": "Wrong username or password. Please try again."
-      });
-    }
-
-    // Set user password in Zitadel and update metadata to mark migration complete
-    if (userId) {
-      await setUserPassword(userId, pw);
-      await zFetch(`/v2/users/${userId}/metadata`, {
-        method: 'POST',
-        body: JSON.stringify({
-          metadata: [{ key: "migratedFromLegacy", value: Buffer.from("true").toString("base64") }]
-        })
-      });
-    }
-
-    return res.json(response || {});
-  } catch (e) {
-    console.error('set-session action error:', e);
-    return res.status(200).json(req.body?.response || {});
-  }
-});
-
-// --- Response Action (restWebhook): SetPassword ---
-app.post('/action/set-password', async (req, res) => {
-  try {
-    const { request, response } = req.body || {};
-    const userId = request?.userId;
-
-    if (!userId) {
-      console.error('Missing userId in SetPassword request');
-      return res.status(400).json({ error: 'Missing userId in request' });
-    }
-
-    // Retrieve user metadata
-    const metadataSearchBody = {
-      filters: [
-        {
-          keyFilter: {
-            key: "migratedFromLegacy",
-            method: "TEXT_FILTER_METHOD_EQUALS"
-          }
-        }
-      ]
-    };
-
-    const metadataSearchResponse = await zFetch(`/v2/users/${userId}/metadata/search`, {
-      method: 'POST',
-      body: JSON.stringify(metadataSearchBody)
-    });
-
-    const metadata = metadataSearchResponse.metadata || [];
-    const migratedMetadata = metadata.find(m => m.key === 'migratedFromLegacy');
-    const migratedValue = migratedMetadata ? Buffer.from(migratedMetadata.value, 'base64').toString('utf8') : null;
-
-    // If user already migrated or no migration metadata, skip password set
-    if (migratedValue === 'true') {
-      console.info('User already migrated, skipping password set for user:', userId);
-      return res.json(response || {});
-    }
-    if (metadata.length === 0) {
-      console.info('No migration metadata found, skipping password set for user:', userId);
-      return res.json(response || {});
-    }
-
-    // If SetPassword response is successful, update metadata flag
-    console.info('SetPassword action successful, updating metadata for user:', userId);
-    await zFetch(`/v2/users/${userId}/metadata`, {
-      method: 'POST',
-      body: JSON.stringify({
-        metadata: [{ key: "migratedFromLegacy", value: Buffer.from("true").toString("base64") }]
-      })
-    });
-
-    return res.json(response || {});
-  } catch (e) {
-    console.error('SetPassword action error:', e);
-    return res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-// ---------------------------------------------------------------------------
-// 5) Authorization – preAccessToken (Function / restCall)
-//     Maps user_grants[].roles -> permissions via Org metadata
-//     and appends a "permissions" claim.
-// ---------------------------------------------------------------------------
-app.post('/action/authorization', async (req, res) => {
-  // Validate signature first
-  const AUTHORIZATION_SIGNING_KEY = process.env.AUTHORIZATION_SIGNING_KEY;
-  if (!validateZitadelSignature(req, res, AUTHORIZATION_SIGNING_KEY)) {
-    return; // Response already sent by validation function
-  }
-
-  try {
-    const { org, user_grants = [] } = req.body || {};
-    const orgId = org?.id;
-
-    if (!orgId) {
-      console.warn('authorization action: missing org.id in payload');
-      return res.json({ append_claims: [] });
-    }
-
-    // Fetch org metadata (v2beta)
-    const listMetaPath = '/zitadel.org.v2beta.OrganizationService/ListOrganizationMetadata';
-    const metaResp = await zFetch(listMetaPath, {
-      method: 'POST',
-      body: JSON.stringify({ organizationId: orgId })
-    });
-
-    const metaArr = (metaResp.metadata || metaResp.result || []).map(m => ({
-      key: m.key,
-      valueUtf8: (() => {
-        try {
-          const txt = Buffer.from(String(m.value || ''), 'base64').toString('utf8');
-          return /�{3,}/.test(txt) ? String(m.value || '') : txt;
-        } catch {
-          return String(m.value || '');
-        }
-      })()
-    }));
-
-    const metaToPerms = new Map();
-    for (const { key, valueUtf8 } of metaArr) {
-      if (!key) continue;
-      let parsed;
-      try {
-        parsed = JSON.parse(valueUtf8);
-      } catch {
-        parsed = String(valueUtf8)
-          .split(/[\s,]+/)
-          .map(s => s.trim())
-          .filter(Boolean);
-      }
-      const asArray = Array.isArray(parsed) ? parsed : [String(parsed)];
-      metaToPerms.set(key, asArray);
-    }
-
-    const roles = new Set();
-    for (const g of user_grants) {
-      (g.roles || []).forEach(r => r && roles.add(String(r)));
-    }
-
-    const permissions = [];
-    const seen = new Set();
-    for (const role of roles) {
-      const permsForRole = metaToPerms.get(role);
-      if (!permsForRole) continue;
-      for (const p of permsForRole) {
-        const perm = String(p);
-        if (!seen.has(perm)) {
-          seen.add(perm);
-          permissions.push(perm);
-        }
-      }
-    }
-
-    const append_claims = [];
-    if (permissions.length > 0) {
-      append_claims.push({ key: 'permissions', value: permissions });
-    }
-
-    console.info('authorization action -> roles:', Array.from(roles));
-    console.info('authorization action -> permissions:', permissions);
-
-    return res.json({ append_claims });
-  } catch (e) {
-    console.error('authorization action error:', e);
-    return res.json({ append_claims: [] });
-  }
-});
-
-// --- Event Action (restWebhook): SetRole ---
-app.post('/action/set-role', async (req, res) => {
-  // Validate signature first
-  const SET_ROLE_SIGNING_KEY = process.env.SET_ROLE_SIGNING_KEY;
-  if (!validateZitadelSignature(req, res, SET_ROLE_SIGNING_KEY)) {
-    return; // Response already sent by validation function
-  }
-
-  try {
-    const { resourceOwner, aggregateID } = req.body || {};
-
-    // Extract user details from payload
-    const userId = aggregateID;
-    const projectId = process.env.PROJECT_ID;
-    const organizationId = resourceOwner;
-    const roleKeys = (process.env.ROLE_KEYS || '').split(',');
-
-    if (!userId || !projectId || !organizationId || roleKeys.length === 0) {
-      console.error('Missing required parameters for set-role action');
-      return res.status(400).json({ error: 'Missing required parameters' });
-    }
-
-    // Prepare the payload for CreateAuthorization
-    const createAuthPayload = {
-      userId,
-      projectId,
-      organizationId,
-      roleKeys
-    };
-
-    console.info('Creating authorization for user:', createAuthPayload);
-
-    // Call the CreateAuthorization endpoint
-    const response = await fetch(
-      `https://${process.env.ZITADEL_DOMAIN}/zitadel.authorization.v2.AuthorizationService/CreateAuthorization`,
-      {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${process.env.ACCESS_TOKEN}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(createAuthPayload),
-      }
-    );
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('Failed to create authorization:', response.status, errorText);
-      return res.status(500).json({ error: 'Failed to create authorization' });
-    }
-
-    console.info('Authorization created successfully for user:', userId);
-    res.sendStatus(200);
-  } catch (error) {
-    console.error('Error in set-role action:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-
-app.listen(PORT, "0.0.0.0", () => {
-  console.log(`API listening on http://0.0.0.0:${PORT}`);
-});
+module.exports = { app, config };
@@ -1,49 +1,129 @@
+const {
+  searchSessions,
+  deleteSession,
+  getUser,
+  getUserMetadataValue,
+  listOrganizationMetadata,
+  decodeMetadataValue,
+} = require('./zitadelClient');
+const { createLogger } = require('./logger');
+const { sessionCleanup } = require('./metrics');
 require('dotenv').config();
 
-// This is a ZITADEL action that keeps only the latest session for a user.
-async function uniqueSession(userId) {
-  console.log('ENTERED uniqueSession ACTION');
+const log = createLogger({ component: 'sessionManager' });
+
+// ---------------------------------------------------------------------------
+// Concurrent-session policy
+//   {
+//     "maxSessions": 1,            // sessions kept per user (or per user agent)
+//     "perUserAgent": false,       // apply maxSessions per user agent/device
+//     "keepSessionTypes": []       // sessions with any of these factors are never deleted:
+//                                  // user | password | webAuthN | intent | totp | otpSms | otpEmail
+//   }
+//   Resolved from the user's `session_policy` metadata, then the org's, then
+//   the SESSION_POLICY env var (JSON). Default: keep only the latest session.
+//
+//   Sessions kept because of keepSessionTypes do not count toward maxSessions:
+//   they are kept in addition to the newest maxSessions other sessions, so a
+//   passkey session never pushes out the session the user just signed in with.
+//
+//   The resolved policy is cached per user for SESSION_POLICY_CACHE_TTL_SECONDS
+//   (default 60); /action/org-metadata-changed drops the org's entries.
+// ---------------------------------------------------------------------------
+
+const POLICY_METADATA_KEY = 'session_policy';
+const PAGE_SIZE = 100;
+const DEFAULT_POLICY = { maxSessions: 1, perUserAgent: false, keepSessionTypes: [] };
+const SESSION_TYPES = ['user', 'password', 'webAuthN', 'intent', 'totp', 'otpSms', 'otpEmail'];
+const DEFAULT_TTL_SECONDS = 60;
+
+const policyCache = new Map(); // userId -> { policy, orgId, expiresAt }
+
+function getTtlMs() {
+  const ttl = Number(process.env.SESSION_POLICY_CACHE_TTL_SECONDS ?? DEFAULT_TTL_SECONDS);
+  return (Number.isFinite(ttl) && ttl >= 0 ? ttl : DEFAULT_TTL_SECONDS) * 1000;
+}
 
+/**
+ * Validates a session policy and fills in defaults.
+ * @param {Object} raw
+ * @returns {{ maxSessions: number, perUserAgent: boolean, keepSessionTypes: string[] }}
+ */
+function parseSessionPolicy(raw) {
+  const policy = { ...DEFAULT_POLICY, ...raw };
+  if (!Number.isInteger(policy.maxSessions) || policy.maxSessions < 1) {
+    throw new Error('session policy: maxSessions must be a positive integer');
+  }
+  if (!Array.isArray(policy.keepSessionTypes)) {
+    throw new Error('session policy: keepSessionTypes must be an array');
+  }
+  const unknown = policy.keepSessionTypes.filter(t => !SESSION_TYPES.includes(t));
+  if (unknown.length > 0) {
+    throw new Error(`session policy: unknown keepSessionTypes ${unknown.map(t => JSON.stringify(t)).join(', ')} (expected ${SESSION_TYPES.join(', ')})`);
+  }
+  policy.perUserAgent = Boolean(policy.perUserAgent);
+  return policy;
+}
 
+function parsePolicyValue(value, source) {
   try {
-    await keepLatestSessionOnly(userId, 'uniqueSession');
-  } catch (error) {
-    console.log(`uniqueSession Action error:`, error);
+    return parseSessionPolicy(JSON.parse(value));
+  } catch (e) {
+    log.warn('ignoring invalid session policy', { source, reason: e.message });
+    return null;
   }
-
-  console.log('FINISHED uniqueSession ACTION');
-  return;
 }
 
-// This function retrieves an access token using the client credentials grant type.
-async function getAccessToken() {
-  const response = await fetch(`https://${process.env.ZITADEL_DOMAIN}/oauth/v2/token`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/x-www-form-urlencoded',
-    },
-    body: `grant_type=client_credentials&client_id=${process.env.CLIENT_ID}&client_secret=${process.env.CLIENT_SECRET}&scope=openid%20urn:zitadel:iam:org:project:id:zitadel:aud`,
-  });
+async function loadSessionPolicy(userId) {
+  const userValue = await getUserMetadataValue(userId, POLICY_METADATA_KEY);
+  const fromUser = userValue && parsePolicyValue(userValue, `user ${userId}`);
+  if (fromUser) return { policy: fromUser, orgId: null };
+
+  const orgId = (await getUser(userId)).details?.resourceOwner || null;
 
-  if (!response.ok) {
-    throw new Error(`Failed to get access token: ${response.status}`);
+  if (orgId) {
+    const orgEntry = (await listOrganizationMetadata(orgId)).find(m => m.key === POLICY_METADATA_KEY);
+    const fromOrg = orgEntry && parsePolicyValue(decodeMetadataValue(orgEntry.value), `org ${orgId}`);
+    if (fromOrg) return { policy: fromOrg, orgId };
   }
 
-  const data = await response.json();
-  return data.access_token;
+  if (process.env.SESSION_POLICY) {
+    const fromEnv = parsePolicyValue(process.env.SESSION_POLICY, 'SESSION_POLICY');
+    if (fromEnv) return { policy: fromEnv, orgId };
+  }
+  return { policy: DEFAULT_POLICY, orgId };
 }
 
+async function resolveSessionPolicy(userId) {
+  const cached = policyCache.get(userId);
+  if (cached && cached.expiresAt > Date.now()) return cached.policy;
+
+  const { policy, orgId } = await loadSessionPolicy(userId);
+  const ttlMs = getTtlMs();
+  if (ttlMs > 0) policyCache.set(userId, { policy, orgId, expiresAt: Date.now() + ttlMs });
+  return policy;
+}
 
-async function keepLatestSessionOnly(userId, actionName) {
-  const accessToken = process.env.ACCESS_TOKEN;
+/**
+ * Drops cached session policies, e.g. when an org metadata event arrives.
+ * @param {string} [orgId] - Omit to clear every user
+ */
+function invalidateSessionPolicies(orgId) {
+  if (!orgId) {
+    policyCache.clear();
+    return;
+  }
+  for (const [userId, entry] of policyCache) {
+    if (entry.orgId === orgId) policyCache.delete(userId);
+  }
+}
 
-  const listResp = await fetch(`https://${process.env.ZITADEL_DOMAIN}/v2/sessions/search`, {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${accessToken}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
+// All sessions of a user, newest first.
+async function listUserSessions(userId) {
+  const sessions = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const page = await searchSessions({
+      query: { offset: String(offset), limit: PAGE_SIZE, asc: false },
       queries: [
         {
           userIdQuery: {
@@ -51,36 +131,113 @@ async function keepLatestSessionOnly(userId, actionName) {
           },
         },
       ],
-      sortingColumn: 'CREATION_DATE',
-      asc: false,
-    }),
-  });
+      sortingColumn: 'SESSION_FIELD_NAME_CREATION_DATE',
+    });
+    sessions.push(...page.sessions);
+    if (page.sessions.length < PAGE_SIZE) break;
+  }
+  return sessions.sort((a, b) => String(b.creationDate || '').localeCompare(String(a.creationDate || '')));
+}
 
-  if (!listResp.ok) {
-    const errorBody = await listResp.text();
-    throw new Error(`${actionName}: Failed to list sessions: ${listResp.status}, ${errorBody}`);
+function sessionTypes(session) {
+  return Object.keys(session.factors || {}).filter(f => session.factors[f]?.verifiedAt);
+}
+
+function userAgentKey(session) {
+  const ua = session.userAgent || {};
+  return ua.fingerprintId || ua.description || 'unknown';
+}
+
+/**
+ * Splits a user's sessions (newest first) into the ones to keep and delete.
+ * Sessions with a keepSessionTypes factor are kept without taking one of the
+ * maxSessions slots.
+ * @returns {{ keep: Object[], remove: Object[] }}
+ */
+function selectSessionsToDelete(sessions, policy) {
+  const keep = [];
+  const remove = [];
+  const counts = new Map();
+
+  for (const session of sessions) {
+    if (sessionTypes(session).some(t => policy.keepSessionTypes.includes(t))) {
+      keep.push(session);
+      continue;
+    }
+    const bucket = policy.perUserAgent ? userAgentKey(session) : '*';
+    const count = counts.get(bucket) || 0;
+    if (count < policy.maxSessions) {
+      counts.set(bucket, count + 1);
+      keep.push(session);
+    } else {
+      remove.push(session);
+    }
   }
+  return { keep, remove };
+}
 
-  const sessions = await listResp.json() || [];
-  console.log(sessions);
-  if (sessions.sessions.length <= 1) {
-    console.log(`${actionName}: Only one session active, nothing to delete.`);
-    return;
+/**
+ * @typedef {Object} SessionCleanupResult
+ * @property {string[]} kept
+ * @property {string[]} deleted
+ * @property {Array<{ id: string, error: string }>} failed
+ */
+
+/**
+ * Applies the user's session policy, deleting surplus sessions.
+ * @param {string} userId
+ * @param {string} actionName - Used as error message prefix
+ * @returns {Promise<SessionCleanupResult>}
+ */
+async function enforceSessionPolicy(userId, actionName) {
+  const policy = await resolveSessionPolicy(userId);
+  const sessions = await listUserSessions(userId).catch(error => {
+    // Keep upstream and status so the route can still fail open or closed
+    const err = new Error(`${actionName}: Failed to list sessions: ${error.message}`, { cause: error });
+    if (error.upstream) err.upstream = error.upstream;
+    if (error.status) err.status = error.status;
+    throw err;
+  });
+
+  const { keep, remove } = selectSessionsToDelete(sessions, policy);
+  const result = { kept: keep.map(s => s.id), deleted: [], failed: [] };
+
+  if (remove.length === 0) {
+    log.info('sessions within policy, nothing to delete', { userId, sessions: sessions.length });
+    return result;
   }
 
-  const latest = sessions.sessions[0];
-  const toDelete = sessions.sessions.slice(1);
+  log.info('deleting surplus sessions', { userId, keep: keep.length, remove: remove.length });
+
+  const outcomes = await Promise.allSettled(remove.map(session => deleteSession(session.id)));
+  outcomes.forEach((outcome, idx) => {
+    const id = remove[idx].id;
+    if (outcome.status === 'fulfilled') {
+      result.deleted.push(id);
+    } else {
+      result.failed.push({ id, error: outcome.reason?.message || String(outcome.reason) });
+    }
+  });
+
+  sessionCleanup.inc({ result: 'deleted' }, result.deleted.length);
+  sessionCleanup.inc({ result: 'failed' }, result.failed.length);
 
-  console.log(`${actionName}: Keeping session ${latest.id}, deleting ${toDelete.length} older sessions.`);
+  if (result.failed.length > 0) {
+    log.error('failed to delete sessions', { userId, failed: result.failed });
+  }
+  return result;
+}
 
-  await Promise.all(toDelete.map(session =>
-    fetch(`https://${process.env.ZITADEL_DOMAIN}/v2/sessions/${session.id}`, {
-      method: 'DELETE',
-      headers: {
-        Authorization: `Bearer ${accessToken}`,
-      },
-    })
-  ));
+// This is a ZITADEL action that enforces the concurrent-session policy for a user.
+async function uniqueSession(userId) {
+  return enforceSessionPolicy(userId, 'uniqueSession');
 }
 
-module.exports = { uniqueSession };
+module.exports = {
+  uniqueSession,
+  enforceSessionPolicy,
+  selectSessionsToDelete,
+  parseSessionPolicy,
+  invalidateSessionPolicies,
+  SESSION_TYPES,
+};
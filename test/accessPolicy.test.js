@@ -0,0 +1,174 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { evaluateAccessPolicy, parseAccessPolicy, resetAccessPolicy } = require('../accessPolicy');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'access-policy-'));
+const file = path.join(dir, 'policy.json');
+let version = 0;
+
+// Each write gets a new mtime so the reload is never missed
+function writePolicy(doc) {
+  fs.writeFileSync(file, typeof doc === 'string' ? doc : JSON.stringify(doc));
+  const t = new Date(Date.parse('2026-01-01T00:00:00Z') + ++version * 1000);
+  fs.utimesSync(file, t, t);
+}
+
+function payload({ roles = [], groups } = {}) {
+  return {
+    user: { id: 'u1' },
+    org: { id: 'org-1' },
+    user_grants: [{ projectId: 'project-1', roles }],
+    user_metadata: groups ? [{ key: 'okta_groups', value: Buffer.from(JSON.stringify(groups)).toString('base64') }] : [],
+  };
+}
+
+// Monday 2026-01-05, as UTC instants
+const at = time => new Date(`2026-01-05T${time}:00Z`);
+
+before(() => {
+  process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+  process.env.ACCESS_POLICY_FILE = file;
+  delete process.env.ACCESS_POLICY_DRY_RUN;
+});
+
+after(() => {
+  delete process.env.ACCESS_POLICY_FILE;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+beforeEach(() => resetAccessPolicy());
+
+describe('access policy rules', () => {
+  it('allows when no rule matches', () => {
+    writePolicy({ rules: [{ effect: 'deny', when: { roles: ['contractor'] } }] });
+    assert.deepEqual(evaluateAccessPolicy('preuserinfo', payload({ roles: ['member'] })), { allowed: true, rule: null, dryRun: false });
+  });
+
+  it('lets the first matching rule decide', () => {
+    writePolicy({
+      rules: [
+        { name: 'admins', effect: 'allow', when: { roles: ['admin'] } },
+        { name: 'contractors', effect: 'deny', when: { metadata: { okta_groups: ['contractors'] } }, statusCode: 401, message: 'No.' },
+      ],
+    });
+    const admin = evaluateAccessPolicy('preuserinfo', payload({ roles: ['admin'], groups: ['contractors'] }));
+    assert.deepEqual(admin, { allowed: true, rule: 'admins', dryRun: false });
+
+    const contractor = evaluateAccessPolicy('preuserinfo', payload({ groups: ['staff', 'contractors'] }));
+    assert.equal(contractor.allowed, false);
+    assert.equal(contractor.rule, 'contractors');
+    assert.deepEqual(contractor.error, { forwardedStatusCode: 401, forwardedErrorMessage: 'No.' });
+  });
+
+  it('puts a deny ahead of a later allow', () => {
+    writePolicy({
+      rules: [
+        { name: 'deny-all', effect: 'deny', when: {} },
+        { name: 'admins', effect: 'allow', when: { roles: ['admin'] } },
+      ],
+    });
+    const decision = evaluateAccessPolicy('preuserinfo', payload({ roles: ['admin'] }));
+    assert.equal(decision.allowed, false);
+    assert.equal(decision.error.forwardedStatusCode, 403);
+  });
+
+  it('applies rules only to their hooks', () => {
+    writePolicy({ rules: [{ effect: 'deny', hooks: ['preaccesstoken'], when: {} }] });
+    assert.equal(evaluateAccessPolicy('preuserinfo', payload()).allowed, true);
+    assert.equal(evaluateAccessPolicy('preaccesstoken', payload()).allowed, false);
+  });
+});
+
+describe('access policy time windows', () => {
+  it('matches a window that crosses midnight', () => {
+    writePolicy({ rules: [{ name: 'night', effect: 'deny', when: { time: { from: '22:00', to: '06:00' } } }] });
+    for (const [time, allowed] of [['21:59', true], ['22:00', false], ['23:30', false], ['00:00', false], ['05:59', false], ['06:00', true], ['12:00', true]]) {
+      assert.equal(evaluateAccessPolicy('preuserinfo', payload(), at(time)).allowed, allowed, time);
+    }
+  });
+
+  it('matches a window within the day', () => {
+    writePolicy({ rules: [{ effect: 'deny', when: { time: { from: '09:00', to: '17:00' } } }] });
+    assert.equal(evaluateAccessPolicy('preuserinfo', payload(), at('08:59')).allowed, true);
+    assert.equal(evaluateAccessPolicy('preuserinfo', payload(), at('09:00')).allowed, false);
+    assert.equal(evaluateAccessPolicy('preuserinfo', payload(), at('17:00')).allowed, true);
+  });
+
+  it('reads the clock and the weekday in the rule\'s timezone', () => {
+    writePolicy({
+      rules: [{ effect: 'deny', when: { time: { days: ['tue'], from: '00:00', to: '02:00', timezone: 'Asia/Tokyo' } } }],
+    });
+    // Monday 16:30 UTC is Tuesday 01:30 in Tokyo
+    assert.equal(evaluateAccessPolicy('preuserinfo', payload(), at('16:30')).allowed, false);
+    // Monday 01:30 UTC is Monday 10:30 in Tokyo
+    assert.equal(evaluateAccessPolicy('preuserinfo', payload(), at('01:30')).allowed, true);
+  });
+
+  it('rejects an unknown timezone when the file is parsed', () => {
+    assert.throws(
+      () => parseAccessPolicy({ rules: [{ name: 'r', effect: 'deny', when: { time: { timezone: 'Europe/Atlantis' } } }] }),
+      /rules\[0\] \(r\): unknown timezone "Europe\/Atlantis"/
+    );
+  });
+
+  it('rejects malformed times and days', () => {
+    assert.throws(() => parseAccessPolicy({ rules: [{ effect: 'deny', when: { time: { from: '25:00', to: '06:00' } } }] }), /HH:MM/);
+    assert.throws(() => parseAccessPolicy({ rules: [{ effect: 'deny', when: { time: { from: '22:00' } } }] }), /both "from" and "to"/);
+    assert.throws(() => parseAccessPolicy({ rules: [{ effect: 'deny', when: { time: { days: ['monday'] } } }] }), /unknown day/);
+  });
+});
+
+describe('access policy dry run', () => {
+  const denyAll = extra => ({ rules: [{ name: 'deny-all', effect: 'deny', when: {}, ...extra }] });
+
+  it('only logs denials in dryRun mode', () => {
+    writePolicy({ mode: 'dryRun', ...denyAll() });
+    assert.deepEqual(evaluateAccessPolicy('preuserinfo', payload()), { allowed: true, rule: 'deny-all', dryRun: true });
+  });
+
+  it('only logs denials of a rule with dryRun: true', () => {
+    writePolicy(denyAll({ dryRun: true }));
+    assert.equal(evaluateAccessPolicy('preuserinfo', payload()).dryRun, true);
+  });
+
+  it('only logs denials with ACCESS_POLICY_DRY_RUN=true', () => {
+    writePolicy(denyAll());
+    process.env.ACCESS_POLICY_DRY_RUN = 'true';
+    try {
+      assert.equal(evaluateAccessPolicy('preuserinfo', payload()).allowed, true);
+    } finally {
+      delete process.env.ACCESS_POLICY_DRY_RUN;
+    }
+    assert.equal(evaluateAccessPolicy('preuserinfo', payload()).allowed, false);
+  });
+});
+
+describe('access policy reload', () => {
+  it('picks up a changed file', () => {
+    writePolicy({ rules: [] });
+    assert.equal(evaluateAccessPolicy('preuserinfo', payload()).allowed, true);
+    writePolicy({ rules: [{ effect: 'deny', when: {} }] });
+    assert.equal(evaluateAccessPolicy('preuserinfo', payload()).allowed, false);
+  });
+
+  it('keeps the last good policy when a change does not parse', () => {
+    writePolicy({ rules: [{ name: 'deny-all', effect: 'deny', when: {} }] });
+    assert.equal(evaluateAccessPolicy('preuserinfo', payload()).allowed, false);
+
+    writePolicy({ rules: [{ effect: 'deny', when: { time: { timezone: 'Nowhere/Else' } } }] });
+    assert.equal(evaluateAccessPolicy('preuserinfo', payload()).rule, 'deny-all');
+    writePolicy('{ not json');
+    assert.equal(evaluateAccessPolicy('preuserinfo', payload()).rule, 'deny-all');
+
+    writePolicy({ rules: [] });
+    assert.equal(evaluateAccessPolicy('preuserinfo', payload()).allowed, true);
+  });
+
+  it('throws when no valid policy was ever loaded', () => {
+    writePolicy({ rules: 'none' });
+    assert.throws(() => evaluateAccessPolicy('preuserinfo', payload()), /"rules" must be an array/);
+  });
+});
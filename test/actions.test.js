@@ -0,0 +1,867 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeZitadel } = require('./fakeZitadel');
+
+// ---------------------------------------------------------------------------
+// End-to-end tests: signed requests against every /action/* route of
+// server.js, with ZITADEL replaced by the in-process stand-in.
+// ---------------------------------------------------------------------------
+
+const SIGNING_KEY = 'test-signing-key';
+const ORG_ID = 'org-1';
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'action-targets-'));
+const COOKIE_SECRET = 'legacy-cookie-secret';
+
+// Key of the upstream IdP whose bearer tokens /auth/start accepts
+const upstreamKey = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+fs.writeFileSync(path.join(dataDir, 'upstream-jwks.json'), JSON.stringify({
+  keys: [{ ...upstreamKey.publicKey.export({ format: 'jwk' }), kid: 'upstream-1', alg: 'ES256' }],
+}));
+
+// Set before the app is loaded; dotenv never overrides these.
+Object.assign(process.env, {
+  ZITADEL_DOMAIN: 'zitadel.test',
+  CLIENT_ID: 'actions-client',
+  CLIENT_SECRET: 'actions-secret',
+  ZITADEL_ORG_ID: ORG_ID,
+  LEGACY_DIRECTORY: 'memory',
+  EVENT_QUEUE_DIR: path.join(dataDir, 'queue'),
+  EVENT_QUEUE_BACKOFF_BASE_MS: '1',
+  EVENT_QUEUE_BACKOFF_MAX_MS: '1',
+  EVENT_QUEUE_MAX_ATTEMPTS: '3',
+  UPSTREAM_RETRY_BASE_MS: '1',
+  ORG_PERMISSIONS_CACHE_TTL_SECONDS: '0',
+  PROJECT_ID: 'project-1',
+  ROLE_KEYS: 'member, viewer',
+  ADMIN_API_TOKEN: 'admin-token',
+  READINESS_CACHE_SECONDS: '0',
+  JWT_IDP_ISSUER: 'https://actions.test',
+  JWT_IDP_AUDIENCE: 'https://zitadel.test',
+  JWT_IDP_USER_HEADER: 'x-forwarded-user',
+  JWT_IDP_EMAIL_HEADER: 'x-forwarded-email',
+  JWT_IDP_KEYS_FILE: path.join(dataDir, 'jwt-keys.json'),
+  JWT_IDP_RESOLVERS: 'header,cookie,bearer,form',
+  JWT_IDP_COOKIE_NAME: 'legacy_session',
+  JWT_IDP_COOKIE_SECRET: COOKIE_SECRET,
+  JWT_IDP_BEARER_JWKS_FILE: path.join(dataDir, 'upstream-jwks.json'),
+  JWT_IDP_BEARER_ISSUER: 'https://legacy.test',
+  LOG_LEVEL: process.env.LOG_LEVEL || 'warn',
+});
+for (const name of ['ACCESS_TOKEN', 'ZITADEL_SERVICE_ACCOUNT_KEY', 'ZITADEL_SERVICE_ACCOUNT_KEY_FILE',
+  'CLAIM_RULES_FILE', 'IDP_PROFILES_FILE', 'ACCESS_POLICY_FILE', 'SESSION_POLICY', 'ROLE_ASSIGNMENTS', 'ROLE_REVOKE_ON_DEACTIVATION']) {
+  delete process.env[name];
+}
+
+const { ACTIONS } = require('../actionRegistry');
+for (const action of ACTIONS) process.env[action.signingKeyEnv] = SIGNING_KEY;
+
+const { app } = require('../server');
+const { computeSignature } = require('../zitadelSignature');
+const { getEventQueue } = require('../eventQueue');
+const { clearTokenCache, getUser } = require('../zitadelClient');
+const { resetCircuits } = require('../upstream');
+const { getKeyStore } = require('../jwtKeys');
+const { PayloadInspector, getPayloadInspector } = require('../payloadInspector');
+const { sign: signCookie } = require('../identityResolvers/cookie');
+const { LEGACY_DB } = require('../legacyDirectory/memory');
+const { main: replayAction, listFixtures, loadFixture, signPayload } = require('../cli/replayAction');
+
+const zitadel = createFakeZitadel({ clientId: 'actions-client', clientSecret: 'actions-secret' });
+let baseUrl;
+let server;
+let clock = 0;
+
+// Every call gets its own timestamp so the replay check never trips.
+async function callAction(actionPath, body, { key = SIGNING_KEY, timestamp } = {}) {
+  const raw = JSON.stringify(body);
+  const t = timestamp ?? Math.floor(Date.now() / 1000) - (clock++ % 200);
+  const res = await fetch(`${baseUrl}${actionPath}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'zitadel-signature': `t=${t},v1=${computeSignature(key, t, raw)}`,
+    },
+    body: raw,
+  });
+  const isJson = (res.headers.get('content-type') || '').includes('application/json');
+  return { status: res.status, body: isJson ? await res.json() : await res.text() };
+}
+
+function b64(value) {
+  return Buffer.from(value).toString('base64');
+}
+
+before(async () => {
+  process.env.ZITADEL_API_URL = await zitadel.start();
+  await new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  getEventQueue().close();
+  await new Promise((resolve) => server.close(resolve));
+  await zitadel.stop();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  zitadel.reset();
+  clearTokenCache();
+  resetCircuits();
+});
+
+describe('signature validation', () => {
+  it('rejects a request signed with the wrong key', async () => {
+    const { status } = await callAction('/action/test', { response: {} }, { key: 'wrong' });
+    assert.equal(status, 400);
+  });
+
+  it('rejects a replayed signature', async () => {
+    const t = Math.floor(Date.now() / 1000);
+    const body = { response: { replay: true } };
+    assert.equal((await callAction('/action/test', body, { timestamp: t })).status, 200);
+    assert.notEqual((await callAction('/action/test', body, { timestamp: t })).status, 200);
+  });
+});
+
+describe('/action/test and /action/testv2', () => {
+  it('echo the response object', async () => {
+    for (const route of ['/action/test', '/action/testv2']) {
+      const { status, body } = await callAction(route, { response: { hello: 'world' } });
+      assert.equal(status, 200);
+      assert.deepEqual(body, { hello: 'world' });
+    }
+  });
+
+  it('answer 400 without a response object', async () => {
+    assert.equal((await callAction('/action/test', {})).status, 400);
+  });
+});
+
+describe('/action/testClaims', () => {
+  it('forwards a 403 error', async () => {
+    const { body } = await callAction('/action/testClaims', {});
+    assert.equal(body.forwardedStatusCode, 403);
+  });
+});
+
+describe('/action/preuserinfo', () => {
+  it('copies okta_* user and org metadata into claims', async () => {
+    const { status, body } = await callAction('/action/preuserinfo', {
+      user: { id: 'u1' },
+      user_metadata: [
+        { key: 'okta_groups', value: b64('["admins"]') },
+        { key: 'unrelated', value: b64('x') },
+      ],
+      org: { id: ORG_ID, metadata: [{ key: 'okta_tenant', value: b64('acme') }] },
+    });
+    assert.equal(status, 200);
+    assert.deepEqual(body.append_claims, [
+      { key: 'okta_tenant', value: 'acme' },
+      { key: 'okta_groups', value: '["admins"]' },
+    ]);
+  });
+
+  it('denies the login when the access policy cannot be loaded', async () => {
+    const file = path.join(dataDir, 'broken-policy.json');
+    fs.writeFileSync(file, JSON.stringify({ rules: [{ effect: 'deny', when: { time: { timezone: 'Mars/Olympus' } } }] }));
+    process.env.ACCESS_POLICY_FILE = file;
+    try {
+      const { status, body } = await callAction('/action/preuserinfo', { user: { id: 'u1' } });
+      assert.equal(status, 200);
+      assert.equal(body.forwardedStatusCode, 503);
+    } finally {
+      delete process.env.ACCESS_POLICY_FILE;
+    }
+  });
+});
+
+describe('/action/authorization', () => {
+  it('maps grant roles to permissions from org metadata', async () => {
+    zitadel.setOrgMetadata(ORG_ID, {
+      admin: { permissions: ['invoices:write'], includes: ['viewer'] },
+      viewer: ['invoices:read'],
+    });
+    const { body } = await callAction('/action/authorization', {
+      user: { id: 'u1' },
+      org: { id: ORG_ID },
+      user_grants: [{ projectId: 'project-1', roles: ['admin'] }],
+    });
+    assert.deepEqual(body.append_claims, [{ key: 'permissions', value: ['invoices:write', 'invoices:read'] }]);
+  });
+
+  it('retries a failed read', async () => {
+    zitadel.setOrgMetadata(ORG_ID, { viewer: ['invoices:read'] });
+    zitadel.failNext('POST', 'ListOrganizationMetadata', 503);
+    const { body } = await callAction('/action/authorization', {
+      org: { id: ORG_ID },
+      user_grants: [{ projectId: 'project-1', roles: ['viewer'] }],
+    });
+    assert.deepEqual(body.append_claims, [{ key: 'permissions', value: ['invoices:read'] }]);
+  });
+
+  it('answers empty claims when ZITADEL fails', async () => {
+    zitadel.failNext('POST', 'ListOrganizationMetadata', 500);
+    const { status, body } = await callAction('/action/authorization', {
+      org: { id: 'org-unreachable' },
+      user_grants: [{ roles: ['admin'] }],
+    });
+    assert.equal(status, 200);
+    assert.deepEqual(body, { append_claims: [] });
+  });
+});
+
+describe('role permission admin API', () => {
+  const mappingsUrl = () => `${baseUrl}/admin/orgs/${ORG_ID}/role-permissions`;
+
+  async function admin(url, { method = 'GET', body } = {}) {
+    const res = await fetch(url, {
+      method,
+      headers: { Authorization: 'Bearer admin-token', 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: res.status, body: res.status === 204 ? null : await res.json() };
+  }
+
+  beforeEach(() => {
+    zitadel.addProjectRoles('project-1', ['admin', 'viewer']);
+  });
+
+  it('creates, updates and deletes mappings the authorization action uses', async () => {
+    zitadel.setOrgMetadata(ORG_ID, { viewer: ['invoices:read'], session_policy: { maxSessions: 1 } });
+
+    const created = await admin(mappingsUrl(), { method: 'POST', body: { role: 'admin', permissions: ['invoices:write'], includes: ['viewer'] } });
+    assert.equal(created.status, 201);
+    assert.deepEqual(created.body, { role: 'admin', permissions: ['invoices:write'], includes: ['viewer'], projects: null });
+
+    const { body: list } = await admin(mappingsUrl());
+    assert.deepEqual(list.mappings.map(m => m.role), ['viewer', 'admin']);
+
+    const updated = await admin(`${mappingsUrl()}/admin`, { method: 'PUT', body: ['invoices:*'] });
+    assert.equal(updated.status, 200);
+    const { body } = await callAction('/action/authorization', {
+      org: { id: ORG_ID },
+      user_grants: [{ projectId: 'project-1', roles: ['admin'] }],
+    });
+    assert.deepEqual(body.append_claims, [{ key: 'permissions', value: ['invoices:*', 'invoices:read'] }]);
+
+    assert.equal((await admin(`${mappingsUrl()}/admin`, { method: 'DELETE' })).status, 204);
+    assert.equal((await admin(`${mappingsUrl()}/admin`)).status, 404);
+  });
+
+  it('rejects invalid mappings with details', async () => {
+    zitadel.setOrgMetadata(ORG_ID, { viewer: ['invoices:read'] });
+
+    const invalid = await admin(mappingsUrl(), { method: 'POST', body: { role: 'auditor', permissions: ['in voices'], includes: ['ghost'] } });
+    assert.equal(invalid.status, 422);
+    assert.match(invalid.body.details.join('\n'), /invalid permission "in voices"/);
+
+    const unknownRole = await admin(mappingsUrl(), { method: 'POST', body: { role: 'auditor', permissions: ['a:read'], includes: ['ghost'] } });
+    assert.equal(unknownRole.status, 422);
+    assert.deepEqual(unknownRole.body.details, [
+      '"auditor" is not a role of project project-1',
+      'included role "ghost" is neither a role of project project-1 nor mapped',
+    ]);
+
+    assert.equal((await admin(mappingsUrl(), { method: 'POST', body: { role: 'viewer', permissions: ['a:read'] } })).status, 409);
+    assert.equal((await admin(`${mappingsUrl()}/admin`, { method: 'PUT', body: ['a:read'] })).status, 404);
+    assert.equal((await admin(mappingsUrl(), { method: 'POST', body: { role: 'default_roles', permissions: ['a:read'] } })).status, 422);
+  });
+
+  it('previews the permissions claim of a user without saving', async () => {
+    const user = zitadel.addUser({ username: 'previewed' });
+    zitadel.addAuthorization({ userId: user.userId, projectId: 'project-1', organizationId: ORG_ID, roleKeys: ['admin'] });
+    zitadel.addAuthorization({ userId: user.userId, projectId: 'project-1', organizationId: 'org-other', roleKeys: ['viewer'] });
+    zitadel.setOrgMetadata(ORG_ID, { admin: ['invoices:write'], viewer: ['invoices:read'] });
+
+    const { status, body } = await admin(`${mappingsUrl()}/preview`, {
+      method: 'POST',
+      body: { userId: user.userId, changes: { admin: { permissions: ['reports:read'], includes: ['viewer'] } } },
+    });
+    assert.equal(status, 200);
+    assert.deepEqual(body.grants, [{ projectId: 'project-1', roles: ['admin'] }]);
+    assert.deepEqual(body.current, { roles: ['admin'], permissions: ['invoices:write'] });
+    assert.deepEqual(body.proposed, { roles: ['admin', 'viewer'], permissions: ['reports:read', 'invoices:read'] });
+    assert.deepEqual(body.added, ['reports:read', 'invoices:read']);
+    assert.deepEqual(body.removed, ['invoices:write']);
+
+    assert.deepEqual((await admin(`${mappingsUrl()}/admin`)).body.permissions, ['invoices:write']);
+  });
+
+  it('answers 502 when ZITADEL fails', async () => {
+    zitadel.failNext('POST', 'ListOrganizationMetadata', 500, 3);
+    assert.equal((await admin(mappingsUrl())).status, 502);
+  });
+});
+
+describe('/action/org-metadata-changed', () => {
+  it('acknowledges the event', async () => {
+    const { status } = await callAction('/action/org-metadata-changed', { aggregateID: ORG_ID, event_type: 'org.metadata.set' });
+    assert.equal(status, 200);
+  });
+
+  it('answers 400 without an org id', async () => {
+    assert.equal((await callAction('/action/org-metadata-changed', {})).status, 400);
+  });
+});
+
+describe('/action/external-post-auth', () => {
+  it('maps Okta attributes onto addHumanUser', async () => {
+    const { body } = await callAction('/action/external-post-auth', {
+      response: {
+        idpInformation: {
+          idpId: 'okta',
+          rawInformation: { given_name: 'Ada', family_name: 'Lovelace', email: 'ada@example.com', groups: ['eng'] },
+        },
+        addHumanUser: {},
+      },
+    });
+    assert.equal(body.addHumanUser.profile.givenName, 'Ada');
+    assert.equal(body.addHumanUser.email.email, 'ada@example.com');
+    const meta = Object.fromEntries(body.addHumanUser.metadata.map(m => [m.key, Buffer.from(m.value, 'base64').toString()]));
+    assert.equal(meta.okta_authentication_type, 'SSO:OKTA:OIDC');
+    assert.equal(meta.okta_groups, '["eng"]');
+  });
+});
+
+describe('/action/uniqueSession', () => {
+  it('keeps only the newest session', async () => {
+    const user = zitadel.addUser({ username: 'sessions' });
+    zitadel.addSession({ sessionId: 'old', userId: user.userId, creationDate: '2024-01-01T00:00:00Z' });
+    zitadel.addSession({ sessionId: 'new', userId: user.userId, creationDate: '2024-01-02T00:00:00Z' });
+
+    const { status, body } = await callAction('/action/uniqueSession', { userID: user.userId });
+    assert.equal(status, 200);
+    assert.deepEqual(body.kept, ['new']);
+    assert.deepEqual(body.deleted, ['old']);
+    assert.deepEqual(Array.from(zitadel.state.sessions.keys()), ['new']);
+  });
+
+  it('answers 500 when a session cannot be deleted', async () => {
+    const user = zitadel.addUser({ username: 'stuck' });
+    zitadel.addSession({ sessionId: 'a', userId: user.userId, creationDate: '2024-01-01T00:00:00Z' });
+    zitadel.addSession({ sessionId: 'b', userId: user.userId, creationDate: '2024-01-02T00:00:00Z' });
+    zitadel.failNext('DELETE', '/v2/sessions/a', 503);
+
+    const { status, body } = await callAction('/action/uniqueSession', { userID: user.userId });
+    assert.equal(status, 500);
+    assert.equal(body.failed[0].id, 'a');
+  });
+
+  it('fails open when ZITADEL cannot list the sessions', async () => {
+    const user = zitadel.addUser({ username: 'unreachable' });
+    zitadel.addSession({ sessionId: 'a', userId: user.userId, creationDate: '2024-01-01T00:00:00Z' });
+    zitadel.failNext('POST', '/v2/sessions/search', 503, 3);
+
+    const { status, body } = await callAction('/action/uniqueSession', { userID: user.userId });
+    assert.equal(status, 200);
+    assert.deepEqual(body, {});
+    assert.deepEqual(Array.from(zitadel.state.sessions.keys()), ['a']);
+  });
+});
+
+describe('trickle migration', () => {
+  const [loginName, legacy] = Object.entries(LEGACY_DB)[0];
+  const LEGACY_PASSWORD = 'Password1!'; // the demo user's; LEGACY_DB stores its hash
+
+  it('/action/list-users creates the legacy user in ZITADEL', async () => {
+    const { body } = await callAction('/action/list-users', {
+      userID: 'zitadel-cloud-login',
+      request: { queries: [{ loginNameQuery: { loginName } }] },
+      response: { details: { totalResult: '0' }, result: [] },
+    });
+    assert.equal(body.details.totalResult, '1');
+    assert.equal(body.result[0].userId, legacy.userId);
+    assert.equal(zitadel.getUserMetadata(legacy.userId).migratedFromLegacy, 'migrating');
+  });
+
+  it('/action/list-users leaves other callers alone', async () => {
+    const response = { details: { totalResult: '0' }, result: [] };
+    const { body } = await callAction('/action/list-users', { userID: 'someone', response });
+    assert.deepEqual(body, response);
+    assert.equal(zitadel.state.users.size, 0);
+  });
+
+  it('/action/set-session migrates the password on first login', async () => {
+    zitadel.addUser({ userId: legacy.userId, username: legacy.username, metadata: { migratedFromLegacy: 'migrating' } });
+    zitadel.addSession({ sessionId: 's1', userId: legacy.userId, loginName });
+
+    const response = { details: {} };
+    const { body } = await callAction('/action/set-session', {
+      request: { sessionId: 's1', checks: { password: { password: LEGACY_PASSWORD } } },
+      response,
+    });
+    assert.deepEqual(body, response);
+    assert.equal(zitadel.state.users.get(legacy.userId).password, LEGACY_PASSWORD);
+    assert.equal(zitadel.getUserMetadata(legacy.userId).migratedFromLegacy, 'true');
+  });
+
+  it('/action/set-session forwards a 400 for a wrong password', async () => {
+    zitadel.addUser({ userId: legacy.userId, username: legacy.username, metadata: { migratedFromLegacy: 'migrating' } });
+    zitadel.addSession({ sessionId: 's2', userId: legacy.userId, loginName });
+
+    const { body } = await callAction('/action/set-session', {
+      request: { sessionId: 's2', checks: { password: { password: 'wrong' } } },
+    });
+    assert.equal(body.forwardedStatusCode, 400);
+    assert.equal(zitadel.getUserMetadata(legacy.userId).migratedFromLegacy, 'migrating');
+  });
+
+  it('/action/list-users fails open when ZITADEL cannot create the user', async () => {
+    zitadel.failNext('POST', '/v2/users/new', 503);
+    const response = { details: { totalResult: '0' }, result: [] };
+    const { body } = await callAction('/action/list-users', {
+      userID: 'zitadel-cloud-login',
+      request: { queries: [{ loginNameQuery: { loginName } }] },
+      response,
+    });
+    assert.deepEqual(body, response);
+    // Creating a user is not retried
+    assert.equal(zitadel.state.requests.filter(r => r.path === '/v2/users/new').length, 1);
+  });
+
+  it('/action/set-session fails closed while ZITADEL is unavailable', async () => {
+    zitadel.failNext('GET', '/v2/sessions/', 503, 3);
+    const { status } = await callAction('/action/set-session', {
+      request: { sessionId: 's3', checks: { password: { password: LEGACY_PASSWORD } } },
+      response: {},
+    });
+    assert.equal(status, 503);
+  });
+
+  it('/action/set-password marks the user as migrated', async () => {
+    const user = zitadel.addUser({ username: 'pw', metadata: { migratedFromLegacy: 'migrating' } });
+    const { status } = await callAction('/action/set-password', { request: { userId: user.userId }, response: {} });
+    assert.equal(status, 200);
+    assert.equal(zitadel.getUserMetadata(user.userId).migratedFromLegacy, 'true');
+  });
+
+  it('/action/set-password answers 400 without a user id', async () => {
+    assert.equal((await callAction('/action/set-password', { request: {} })).status, 400);
+  });
+
+  it('GET /admin/migration/report reports on ZITADEL_ORG_ID or ?orgId=', async () => {
+    zitadel.addUser({ username: 'stuck-1', metadata: { migratedFromLegacy: 'migrating' } });
+    zitadel.addUser({ username: 'done-1', metadata: { migratedFromLegacy: 'true' } });
+    zitadel.addUser({ username: 'stuck-2', organizationId: 'org-2', metadata: { migratedFromLegacy: 'migrating' } });
+    const auth = { headers: { Authorization: 'Bearer admin-token' } };
+
+    const report = await (await fetch(`${baseUrl}/admin/migration/report`, auth)).json();
+    assert.deepEqual(report.counts, { migrated: 1, migrating: 1, notMigrated: 0, total: 2 });
+
+    const other = await fetch(`${baseUrl}/admin/migration/report?orgId=org-2&format=csv`, auth);
+    assert.equal(other.status, 200);
+    assert.match(other.headers.get('content-type'), /text\/csv/);
+    const rows = (await other.text()).trim().split('\n');
+    assert.equal(rows.length, 2);
+    assert.match(rows[1], /,stuck-2,stuck-2@zitadel\.test,USER_STATE_ACTIVE,/);
+
+    assert.equal((await fetch(`${baseUrl}/admin/migration/report?orgId=`, auth)).status, 400);
+    assert.equal((await fetch(`${baseUrl}/admin/migration/report?orgId=a&orgId=b`, auth)).status, 400);
+  });
+});
+
+describe('queued event actions', () => {
+  let sequence = 100;
+
+  it('/action/internal-post-auth stores the login metadata', async () => {
+    const user = zitadel.addUser({ username: 'internal' });
+    const { body } = await callAction('/action/internal-post-auth', { aggregateID: user.userId, sequence: sequence++ });
+    assert.equal(body.status, 'queued');
+
+    await getEventQueue().tick();
+    assert.equal(zitadel.getUserMetadata(user.userId).okta_authentication_type, 'EMAIL_PASSWORD');
+  });
+
+  it('/action/set-role grants roles once and merges into existing authorizations', async () => {
+    const user = zitadel.addUser({ username: 'roles' });
+    zitadel.addAuthorization({ userId: user.userId, projectId: 'project-1', roleKeys: ['owner'] });
+    const event = { aggregateID: user.userId, resourceOwner: ORG_ID, sequence: sequence++, event_type: 'user.human.added' };
+
+    assert.equal((await callAction('/action/set-role', event)).body.status, 'queued');
+    assert.equal((await callAction('/action/set-role', event)).body.status, 'duplicate');
+    await getEventQueue().tick();
+
+    const [auth] = zitadel.state.authorizations.values();
+    assert.equal(zitadel.state.authorizations.size, 1);
+    assert.deepEqual(auth.roles.map(r => r.key), ['owner', 'member', 'viewer']);
+  });
+
+  it('/action/set-role revokes roles when the user is removed', async () => {
+    const user = zitadel.addUser({ username: 'leaver' });
+    zitadel.addAuthorization({ userId: user.userId, projectId: 'project-1', roleKeys: ['member', 'viewer'] });
+
+    await callAction('/action/set-role', { aggregateID: user.userId, resourceOwner: ORG_ID, sequence: sequence++, event_type: 'user.removed' });
+    await getEventQueue().tick();
+    assert.equal(zitadel.state.authorizations.size, 0);
+  });
+
+  it('/action/set-role revokes the default roles of a deactivated user and grants them on reactivation', async () => {
+    const user = zitadel.addUser({ username: 'on-leave' });
+    zitadel.addAuthorization({ userId: user.userId, projectId: 'project-1', roleKeys: ['member', 'viewer', 'owner'] });
+    const roles = () => [...zitadel.state.authorizations.values()][0].roles.map(r => r.key);
+
+    await callAction('/action/set-role', { aggregateID: user.userId, resourceOwner: ORG_ID, sequence: sequence++, event_type: 'user.deactivated' });
+    await getEventQueue().tick();
+    assert.deepEqual(roles(), ['owner']);
+
+    await callAction('/action/set-role', { aggregateID: user.userId, resourceOwner: ORG_ID, sequence: sequence++, event_type: 'user.reactivated' });
+    await getEventQueue().tick();
+    assert.deepEqual(roles(), ['owner', 'member', 'viewer']);
+  });
+
+  it('/action/set-role keeps the roles of a deactivated user with ROLE_REVOKE_ON_DEACTIVATION=false', async () => {
+    process.env.ROLE_REVOKE_ON_DEACTIVATION = 'false';
+    try {
+      const user = zitadel.addUser({ username: 'kept' });
+      zitadel.addAuthorization({ userId: user.userId, projectId: 'project-1', roleKeys: ['member', 'viewer'] });
+
+      await callAction('/action/set-role', { aggregateID: user.userId, resourceOwner: ORG_ID, sequence: sequence++, event_type: 'user.deactivated' });
+      await getEventQueue().tick();
+      const [auth] = zitadel.state.authorizations.values();
+      assert.deepEqual(auth.roles.map(r => r.key), ['member', 'viewer']);
+    } finally {
+      delete process.env.ROLE_REVOKE_ON_DEACTIVATION;
+    }
+  });
+
+  it('retries failed events and dead-letters them after the last attempt', async () => {
+    const user = zitadel.addUser({ username: 'flaky' });
+    zitadel.failNext('POST', '/metadata/_bulk', 503, 3);
+
+    await callAction('/action/internal-post-auth', { aggregateID: user.userId, sequence: sequence++ });
+    for (let i = 0; i < 3; i++) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      await getEventQueue().tick();
+    }
+    const dead = getEventQueue().listDeadLetters();
+    assert.equal(dead.length, 1);
+    assert.equal(dead[0].attempts, 3);
+
+    const res = await fetch(`${baseUrl}/admin/queue/dead-letters/${dead[0].id}/replay`, {
+      method: 'POST',
+      headers: { Authorization: 'Bearer admin-token' },
+    });
+    assert.equal(res.status, 200);
+    await getEventQueue().tick();
+    assert.equal(getEventQueue().listDeadLetters().length, 0);
+    assert.equal(zitadel.getUserMetadata(user.userId).okta_authentication_type, 'EMAIL_PASSWORD');
+  });
+});
+
+describe('fixture library', () => {
+  for (const { name, action } of listFixtures()) {
+    it(`${name} is accepted by /action/${action}`, async () => {
+      zitadel.addUser({ userId: '284921043817283422', username: 'ada@acme.example', organizationId: '284920598476046462' });
+      const { payload } = loadFixture(name);
+      const route = ACTIONS.find(a => a.name === action).path;
+      const { status } = await callAction(route, payload);
+      assert.equal(status, 200);
+    });
+  }
+
+  it('signs every replay with a new timestamp', async (t) => {
+    t.mock.method(Date, 'now', () => Date.parse('2026-01-01T00:00:00Z'));
+    const first = signPayload(SIGNING_KEY, '{}');
+    const second = signPayload(SIGNING_KEY, '{}');
+    assert.notEqual(first, second);
+    assert.equal(Number(second.match(/^t=(\d+)/)[1]) - Number(first.match(/^t=(\d+)/)[1]), 1);
+  });
+
+  it('replays the same payload repeatedly without tripping the replay check', async (t) => {
+    const output = [];
+    t.mock.method(console, 'log', line => output.push(line));
+    const code = await replayAction(['user-deactivated', '--repeat', '3', '--url', baseUrl, '--key', SIGNING_KEY]);
+    assert.equal(code, 0);
+    assert.equal(output.filter(line => / -> 200 /.test(line)).length, 3);
+  });
+});
+
+describe('ZITADEL API client', () => {
+  it('obtains a token with client credentials and sends it', async () => {
+    const user = zitadel.addUser({ username: 'token', metadata: { migratedFromLegacy: 'migrating' } });
+    await callAction('/action/set-password', { request: { userId: user.userId }, response: {} });
+    assert.ok(zitadel.state.tokens.size >= 1);
+    assert.ok(zitadel.state.requests.some(r => r.path === `/v2/users/${user.userId}/metadata/search`));
+  });
+
+  it('gets a new token and retries once when ZITADEL rejects the cached one', async () => {
+    const user = zitadel.addUser({ username: 'refresh' });
+    await getUser(user.userId);
+    const [first] = zitadel.state.tokens;
+
+    // ZITADEL forgets the token the client still has cached
+    zitadel.state.tokens.clear();
+    assert.equal((await getUser(user.userId)).userId, user.userId);
+    assert.equal(zitadel.state.tokenRequests.length, 2);
+    assert.equal(zitadel.state.tokens.size, 1);
+    assert.ok(!zitadel.state.tokens.has(first));
+    assert.equal(zitadel.state.requests.filter(r => r.path === `/v2/users/${user.userId}`).length, 3);
+
+    // A token that is rejected right after the refresh is not retried again
+    zitadel.failNext('GET', `/v2/users/${user.userId}`, 401, 2);
+    await assert.rejects(getUser(user.userId), { status: 401 });
+    assert.equal(zitadel.state.tokenRequests.length, 3);
+  });
+
+  it('uses the JWT profile grant with a service account key', async () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    process.env.ZITADEL_SERVICE_ACCOUNT_KEY = JSON.stringify({
+      type: 'serviceaccount',
+      keyId: 'key-1',
+      key: privateKey.export({ type: 'pkcs1', format: 'pem' }),
+      userId: 'service-user-1',
+    });
+    clearTokenCache();
+    try {
+      const user = zitadel.addUser({ username: 'jwt-profile' });
+      assert.equal((await getUser(user.userId)).userId, user.userId);
+
+      const [request] = zitadel.state.tokenRequests;
+      assert.equal(request.grant_type, 'urn:ietf:params:oauth:grant-type:jwt-bearer');
+      assert.equal(request.client_secret, undefined);
+      const [header, payload, signature] = request.assertion.split('.');
+      assert.ok(crypto.verify('RSA-SHA256', Buffer.from(`${header}.${payload}`), publicKey, Buffer.from(signature, 'base64url')));
+      assert.deepEqual(JSON.parse(Buffer.from(header, 'base64url')), { alg: 'RS256', kid: 'key-1' });
+      const claims = JSON.parse(Buffer.from(payload, 'base64url'));
+      assert.equal(claims.iss, 'service-user-1');
+      assert.equal(claims.sub, 'service-user-1');
+      assert.equal(claims.aud, 'https://zitadel.test');
+      assert.equal(claims.exp - claims.iat, 300);
+    } finally {
+      delete process.env.ZITADEL_SERVICE_ACCOUNT_KEY;
+      clearTokenCache();
+    }
+  });
+});
+
+describe('/metrics', () => {
+  it('exposes action outcomes and ZITADEL call latency', async () => {
+    await callAction('/action/test', { response: {} }, { key: 'wrong' });
+    const res = await fetch(`${baseUrl}/metrics`);
+    assert.equal(res.status, 200);
+    const text = await res.text();
+    assert.match(text, /actions_requests_total\{action="test",outcome="signature_rejected"\} \d+/);
+    assert.match(text, /actions_request_duration_seconds_bucket\{le="0.005",action="test",outcome="ok"\}/);
+    assert.match(text, /zitadel_api_requests_total\{method="POST",endpoint="\/oauth\/v2\/token",status="200"\}/);
+  });
+
+  it('requires METRICS_TOKEN as a bearer token when it is set', async () => {
+    process.env.METRICS_TOKEN = 'metrics-secret';
+    try {
+      for (const authorization of [undefined, 'Bearer wrong', 'Bearer metrics-secret-longer', 'metrics-secret']) {
+        const res = await fetch(`${baseUrl}/metrics`, { headers: authorization ? { authorization } : {} });
+        assert.equal(res.status, 401, authorization);
+      }
+      const res = await fetch(`${baseUrl}/metrics`, { headers: { authorization: 'Bearer metrics-secret' } });
+      assert.equal(res.status, 200);
+    } finally {
+      delete process.env.METRICS_TOKEN;
+    }
+  });
+});
+
+describe('payload inspector', () => {
+  const inspectorUrl = () => `${baseUrl}/admin/inspector/invocations`;
+  const auth = { headers: { Authorization: 'Bearer admin-token' } };
+
+  beforeEach(() => getPayloadInspector().clear());
+
+  it('keeps redacted invocations with the diff against the original response', async () => {
+    await callAction('/action/test', { user: { email: 'jane@example.com' }, response: { hello: 'world' } });
+    await callAction('/action/testClaims', { response: { append_claims: [] } });
+
+    const { actions, invocations } = await (await fetch(inspectorUrl(), auth)).json();
+    assert.deepEqual(actions, ['test', 'testClaims']);
+    assert.deepEqual(invocations.map(i => i.action), ['testClaims', 'test']);
+
+    const [claims, echo] = invocations;
+    assert.equal(echo.route, '/action/test');
+    assert.equal(echo.status, 200);
+    assert.equal(echo.request.user.email, 'j***@example.com');
+    assert.deepEqual(echo.response, { hello: 'world' });
+    assert.deepEqual(echo.diff, []);
+    assert.equal(claims.outcome, 'forwarded_error');
+    assert.deepEqual(claims.diff.map(d => `${d.op} ${d.path}`), [
+      'removed append_claims', 'added forwardedStatusCode', 'added forwardedErrorMessage',
+    ]);
+
+    const filtered = await (await fetch(`${inspectorUrl()}?action=test`, auth)).json();
+    assert.deepEqual(filtered.invocations.map(i => i.id), [echo.id]);
+    assert.deepEqual(await (await fetch(`${inspectorUrl()}/${claims.id}`, auth)).json(), claims);
+    assert.equal((await fetch(inspectorUrl())).status, 401);
+  });
+
+  it('leaves out the payloads of actions with logBody: false', async () => {
+    await callAction('/action/set-session', { request: { checks: { password: { password: 'secret' } } } });
+    const [invocation] = getPayloadInspector().list({ action: 'set-session' });
+    assert.ok(invocation);
+    assert.equal('request' in invocation, false);
+    assert.equal('response' in invocation, false);
+  });
+
+  it('drops the oldest invocation when full', () => {
+    const inspector = new PayloadInspector({ size: 2 });
+    for (const action of ['a', 'b', 'c']) inspector.record({ action, request: {}, response: {}, latencyMs: 1 });
+    assert.deepEqual(inspector.list().map(i => i.action), ['c', 'b']);
+    assert.equal(new PayloadInspector({ size: 0 }).record({ action: 'a', latencyMs: 1 }), null);
+  });
+
+  it('serves the HTML view', async () => {
+    const res = await fetch(`${baseUrl}/inspector`);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /text\/html/);
+    assert.match(await res.text(), /Payload inspector/);
+  });
+});
+
+describe('health endpoints', () => {
+  it('answers /healthz', async () => {
+    const res = await fetch(`${baseUrl}/healthz`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { status: 'ok' });
+  });
+
+  it('is ready when the ZITADEL credentials work', async () => {
+    const res = await fetch(`${baseUrl}/readyz`);
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.status, 'ready');
+    assert.deepEqual(body.checks.zitadel, { ok: true, authMode: 'clientCredentials' });
+  });
+
+  it('is not ready when ZITADEL rejects the credentials', async () => {
+    zitadel.failNext('GET', '/auth/v1/users/me', 403);
+    const res = await fetch(`${baseUrl}/readyz`);
+    assert.equal(res.status, 503);
+    const body = await res.json();
+    assert.equal(body.status, 'not_ready');
+    assert.deepEqual(body.checks.zitadel, { ok: false, authMode: 'clientCredentials', error: 'ZITADEL answered 403' });
+  });
+});
+
+describe('JWT IdP flow', () => {
+  before(() => getKeyStore().rotate());
+
+  const START = '/auth/start?authRequestID=ar-1&userAgentID=ua-1';
+
+  function decodePart(part) {
+    return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+  }
+
+  // The JWT the served page posts to ZITADEL, after checking it against our JWKS
+  async function mintedClaims(res) {
+    assert.equal(res.status, 200);
+    const html = await res.text();
+    assert.ok(html.includes('https://zitadel.test/idps/jwt?authRequestID=ar-1&userAgentID=ua-1'));
+
+    const [header, payload, signature] = html.match(/"Bearer ([\w-]+\.[\w-]+\.[\w-]+)"/)[1].split('.');
+    const { keys } = await (await fetch(`${baseUrl}/.well-known/jwks.json`)).json();
+    const jwk = keys.find(k => k.kid === decodePart(header).kid);
+    const valid = crypto.verify('RSA-SHA256', Buffer.from(`${header}.${payload}`),
+      crypto.createPublicKey({ key: jwk, format: 'jwk' }), Buffer.from(signature, 'base64url'));
+    assert.ok(valid);
+    return decodePart(payload);
+  }
+
+  it('publishes the signing keys', async () => {
+    const res = await fetch(`${baseUrl}/.well-known/jwks.json`);
+    assert.equal(res.status, 200);
+    const { keys } = await res.json();
+    assert.equal(keys.length, 1);
+    assert.equal(keys[0].alg, 'RS256');
+    assert.equal(keys[0].d, undefined);
+  });
+
+  it('mints a JWT for a user from the trusted proxy headers', async () => {
+    const claims = await mintedClaims(await fetch(`${baseUrl}${START}`, {
+      headers: { 'x-forwarded-user': 'legacy-42', 'x-forwarded-email': 'ada@acme.example' },
+    }));
+    assert.equal(claims.iss, 'https://actions.test');
+    assert.equal(claims.aud, 'https://zitadel.test');
+    assert.equal(claims.sub, 'legacy-42');
+    assert.equal(claims.email, 'ada@acme.example');
+    assert.equal(claims.exp - claims.iat, 300);
+  });
+
+  it('accepts the legacy app\'s signed session cookie', async () => {
+    const data = Buffer.from(JSON.stringify({ sub: 'cookie-user', email: 'c@acme.example', exp: Math.floor(Date.now() / 1000) + 60 })).toString('base64url');
+    const cookie = `legacy_session=${data}.${signCookie(COOKIE_SECRET, data)}`;
+    const claims = await mintedClaims(await fetch(`${baseUrl}${START}`, { headers: { cookie } }));
+    assert.equal(claims.sub, 'cookie-user');
+    assert.equal(claims.email, 'c@acme.example');
+  });
+
+  it('accepts a bearer token signed by a key in the local JWKS', async () => {
+    const header = Buffer.from(JSON.stringify({ alg: 'ES256', kid: 'upstream-1' })).toString('base64url');
+    const payload = Buffer.from(JSON.stringify({
+      iss: 'https://legacy.test', sub: 'bearer-user', name: 'Bea Rer', exp: Math.floor(Date.now() / 1000) + 60,
+    })).toString('base64url');
+    const signature = crypto.sign('SHA256', Buffer.from(`${header}.${payload}`), { key: upstreamKey.privateKey, dsaEncoding: 'ieee-p1363' });
+    const claims = await mintedClaims(await fetch(`${baseUrl}${START}`, {
+      headers: { authorization: `Bearer ${header}.${payload}.${signature.toString('base64url')}` },
+    }));
+    assert.equal(claims.sub, 'bearer-user');
+    assert.equal(claims.name, 'Bea Rer');
+  });
+
+  it('does not accept a bearer token without exp', async () => {
+    const header = Buffer.from(JSON.stringify({ alg: 'ES256', kid: 'upstream-1' })).toString('base64url');
+    const payload = Buffer.from(JSON.stringify({ iss: 'https://legacy.test', sub: 'bearer-user' })).toString('base64url');
+    const signature = crypto.sign('SHA256', Buffer.from(`${header}.${payload}`), { key: upstreamKey.privateKey, dsaEncoding: 'ieee-p1363' });
+    const res = await fetch(`${baseUrl}${START}`, {
+      headers: { authorization: `Bearer ${header}.${payload}.${signature.toString('base64url')}` },
+    });
+    assert.equal(res.status, 200);
+    assert.ok((await res.text()).includes('<form method="post"'));
+  });
+
+  it('shows the login form when no resolver knows the user', async () => {
+    const data = Buffer.from(JSON.stringify({ sub: 'forged' })).toString('base64url');
+    const res = await fetch(`${baseUrl}${START}`, { headers: { cookie: `legacy_session=${data}.bad` } });
+    assert.equal(res.status, 200);
+    const html = await res.text();
+    assert.ok(html.includes('<form method="post" action="/auth/start?authRequestID=ar-1&amp;userAgentID=ua-1">'));
+  });
+
+  it('signs in through the login form against the legacy directory', async () => {
+    const post = password => fetch(`${baseUrl}${START}`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ username: Object.keys(LEGACY_DB)[0], password }),
+    });
+
+    const rejected = await post('wrong');
+    assert.equal(rejected.status, 401);
+    assert.ok((await rejected.text()).includes('Wrong username or password'));
+
+    const claims = await mintedClaims(await post('Password1!'));
+    assert.equal(claims.sub, 'db-163840776835432346');
+    assert.equal(claims.given_name, 'Legacy');
+  });
+
+  it('refuses the login form for a username with too many failed attempts', async () => {
+    const post = password => fetch(`${baseUrl}${START}`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ username: 'locked-out@legacy.test', password }),
+    });
+    for (let i = 0; i < 5; i++) assert.equal((await post('wrong')).status, 401);
+
+    const refused = await post('wrong');
+    assert.equal(refused.status, 429);
+    assert.ok((await refused.text()).includes('Too many failed sign-in attempts'));
+  });
+
+  it('shows an error page for an incomplete sign-in link', async () => {
+    const res = await fetch(`${baseUrl}/auth/start`);
+    assert.equal(res.status, 400);
+    assert.match(res.headers.get('content-type'), /text\/html/);
+  });
+});
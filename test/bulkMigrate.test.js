@@ -0,0 +1,137 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeZitadel } = require('./fakeZitadel');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bulk-migrate-'));
+const legacyFile = path.join(dir, 'legacy-users.json');
+const checkpointPath = path.join(dir, 'checkpoint.json');
+const reportPath = path.join(dir, 'report.jsonl');
+
+const LEGACY_USERS = Array.from({ length: 5 }, (_, i) => ({
+  user_id: `legacy-${i + 1}`,
+  username: `user${i + 1}`,
+  email: `user${i + 1}@legacy.test`,
+  first_name: 'Legacy',
+  last_name: `User ${i + 1}`,
+  password_hash: '$1$saltsalt$oSgDXpKm0vSWfvd6v0/Kg.',
+}));
+fs.writeFileSync(legacyFile, JSON.stringify(LEGACY_USERS));
+
+Object.assign(process.env, {
+  ZITADEL_DOMAIN: 'zitadel.test',
+  CLIENT_ID: 'actions-client',
+  CLIENT_SECRET: 'actions-secret',
+  ZITADEL_ORG_ID: 'org-1',
+  LEGACY_DIRECTORY: 'file',
+  LEGACY_FILE_PATH: legacyFile,
+  UPSTREAM_RETRY_BASE_MS: '1',
+  LOG_LEVEL: process.env.LOG_LEVEL || 'silent',
+});
+delete process.env.ACCESS_TOKEN;
+
+const { run } = require('../cli/bulkMigrate');
+const { clearTokenCache } = require('../zitadelClient');
+const { resetCircuits } = require('../upstream');
+
+const zitadel = createFakeZitadel({ clientId: 'actions-client', clientSecret: 'actions-secret' });
+
+function options(extra = {}) {
+  return { dryRun: false, batchSize: 2, concurrency: 1, checkpointPath, reportPath, restart: false, ...extra };
+}
+
+function readReport() {
+  return fs.readFileSync(reportPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+const readCheckpoint = () => JSON.parse(fs.readFileSync(checkpointPath, 'utf8'));
+
+before(async () => {
+  process.env.ZITADEL_API_URL = await zitadel.start();
+});
+
+after(async () => {
+  await zitadel.stop();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  zitadel.reset();
+  clearTokenCache();
+  resetCircuits();
+  fs.rmSync(checkpointPath, { force: true });
+  fs.rmSync(reportPath, { force: true });
+  mock.method(console, 'log', () => {});
+});
+
+describe('bulk migration', () => {
+  it('creates every user in batches and checkpoints the progress', async () => {
+    const totals = await run(options());
+    assert.deepEqual(totals, { created: 5, wouldCreate: 0, skipped: 0, failed: 0 });
+    assert.deepEqual(Array.from(zitadel.state.users.keys()).sort(), LEGACY_USERS.map(u => u.user_id));
+    assert.equal(zitadel.getUserMetadata('legacy-1').migratedFromLegacy, 'migrating');
+
+    const checkpoint = readCheckpoint();
+    assert.equal(checkpoint.offset, 5);
+    assert.deepEqual(checkpoint.retry, []);
+    assert.ok(checkpoint.finishedAt);
+    assert.deepEqual(readReport().map(e => [e.username, e.status]), LEGACY_USERS.map(u => [u.username, 'created']));
+  });
+
+  it('skips users already in ZITADEL', async () => {
+    zitadel.addUser({ userId: 'legacy-2', username: 'user2' });
+    const totals = await run(options());
+    assert.equal(totals.created, 4);
+    assert.equal(totals.skipped, 1);
+    const { status, reason, userId } = readReport().find(e => e.username === 'user2');
+    assert.deepEqual({ status, reason, userId }, { status: 'skipped', reason: 'already present', userId: 'legacy-2' });
+  });
+
+  it('resumes from the checkpoint', async () => {
+    fs.writeFileSync(checkpointPath, JSON.stringify({ offset: 4, totals: { created: 4, skipped: 0, failed: 0 } }));
+    const totals = await run(options());
+    assert.deepEqual(Array.from(zitadel.state.users.keys()), ['legacy-5']);
+    assert.equal(totals.created, 5);
+    assert.equal(readCheckpoint().offset, 5);
+  });
+
+  it('reports would-be users in a dry run without creating them or writing a checkpoint', async () => {
+    const totals = await run(options({ dryRun: true }));
+    assert.equal(totals.wouldCreate, 5);
+    assert.equal(totals.created, 0);
+    assert.equal(zitadel.state.users.size, 0);
+    assert.equal(fs.existsSync(checkpointPath), false);
+    assert.deepEqual(new Set(readReport().map(e => e.status)), new Set(['would-create']));
+  });
+
+  it('keeps failed users in the retry list and retries them on resume', async () => {
+    zitadel.failNext('POST', '/v2/users/new', 400, 1);
+    const first = await run(options());
+    assert.equal(first.created, 4);
+    assert.equal(first.failed, 1);
+    assert.deepEqual(readCheckpoint().retry.map(r => r.loginName), ['user1@legacy.test']);
+
+    const second = await run(options());
+    assert.equal(second.created, 5);
+    assert.equal(second.failed, 0);
+    assert.deepEqual(readCheckpoint().retry, []);
+    assert.ok(zitadel.state.users.has('legacy-1'));
+    assert.deepEqual(readReport().filter(e => e.username === 'user1').map(e => e.status), ['failed', 'created']);
+  });
+
+  it('stops without moving the checkpoint past a batch while ZITADEL is unavailable', async () => {
+    const checkpoint = { offset: 2, totals: { created: 2, skipped: 0, failed: 0 }, retry: [] };
+    fs.writeFileSync(checkpointPath, JSON.stringify(checkpoint));
+    zitadel.failNext('POST', '/v2/users/new', 503, 1);
+
+    await assert.rejects(run(options()), e => e.upstream === 'zitadel' && /stopped at offset 2/.test(e.message));
+    assert.deepEqual(readCheckpoint(), checkpoint);
+    assert.equal(zitadel.state.users.size, 0, 'no further user is started once ZITADEL is down');
+
+    const totals = await run(options());
+    assert.deepEqual(totals, { created: 5, wouldCreate: 0, skipped: 0, failed: 0 });
+    assert.deepEqual(Array.from(zitadel.state.users.keys()).sort(), ['legacy-3', 'legacy-4', 'legacy-5']);
+  });
+});
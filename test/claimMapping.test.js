@@ -0,0 +1,173 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+const { buildClaims, parseClaimRules, getClientId } = require('../claimMapping');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claim-rules-'));
+const file = path.join(dir, 'claim-rules.json');
+let version = 0;
+
+// Each write gets a new mtime so the reload is never missed
+function writeRules(doc) {
+  fs.writeFileSync(file, JSON.stringify(doc));
+  const t = new Date(Date.parse('2026-01-01T00:00:00Z') + ++version * 1000);
+  fs.utimesSync(file, t, t);
+  process.env.CLAIM_RULES_FILE = file;
+}
+
+const metadata = entries => Object.entries(entries).map(([key, value]) => ({ key, value: Buffer.from(value).toString('base64') }));
+
+function payload({ user = {}, org = {}, ...rest } = {}) {
+  return { user_metadata: metadata(user), org: { id: 'org-1', metadata: metadata(org) }, ...rest };
+}
+
+// append_claims as an object, for readable assertions
+const claims = p => Object.fromEntries(buildClaims(p).map(({ key, value }) => [key, value]));
+
+after(() => {
+  delete process.env.CLAIM_RULES_FILE;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('claim mapping without a rule file', () => {
+  before(() => delete process.env.CLAIM_RULES_FILE);
+
+  it('copies okta_* metadata as strings', () => {
+    assert.deepEqual(claims(payload({ user: { okta_groups: '["a"]', department: 'R&D' }, org: { okta_tenant: 'acme' } })),
+      { okta_tenant: 'acme', okta_groups: '["a"]' });
+  });
+});
+
+describe('claim rules', () => {
+  it('maps keys and prefixes, first matching rule wins', () => {
+    writeRules({
+      default: {
+        rules: [
+          { key: 'okta_groups', claim: 'groups', type: 'array' },
+          { prefix: 'okta_', stripPrefix: true },
+          { prefix: 'okta_t', type: 'number' },
+          { prefix: 'app_' },
+        ],
+      },
+    });
+    assert.deepEqual(claims(payload({ user: { okta_groups: 'a, b', okta_title: 'Dr', app_theme: 'dark', other: 'x' } })),
+      { groups: ['a', 'b'], title: 'Dr', app_theme: 'dark' });
+  });
+
+  it('coerces values to the rule type', () => {
+    writeRules({
+      default: {
+        rules: [
+          { key: 'settings', type: 'json' },
+          { prefix: 'flag_', type: 'boolean' },
+          { key: 'level', type: 'number' },
+          { key: 'roles', type: 'array' },
+          { key: 'tags', type: 'array' },
+          { key: 'note' },
+        ],
+      },
+    });
+    assert.deepEqual(claims(payload({
+      user: {
+        settings: '{"theme":"dark"}',
+        flag_on: 'Yes', flag_one: '1', flag_off: 'off', flag_empty: '',
+        level: '4.5',
+        roles: '["admin","viewer"]',
+        tags: 'a,,b , c',
+        note: '  kept as is ',
+      },
+    })), {
+      settings: { theme: 'dark' },
+      flag_on: true, flag_one: true, flag_off: false, flag_empty: false,
+      level: 4.5,
+      roles: ['admin', 'viewer'],
+      tags: ['a', 'b', 'c'],
+      note: '  kept as is ',
+    });
+  });
+
+  it('skips values that do not match their type and keeps the rest', () => {
+    writeRules({ default: { rules: [{ key: 'settings', type: 'json' }, { key: 'admin', type: 'boolean' }, { key: 'level', type: 'number' }, { key: 'ok' }] } });
+    assert.deepEqual(claims(payload({ user: { settings: '{broken', admin: 'maybe', level: 'high', ok: 'yes' } })), { ok: 'yes' });
+    assert.deepEqual(claims(payload({ user: { level: ' ' } })), {});
+  });
+
+  it('limits rules to user or org metadata', () => {
+    writeRules({ default: { rules: [{ key: 'is_admin', type: 'boolean', source: 'user' }, { key: 'plan', source: 'org' }] } });
+    assert.deepEqual(claims(payload({ user: { plan: 'free' }, org: { is_admin: 'true', plan: 'enterprise' } })), { plan: 'enterprise' });
+  });
+});
+
+describe('claim precedence', () => {
+  const both = payload({ user: { okta_region: 'user-eu' }, org: { okta_region: 'org-us', okta_tenant: 'acme' } });
+
+  it('lets user metadata win by default', () => {
+    writeRules({ default: { rules: [{ prefix: 'okta_' }] } });
+    assert.deepEqual(claims(both), { okta_region: 'user-eu', okta_tenant: 'acme' });
+  });
+
+  it('lets org metadata win with precedence "org"', () => {
+    writeRules({ default: { precedence: 'org', rules: [{ prefix: 'okta_' }] } });
+    assert.deepEqual(claims(both), { okta_region: 'org-us', okta_tenant: 'acme' });
+  });
+});
+
+describe('per-project and per-client rule sets', () => {
+  before(() => writeRules({
+    default: { rules: [{ key: 'source', claim: 'from_default' }] },
+    projects: { 'project-1': { rules: [{ key: 'source', claim: 'from_project' }] } },
+    clients: { 'client-1': { rules: [{ key: 'source', claim: 'from_client' }] } },
+  }));
+
+  const request = extra => payload({ user: { source: 'x' }, ...extra });
+  const grants = projectId => ({ user_grants: [{ projectId: 'other' }, { projectId }] });
+
+  it('uses the default rule set for other clients and projects', () => {
+    assert.deepEqual(claims(request({ client_id: 'client-2', ...grants('project-2') })), { from_default: 'x' });
+  });
+
+  it('uses the rule set of a granted project', () => {
+    assert.deepEqual(claims(request(grants('project-1'))), { from_project: 'x' });
+  });
+
+  it('prefers the rule set of the requesting client', () => {
+    assert.deepEqual(claims(request({ client_id: 'client-1', ...grants('project-1') })), { from_client: 'x' });
+    assert.deepEqual(claims(request({ userinfo: { aud: ['client-1', 'api'] } })), { from_client: 'x' });
+  });
+
+  it('reads the client from client_id, clientId or the userinfo audience', () => {
+    assert.equal(getClientId({ client_id: 'a', clientId: 'b' }), 'a');
+    assert.equal(getClientId({ clientId: 'b' }), 'b');
+    assert.equal(getClientId({ userinfo: { aud: 'c' } }), 'c');
+    assert.equal(getClientId({}), null);
+  });
+});
+
+describe('claim rule validation', () => {
+  const invalid = (doc, message) => assert.throws(() => parseClaimRules(doc), { message });
+
+  it('rejects malformed rule sets', () => {
+    invalid({ default: {} }, 'default: "rules" must be an array');
+    invalid({ default: { precedence: 'both', rules: [] } }, 'default: precedence must be "user" or "org"');
+    invalid({ default: { rules: [{ key: 'a', prefix: 'b' }] } }, 'default.rules[0]: exactly one of "key" or "prefix" is required');
+    invalid({ default: { rules: [{}] } }, 'default.rules[0]: exactly one of "key" or "prefix" is required');
+    invalid({ default: { rules: [{ prefix: 'a', claim: 'b' }] } }, 'default.rules[0]: "claim" can only be used with "key"');
+    invalid({ projects: { p1: { rules: [{ key: 'a', type: 'date' }] } } }, 'projects.p1.rules[0]: unknown type "date"');
+    invalid({ clients: { c1: { rules: [{ key: 'a', source: 'idp' }] } } }, 'clients.c1.rules[0]: unknown source "idp"');
+  });
+
+  it('falls back to the built-in default rule set', () => {
+    assert.deepEqual(parseClaimRules({}).default.rules, [{ prefix: 'okta_', type: 'string' }]);
+  });
+
+  it('re-reads the file when it changes', () => {
+    writeRules({ default: { rules: [{ key: 'a' }] } });
+    assert.deepEqual(claims(payload({ user: { a: '1', b: '2' } })), { a: '1' });
+    writeRules({ default: { rules: [{ key: 'b' }] } });
+    assert.deepEqual(claims(payload({ user: { a: '1', b: '2' } })), { b: '2' });
+  });
+});
@@ -0,0 +1,55 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadConfig, formatProblems } = require('../config');
+
+const ACTIONS = [
+  { name: 'test', signingKeyEnv: 'TEST_SIGNING_KEY' },
+  { name: 'set-role', signingKeyEnv: 'SET_ROLE_SIGNING_KEY', requires: ['zitadel', 'roleAssignments'] },
+  { name: 'list-users', signingKeyEnv: 'LIST_USERS_SIGNING_KEY', requires: ['zitadel', 'legacyDirectory'] },
+];
+
+const VALID = {
+  TEST_SIGNING_KEY: 'k1',
+  SET_ROLE_SIGNING_KEY: 'k2',
+  LIST_USERS_SIGNING_KEY: 'k3',
+  ZITADEL_DOMAIN: 'auth.example.com',
+  ACCESS_TOKEN: 'pat',
+};
+
+describe('startup configuration', () => {
+  it('accepts a complete configuration', () => {
+    const config = loadConfig(ACTIONS, { ...VALID, PORT: '8080' });
+    assert.deepEqual(config.problems, []);
+    assert.equal(config.port, 8080);
+    assert.equal(config.actions.length, 3);
+  });
+
+  it('reports every problem per action', () => {
+    const { problems } = loadConfig(ACTIONS, {
+      TEST_SIGNING_KEY: 'k1',
+      ROLE_ASSIGNMENTS: '[{"roleKeys":["member"]}]',
+      LEGACY_DIRECTORY: 'file',
+      PORT: 'eighty',
+    });
+    assert.deepEqual(formatProblems(problems), [
+      'server: PORT must be an integer between 1 and 65535, got "eighty"',
+      'set-role: SET_ROLE_SIGNING_KEY is not set; ZITADEL_DOMAIN is not set; '
+        + 'ACCESS_TOKEN is not set and neither are ZITADEL_SERVICE_ACCOUNT_KEY(_FILE) or CLIENT_ID + CLIENT_SECRET; '
+        + 'ROLE_ASSIGNMENTS role assignments[0]: "projectId" is required',
+      'list-users: LIST_USERS_SIGNING_KEY is not set; ZITADEL_DOMAIN is not set; '
+        + 'ACCESS_TOKEN is not set and neither are ZITADEL_SERVICE_ACCOUNT_KEY(_FILE) or CLIENT_ID + CLIENT_SECRET; '
+        + 'LEGACY_FILE_PATH is not set',
+    ]);
+  });
+
+  it('skips the settings of disabled actions', () => {
+    const config = loadConfig(ACTIONS, { TEST_SIGNING_KEY: 'k1', DISABLED_ACTIONS: 'set-role, list-users' });
+    assert.deepEqual(config.problems, []);
+    assert.deepEqual(config.actions.map(a => a.name), ['test']);
+  });
+
+  it('rejects unknown action names in DISABLED_ACTIONS', () => {
+    const { problems } = loadConfig(ACTIONS, { ...VALID, DISABLED_ACTIONS: 'set-roles' });
+    assert.deepEqual(problems, [{ scope: 'server', setting: 'DISABLED_ACTIONS', message: 'unknown action "set-roles"' }]);
+  });
+});
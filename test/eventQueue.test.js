@@ -0,0 +1,150 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+const { EventQueue } = require('../eventQueue');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'event-queue-'));
+let dirs = 0;
+
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+// A queue on its own log; reopening the same dir simulates a restart
+function queue(dir, processor, options = {}) {
+  const q = new EventQueue({ dir, backoffBaseMs: 60 * 1000, ...options });
+  q.registerProcessor('set-role', processor);
+  q.open();
+  return q;
+}
+
+function newDir() {
+  return path.join(root, `queue-${++dirs}`);
+}
+
+function logOps(dir) {
+  return fs.readFileSync(path.join(dir, 'events.log'), 'utf8').split('\n').filter(Boolean).map(l => JSON.parse(l).op);
+}
+
+const fail = async () => {
+  throw new Error('ZITADEL unavailable');
+};
+const event = sequence => ({ aggregateID: 'user-1', sequence, event_type: 'user.human.added' });
+
+describe('event queue restarts', () => {
+  it('keeps pending events with their attempts and processes them after reopening', async (t) => {
+    const dir = newDir();
+    const first = queue(dir, fail);
+    first.enqueue('set-role', event(1));
+    await first.tick();
+    first.close();
+
+    const processed = [];
+    const second = queue(dir, async payload => processed.push(payload.sequence));
+    const [entry] = second.entries.values();
+    assert.equal(entry.attempts, 1);
+    assert.equal(entry.lastError, 'ZITADEL unavailable');
+    assert.deepEqual(second.stats(), { pending: 1, dead: 0, processed: 0 });
+
+    // Not due until its backoff has passed
+    await second.tick();
+    assert.deepEqual(processed, []);
+    const due = entry.nextAttemptAt;
+    t.mock.method(Date, 'now', () => due);
+    await second.tick();
+    assert.deepEqual(processed, [1]);
+    second.close();
+  });
+
+  it('still suppresses a processed event after reopening', async () => {
+    const dir = newDir();
+    const first = queue(dir, async () => {});
+    first.enqueue('set-role', event(1));
+    await first.tick();
+    first.close();
+
+    const second = queue(dir, async () => {});
+    assert.deepEqual(second.stats(), { pending: 0, dead: 0, processed: 1 });
+    assert.equal(second.enqueue('set-role', event(1)).duplicate, true);
+    assert.equal(second.enqueue('set-role', event(2)).duplicate, false);
+    await second.tick();
+    second.close();
+  });
+
+  it('still suppresses a queued event after reopening', async () => {
+    const dir = newDir();
+    const first = queue(dir, fail);
+    const { id } = first.enqueue('set-role', event(1));
+    await first.tick();
+    first.close();
+
+    const second = queue(dir, fail);
+    assert.deepEqual(second.enqueue('set-role', event(1)), { id, key: 'set-role:user-1:1', duplicate: true });
+    second.close();
+  });
+
+  it('keeps dead letters and replays them after reopening', async () => {
+    const dir = newDir();
+    const first = queue(dir, fail, { maxAttempts: 1 });
+    first.enqueue('set-role', event(1));
+    await first.tick();
+    first.close();
+
+    const processed = [];
+    const second = queue(dir, async payload => processed.push(payload.sequence));
+    const [dead] = second.listDeadLetters();
+    assert.equal(dead.lastError, 'ZITADEL unavailable');
+    assert.deepEqual(second.replayDeadLetters(), [dead.id]);
+    await second.tick();
+    assert.deepEqual(processed, [1]);
+    assert.deepEqual(second.stats(), { pending: 0, dead: 0, processed: 1 });
+    second.close();
+  });
+
+  it('skips a torn last line', async () => {
+    const dir = newDir();
+    const first = queue(dir, async () => {});
+    first.enqueue('set-role', event(1));
+    await first.tick();
+    first.close();
+    fs.appendFileSync(path.join(dir, 'events.log'), '{"op":"enqueue","id":"x","ke');
+
+    const second = queue(dir, async () => {});
+    assert.deepEqual(second.stats(), { pending: 0, dead: 0, processed: 1 });
+    second.close();
+  });
+});
+
+describe('event queue compaction', () => {
+  it('rewrites the log with only the current state when it is opened', async () => {
+    const dir = newDir();
+    const first = queue(dir, async () => {});
+    for (let seq = 1; seq <= 3; seq++) first.enqueue('set-role', event(seq));
+    await first.tick();
+    first.close();
+    assert.deepEqual(logOps(dir), ['enqueue', 'enqueue', 'enqueue', 'done', 'done', 'done']);
+
+    const second = queue(dir, fail);
+    second.enqueue('set-role', event(4));
+    await second.tick();
+    second.close();
+    assert.deepEqual(logOps(dir), ['processed', 'processed', 'processed', 'enqueue', 'attempt']);
+  });
+
+  it('compacts after compactAfterOps operations while running', async () => {
+    const dir = newDir();
+    const q = queue(dir, async () => {}, { compactAfterOps: 4 });
+    q.enqueue('set-role', event(1));
+    q.enqueue('set-role', event(2));
+    await q.tick();
+    // enqueue, enqueue, done, done triggered a compaction
+    assert.deepEqual(logOps(dir), ['processed', 'processed']);
+    q.close();
+
+    const reopened = queue(dir, async () => {});
+    assert.equal(reopened.enqueue('set-role', event(2)).duplicate, true);
+    reopened.close();
+  });
+});
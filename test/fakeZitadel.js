@@ -0,0 +1,365 @@
+const crypto = require('crypto');
+const express = require('express');
+
+// ---------------------------------------------------------------------------
+// In-process ZITADEL stand-in for integration tests
+//   Implements the API subset zitadelClient.js uses, backed by in-memory state
+//   that tests can seed and inspect. Point the client at it with
+//   ZITADEL_API_URL=<url returned by start()>.
+//
+//   state.users           userId -> v2 user object (+ password)
+//   state.userMetadata    userId -> Map(key -> base64 value)
+//   state.orgMetadata     orgId  -> Map(key -> base64 value)
+//   state.sessions        sessionId -> v2 session object
+//   state.authorizations  id -> { id, user, project, organization, roles }
+//   state.projectRoles    projectId -> [{ key, displayName }]
+//   state.tokens          access tokens the API accepts
+//   state.tokenRequests   every token request body (grant_type, assertion, ...)
+//   state.requests        every API call: { method, path, body }
+// ---------------------------------------------------------------------------
+
+const TOKEN_TTL_SECONDS = 3600;
+
+function encode(value) {
+  return Buffer.from(String(value)).toString('base64');
+}
+
+function decode(value) {
+  return Buffer.from(String(value || ''), 'base64').toString('utf8');
+}
+
+function id() {
+  return String(Date.now()) + crypto.randomInt(100000, 999999);
+}
+
+function page(items, query = {}) {
+  const offset = Number(query.offset || 0);
+  const limit = Number(query.limit || 100);
+  return items.slice(offset, offset + limit);
+}
+
+function notFound(res, what) {
+  return res.status(404).json({ code: 5, message: `${what} not found` });
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.clientId]     - Accepted client credentials
+ * @param {string} [options.clientSecret]
+ * @param {string} [options.pat]          - Accepted static token
+ * @param {string} [options.domain]       - Used for login names
+ */
+function createFakeZitadel(options = {}) {
+  const domain = options.domain || 'zitadel.test';
+  const state = {};
+  const faults = [];     // { method, pattern, status, remaining }
+  let server = null;
+
+  function reset() {
+    Object.assign(state, {
+      users: new Map(),
+      userMetadata: new Map(),
+      orgMetadata: new Map(),
+      sessions: new Map(),
+      authorizations: new Map(),
+      projectRoles: new Map(),
+      tokens: new Set(options.pat ? [options.pat] : []),
+      tokenRequests: [],
+      requests: [],
+    });
+    faults.length = 0;
+  }
+  reset();
+
+  function metadataOf(map, key) {
+    if (!map.has(key)) map.set(key, new Map());
+    return map.get(key);
+  }
+
+  // --- Seeding / inspection helpers ---
+
+  function addUser({ userId = id(), username, organizationId = 'org-1', email, givenName = 'Test', familyName = 'User', metadata = {} }) {
+    const loginName = `${username}@${domain}`;
+    const user = {
+      userId,
+      username,
+      state: 'USER_STATE_ACTIVE',
+      details: { resourceOwner: organizationId, sequence: '1', creationDate: new Date().toISOString() },
+      loginNames: [loginName],
+      preferredLoginName: loginName,
+      human: {
+        profile: { givenName, familyName, displayName: `${givenName} ${familyName}` },
+        email: { email: email || loginName, isVerified: true },
+      },
+    };
+    state.users.set(userId, user);
+    setUserMetadata(userId, metadata);
+    return user;
+  }
+
+  function setUserMetadata(userId, values) {
+    const meta = metadataOf(state.userMetadata, userId);
+    for (const [key, value] of Object.entries(values)) meta.set(key, encode(value));
+  }
+
+  /** @returns {Record<string,string>} Decoded metadata of a user */
+  function getUserMetadata(userId) {
+    return Object.fromEntries(Array.from(state.userMetadata.get(userId) || [], ([k, v]) => [k, decode(v)]));
+  }
+
+  function setOrgMetadata(orgId, values) {
+    const meta = metadataOf(state.orgMetadata, orgId);
+    for (const [key, value] of Object.entries(values)) {
+      meta.set(key, encode(typeof value === 'string' ? value : JSON.stringify(value)));
+    }
+  }
+
+  function addProjectRoles(projectId, keys) {
+    if (!state.projectRoles.has(projectId)) state.projectRoles.set(projectId, []);
+    state.projectRoles.get(projectId).push(...keys.map(key => ({ projectId, key, displayName: key })));
+  }
+
+  function addSession({ sessionId = id(), userId, loginName, creationDate = new Date().toISOString(), factors, userAgent }) {
+    const session = {
+      id: sessionId,
+      creationDate,
+      factors: factors || { user: { id: userId, loginName, verifiedAt: creationDate } },
+      userAgent: userAgent || {},
+    };
+    state.sessions.set(sessionId, session);
+    return session;
+  }
+
+  function addAuthorization({ userId, projectId, organizationId = 'org-1', roleKeys = [] }) {
+    const auth = {
+      id: id(),
+      user: { id: userId },
+      project: { id: projectId },
+      organization: { id: organizationId },
+      roles: roleKeys.map(key => ({ key })),
+    };
+    state.authorizations.set(auth.id, auth);
+    return auth;
+  }
+
+  /**
+   * Makes the next `times` matching requests fail with `status`.
+   * @param {string} method
+   * @param {string|RegExp} pattern - Matched against the request path
+   */
+  function failNext(method, pattern, status = 503, times = 1) {
+    faults.push({ method: method.toUpperCase(), pattern, status, remaining: times });
+  }
+
+  // --- API ---
+
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  app.post('/oauth/v2/token', (req, res) => {
+    state.tokenRequests.push(req.body);
+    const { grant_type, client_id, client_secret } = req.body;
+    if (grant_type === 'client_credentials' && (client_id !== options.clientId || client_secret !== options.clientSecret)) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+    const token = crypto.randomBytes(16).toString('hex');
+    state.tokens.add(token);
+    res.json({ access_token: token, token_type: 'Bearer', expires_in: TOKEN_TTL_SECONDS });
+  });
+
+  app.use((req, res, next) => {
+    state.requests.push({ method: req.method, path: req.path, body: req.body });
+
+    const token = (req.get('authorization') || '').replace(/^Bearer /, '');
+    if (!state.tokens.has(token)) return res.status(401).json({ code: 16, message: 'unauthenticated' });
+
+    const fault = faults.find(f => f.method === req.method && f.remaining > 0 &&
+      (f.pattern instanceof RegExp ? f.pattern.test(req.path) : req.path.includes(f.pattern)));
+    if (fault) {
+      fault.remaining--;
+      return res.status(fault.status).json({ code: 14, message: 'injected failure' });
+    }
+    next();
+  });
+
+  // Users
+  app.get('/auth/v1/users/me', (req, res) => {
+    res.json({ user: { id: 'service-user', userName: options.clientId || 'service-user' } });
+  });
+
+  app.post('/v2/users/new', (req, res) => {
+    const { organizationId = 'org-1', userId, username, human = {} } = req.body;
+    const exists = Array.from(state.users.values())
+      .some(u => u.userId === userId || (u.username === username && u.details.resourceOwner === organizationId));
+    if (exists) return res.status(409).json({ code: 6, message: 'User already exists' });
+
+    const user = addUser({
+      userId: userId || undefined,
+      username,
+      organizationId,
+      email: human.email?.email,
+      givenName: human.profile?.givenName,
+      familyName: human.profile?.familyName,
+    });
+    user.password = human.password?.password;
+    const meta = metadataOf(state.userMetadata, user.userId);
+    for (const m of human.metadata || []) meta.set(m.key, m.value);
+    res.status(201).json({ id: user.userId, details: user.details });
+  });
+
+  app.post('/v2/users', (req, res) => {
+    let users = Array.from(state.users.values());
+    for (const q of req.body.queries || []) {
+      if (q.userNameQuery) users = users.filter(u => u.username === q.userNameQuery.userName);
+      if (q.loginNameQuery) users = users.filter(u => u.loginNames.includes(q.loginNameQuery.loginName));
+      if (q.organizationIdQuery) users = users.filter(u => u.details.resourceOwner === q.organizationIdQuery.organizationId);
+      if (q.metadataKeyQuery) users = users.filter(u => state.userMetadata.get(u.userId)?.has(q.metadataKeyQuery.key));
+      if (q.metadataValueQuery) {
+        users = users.filter(u => Array.from(state.userMetadata.get(u.userId)?.values() || []).includes(q.metadataValueQuery.value));
+      }
+    }
+    const result = page(users, req.body.query);
+    res.json({ details: { totalResult: String(users.length) }, result });
+  });
+
+  app.get('/v2/users/:id', (req, res) => {
+    const user = state.users.get(req.params.id);
+    if (!user) return notFound(res, 'User');
+    const { password, ...visible } = user;
+    res.json({ user: visible });
+  });
+
+  app.patch('/v2/users/:id', (req, res) => {
+    const user = state.users.get(req.params.id);
+    if (!user) return notFound(res, 'User');
+    const pw = req.body.human?.password?.password?.password;
+    if (pw) user.password = pw;
+    res.json({ details: user.details });
+  });
+
+  app.post('/v2/users/:id/metadata/search', (req, res) => {
+    const keys = (req.body.filters || []).map(f => f.keyFilter?.key).filter(Boolean);
+    const metadata = Array.from(state.userMetadata.get(req.params.id) || [], ([key, value]) => ({ key, value }))
+      .filter(m => keys.length === 0 || keys.includes(m.key));
+    res.json({ metadata });
+  });
+
+  app.post('/zitadel.org.v2beta.OrganizationService/SetOrganizationMetadata', (req, res) => {
+    const meta = metadataOf(state.orgMetadata, req.body.organizationId);
+    for (const { key, value } of req.body.metadata || []) meta.set(key, value);
+    res.json({ setDate: new Date().toISOString() });
+  });
+
+  app.post('/zitadel.org.v2beta.OrganizationService/DeleteOrganizationMetadata', (req, res) => {
+    const meta = metadataOf(state.orgMetadata, req.body.organizationId);
+    const missing = (req.body.keys || []).filter(key => !meta.has(key));
+    if (missing.length > 0) return notFound(res, 'Metadata');
+    for (const key of req.body.keys || []) meta.delete(key);
+    res.json({ deletionDate: new Date().toISOString() });
+  });
+
+  // Projects
+  app.post('/zitadel.project.v2beta.ProjectService/ListProjectRoles', (req, res) => {
+    res.json({ projectRoles: state.projectRoles.get(req.body.projectId) || [] });
+  });
+
+  app.post('/management/v1/users/:id/metadata/_bulk', (req, res) => {
+    if (!state.users.has(req.params.id)) return notFound(res, 'User');
+    const meta = metadataOf(state.userMetadata, req.params.id);
+    for (const m of req.body.metadata || []) meta.set(m.key, m.value);
+    res.json({ details: {} });
+  });
+
+  // Sessions
+  app.post('/v2/sessions/search', (req, res) => {
+    let sessions = Array.from(state.sessions.values());
+    for (const q of req.body.queries || []) {
+      if (q.userIdQuery) sessions = sessions.filter(s => s.factors?.user?.id === q.userIdQuery.id);
+    }
+    sessions.sort((a, b) => a.creationDate.localeCompare(b.creationDate));
+    if (req.body.query?.asc === false) sessions.reverse();
+    res.json({ details: { totalResult: String(sessions.length) }, sessions: page(sessions, req.body.query) });
+  });
+
+  app.get('/v2/sessions/:id', (req, res) => {
+    const session = state.sessions.get(req.params.id);
+    if (!session) return notFound(res, 'Session');
+    res.json({ session });
+  });
+
+  app.delete('/v2/sessions/:id', (req, res) => {
+    if (!state.sessions.delete(req.params.id)) return notFound(res, 'Session');
+    res.json({ details: {} });
+  });
+
+  // Organizations
+  app.post('/zitadel.org.v2beta.OrganizationService/ListOrganizationMetadata', (req, res) => {
+    const metadata = Array.from(state.orgMetadata.get(req.body.organizationId) || [], ([key, value]) => ({ key, value }));
+    res.json({ metadata });
+  });
+
+  // Authorizations
+  const AUTHZ = '/zitadel.authorization.v2.AuthorizationService';
+
+  app.post(`${AUTHZ}/CreateAuthorization`, (req, res) => {
+    const { userId, projectId, organizationId, roleKeys = [] } = req.body;
+    const exists = Array.from(state.authorizations.values())
+      .some(a => a.user.id === userId && a.project.id === projectId && a.organization.id === organizationId);
+    if (exists) return res.status(409).json({ code: 6, message: 'Authorization already exists' });
+    const auth = addAuthorization({ userId, projectId, organizationId, roleKeys });
+    res.json({ id: auth.id, creationDate: new Date().toISOString() });
+  });
+
+  app.post(`${AUTHZ}/ListAuthorizations`, (req, res) => {
+    let authorizations = Array.from(state.authorizations.values());
+    for (const f of req.body.filters || []) {
+      if (f.inUserIds) authorizations = authorizations.filter(a => f.inUserIds.ids.includes(a.user.id));
+      if (f.projectId) authorizations = authorizations.filter(a => a.project.id === f.projectId.id);
+    }
+    res.json({ authorizations });
+  });
+
+  app.post(`${AUTHZ}/UpdateAuthorization`, (req, res) => {
+    const auth = state.authorizations.get(req.body.id);
+    if (!auth) return notFound(res, 'Authorization');
+    auth.roles = (req.body.roleKeys || []).map(key => ({ key }));
+    res.json({ changeDate: new Date().toISOString() });
+  });
+
+  app.post(`${AUTHZ}/DeleteAuthorization`, (req, res) => {
+    if (!state.authorizations.delete(req.body.id)) return notFound(res, 'Authorization');
+    res.json({ deletionDate: new Date().toISOString() });
+  });
+
+  app.use((req, res) => res.status(404).json({ code: 12, message: `Not implemented by fake: ${req.method} ${req.path}` }));
+
+  /** @returns {Promise<string>} Base URL of the stand-in */
+  function start() {
+    return new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+    });
+  }
+
+  function stop() {
+    return new Promise((resolve) => (server ? server.close(() => resolve()) : resolve()));
+  }
+
+  return {
+    app,
+    state,
+    start,
+    stop,
+    reset,
+    failNext,
+    addUser,
+    setUserMetadata,
+    getUserMetadata,
+    setOrgMetadata,
+    addProjectRoles,
+    addSession,
+    addAuthorization,
+  };
+}
+
+module.exports = { createFakeZitadel };
@@ -0,0 +1,103 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+delete process.env.LEGACY_DIRECTORY;
+const { createFormResolver } = require('../identityResolvers/form');
+const { verifyJwt } = require('../identityResolvers/bearer');
+const { LEGACY_DB } = require('../legacyDirectory/memory');
+
+const USERNAME = Object.keys(LEGACY_DB)[0];
+const PASSWORD = 'Password1!';
+
+function post(username, password, ip = '203.0.113.1') {
+  return { method: 'POST', body: { username, password }, ip };
+}
+
+async function status(resolver, req) {
+  try {
+    return (await resolver.resolve(req)) ? 'ok' : null;
+  } catch (e) {
+    return e.status;
+  }
+}
+
+describe('login form rate limiting', () => {
+  let now;
+  beforeEach(() => {
+    now = Date.parse('2026-01-05T12:00:00Z');
+    mock.method(Date, 'now', () => now);
+  });
+  afterEach(() => mock.restoreAll());
+
+  it('locks a username after too many failures, whatever the IP', async () => {
+    const form = createFormResolver({ maxFailures: 3, maxFailuresPerIp: 100, lockoutSeconds: 60 });
+    for (let i = 0; i < 3; i++) {
+      assert.equal(await status(form, post(USERNAME, 'wrong', `198.51.100.${i}`)), 401);
+    }
+    assert.equal(await status(form, post(USERNAME, PASSWORD)), 429);
+    assert.equal(await status(form, post(USERNAME.toUpperCase(), PASSWORD)), 429);
+    assert.equal(await status(form, post('someone-else', 'wrong')), 401);
+  });
+
+  it('locks a client IP after too many failures, whatever the username', async () => {
+    const form = createFormResolver({ maxFailures: 100, maxFailuresPerIp: 3, lockoutSeconds: 60 });
+    for (const username of ['a', 'b', 'c']) {
+      assert.equal(await status(form, post(username, 'wrong')), 401);
+    }
+    assert.equal(await status(form, post(USERNAME, PASSWORD)), 429);
+    assert.equal(await status(form, post(USERNAME, PASSWORD, '203.0.113.2')), 'ok');
+  });
+
+  it('unlocks once the window has passed', async () => {
+    const form = createFormResolver({ maxFailures: 2, maxFailuresPerIp: 100, lockoutSeconds: 60 });
+    await status(form, post(USERNAME, 'wrong'));
+    await status(form, post(USERNAME, 'wrong'));
+    assert.equal(await status(form, post(USERNAME, PASSWORD)), 429);
+    now += 60_000;
+    assert.equal(await status(form, post(USERNAME, PASSWORD)), 'ok');
+  });
+
+  it('clears the username\'s failures on success', async () => {
+    const form = createFormResolver({ maxFailures: 2, maxFailuresPerIp: 100, lockoutSeconds: 60 });
+    assert.equal(await status(form, post(USERNAME, 'wrong')), 401);
+    assert.equal(await status(form, post(USERNAME, PASSWORD)), 'ok');
+    assert.equal(await status(form, post(USERNAME, 'wrong')), 401);
+    assert.equal(await status(form, post(USERNAME, PASSWORD)), 'ok');
+  });
+
+  it('ignores requests that are not a form post', async () => {
+    const form = createFormResolver({ maxFailures: 1, maxFailuresPerIp: 1, lockoutSeconds: 60 });
+    assert.equal(await status(form, { method: 'GET', ip: '203.0.113.1' }), null);
+    assert.equal(await status(form, post(USERNAME, '')), null);
+    assert.equal(await status(form, post(USERNAME, PASSWORD)), 'ok');
+  });
+});
+
+describe('bearer token claims', () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const keys = [{ ...publicKey.export({ format: 'jwk' }), kid: 'k1' }];
+
+  function token(claims) {
+    const header = Buffer.from(JSON.stringify({ alg: 'ES256', kid: 'k1' })).toString('base64url');
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    const signature = crypto.sign('SHA256', Buffer.from(`${header}.${payload}`), { key: privateKey, dsaEncoding: 'ieee-p1363' });
+    return `${header}.${payload}.${signature.toString('base64url')}`;
+  }
+
+  const now = () => Math.floor(Date.now() / 1000);
+
+  it('accepts a token that has not expired', () => {
+    assert.equal(verifyJwt(token({ sub: 'u1', exp: now() + 60 }), keys).sub, 'u1');
+  });
+
+  it('rejects a token without exp', () => {
+    assert.throws(() => verifyJwt(token({ sub: 'u1' }), keys), { status: 401, message: 'bearer token: no "exp"' });
+    assert.throws(() => verifyJwt(token({ sub: 'u1', exp: String(now() + 60) }), keys), { status: 401, message: 'bearer token: no "exp"' });
+  });
+
+  it('rejects an expired token', () => {
+    assert.throws(() => verifyJwt(token({ sub: 'u1', exp: now() - 120 }), keys), { status: 401, message: 'bearer token: expired' });
+  });
+});
@@ -0,0 +1,173 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+const { applyIdpProfile, parseIdpProfiles } = require('../idpProfiles');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'idp-profiles-'));
+const file = path.join(dir, 'idp-profiles.json');
+let version = 0;
+
+// Each write gets a new mtime so the reload is never missed
+function writeProfiles(doc) {
+  fs.writeFileSync(file, JSON.stringify(doc));
+  const t = new Date(Date.parse('2026-01-01T00:00:00Z') + ++version * 1000);
+  fs.utimesSync(file, t, t);
+  process.env.IDP_PROFILES_FILE = file;
+}
+
+after(() => {
+  delete process.env.IDP_PROFILES_FILE;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const SAML_CLAIMS = 'http://schemas.xmlsoap.org/ws/2005/05/identity/claims';
+
+// RetrieveIdentityProviderIntent response of an IdP
+function intent(idpId, rawInformation) {
+  return {
+    idpInformation: { idpId, rawInformation },
+    addHumanUser: { username: 'zitadel-default', profile: { givenName: 'Unmapped' }, email: {} },
+  };
+}
+
+// addHumanUser with metadata decoded, for readable assertions
+function mapped(resp) {
+  const { addHumanUser } = applyIdpProfile(resp);
+  const metadata = Object.fromEntries(addHumanUser.metadata.map(({ key, value }) => [key, Buffer.from(value, 'base64').toString('utf8')]));
+  return { ...addHumanUser, metadata };
+}
+
+describe('IdP profile presets', () => {
+  it('maps Entra ID claims, falling back to preferred_username', () => {
+    writeProfiles({ profiles: { entra: { preset: 'entra-id-oidc' } } });
+    const user = mapped(intent('entra', {
+      given_name: 'Ada', family_name: 'Lovelace', preferred_username: 'ada@contoso.example', groups: ['g1', 'g2'],
+    }));
+    assert.deepEqual(user.profile, { givenName: 'Ada', familyName: 'Lovelace' });
+    assert.deepEqual(user.email, { email: 'ada@contoso.example', isVerified: true });
+    assert.equal(user.username, 'ada@contoso.example');
+    assert.deepEqual(user.metadata, { okta_authentication_type: 'SSO:ENTRA:OIDC', okta_groups: '["g1","g2"]' });
+  });
+
+  it('prefers the Entra ID email claim and uses upn when nothing else is there', () => {
+    writeProfiles({ profiles: { entra: { preset: 'entra-id-oidc' } } });
+    assert.equal(mapped(intent('entra', { email: 'ada@mail.example', preferred_username: 'ada@contoso.example' })).email.email, 'ada@mail.example');
+    const user = mapped(intent('entra', { upn: 'ada@upn.example' }));
+    assert.equal(user.email.email, 'ada@upn.example');
+    assert.equal(user.username, 'ada@upn.example');
+  });
+
+  it('maps Google Workspace claims including the hosted domain and locale', () => {
+    writeProfiles({ profiles: { google: 'google-workspace' } });
+    const user = mapped(intent('google', {
+      given_name: 'Grace', family_name: 'Hopper', email: 'grace@acme.example', locale: 'en', hd: 'acme.example',
+    }));
+    assert.deepEqual(user.profile, { givenName: 'Grace', familyName: 'Hopper', preferredLanguage: 'en' });
+    assert.equal(user.username, 'grace@acme.example');
+    assert.deepEqual(user.metadata, {
+      okta_authentication_type: 'SSO:GOOGLE:OIDC',
+      okta_groups: '[]',
+      google_hosted_domain: 'acme.example',
+    });
+  });
+
+  it('maps SAML assertions with URI attribute names', () => {
+    writeProfiles({ profiles: { saml: { preset: 'saml' } } });
+    const user = mapped(intent('saml', {
+      id: 'name-id-1',
+      attributes: {
+        [`${SAML_CLAIMS}/givenname`]: ['Alan'],
+        [`${SAML_CLAIMS}/surname`]: ['Turing'],
+        [`${SAML_CLAIMS}/emailaddress`]: ['alan@bletchley.example'],
+        'http://schemas.microsoft.com/ws/2008/06/identity/claims/groups': ['codebreakers'],
+      },
+    }));
+    assert.deepEqual(user.profile, { givenName: 'Alan', familyName: 'Turing' });
+    assert.equal(user.email.email, 'alan@bletchley.example');
+    assert.equal(user.username, 'alan@bletchley.example');
+    assert.deepEqual(user.metadata, { okta_authentication_type: 'SSO:SAML', okta_groups: '["codebreakers"]' });
+  });
+
+  it('maps SAML assertions with short attribute names, and the NameID as username', () => {
+    writeProfiles({ profiles: { saml: { preset: 'saml' } } });
+    const user = mapped(intent('saml', {
+      id: 'name-id-1',
+      attributes: { firstName: ['Alan'], lastName: ['Turing'], memberOf: 'codebreakers' },
+    }));
+    assert.deepEqual(user.profile, { givenName: 'Alan', familyName: 'Turing' });
+    assert.equal(user.username, 'name-id-1');
+    assert.equal(user.metadata.okta_groups, '["codebreakers"]');
+  });
+});
+
+describe('custom IdP profiles', () => {
+  it('extends a preset and overrides its attributes, metadata and keys', () => {
+    writeProfiles({
+      profiles: {
+        acme: {
+          preset: 'saml',
+          authenticationType: 'SSO:ACME:SAML',
+          authenticationTypeKey: 'auth_type',
+          emailVerified: false,
+          attributes: { email: [['attributes', 'urn:oid:0.9.2342.19200300.100.1.3']], displayName: 'attributes.cn' },
+          metadata: { department: 'attributes.department', raw_roles: { from: 'attributes.roles', type: 'json' } },
+        },
+      },
+    });
+    const user = mapped(intent('acme', {
+      attributes: { 'urn:oid:0.9.2342.19200300.100.1.3': 'alan@acme.example', cn: 'Alan T.', department: ['R&D', 'Ops'], roles: { admin: true } },
+    }));
+    assert.deepEqual(user.email, { email: 'alan@acme.example', isVerified: false });
+    assert.equal(user.profile.displayName, 'Alan T.');
+    assert.deepEqual(user.metadata, {
+      auth_type: 'SSO:ACME:SAML',
+      okta_groups: '[]',
+      department: 'R&D',
+      raw_roles: '{"admin":true}',
+    });
+  });
+
+  it('keeps the existing addHumanUser values that the IdP did not send', () => {
+    writeProfiles({ profiles: { entra: { preset: 'entra-id-oidc' } } });
+    const user = mapped(intent('entra', {}));
+    assert.equal(user.username, 'zitadel-default');
+    assert.equal(user.profile.givenName, 'Unmapped');
+  });
+
+  it('rejects unknown presets, attributes and a missing authenticationType', () => {
+    assert.throws(() => parseIdpProfiles({ profiles: { a: 'azure' } }), { message: 'profiles.a: unknown preset "azure"' });
+    assert.throws(() => parseIdpProfiles({ profiles: { a: { preset: 'saml', attributes: { phone: 'x' } } } }),
+      { message: 'profiles.a: unknown attribute "phone"' });
+    assert.throws(() => parseIdpProfiles({ profiles: { a: { attributes: { email: 'mail' } } } }),
+      { message: 'profiles.a: authenticationType is required' });
+    assert.throws(() => parseIdpProfiles({ fallback: 'nope' }), { message: 'fallback: unknown preset "nope"' });
+  });
+});
+
+describe('IdP profile fallback', () => {
+  const okta = { given_name: 'Okta', family_name: 'User', email: 'okta@acme.example', groups: ['everyone'] };
+
+  it('uses okta-oidc without a profiles file', () => {
+    delete process.env.IDP_PROFILES_FILE;
+    const user = mapped(intent('any', okta));
+    assert.equal(user.username, 'okta@acme.example');
+    assert.deepEqual(user.metadata, { okta_authentication_type: 'SSO:OKTA:OIDC', okta_groups: '["everyone"]' });
+  });
+
+  it('uses the configured fallback for IdPs without a profile', () => {
+    writeProfiles({ profiles: {}, fallback: 'google-workspace' });
+    assert.equal(mapped(intent('unknown', okta)).metadata.okta_authentication_type, 'SSO:GOOGLE:OIDC');
+  });
+
+  it('passes the response through unchanged with "passthrough"', () => {
+    writeProfiles({ profiles: { entra: 'entra-id-oidc' }, fallback: 'passthrough' });
+    const resp = intent('unknown', okta);
+    const before = structuredClone(resp);
+    assert.deepEqual(applyIdpProfile(resp), before);
+    assert.equal(mapped(intent('entra', okta)).metadata.okta_authentication_type, 'SSO:ENTRA:OIDC');
+  });
+});
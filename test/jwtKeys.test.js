@@ -0,0 +1,47 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { KeyStore } = require('../jwtKeys');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-keys-'));
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+describe('JWT signing key rotation', () => {
+  const file = path.join(dir, 'keys.json');
+  const store = new KeyStore({ file, rotationDays: 30, overlapHours: 24 });
+  const t0 = Date.parse('2026-01-01T00:00:00Z');
+  const statuses = now => store.list(now).map(k => k.status);
+
+  it('creates a first key that signs right away', () => {
+    assert.equal(store.rotate(t0), true);
+    assert.deepEqual(statuses(t0), ['active']);
+    assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+  });
+
+  it('publishes the next key one overlap before it signs', () => {
+    assert.equal(store.rotate(t0 + 28 * DAY), false);
+    const due = t0 + 29 * DAY;
+    assert.equal(store.rotate(due), true);
+    assert.deepEqual(statuses(due), ['next', 'active']);
+    assert.equal(store.jwks().keys.length, 2);
+    assert.deepEqual(statuses(due + 24 * HOUR), ['active', 'retired']);
+  });
+
+  it('removes the retired key one overlap after it stopped signing', () => {
+    const activated = t0 + 30 * DAY;
+    assert.equal(store.rotate(activated + 23 * HOUR), false);
+    assert.equal(store.rotate(activated + 24 * HOUR), true);
+    assert.deepEqual(statuses(activated + 24 * HOUR), ['active']);
+  });
+
+  it('picks up keys written by another process', () => {
+    const other = new KeyStore({ file, rotationDays: 30, overlapHours: 24 });
+    other.generate(t0 + 40 * DAY);
+    assert.equal(store.jwks().keys.length, 2);
+  });
+});
@@ -0,0 +1,239 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+const { matchesLoginName, normalizeLegacyUser } = require('../legacyDirectory');
+const { createMemoryDirectory } = require('../legacyDirectory/memory');
+const { createFileDirectory, parseCsv } = require('../legacyDirectory/file');
+const { createSqliteDirectory } = require('../legacyDirectory/sqlite');
+const { createHttpDirectory } = require('../legacyDirectory/http');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'legacy-directory-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Same two users in every fixture; ada's login name differs from the e-mail and username
+const ADA = { login_name: 'ada.l', username: 'ada', email: 'Ada@Legacy.test', first_name: 'Ada', last_name: 'Lovelace', password_hash: '$2a$05$hash' };
+const BOB = { login_name: 'bob.s', username: 'bob', email: 'bob@legacy.test', first_name: 'Bob', last_name: 'Smith', password_hash: '$2a$05$hash' };
+
+function write(name, content) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+// Every adapter finds ada by login name, e-mail and username, ignoring case
+async function assertMatching(directory) {
+  for (const loginName of ['ada.l', 'ADA.L', 'ada@legacy.test', 'Ada@Legacy.test', 'ada', 'Ada']) {
+    const user = normalizeLegacyUser(await directory.findUser(loginName));
+    assert.equal(user?.email, 'Ada@Legacy.test', loginName);
+  }
+  assert.equal(await directory.findUser('nobody'), null);
+}
+
+describe('legacy user records', () => {
+  it('maps snake_case and camelCase columns onto the user', () => {
+    assert.deepEqual(normalizeLegacyUser({ user_id: 7, ...ADA }), {
+      userId: '7',
+      username: 'ada',
+      loginName: 'ada.l',
+      givenName: 'Ada',
+      familyName: 'Lovelace',
+      displayName: 'Ada Lovelace',
+      email: 'Ada@Legacy.test',
+      password: '$2a$05$hash',
+    });
+    assert.equal(normalizeLegacyUser({ email: 'x@legacy.test', givenName: 'X' }).username, 'x@legacy.test');
+    assert.equal(normalizeLegacyUser(null), null);
+  });
+
+  it('matches the login name, e-mail or username', () => {
+    assert.equal(matchesLoginName(ADA, 'ADA@legacy.test'), true);
+    assert.equal(matchesLoginName(ADA, 'ada'), true);
+    assert.equal(matchesLoginName(ADA, 'ada.l'), true);
+    assert.equal(matchesLoginName(ADA, 'bob'), false);
+  });
+});
+
+describe('memory legacy directory', () => {
+  const directory = createMemoryDirectory({ users: { 'ada.l': ADA, 'bob.s': BOB }, matches: matchesLoginName });
+
+  it('finds users like the other adapters', () => assertMatching(directory));
+
+  it('lists users with their login name', async () => {
+    const users = await directory.listUsers({ offset: 1, limit: 5 });
+    assert.deepEqual(users.map(u => u.loginName), ['bob.s']);
+  });
+});
+
+describe('file legacy directory', () => {
+  it('reads a JSON array', async () => {
+    const directory = createFileDirectory({ filePath: write('users.json', JSON.stringify([ADA, BOB])), matches: matchesLoginName });
+    await assertMatching(directory);
+    assert.deepEqual((await directory.listUsers({ offset: 0, limit: 1 })).map(u => u.username), ['ada']);
+  });
+
+  it('reads a JSON object keyed by login name', async () => {
+    const { login_name: _, ...ada } = ADA;
+    const directory = createFileDirectory({ filePath: write('keyed.json', JSON.stringify({ 'ada.l': ada, 'bob.s': BOB })), matches: matchesLoginName });
+    await assertMatching(directory);
+  });
+
+  it('reads a CSV export', async () => {
+    const header = Object.keys(ADA).join(',');
+    const rows = [ADA, BOB].map(u => Object.values(u).join(','));
+    const directory = createFileDirectory({ filePath: write('users.csv', [header, ...rows].join('\r\n')), matches: matchesLoginName });
+    await assertMatching(directory);
+    assert.equal((await directory.listUsers()).length, 2);
+  });
+
+  it('re-reads the file when it changes', async () => {
+    const file = write('reload.json', JSON.stringify([BOB]));
+    const directory = createFileDirectory({ filePath: file, matches: matchesLoginName });
+    assert.equal(await directory.findUser('ada'), null);
+
+    fs.writeFileSync(file, JSON.stringify([BOB, ADA]));
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(file, later, later);
+    assert.equal((await directory.findUser('ada')).username, 'ada');
+  });
+
+  it('requires LEGACY_FILE_PATH', () => {
+    assert.throws(() => createFileDirectory({ matches: matchesLoginName }), /LEGACY_FILE_PATH is required/);
+  });
+});
+
+describe('CSV parser', () => {
+  it('handles quoted fields, escaped quotes and embedded separators', () => {
+    const csv = 'username,display_name,note\n"ada","Lovelace, Ada","says ""hi""\nand bye"\n';
+    assert.deepEqual(parseCsv(csv), [{ username: 'ada', display_name: 'Lovelace, Ada', note: 'says "hi"\nand bye' }]);
+  });
+
+  it('handles CRLF, blank lines, a missing final newline and short rows', () => {
+    const csv = ' username , email\r\n\r\nada,ada@legacy.test\r\nbob';
+    assert.deepEqual(parseCsv(csv), [
+      { username: 'ada', email: 'ada@legacy.test' },
+      { username: 'bob', email: '' },
+    ]);
+  });
+
+  it('returns no records for a header-only or empty file', () => {
+    assert.deepEqual(parseCsv('username,email\n'), []);
+    assert.deepEqual(parseCsv(''), []);
+  });
+});
+
+describe('sqlite legacy directory', () => {
+  let dbPath;
+  before(() => {
+    const Database = require('better-sqlite3');
+    dbPath = path.join(dir, 'legacy.db');
+    const db = new Database(dbPath);
+    db.exec('CREATE TABLE users (id INTEGER PRIMARY KEY, login_name TEXT, username TEXT, email TEXT, first_name TEXT, last_name TEXT, password_hash TEXT)');
+    const insert = db.prepare('INSERT INTO users (login_name, username, email, first_name, last_name, password_hash) VALUES (@login_name, @username, @email, @first_name, @last_name, @password_hash)');
+    [ADA, BOB].forEach(u => insert.run(u));
+    db.close();
+  });
+
+  it('finds users with the default query', async () => {
+    await assertMatching(createSqliteDirectory({ dbPath }));
+  });
+
+  it('pages through users in a stable order', async () => {
+    const directory = createSqliteDirectory({ dbPath });
+    assert.deepEqual((await directory.listUsers({ offset: 0, limit: 1 })).map(u => u.username), ['ada']);
+    assert.deepEqual((await directory.listUsers({ offset: 1, limit: 1 })).map(u => u.username), ['bob']);
+    assert.deepEqual(await directory.listUsers({ offset: 2, limit: 1 }), []);
+  });
+
+  it('runs a custom query', async () => {
+    const directory = createSqliteDirectory({ dbPath, query: 'SELECT * FROM users WHERE id = CAST(@loginName AS INTEGER)' });
+    assert.equal((await directory.findUser('2')).username, 'bob');
+  });
+
+  it('searches only the login columns the table has', async () => {
+    const Database = require('better-sqlite3');
+    const emailOnly = path.join(dir, 'email-only.db');
+    const db = new Database(emailOnly);
+    db.exec('CREATE TABLE users (id INTEGER PRIMARY KEY, Email TEXT, first_name TEXT, password_hash TEXT)');
+    db.prepare('INSERT INTO users (Email, first_name, password_hash) VALUES (?, ?, ?)').run(ADA.email, ADA.first_name, ADA.password_hash);
+    db.close();
+
+    const directory = createSqliteDirectory({ dbPath: emailOnly });
+    assert.equal((await directory.findUser('ada@legacy.test')).first_name, 'Ada');
+    assert.equal(await directory.findUser('ada'), null);
+  });
+
+  it('refuses a users table without login columns unless LEGACY_SQL_QUERY is set', () => {
+    const Database = require('better-sqlite3');
+    const noLogin = path.join(dir, 'no-login.db');
+    const db = new Database(noLogin);
+    db.exec('CREATE TABLE users (id INTEGER PRIMARY KEY, first_name TEXT)');
+    db.close();
+
+    assert.throws(() => createSqliteDirectory({ dbPath: noLogin }), /table "users" needs one of the columns login_name, .* or set LEGACY_SQL_QUERY/);
+    assert.doesNotThrow(() => createSqliteDirectory({ dbPath: noLogin, query: 'SELECT * FROM users WHERE id = @loginName' }));
+  });
+
+  it('refuses a missing database file', () => {
+    assert.throws(() => createSqliteDirectory({ dbPath: path.join(dir, 'missing.db') }));
+  });
+});
+
+describe('http legacy directory', () => {
+  let server;
+  let baseUrl;
+  const requests = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      requests.push({ path: url.pathname, query: Object.fromEntries(url.searchParams), authorization: req.headers.authorization });
+      const send = (status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+      };
+      if (url.pathname === '/broken') return send(503, { error: 'maintenance' });
+      if (url.pathname === '/users') {
+        const users = [ADA, BOB].slice(Number(url.searchParams.get('offset')), Number(url.searchParams.get('offset')) + Number(url.searchParams.get('limit')));
+        return send(200, { users });
+      }
+      const loginName = decodeURIComponent(url.pathname.split('/')[2] || url.searchParams.get('loginName') || '');
+      const user = [ADA, BOB].find(u => matchesLoginName(u, loginName));
+      return user ? send(200, url.pathname.startsWith('/wrapped') ? { user } : user) : send(404, {});
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it('puts the login name into the {loginName} placeholder', async () => {
+    await assertMatching(createHttpDirectory({ url: `${baseUrl}/users/{loginName}` }));
+    assert.equal(requests.at(-1).path, '/users/nobody');
+  });
+
+  it('sends the login name as a query parameter and the token as a bearer token', async () => {
+    const directory = createHttpDirectory({ url: `${baseUrl}/lookup`, token: 's3cret' });
+    assert.equal((await directory.findUser('bob@legacy.test')).username, 'bob');
+    assert.deepEqual(requests.at(-1), { path: '/lookup', query: { loginName: 'bob@legacy.test' }, authorization: 'Bearer s3cret' });
+  });
+
+  it('unwraps a { user } answer', async () => {
+    assert.equal((await createHttpDirectory({ url: `${baseUrl}/wrapped/{loginName}` }).findUser('ada')).username, 'ada');
+  });
+
+  it('throws other error answers with their status', async () => {
+    await assert.rejects(createHttpDirectory({ url: `${baseUrl}/broken` }).findUser('ada'), { status: 503, message: /lookup failed: 503/ });
+  });
+
+  it('pages through users', async () => {
+    const directory = createHttpDirectory({ url: `${baseUrl}/lookup`, listUrl: `${baseUrl}/users` });
+    assert.deepEqual((await directory.listUsers({ offset: 1, limit: 10 })).map(u => u.username), ['bob']);
+    assert.deepEqual(requests.at(-1).query, { offset: '1', limit: '10' });
+    await assert.rejects(createHttpDirectory({ url: `${baseUrl}/lookup` }).listUsers(), /LEGACY_HTTP_LIST_URL is required/);
+  });
+});
@@ -0,0 +1,39 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { redact, REDACTED } = require('../logger');
+
+describe('log redaction', () => {
+  it('masks credentials wherever they appear', () => {
+    const out = redact({
+      request: { sessionToken: 'st', checks: { password: { password: 'Password1!' } } },
+      idpInformation: { oauth: { accessToken: 'at', idToken: 'it' } },
+      headers: { Authorization: 'Bearer abc' },
+    });
+    assert.equal(out.request.sessionToken, REDACTED);
+    assert.equal(out.request.checks.password, REDACTED);
+    assert.equal(out.idpInformation.oauth.accessToken, REDACTED);
+    assert.equal(out.idpInformation.oauth.idToken, REDACTED);
+    assert.equal(out.headers.Authorization, REDACTED);
+  });
+
+  it('masks e-mail addresses, JWTs and bearer tokens inside strings', () => {
+    const out = redact({ note: 'ada@acme.example sent Bearer xyz and eyJhbGci.eyJzdWIi.c2ln' });
+    assert.equal(out.note, `a***@acme.example sent Bearer ${REDACTED} and ${REDACTED}`);
+  });
+
+  it('drops the values of configured metadata keys', () => {
+    process.env.LOG_REDACT_METADATA_KEYS = 'okta_groups';
+    try {
+      const out = redact({ user_metadata: [{ key: 'okta_groups', value: 'W10=' }, { key: 'other', value: 'eA==' }] });
+      assert.deepEqual(out.user_metadata, [{ key: 'okta_groups', value: REDACTED }, { key: 'other', value: 'eA==' }]);
+    } finally {
+      delete process.env.LOG_REDACT_METADATA_KEYS;
+    }
+  });
+
+  it('does not modify the logged object', () => {
+    const body = { password: 'secret' };
+    redact(body);
+    assert.equal(body.password, 'secret');
+  });
+});
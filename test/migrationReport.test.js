@@ -0,0 +1,110 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeZitadel } = require('./fakeZitadel');
+
+Object.assign(process.env, {
+  ZITADEL_DOMAIN: 'zitadel.test',
+  CLIENT_ID: 'actions-client',
+  CLIENT_SECRET: 'actions-secret',
+  ZITADEL_ORG_ID: 'org-1',
+  UPSTREAM_RETRY_BASE_MS: '1',
+  LOG_LEVEL: process.env.LOG_LEVEL || 'silent',
+});
+delete process.env.ACCESS_TOKEN;
+
+const { collectMigrationReport, migrationReportToCsv } = require('../migrationReport');
+const { clearTokenCache } = require('../zitadelClient');
+const { resetCircuits } = require('../upstream');
+
+const zitadel = createFakeZitadel({ clientId: 'actions-client', clientSecret: 'actions-secret' });
+
+before(async () => {
+  process.env.ZITADEL_API_URL = await zitadel.start();
+});
+
+after(() => zitadel.stop());
+
+beforeEach(() => {
+  zitadel.reset();
+  clearTokenCache();
+  resetCircuits();
+});
+
+// org-1: 2 migrated, 3 migrating, 2 native; org-2: 1 migrating, 1 native
+function seed() {
+  const add = (username, organizationId, state) => zitadel.addUser({
+    userId: `id-${username}`, username, organizationId, metadata: state ? { migratedFromLegacy: state, department: 'R&D' } : { department: 'R&D' },
+  });
+  add('mia', 'org-1', 'true');
+  add('max', 'org-1', 'true');
+  add('zoe', 'org-1', 'migrating');
+  add('amy', 'org-1', 'migrating');
+  add('ben', 'org-1', 'migrating');
+  add('native-1', 'org-1');
+  add('native-2', 'org-1');
+  add('kim', 'org-2', 'migrating');
+  add('native-3', 'org-2');
+}
+
+describe('migration report', () => {
+  it('counts users per migration state and lists the ones still migrating', async () => {
+    seed();
+    const report = await collectMigrationReport();
+    assert.equal(report.organizationId, 'org-1');
+    assert.deepEqual(report.counts, { migrated: 2, migrating: 3, notMigrated: 2, total: 7 });
+    assert.deepEqual(report.stuck.map(u => u.username), ['amy', 'ben', 'zoe']);
+    assert.deepEqual(report.stuck[0], {
+      userId: 'id-amy', username: 'amy', loginName: 'amy@zitadel.test', state: 'USER_STATE_ACTIVE', changeDate: undefined,
+    });
+  });
+
+  it('reports on the given org, or on every org', async () => {
+    seed();
+    const other = await collectMigrationReport({ organizationId: 'org-2' });
+    assert.deepEqual(other.counts, { migrated: 0, migrating: 1, notMigrated: 1, total: 2 });
+    assert.deepEqual(other.stuck.map(u => u.username), ['kim']);
+
+    const all = await collectMigrationReport({ organizationId: '' });
+    assert.equal(all.organizationId, null);
+    assert.deepEqual(all.counts, { migrated: 2, migrating: 4, notMigrated: 3, total: 9 });
+  });
+
+  it('does not read the metadata of each user', async () => {
+    for (let i = 0; i < 250; i++) {
+      zitadel.addUser({ userId: `bulk-${i}`, username: `bulk-${i}`, metadata: i % 5 === 0 ? { migratedFromLegacy: 'migrating' } : {} });
+    }
+    const report = await collectMigrationReport();
+    assert.deepEqual(report.counts, { migrated: 0, migrating: 50, notMigrated: 200, total: 250 });
+
+    const calls = zitadel.state.requests.filter(r => r.path.startsWith('/v2/users'));
+    assert.equal(calls.length, 3);
+    assert.ok(calls.every(r => r.path === '/v2/users'));
+  });
+
+  it('fails when ZITADEL cannot be searched', async () => {
+    seed();
+    zitadel.failNext('POST', '/v2/users', 400);
+    await assert.rejects(collectMigrationReport(), { status: 400 });
+  });
+});
+
+describe('migration report CSV', () => {
+  it('has one row per user still migrating, with quoted fields where needed', () => {
+    const csv = migrationReportToCsv({
+      stuck: [
+        { userId: '1', username: 'amy', loginName: 'amy@zitadel.test', state: 'USER_STATE_ACTIVE', changeDate: '2026-01-01T00:00:00Z' },
+        { userId: '2', username: 'O\'Brien, "Bo"', loginName: 'bo@zitadel.test', state: 'USER_STATE_LOCKED' },
+      ],
+    });
+    assert.equal(csv, [
+      'userId,username,loginName,state,changeDate',
+      '1,amy,amy@zitadel.test,USER_STATE_ACTIVE,2026-01-01T00:00:00Z',
+      '2,"O\'Brien, ""Bo""",bo@zitadel.test,USER_STATE_LOCKED,',
+      '',
+    ].join('\n'));
+  });
+
+  it('has only the header without users', () => {
+    assert.equal(migrationReportToCsv({ stuck: [] }), 'userId,username,loginName,state,changeDate\n');
+  });
+});
@@ -0,0 +1,122 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+const { parseRoleMap, resolvePermissionsFromMap, validateRoleDefinition } = require('../orgPermissions');
+
+// Org metadata as ZITADEL returns it: base64 values
+function roleMap(definitions) {
+  return parseRoleMap(Object.entries(definitions).map(([key, def]) => ({
+    key,
+    value: Buffer.from(typeof def === 'string' ? def : JSON.stringify(def)).toString('base64'),
+  })));
+}
+
+const resolve = (definitions, grants) => resolvePermissionsFromMap(roleMap(definitions), grants);
+
+describe('role permissions', () => {
+  it('reads lists, comma separated values and objects', () => {
+    const result = resolve({
+      viewer: ['invoices:read'],
+      auditor: 'reports:read, reports:export',
+      editor: { permissions: ['invoices:write'] },
+    }, [{ projectId: 'p1', roles: ['viewer', 'auditor', 'editor'] }]);
+    assert.deepEqual(result.roles, ['viewer', 'auditor', 'editor']);
+    assert.deepEqual(result.permissions, ['invoices:read', 'reports:read', 'reports:export', 'invoices:write']);
+  });
+
+  it('skips the metadata keys of other features', () => {
+    const map = roleMap({ default_roles: ['member'], session_policy: '{}', viewer: ['invoices:read'] });
+    assert.deepEqual([...map.keys()], ['viewer']);
+  });
+
+  it('inherits the permissions of included roles, recursively', () => {
+    const result = resolve({
+      admin: { permissions: ['users:write'], includes: ['editor'] },
+      editor: { permissions: ['invoices:write'], includes: ['viewer'] },
+      viewer: ['invoices:read'],
+    }, [{ projectId: 'p1', roles: ['admin'] }]);
+    assert.deepEqual(result.roles, ['admin', 'editor', 'viewer']);
+    assert.deepEqual(result.permissions, ['users:write', 'invoices:write', 'invoices:read']);
+  });
+
+  it('stops at include cycles', () => {
+    const result = resolve({
+      a: { permissions: ['a:read'], includes: ['b'] },
+      b: { permissions: ['b:read'], includes: ['a', 'b'] },
+    }, [{ projectId: 'p1', roles: ['a'] }]);
+    assert.deepEqual(result.roles, ['a', 'b']);
+    assert.deepEqual(result.permissions, ['a:read', 'b:read']);
+  });
+
+  it('ignores grants of unknown roles', () => {
+    assert.deepEqual(resolve({ viewer: ['invoices:read'] }, [{ projectId: 'p1', roles: ['ghost', ''] }]).permissions, []);
+  });
+});
+
+describe('wildcard permissions', () => {
+  const definitions = {
+    finance: ['invoices:*'],
+    viewer: ['invoices:read', 'reports:read'],
+    editor: ['invoices:write'],
+    root: ['*'],
+  };
+
+  it('expands "prefix*" to every known permission it matches', () => {
+    assert.deepEqual(resolve(definitions, [{ projectId: 'p1', roles: ['finance'] }]).permissions,
+      ['invoices:*', 'invoices:read', 'invoices:write']);
+  });
+
+  it('expands "*" to every known permission', () => {
+    assert.deepEqual(resolve(definitions, [{ projectId: 'p1', roles: ['root'] }]).permissions,
+      ['*', 'invoices:read', 'reports:read', 'invoices:write']);
+  });
+});
+
+describe('project scoping', () => {
+  const definitions = {
+    billing: { permissions: ['invoices:write'], projects: ['p1'] },
+    manager: { permissions: ['team:read'], includes: ['billing'] },
+  };
+
+  it('confers a scoped role only through grants of its projects', () => {
+    assert.deepEqual(resolve(definitions, [{ projectId: 'p1', roles: ['billing'] }]).roles, ['billing']);
+    assert.deepEqual(resolve(definitions, [{ projectId: 'p2', roles: ['billing'] }]).roles, []);
+  });
+
+  it('applies the scope of an included role', () => {
+    const other = resolve(definitions, [{ projectId: 'p2', roles: ['manager'] }]);
+    assert.deepEqual(other.roles, ['manager']);
+    assert.deepEqual(other.permissions, ['team:read']);
+
+    const scoped = resolve(definitions, [{ projectId: 'p1', roles: ['manager'] }]);
+    assert.deepEqual(scoped.roles, ['manager', 'billing']);
+    assert.deepEqual(scoped.permissions, ['team:read', 'invoices:write']);
+  });
+
+  it('checks the scope per grant when a role is granted in several projects', () => {
+    const result = resolve(definitions, [
+      { projectId: 'p2', roles: ['manager'] },
+      { projectId: 'p1', roles: ['manager'] },
+    ]);
+    assert.deepEqual(result.roles, ['manager', 'billing']);
+  });
+});
+
+describe('role definition validation', () => {
+  it('accepts a list or a complete object', () => {
+    assert.deepEqual(validateRoleDefinition(['invoices:read']).definition, { permissions: ['invoices:read'], includes: [], projects: null });
+    assert.deepEqual(validateRoleDefinition({ includes: ['viewer'], projects: ['p1'] }).errors, []);
+  });
+
+  it('reports every problem', () => {
+    const { definition, errors } = validateRoleDefinition({ permissions: ['in*voices', 'ok:read'], projects: [] });
+    assert.equal(definition, null);
+    assert.deepEqual(errors, [
+      'invalid permission "in*voices" (letters, digits, "._:/-", and "*" only at the end)',
+      '"projects" must not be empty (omit it for every project)',
+    ]);
+    assert.match(validateRoleDefinition({ permission: [] }).errors[0], /unknown field "permission"/);
+    assert.match(validateRoleDefinition({}).errors[0], /grants nothing/);
+  });
+});
@@ -0,0 +1,121 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { verifyPassword, detectHashFormat } = require('../passwordHashes');
+
+// ---------------------------------------------------------------------------
+// Known-answer vectors: openssl passwd -1/-5/-6, Drepper's SHA-crypt
+// "rounds=" vectors, the crypt_blowfish and argon2 reference vectors, and
+// PBKDF2 / salted SHA values computed with Python's hashlib.
+// ---------------------------------------------------------------------------
+
+const VECTORS = [
+  ['bcrypt', '$2a$05$CCCCCCCCCCCCCCCCCCCCC.E5YPO9kmyuRGyh0XouQYb4YMJKvyOeW', 'U*U'],
+  ['argon2', '$argon2i$v=19$m=65536,t=2,p=1$c29tZXNhbHQ$wWKIMhR9lyDFvRz9YTZweHKfbftvj+qf+YFY4NeBbtA', 'password'],
+  ['argon2', '$argon2id$v=19$m=65536,t=2,p=1$c29tZXNhbHQ$CTFhFdXPJO1aFaMaO6Mm5c8y7cJHAph8ArZWb2GRPPc', 'password'],
+  ['pbkdf2', '$pbkdf2-sha256$29000$N2YMIWQsBWBMae09x1jrPQ$lEjTD4tvq5SOB5ctjdSxvnbzU5PQEfMComvCIxNEqq8', 'password'],
+  ['pbkdf2', '$pbkdf2-sha512$1000$c29tZXNhbHR2YWx1ZQ$qhnLc8GkHiW5gQx4Df1aDqOJqDvZGaDODyRkEfkwos/W4ej80lYlL4QU4Py97cRNmBgwjSZLkch0YBxQ8ZNICQ', 'Password1!'],
+  ['pbkdf2-django', 'pbkdf2_sha256$260000$seasalt$KYyTLZipoptWzMfVXggrL4dOS0p2G8y/5RrEVqb93Nk=', 'Password1!'],
+  ['ssha', '{SSHA}LBQIOTQSRjog3b9As3rAdBIH9j8BAgME', 'Password1!'],
+  ['ssha', '{SSHA512}QE66ridiIKgSWg5lCUFsc7bnIxC8jidBTvbe4Hg0lL6fRlBP9pGoag/T4VdILBcQJF1FSxfFclq8XNUaSPmCAwECAwQ=', 'Password1!'],
+  ['salted-sha', 'sha1$pepper$21fda9cc16c3693c81aff0f173be0fc3cd163bde', 'Password1!'],
+  ['salted-sha', 'sha256$pepper$255f2a6ea0e41af1a9a1f7383eaa9e5e8fe550eaf1586c1ad973bd392d9444f7', 'Password1!'],
+  ['md5-crypt', '$1$saltsalt$oSgDXpKm0vSWfvd6v0/Kg.', 'Password1!'],
+  ['sha-crypt', '$5$saltstring$5B8vYYiY.CVt1RlTTf8KbXBH3hsxY/GNooZaBBGWEc5', 'Hello world!'],
+  ['sha-crypt', '$5$rounds=10000$saltstringsaltst$3xv.VbSHBb41AL9AvLeujZkZRBAwqFMz2.opqey6IcA', 'Hello world!'],
+  ['sha-crypt', '$5$rounds=1000$roundstoolow$yfvwcWrQ8l/K0DAWyuPMDNHpIVlTQebY9l/gL972bIC', 'the minimum number is still observed'],
+  ['sha-crypt', '$6$saltstring$svn8UoSVapNtMuq1ukKS4tPQd8iKwSMHWjl/O817G3uBnIFNjnQJuesI68u4OTLiBFdcbYEdFCoEOfaS35inz1', 'Hello world!'],
+  ['sha-crypt', '$6$rounds=10000$saltstringsaltst$OW1/O6BYHV6BcXZu8QVeXbDWra3Oeqh0sbHbbMCVNSnCM/UrjmM0Dp8vOuZeHBy/YTBmSK6H9qs/y3RnOaw5v.', 'Hello world!'],
+  ['sha-crypt', '$6$rounds=5000$toolongsaltstrin$lQ8jolhgVRVhY4b5pZKaysCLi0QBxGoNeKQzQ3glMhwllF7oGDZxUhx1yxdYcz/e1JSbq3y6JMxxl8audkUEm0', 'This is just a test'],
+];
+
+const savedEnv = { ...process.env };
+afterEach(() => {
+  for (const name of ['LEGACY_ALLOW_PLAINTEXT_PASSWORDS', 'LEGACY_SHA_CRYPT_MAX_ROUNDS', 'LEGACY_BCRYPT_MAX_COST',
+    'LEGACY_ARGON2_MAX_MEMORY_KIB', 'LEGACY_ARGON2_MAX_ITERATIONS']) {
+    if (savedEnv[name] === undefined) delete process.env[name];
+    else process.env[name] = savedEnv[name];
+  }
+});
+
+describe('legacy password hashes', () => {
+  for (const [format, stored, password] of VECTORS) {
+    it(`${format}: ${stored.slice(0, 24)}…`, async () => {
+      assert.equal(detectHashFormat(stored), format);
+      assert.equal(await verifyPassword(stored, password), true);
+      assert.equal(await verifyPassword(stored, `${password}x`), false);
+      assert.equal(await verifyPassword(stored, ''), false);
+    });
+  }
+
+  it('verifies malformed hashes as false', async () => {
+    for (const stored of [
+      '$2a$05$short',
+      '$argon2id$v=19$m=65536,t=2,p=1$c29tZXNhbHQ$',
+      '$pbkdf2-sha256$notanumber$c2FsdA$aGFzaA',
+      '$pbkdf2-md4$1000$c2FsdA$aGFzaA',
+      'pbkdf2_sha256$0$salt$aGFzaA==',
+      '{SSHA}',
+      '$1$saltsalt$tooshort',
+      '$5$saltstring$',
+    ]) {
+      assert.equal(await verifyPassword(stored, 'Password1!'), false, stored);
+    }
+  });
+
+  it('refuses SHA-crypt hashes above LEGACY_SHA_CRYPT_MAX_ROUNDS', async () => {
+    process.env.LEGACY_SHA_CRYPT_MAX_ROUNDS = '5000';
+    const stored = '$5$rounds=10000$saltstringsaltst$3xv.VbSHBb41AL9AvLeujZkZRBAwqFMz2.opqey6IcA';
+    assert.equal(await verifyPassword(stored, 'Hello world!'), false);
+  });
+
+  it('refuses bcrypt and argon2 hashes above their cost limits', async () => {
+    const bcrypt = VECTORS.find(([format]) => format === 'bcrypt');
+    const argon2 = VECTORS.find(([format]) => format === 'argon2');
+    // Refused before any hashing; a cost this high would block for years
+    assert.equal(await verifyPassword('$2b$31$CCCCCCCCCCCCCCCCCCCCC.E5YPO9kmyuRGyh0XouQYb4YMJKvyOeW', 'U*U'), false);
+
+    process.env.LEGACY_BCRYPT_MAX_COST = '4';
+    assert.equal(await verifyPassword(bcrypt[1], bcrypt[2]), false);
+    process.env.LEGACY_ARGON2_MAX_MEMORY_KIB = '65535';
+    assert.equal(await verifyPassword(argon2[1], argon2[2]), false);
+    process.env.LEGACY_ARGON2_MAX_MEMORY_KIB = '65536';
+    process.env.LEGACY_ARGON2_MAX_ITERATIONS = '1';
+    assert.equal(await verifyPassword(argon2[1], argon2[2]), false);
+    process.env.LEGACY_ARGON2_MAX_ITERATIONS = '2';
+    assert.equal(await verifyPassword(argon2[1], argon2[2]), true);
+  });
+
+  it('does not compare plaintext unless LEGACY_ALLOW_PLAINTEXT_PASSWORDS=true', async () => {
+    delete process.env.LEGACY_ALLOW_PLAINTEXT_PASSWORDS;
+    assert.equal(detectHashFormat('Password1!'), 'plaintext');
+    assert.equal(await verifyPassword('Password1!', 'Password1!'), false);
+    process.env.LEGACY_ALLOW_PLAINTEXT_PASSWORDS = 'false';
+    assert.equal(await verifyPassword('Password1!', 'Password1!'), false);
+    process.env.LEGACY_ALLOW_PLAINTEXT_PASSWORDS = 'true';
+    assert.equal(await verifyPassword('Password1!', 'Password1!'), true);
+    assert.equal(await verifyPassword('Password1!', 'password1!'), false);
+  });
+
+  it('never accepts a hash as its own password', async () => {
+    process.env.LEGACY_ALLOW_PLAINTEXT_PASSWORDS = 'true';
+    for (const stored of [
+      '0cef1fb10f60529028a71f58e54ed07b', // md5("Password1!")
+      'f2e7b5b7e5a1b8e1c7d3b4a5f6e7d8c9b0a1f2e3', // sha1-length hex
+      '255f2a6ea0e41af1a9a1f7383eaa9e5e8fe550eaf1586c1ad973bd392d9444f7',
+      'DO8fsQ9gUpAopxkfWE7Qew==', // base64 md5
+      '$scrypt$ln=16,r=8,p=1$c2FsdA$aGFzaA',
+      '$y$j9T$salt$hash',
+      '{MD5}DO8fsQ9gUpAopxkfWE7Qew==',
+      'md5$salt$0cef1fb10f60529028a71f58e54ed07b',
+    ]) {
+      assert.equal(detectHashFormat(stored), 'unknown', stored);
+      assert.equal(await verifyPassword(stored, stored), false, stored);
+    }
+  });
+
+  it('verifies non-string values as false', async () => {
+    assert.equal(await verifyPassword(undefined, 'x'), false);
+    assert.equal(await verifyPassword('', ''), false);
+    assert.equal(await verifyPassword('$1$saltsalt$oSgDXpKm0vSWfvd6v0/Kg.', undefined), false);
+  });
+});
@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPipeline, forwardError } = require('../responsePipeline');
+const { resolveTransformers } = require('../transformers');
+
+// Minimal stand-in for the Express pieces the pipeline touches
+async function run(transformers, body) {
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(value) { this.body = value; return this; },
+  };
+  await createPipeline('test', transformers)({ body }, res);
+  return res;
+}
+
+const step = (name, transform, options = {}) => ({ name, transform, ...options });
+
+describe('response pipeline', () => {
+  it('chains transformers, each on the result of the previous one', async () => {
+    const seen = [];
+    const res = await run([
+      step('tag', async ({ response, state }) => {
+        state.tagged = true;
+        return { ...response, tags: ['a'] };
+      }),
+      step('noop', async ({ response }) => { seen.push(response); }),
+      step('more', async ({ response, state, original }) => ({ ...response, tags: [...response.tags, 'b'], tagged: state.tagged, was: original })),
+    ], { response: { id: 1 } });
+
+    assert.deepEqual(seen, [{ id: 1, tags: ['a'] }]);
+    assert.deepEqual(res.body, { id: 1, tags: ['a', 'b'], tagged: true, was: { id: 1 } });
+  });
+
+  it('hands each step a copy, so the original stays untouched', async () => {
+    const response = { nested: { value: 1 } };
+    const res = await run([step('mutate', async (ctx) => { ctx.response.nested.value = 2; })], { response });
+    assert.deepEqual(res.body, { nested: { value: 1 } });
+    assert.deepEqual(response, { nested: { value: 1 } });
+  });
+
+  it('ends at a forwarded error', async () => {
+    let reached = false;
+    const res = await run([
+      step('deny', async () => forwardError(403, 'not allowed')),
+      step('after', async () => { reached = true; }),
+    ], { response: {} });
+    assert.deepEqual(res.body, { forwardedStatusCode: 403, forwardedErrorMessage: 'not allowed' });
+    assert.equal(reached, false);
+  });
+
+  it('skips optional steps that fail or time out', async () => {
+    const res = await run([
+      step('broken', async () => { throw new Error('boom'); }, { optional: true }),
+      step('slow', ({ signal }) => new Promise(resolve => signal.addEventListener('abort', resolve)), { optional: true, timeoutMs: 10 }),
+      step('ok', async ({ response }) => ({ ...response, ok: true })),
+    ], { response: {} });
+    assert.deepEqual(res.body, { ok: true });
+  });
+
+  it('fails when a required step fails, naming it', async () => {
+    await assert.rejects(
+      run([step('slow', () => new Promise(() => {}), { timeoutMs: 10 })], { response: {} }),
+      /transformer slow: no result within 10 ms/,
+    );
+  });
+
+  it('answers 400 without a response object', async () => {
+    const res = await run([], {});
+    assert.equal(res.statusCode, 400);
+  });
+
+  it('resolves transformers by name, with per-target options', () => {
+    const [profile] = resolveTransformers([{ name: 'idpProfile', optional: true, timeoutMs: 100 }]);
+    assert.equal(profile.name, 'idpProfile');
+    assert.equal(profile.optional, true);
+    assert.equal(profile.timeoutMs, 100);
+    assert.throws(() => resolveTransformers(['nope']), /unknown transformer "nope"/);
+  });
+});
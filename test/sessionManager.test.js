@@ -0,0 +1,166 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeZitadel } = require('./fakeZitadel');
+
+Object.assign(process.env, {
+  ZITADEL_DOMAIN: 'zitadel.test',
+  CLIENT_ID: 'actions-client',
+  CLIENT_SECRET: 'actions-secret',
+  ZITADEL_ORG_ID: 'org-1',
+  UPSTREAM_RETRY_BASE_MS: '1',
+  LOG_LEVEL: process.env.LOG_LEVEL || 'silent',
+});
+for (const name of ['ACCESS_TOKEN', 'SESSION_POLICY', 'SESSION_POLICY_CACHE_TTL_SECONDS']) delete process.env[name];
+
+const { enforceSessionPolicy, selectSessionsToDelete, parseSessionPolicy, invalidateSessionPolicies } = require('../sessionManager');
+const { clearTokenCache } = require('../zitadelClient');
+const { resetCircuits } = require('../upstream');
+
+const zitadel = createFakeZitadel({ clientId: 'actions-client', clientSecret: 'actions-secret' });
+
+// Sessions newest first, as listUserSessions returns them
+function sessions(...specs) {
+  return specs.map(([id, { factors = ['user'], device } = {}]) => ({
+    id,
+    factors: Object.fromEntries(factors.map(f => [f, { verifiedAt: '2024-01-01T00:00:00Z' }])),
+    userAgent: device ? { fingerprintId: device } : {},
+  }));
+}
+
+function split(list, policy) {
+  const { keep, remove } = selectSessionsToDelete(list, parseSessionPolicy(policy));
+  return { keep: keep.map(s => s.id), remove: remove.map(s => s.id) };
+}
+
+describe('session selection', () => {
+  it('keeps the newest maxSessions sessions', () => {
+    assert.deepEqual(split(sessions(['s3'], ['s2'], ['s1']), {}), { keep: ['s3'], remove: ['s2', 's1'] });
+    assert.deepEqual(split(sessions(['s3'], ['s2'], ['s1']), { maxSessions: 2 }), { keep: ['s3', 's2'], remove: ['s1'] });
+    assert.deepEqual(split(sessions(['s1']), { maxSessions: 2 }), { keep: ['s1'], remove: [] });
+  });
+
+  it('applies maxSessions per user agent with perUserAgent', () => {
+    const list = sessions(['laptop-2', { device: 'laptop' }], ['phone-1', { device: 'phone' }], ['laptop-1', { device: 'laptop' }], ['unknown-1']);
+    assert.deepEqual(split(list, { perUserAgent: true }), { keep: ['laptop-2', 'phone-1', 'unknown-1'], remove: ['laptop-1'] });
+  });
+
+  it('keeps sessions with a keepSessionTypes factor outside of maxSessions', () => {
+    const list = sessions(['pw-2', { factors: ['user', 'password'] }], ['passkey', { factors: ['user', 'webAuthN'] }], ['pw-1', { factors: ['user', 'password'] }]);
+    // The passkey session is kept and the newest other session still gets the one slot
+    assert.deepEqual(split(list, { keepSessionTypes: ['webAuthN'] }), { keep: ['pw-2', 'passkey'], remove: ['pw-1'] });
+  });
+
+  it('only counts verified factors', () => {
+    const list = [
+      { id: 'new', factors: { user: { verifiedAt: 'x' }, webAuthN: {} } },
+      { id: 'old', factors: { user: { verifiedAt: 'x' } } },
+    ];
+    assert.deepEqual(split(list, { keepSessionTypes: ['webAuthN'] }), { keep: ['new'], remove: ['old'] });
+  });
+});
+
+describe('session policy validation', () => {
+  it('fills in defaults', () => {
+    assert.deepEqual(parseSessionPolicy({}), { maxSessions: 1, perUserAgent: false, keepSessionTypes: [] });
+    assert.equal(parseSessionPolicy({ perUserAgent: 1 }).perUserAgent, true);
+  });
+
+  it('rejects invalid values', () => {
+    assert.throws(() => parseSessionPolicy({ maxSessions: 0 }), /maxSessions must be a positive integer/);
+    assert.throws(() => parseSessionPolicy({ maxSessions: '2' }), /maxSessions must be a positive integer/);
+    assert.throws(() => parseSessionPolicy({ keepSessionTypes: 'webAuthN' }), /keepSessionTypes must be an array/);
+    assert.throws(() => parseSessionPolicy({ keepSessionTypes: ['webauthn', 'password', 'passkey'] }),
+      { message: 'session policy: unknown keepSessionTypes "webauthn", "passkey" (expected user, password, webAuthN, intent, totp, otpSms, otpEmail)' });
+  });
+});
+
+describe('session policy enforcement', () => {
+  before(async () => {
+    process.env.ZITADEL_API_URL = await zitadel.start();
+  });
+
+  after(() => zitadel.stop());
+
+  beforeEach(() => {
+    zitadel.reset();
+    clearTokenCache();
+    resetCircuits();
+    invalidateSessionPolicies();
+    delete process.env.SESSION_POLICY;
+  });
+
+  // ZITADEL reads made to resolve the policy
+  const policyReads = () => zitadel.state.requests.filter(r => /metadata|^\/v2\/users\/[^/]+$/i.test(r.path)).length;
+
+  function seed(user, count) {
+    for (let i = 1; i <= count; i++) {
+      zitadel.addSession({ sessionId: `${user.userId}-${i}`, userId: user.userId, creationDate: `2024-01-0${i}T00:00:00Z` });
+    }
+  }
+
+  it('reads the policy from user metadata, then org metadata, then SESSION_POLICY', async () => {
+    const own = zitadel.addUser({ username: 'own', metadata: { session_policy: '{"maxSessions":3}' } });
+    const org = zitadel.addUser({ username: 'org', organizationId: 'org-2' });
+    const env = zitadel.addUser({ username: 'env' });
+    zitadel.setOrgMetadata('org-2', { session_policy: { maxSessions: 2 } });
+    process.env.SESSION_POLICY = '{"maxSessions":4}';
+    [own, org, env].forEach(user => seed(user, 5));
+
+    assert.equal((await enforceSessionPolicy(own.userId, 'test')).kept.length, 3);
+    assert.equal((await enforceSessionPolicy(org.userId, 'test')).kept.length, 2);
+    assert.equal((await enforceSessionPolicy(env.userId, 'test')).kept.length, 4);
+  });
+
+  it('skips an invalid policy and uses the next one', async () => {
+    const user = zitadel.addUser({ username: 'invalid', metadata: { session_policy: '{"keepSessionTypes":["passkey"]}' } });
+    zitadel.setOrgMetadata('org-1', { session_policy: { maxSessions: 2 } });
+    seed(user, 3);
+    assert.deepEqual((await enforceSessionPolicy(user.userId, 'test')).deleted, [`${user.userId}-1`]);
+  });
+
+  it('caches the resolved policy per user', async () => {
+    const user = zitadel.addUser({ username: 'cached' });
+    zitadel.setOrgMetadata('org-1', { session_policy: { maxSessions: 2 } });
+    seed(user, 1);
+
+    await enforceSessionPolicy(user.userId, 'test');
+    assert.equal(policyReads(), 3);
+    await enforceSessionPolicy(user.userId, 'test');
+    assert.equal(policyReads(), 3);
+
+    // An org metadata event drops the org's policies
+    zitadel.setOrgMetadata('org-1', { session_policy: { maxSessions: 1 } });
+    zitadel.addSession({ sessionId: 'newest', userId: user.userId, creationDate: '2024-02-01T00:00:00Z' });
+    invalidateSessionPolicies('org-2');
+    assert.deepEqual((await enforceSessionPolicy(user.userId, 'test')).deleted, []);
+    invalidateSessionPolicies('org-1');
+    assert.deepEqual((await enforceSessionPolicy(user.userId, 'test')).deleted, [`${user.userId}-1`]);
+    assert.equal(policyReads(), 6);
+  });
+
+  it('reads the policy every time with SESSION_POLICY_CACHE_TTL_SECONDS=0', async () => {
+    process.env.SESSION_POLICY_CACHE_TTL_SECONDS = '0';
+    try {
+      const user = zitadel.addUser({ username: 'uncached' });
+      await enforceSessionPolicy(user.userId, 'test');
+      await enforceSessionPolicy(user.userId, 'test');
+      assert.equal(policyReads(), 6);
+    } finally {
+      delete process.env.SESSION_POLICY_CACHE_TTL_SECONDS;
+    }
+  });
+
+  it('keeps sessions of keepSessionTypes in addition to maxSessions', async () => {
+    const user = zitadel.addUser({ username: 'passkey', metadata: { session_policy: '{"maxSessions":1,"keepSessionTypes":["webAuthN"]}' } });
+    zitadel.addSession({
+      sessionId: 'passkey', userId: user.userId, creationDate: '2024-01-01T00:00:00Z',
+      factors: { user: { id: user.userId, verifiedAt: 'x' }, webAuthN: { verifiedAt: 'x' } },
+    });
+    zitadel.addSession({ sessionId: 'older', userId: user.userId, creationDate: '2024-01-02T00:00:00Z' });
+    zitadel.addSession({ sessionId: 'latest', userId: user.userId, creationDate: '2024-01-03T00:00:00Z' });
+
+    const result = await enforceSessionPolicy(user.userId, 'test');
+    assert.deepEqual(result.kept, ['latest', 'passkey']);
+    assert.deepEqual(result.deleted, ['older']);
+  });
+});
@@ -0,0 +1,121 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { callUpstream, runWithDeadline, circuitStates, resetCircuits } = require('../upstream');
+
+const SETTINGS = {
+  ZITADEL_TIMEOUT_MS: '50',
+  UPSTREAM_RETRIES: '2',
+  UPSTREAM_RETRY_BASE_MS: '1',
+  CIRCUIT_FAILURE_THRESHOLD: '3',
+  CIRCUIT_RESET_SECONDS: '1',
+};
+
+function connectionRefused() {
+  return Object.assign(new TypeError('fetch failed'), { cause: Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }) });
+}
+
+function failing(times, error = connectionRefused()) {
+  let calls = 0;
+  const fn = async () => {
+    calls += 1;
+    if (calls <= times) throw error;
+    return 'ok';
+  };
+  fn.calls = () => calls;
+  return fn;
+}
+
+describe('upstream calls', () => {
+  const saved = {};
+  beforeEach(() => {
+    for (const [name, value] of Object.entries(SETTINGS)) {
+      saved[name] = process.env[name];
+      process.env[name] = value;
+    }
+    resetCircuits();
+  });
+  afterEach(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  it('retries idempotent calls only', async () => {
+    const read = failing(2);
+    assert.equal(await callUpstream('zitadel', read, { idempotent: true }), 'ok');
+    assert.equal(read.calls(), 3);
+
+    const write = failing(1);
+    await assert.rejects(callUpstream('zitadel', write), (e) => e.upstream === 'zitadel');
+    assert.equal(write.calls(), 1);
+  });
+
+  it('treats failed answers as failures and returns the last one', async () => {
+    let calls = 0;
+    const result = await callUpstream('zitadel', async () => ({ status: 503, n: ++calls }), {
+      idempotent: true,
+      isFailure: r => r.status >= 500,
+    });
+    assert.deepEqual(result, { status: 503, n: 3 });
+  });
+
+  it('retries answers with a failing status', async () => {
+    const read = failing(2, Object.assign(new Error('lookup failed: 503'), { status: 503 }));
+    assert.equal(await callUpstream('legacyDirectory', read, { idempotent: true }), 'ok');
+    assert.equal(read.calls(), 3);
+  });
+
+  it('rethrows other errors without retrying or opening the circuit', async () => {
+    const clientError = Object.assign(new Error('lookup failed: 400'), { status: 400 });
+    for (const error of [clientError, new SyntaxError('Unexpected token < in JSON'), new Error('SQLITE_ERROR: no such column')]) {
+      for (let i = 0; i < 5; i++) {
+        const read = failing(1, error);
+        await assert.rejects(callUpstream('legacyDirectory', read, { idempotent: true }), (e) => e === error && !e.upstream);
+        assert.equal(read.calls(), 1);
+      }
+    }
+    assert.deepEqual(circuitStates().legacyDirectory, { state: 'closed', failures: 0 });
+  });
+
+  it('times out slow calls and aborts them', async () => {
+    let aborted = false;
+    const slow = signal => new Promise(() => signal.addEventListener('abort', () => { aborted = true; }));
+    await assert.rejects(callUpstream('zitadel', slow), /did not answer within 50 ms/);
+    assert.equal(aborted, true);
+  });
+
+  it('opens the circuit after repeated failures and closes it after a successful trial', async () => {
+    await assert.rejects(callUpstream('zitadel', failing(3), { idempotent: true }));
+    assert.equal(circuitStates().zitadel.state, 'open');
+
+    const skipped = failing(0);
+    await assert.rejects(callUpstream('zitadel', skipped), /circuit open/);
+    assert.equal(skipped.calls(), 0);
+
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    assert.equal(await callUpstream('zitadel', failing(0)), 'ok');
+    assert.equal(circuitStates().zitadel.state, 'closed');
+  });
+
+  it('keeps upstreams apart', async () => {
+    await assert.rejects(callUpstream('legacyDirectory', failing(3), { idempotent: true }));
+    assert.equal(circuitStates().legacyDirectory.state, 'open');
+    assert.equal(circuitStates().zitadel.state, 'closed');
+  });
+
+  it('bounds calls by the deadline', async () => {
+    process.env.ZITADEL_TIMEOUT_MS = '1000';
+    const started = Date.now();
+    let abortedAt;
+    const slow = signal => new Promise(() => signal.addEventListener('abort', () => { abortedAt = Date.now(); }));
+    await assert.rejects(runWithDeadline(30, () => callUpstream('zitadel', slow)), e => Boolean(e.upstream));
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.ok(abortedAt - started < 500, 'the call is aborted at the deadline, not after its own timeout');
+
+    await assert.rejects(
+      runWithDeadline(10, () => new Promise(resolve => setTimeout(resolve, 50))),
+      (e) => e.upstream === 'deadline',
+    );
+  });
+});
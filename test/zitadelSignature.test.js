@@ -0,0 +1,111 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+const { validateZitadelSignature, computeSignature, parseSigningKeys, parseSignatureHeader } = require('../zitadelSignature');
+
+const KEY = 'signing-key';
+const T0 = 1_800_000_000; // seconds
+
+function request(timestamp, body = '{"n":1}') {
+  return { headers: { 'zitadel-signature': `t=${timestamp},v1=${computeSignature(KEY, timestamp, body)}` }, rawBody: body };
+}
+
+function response() {
+  return {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    send(body) { this.body = body; return this; },
+  };
+}
+
+function validate(req, keys = KEY) {
+  const res = response();
+  return validateZitadelSignature(req, res, keys) ? 'ok' : res.body;
+}
+
+describe('signature validation', () => {
+  let now;
+  beforeEach(() => {
+    delete process.env.SIGNATURE_TOLERANCE_SECONDS;
+    now = T0 * 1000;
+    mock.method(Date, 'now', () => now);
+  });
+  afterEach(() => mock.restoreAll());
+
+  it('accepts a signature once', () => {
+    const req = request(T0);
+    assert.equal(validate(req), 'ok');
+    assert.equal(validate(req), 'Replayed signature');
+  });
+
+  it('rejects timestamps outside the tolerance window', () => {
+    assert.equal(validate(request(T0 - 301)), 'Signature timestamp outside tolerance window');
+    assert.equal(validate(request(T0 + 301)), 'Signature timestamp outside tolerance window');
+  });
+
+  it('remembers a timestamp ahead of the clock until it leaves the window', () => {
+    const req = request(T0 + 200, '{"n":2}');
+    assert.equal(validate(req), 'ok');
+    // Past now + tolerance, but the timestamp is still inside the window
+    now = (T0 + 400) * 1000;
+    assert.equal(validate(req), 'Replayed signature');
+    now = (T0 + 501) * 1000;
+    assert.equal(validate(req), 'Signature timestamp outside tolerance window');
+  });
+
+  it('does not let SIGNATURE_TOLERANCE_SECONDS=0 disable the window', () => {
+    process.env.SIGNATURE_TOLERANCE_SECONDS = '0';
+    const req = request(T0 - 3600, '{"n":3}');
+    assert.equal(validate(req), 'Signature timestamp outside tolerance window');
+  });
+});
+
+describe('signing key rotation', () => {
+  const NEW_KEY = 'new-signing-key';
+  const OLD_KEY = 'old-signing-key';
+  let body = 0;
+
+  // A fresh body per request so the replay check never trips
+  function signed(...keys) {
+    const raw = `{"rotation":${++body}}`;
+    const v1 = keys.map(key => `v1=${computeSignature(key, T0, raw)}`).join(',');
+    return { headers: { 'zitadel-signature': `t=${T0},${v1}` }, rawBody: raw };
+  }
+
+  beforeEach(() => {
+    delete process.env.SIGNATURE_TOLERANCE_SECONDS;
+    mock.method(Date, 'now', () => T0 * 1000);
+  });
+  afterEach(() => mock.restoreAll());
+
+  it('parses a comma separated key list or an array', () => {
+    assert.deepEqual(parseSigningKeys('newKey,oldKey'), ['newKey', 'oldKey']);
+    assert.deepEqual(parseSigningKeys(' newKey , , oldKey '), ['newKey', 'oldKey']);
+    assert.deepEqual(parseSigningKeys(['newKey', ' ', 'oldKey']), ['newKey', 'oldKey']);
+    assert.deepEqual(parseSigningKeys(undefined), []);
+  });
+
+  it('accepts signatures made with the new or the old key', () => {
+    const keys = `${NEW_KEY},${OLD_KEY}`;
+    assert.equal(validate(signed(NEW_KEY), keys), 'ok');
+    assert.equal(validate(signed(OLD_KEY), keys), 'ok');
+    assert.equal(validate(signed(OLD_KEY), NEW_KEY), 'Invalid signature');
+    assert.equal(validate(signed('other-key'), keys), 'Invalid signature');
+  });
+
+  it('accepts a header with several v1= values when one of them matches', () => {
+    const req = signed('other-key', OLD_KEY);
+    assert.equal(parseSignatureHeader(req.headers['zitadel-signature']).signatures.length, 2);
+    assert.equal(validate(req, [NEW_KEY, OLD_KEY]), 'ok');
+    assert.equal(validate(signed('other-key', 'another-key'), [NEW_KEY, OLD_KEY]), 'Invalid signature');
+  });
+
+  it('rejects a replay whichever key or v1= value it matches', () => {
+    const req = signed(NEW_KEY, OLD_KEY);
+    assert.equal(validate(req, [NEW_KEY, OLD_KEY]), 'ok');
+    assert.equal(validate(req, [OLD_KEY, NEW_KEY]), 'Replayed signature');
+    const oldOnly = `t=${T0},v1=${computeSignature(OLD_KEY, T0, req.rawBody)}`;
+    assert.equal(validate({ headers: { 'zitadel-signature': oldOnly }, rawBody: req.rawBody }, [NEW_KEY, OLD_KEY]), 'Replayed signature');
+  });
+});
@@ -0,0 +1,22 @@
+const { applyIdpProfile } = require('../idpProfiles');
+const { createLogger } = require('../logger');
+
+const log = createLogger({ component: 'idpProfile' });
+
+// ---------------------------------------------------------------------------
+// Profile normalization for RetrieveIdentityProviderIntent responses
+//   Raw IdP attributes -> addHumanUser according to the IdP's profile
+//   (see idpProfiles.js). Responses without addHumanUser stay as they are.
+// ---------------------------------------------------------------------------
+
+/** @type {import('../responsePipeline').Transformer} */
+module.exports = {
+  name: 'idpProfile',
+  async transform({ response }) {
+    if (!response.addHumanUser) return undefined;
+
+    applyIdpProfile(response);
+    log.info('external post-auth mapped', { idpId: response.idpInformation?.idpId, addHumanUser: response.addHumanUser });
+    return response;
+  },
+};
@@ -0,0 +1,30 @@
+require('dotenv').config();
+
+// ---------------------------------------------------------------------------
+// Response transformers for restCall actions (see responsePipeline.js)
+//   idpProfile        IdP attributes -> addHumanUser (idpProfiles.js)
+//   legacyUserLookup  ListUsers miss -> user created from the legacy directory
+// ---------------------------------------------------------------------------
+
+const TRANSFORMERS = {
+  idpProfile: require('./idpProfile'),
+  legacyUserLookup: require('./legacyUserLookup'),
+};
+
+/**
+ * Resolves a registry entry's `transformers` list.
+ * @param {Array<string|{ name: string, optional?: boolean, timeoutMs?: number }>} specs
+ * @returns {import('../responsePipeline').Transformer[]}
+ */
+function resolveTransformers(specs) {
+  return specs.map((spec) => {
+    const { name, ...options } = typeof spec === 'string' ? { name: spec } : spec;
+    const transformer = TRANSFORMERS[name];
+    if (!transformer) {
+      throw new Error(`unknown transformer "${name}" (expected one of ${Object.keys(TRANSFORMERS).join(', ')})`);
+    }
+    return { ...transformer, ...options };
+  });
+}
+
+module.exports = { TRANSFORMERS, resolveTransformers };
@@ -0,0 +1,70 @@
+const { getUser } = require('../zitadelClient');
+const { createUserFromLegacy } = require('../legacyMigration');
+const { findLegacyUser } = require('../legacyDirectory');
+const { createLogger } = require('../logger');
+const { usersCreated } = require('../metrics');
+
+const log = createLogger({ component: 'legacyUserLookup' });
+
+// ---------------------------------------------------------------------------
+// Migration lookup for ListUsers responses (trickle migration)
+//   When the hosted login page finds no user for a login name, the user is
+//   looked up in the legacy directory, created in ZITADEL and returned as the
+//   search result.
+// ---------------------------------------------------------------------------
+
+/** @type {import('../responsePipeline').Transformer} */
+module.exports = {
+  name: 'legacyUserLookup',
+  async transform({ payload, response, signal }) {
+    // We only want to handle requests from the hosted login page
+    if (payload.userID !== 'zitadel-cloud-login') {
+      log.info('ignoring request not coming from the hosted login page');
+      return undefined;
+    }
+
+    const total = Number((response.details && response.details.totalResult) || 0);
+    if (total > 0) {
+      log.info('user already found, skipping migration');
+      return undefined;
+    }
+
+    const q = (((payload.request || {}).queries || [])[0] || {}).loginNameQuery;
+    const loginName = q && q.loginName ? String(q.loginName) : null;
+
+    // Check if user exists in the legacy directory
+    const legacy = await findLegacyUser(loginName);
+    if (!legacy) {
+      log.info('no legacy user found', { loginName });
+      return undefined;
+    }
+
+    // The pipeline gave up on us: leave the user for the next login
+    if (signal.aborted) return undefined;
+
+    // Create user in Zitadel from legacy data
+    const userId = await createUserFromLegacy(legacy);
+    usersCreated.inc({ source: 'jit' });
+
+    // Retrieve newly created user for confirmation
+    const userObj = await getUser(userId);
+
+    return {
+      details: {
+        totalResult: "1",
+        timestamp: new Date().toISOString()
+      },
+      result: [
+        {
+          userId: userObj.userId,
+          details: userObj.details,
+          state: userObj.state || "USER_STATE_ACTIVE",
+          username: userObj.username,
+          loginNames: userObj.loginNames || [loginName],
+          preferredLoginName: userObj.preferredLoginName || loginName,
+          human: userObj.human
+        }
+      ]
+    };
+  },
+};
@@ -0,0 +1,268 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { createLogger } = require('./logger');
+const { observeCircuitState, upstreamRetries } = require('./metrics');
+require('dotenv').config();
+
+const log = createLogger({ component: 'upstream' });
+
+// ---------------------------------------------------------------------------
+// Outbound calls: timeouts, retries and circuit breakers
+//   Every call to an upstream (UPSTREAMS) goes through callUpstream():
+//     timeout   <PREFIX>_TIMEOUT_MS per attempt (default 2000), cut short by
+//               the deadline of the action being answered (runWithDeadline)
+//     retries   idempotent calls only: UPSTREAM_RETRIES more attempts
+//               (default 2) after timeouts, network errors, 429 and 5xx,
+//               waiting a random 0..UPSTREAM_RETRY_BASE_MS * 2^n ms
+//               (default 100, "full jitter") – never past the deadline
+//     breaker   CIRCUIT_FAILURE_THRESHOLD consecutive failures (default 5)
+//               open the upstream's circuit: calls fail right away for
+//               CIRCUIT_RESET_SECONDS (default 30), then one trial call
+//               closes it again or re-opens it
+//   Errors caused by the upstream being unavailable carry err.upstream (its
+//   name, or "deadline"); the registry answers those with the action's
+//   failMode (actionRegistry.js). Answers such as 404 are not failures, and
+//   neither is any other error fn throws (a 4xx carried as err.status, a
+//   parse or SQL error, a bug): it is rethrown as is, without a retry, and
+//   the circuit takes no note of it.
+// ---------------------------------------------------------------------------
+
+const UPSTREAMS = {
+  zitadel: { envPrefix: 'ZITADEL' },
+  legacyDirectory: { envPrefix: 'LEGACY_DIRECTORY' },
+};
+
+const DEFAULTS = {
+  timeoutMs: 2000,
+  retries: 2,
+  retryBaseMs: 100,
+  failureThreshold: 5,
+  resetSeconds: 30,
+};
+
+const deadlines = new AsyncLocalStorage();
+const circuits = new Map(); // upstream -> { state, failures, openedAt, trial }
+
+function envNumber(name, fallback, { min = 1 } = {}) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== '' && Number.isFinite(value) && value >= min ? value : fallback;
+}
+
+function settings(name) {
+  return {
+    timeoutMs: envNumber(`${UPSTREAMS[name].envPrefix}_TIMEOUT_MS`, DEFAULTS.timeoutMs),
+    retries: envNumber('UPSTREAM_RETRIES', DEFAULTS.retries, { min: 0 }),
+    retryBaseMs: envNumber('UPSTREAM_RETRY_BASE_MS', DEFAULTS.retryBaseMs, { min: 0 }),
+    failureThreshold: envNumber('CIRCUIT_FAILURE_THRESHOLD', DEFAULTS.failureThreshold),
+    resetMs: envNumber('CIRCUIT_RESET_SECONDS', DEFAULTS.resetSeconds) * 1000,
+  };
+}
+
+function upstreamError(name, message, cause) {
+  const err = new Error(message, cause ? { cause } : undefined);
+  err.upstream = name;
+  return err;
+}
+
+/** @returns {boolean} Whether an HTTP status means the upstream is failing */
+function isFailureStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+// Connection-level errors: fetch's "fetch failed" (cause: undici / socket
+// error) and the errno codes of plain sockets
+const NETWORK_ERROR_CODES = new Set([
+  'ECONNREFUSED', 'ECONNRESET', 'ECONNABORTED', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT',
+  'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE',
+]);
+
+function isNetworkError(err) {
+  const code = err?.code ?? err?.cause?.code;
+  if (NETWORK_ERROR_CODES.has(code) || String(code).startsWith('UND_ERR_')) return true;
+  return err?.name === 'TypeError' && err.message === 'fetch failed';
+}
+
+// Whether an error thrown by a call means the upstream is failing
+function isFailureError(err) {
+  return isUpstreamFailure(err) || isNetworkError(err) || isFailureStatus(err?.status);
+}
+
+/** @returns {boolean} Whether an error means an upstream (or the deadline) gave out */
+function isUpstreamFailure(err) {
+  return Boolean(err?.upstream);
+}
+
+// --- Circuit breaker --------------------------------------------------------
+
+function circuitOf(name) {
+  if (!circuits.has(name)) circuits.set(name, { state: 'closed', failures: 0, openedAt: 0, trial: false });
+  return circuits.get(name);
+}
+
+function setState(name, circuit, state) {
+  if (circuit.state === state) return;
+  circuit.state = state;
+  observeCircuitState(name, state);
+  if (state === 'open') log.warn('circuit opened', { upstream: name, failures: circuit.failures });
+  else if (state === 'closed') log.info('circuit closed', { upstream: name });
+}
+
+// Throws while the circuit is open; lets one trial call through once it may close
+function admit(name, circuit, { resetMs }) {
+  if (circuit.state === 'closed') return;
+  if (circuit.state === 'open' && Date.now() - circuit.openedAt >= resetMs) setState(name, circuit, 'half-open');
+  if (circuit.state === 'half-open' && !circuit.trial) {
+    circuit.trial = true;
+    return;
+  }
+  throw upstreamError(name, `${name} unavailable (circuit open)`);
+}
+
+function recordSuccess(name, circuit) {
+  circuit.failures = 0;
+  circuit.trial = false;
+  setState(name, circuit, 'closed');
+}
+
+function recordFailure(name, circuit, { failureThreshold }) {
+  circuit.failures += 1;
+  circuit.trial = false;
+  if (circuit.state === 'half-open' || circuit.failures >= failureThreshold) {
+    circuit.openedAt = Date.now();
+    setState(name, circuit, 'open');
+  }
+}
+
+// --- Deadlines ----------------------------------------------------------------
+
+function remainingMs() {
+  const deadline = deadlines.getStore();
+  return deadline === undefined ? Infinity : deadline - Date.now();
+}
+
+/**
+ * Runs fn with a deadline: upstream calls made inside do not wait past it,
+ * and the returned promise rejects (err.upstream = "deadline") when fn has
+ * not settled by then. fn keeps running; its late result is dropped.
+ *
+ * @template T
+ * @param {number} ms
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+function runWithDeadline(ms, fn) {
+  const running = deadlines.run(Date.now() + ms, fn);
+  let timer;
+  const expired = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(upstreamError('deadline', `no answer within ${ms} ms`)), ms);
+  });
+  return Promise.race([running, expired]).finally(() => {
+    clearTimeout(timer);
+    running.catch(e => log.debug('result after the deadline dropped', { err: e }));
+  });
+}
+
+// --- Calls --------------------------------------------------------------------
+
+async function attempt(name, fn, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await Promise.race([
+      fn(controller.signal),
+      new Promise((_, reject) => controller.signal.addEventListener('abort', () => {
+        reject(upstreamError(name, `${name} did not answer within ${timeoutMs} ms`));
+      })),
+    ]);
+  } catch (e) {
+    if (controller.signal.aborted && !isUpstreamFailure(e)) throw upstreamError(name, `${name} did not answer within ${timeoutMs} ms`, e);
+    throw e;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Calls an upstream with a timeout, retries (idempotent calls only) and its
+ * circuit breaker.
+ *
+ * @template T
+ * @param {keyof UPSTREAMS} name
+ * @param {(signal: AbortSignal) => Promise<T>} fn - Throws on failure: network errors
+ *   and errors with a failing err.status count against the upstream, others
+ *   are rethrown unchanged
+ * @param {Object} [options]
+ * @param {boolean} [options.idempotent=false] - Safe to repeat
+ * @param {(result: T) => boolean} [options.isFailure] - A result that still counts as a
+ *   failure (e.g. a 503 response); the last one is returned as is
+ * @returns {Promise<T>}
+ */
+async function callUpstream(name, fn, { idempotent = false, isFailure = () => false } = {}) {
+  const config = settings(name);
+  const circuit = circuitOf(name);
+  const attempts = idempotent ? config.retries + 1 : 1;
+
+  for (let n = 1; ; n++) {
+    admit(name, circuit, config);
+    const timeoutMs = Math.min(config.timeoutMs, remainingMs());
+    if (timeoutMs <= 0) {
+      circuit.trial = false;
+      throw upstreamError('deadline', `no time left to call ${name}`);
+    }
+
+    let result;
+    let error;
+    try {
+      result = await attempt(name, fn, timeoutMs);
+    } catch (e) {
+      if (!isFailureError(e)) {
+        // The upstream answered; the error is the caller's to handle
+        circuit.trial = false;
+        throw e;
+      }
+      error = isUpstreamFailure(e) ? e : upstreamError(name, `${name} call failed: ${e.message}`, e);
+      if (e.status !== undefined) error.status = e.status;
+    }
+    if (!error && !isFailure(result)) {
+      recordSuccess(name, circuit);
+      return result;
+    }
+    recordFailure(name, circuit, config);
+
+    const backoffMs = Math.random() * config.retryBaseMs * 2 ** (n - 1);
+    if (n >= attempts || circuit.state === 'open' || backoffMs >= remainingMs()) {
+      if (error) throw error;
+      return result;
+    }
+    upstreamRetries.inc({ upstream: name });
+    log.debug('retrying upstream call', { upstream: name, attempt: n + 1, reason: error?.message || 'failed answer' });
+    await result?.body?.cancel?.().catch(() => {});
+    await sleep(backoffMs);
+  }
+}
+
+/** @returns {Object<string, { state: string, failures: number }>} Circuit states by upstream */
+function circuitStates() {
+  return Object.fromEntries(Object.keys(UPSTREAMS).map((name) => {
+    const { state, failures } = circuitOf(name);
+    return [name, { state, failures }];
+  }));
+}
+
+/** Closes every circuit (tests). */
+function resetCircuits() {
+  circuits.clear();
+}
+
+module.exports = {
+  callUpstream,
+  runWithDeadline,
+  isUpstreamFailure,
+  isFailureStatus,
+  circuitStates,
+  resetCircuits,
+  UPSTREAMS,
+};
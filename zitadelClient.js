@@ -0,0 +1,500 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { createLogger } = require('./logger');
+const { observeZitadelCall } = require('./metrics');
+const { callUpstream, isFailureStatus } = require('./upstream');
+require('dotenv').config();
+
+const log = createLogger({ component: 'zitadelClient' });
+
+// ---------------------------------------------------------------------------
+// Shared ZITADEL API client
+//   Credentials, in order of precedence:
+//     1. ZITADEL_SERVICE_ACCOUNT_KEY_FILE / ZITADEL_SERVICE_ACCOUNT_KEY
+//        (JSON key of a service user -> JWT profile grant)
+//     2. CLIENT_ID + CLIENT_SECRET (client credentials grant)
+//     3. ACCESS_TOKEN (static PAT, never refreshed)
+//   Tokens are cached until shortly before expiry and refreshed once on 401.
+//   Calls go through upstream.js (timeout, circuit breaker); GETs and reads
+//   passed with `idempotent: true` are retried.
+// ---------------------------------------------------------------------------
+
+const TOKEN_SCOPE = 'openid urn:zitadel:iam:org:project:id:zitadel:aud';
+const TOKEN_EXPIRY_SKEW_MS = 60 * 1000;
+
+let cachedToken = null;   // { value, expiresAt }
+let pendingToken = null;  // in-flight token request, shared by concurrent callers
+
+function getDomain() {
+  return process.env.ZITADEL_DOMAIN;   // e.g. "auth.example.com"
+}
+
+// ZITADEL_API_URL overrides where requests go, e.g. a local stand-in in tests.
+function getBaseUrl() {
+  return (process.env.ZITADEL_API_URL || `https://${getDomain()}`).replace(/\/$/, '');
+}
+
+function loadServiceAccountKey() {
+  if (process.env.ZITADEL_SERVICE_ACCOUNT_KEY) {
+    return JSON.parse(process.env.ZITADEL_SERVICE_ACCOUNT_KEY);
+  }
+  if (process.env.ZITADEL_SERVICE_ACCOUNT_KEY_FILE) {
+    return JSON.parse(fs.readFileSync(process.env.ZITADEL_SERVICE_ACCOUNT_KEY_FILE, 'utf8'));
+  }
+  return null;
+}
+
+/**
+ * Returns which credential type the client will use.
+ * @returns {'jwtProfile'|'clientCredentials'|'pat'|null}
+ */
+function getAuthMode() {
+  if (process.env.ZITADEL_SERVICE_ACCOUNT_KEY || process.env.ZITADEL_SERVICE_ACCOUNT_KEY_FILE) return 'jwtProfile';
+  if (process.env.CLIENT_ID && process.env.CLIENT_SECRET) return 'clientCredentials';
+  if (process.env.ACCESS_TOKEN) return 'pat';
+  return null;
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+// Builds the signed assertion for the JWT profile grant (RFC 7523).
+function buildJwtAssertion(key) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = { alg: 'RS256', kid: key.keyId };
+  const payload = {
+    iss: key.userId,
+    sub: key.userId,
+    aud: `https://${getDomain()}`,
+    iat: now,
+    exp: now + 300,
+  };
+  const signingInput = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(signingInput), key.key);
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+// fetch() against the ZITADEL API, recording latency and status of every
+// attempt in the metrics.
+async function apiFetch(path, { idempotent, ...init }) {
+  const retry = idempotent ?? String(init.method || 'GET').toUpperCase() === 'GET';
+  return callUpstream('zitadel', async (signal) => {
+    const started = process.hrtime.bigint();
+    let status = 'network_error';
+    try {
+      const res = await fetch(`${getBaseUrl()}${path}`, { ...init, signal });
+      status = res.status;
+      return res;
+    } catch (e) {
+      if (signal.aborted) status = 'timeout';
+      throw e;
+    } finally {
+      observeZitadelCall(init.method, path, status, Number(process.hrtime.bigint() - started) / 1e9);
+    }
+  }, { idempotent: retry, isFailure: res => isFailureStatus(res.status) });
+}
+
+async function requestToken(params) {
+  const response = await apiFetch('/oauth/v2/token', {
+    method: 'POST',
+    idempotent: true,
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+    },
+    body: new URLSearchParams({ ...params, scope: TOKEN_SCOPE }).toString(),
+  });
+
+  if (!response.ok) {
+    const txt = await response.text().catch(() => '');
+    const err = new Error(`Failed to get access token: ${response.status} ${txt}`);
+    if (isFailureStatus(response.status)) err.upstream = 'zitadel';
+    throw err;
+  }
+
+  const data = await response.json();
+  const expiresIn = Number(data.expires_in) || 3600;
+  return { value: data.access_token, expiresAt: Date.now() + expiresIn * 1000 };
+}
+
+async function fetchToken() {
+  switch (getAuthMode()) {
+    case 'jwtProfile':
+      return requestToken({
+        grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+        assertion: buildJwtAssertion(loadServiceAccountKey()),
+      });
+    case 'clientCredentials':
+      return requestToken({
+        grant_type: 'client_credentials',
+        client_id: process.env.CLIENT_ID,
+        client_secret: process.env.CLIENT_SECRET,
+      });
+    case 'pat':
+      return { value: process.env.ACCESS_TOKEN, expiresAt: Infinity };
+    default:
+      throw new Error('No ZITADEL credentials configured (service account key, CLIENT_ID/CLIENT_SECRET or ACCESS_TOKEN)');
+  }
+}
+
+/**
+ * Returns a valid access token, fetching a new one when the cached token is
+ * missing or about to expire.
+ *
+ * @param {{ forceRefresh?: boolean }} [options]
+ * @returns {Promise<string>}
+ */
+async function getAccessToken({ forceRefresh = false } = {}) {
+  if (!forceRefresh && cachedToken && cachedToken.expiresAt - TOKEN_EXPIRY_SKEW_MS > Date.now()) {
+    return cachedToken.value;
+  }
+  if (!pendingToken) {
+    pendingToken = fetchToken()
+      .then(token => {
+        cachedToken = token;
+        return token.value;
+      })
+      .finally(() => {
+        pendingToken = null;
+      });
+  }
+  return pendingToken;
+}
+
+function clearTokenCache() {
+  cachedToken = null;
+}
+
+async function send(path, init, token) {
+  return apiFetch(path, {
+    ...init,
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json',
+      ...(init.headers || {})
+    }
+  });
+}
+
+/**
+ * Calls the ZITADEL API with a managed access token.
+ * Throws an Error carrying `status` when the response is not ok, and
+ * `upstream` when ZITADEL is unavailable (see upstream.js).
+ *
+ * @param {string} path - API path, e.g. "/v2/users/123"
+ * @param {RequestInit & { idempotent?: boolean }} [init] - idempotent: a read, safe to retry
+ * @returns {Promise<Object>} - Parsed JSON body ({} for empty responses)
+ */
+async function zFetch(path, init = {}) {
+  let res = await send(path, init, await getAccessToken());
+  if (res.status === 401 && getAuthMode() !== 'pat') {
+    res = await send(path, init, await getAccessToken({ forceRefresh: true }));
+  }
+  if (!res.ok) {
+    const txt = await res.text().catch(() => '');
+    const err = new Error(`Zitadel API ${path} failed: ${res.status} ${res.statusText} ${txt}`);
+    err.status = res.status;
+    if (isFailureStatus(res.status)) err.upstream = 'zitadel';
+    throw err;
+  }
+  const txt = await res.text();
+  return txt ? JSON.parse(txt) : {};
+}
+
+function encodeMetadataValue(value) {
+  return Buffer.from(value).toString('base64');
+}
+
+function decodeMetadataValue(value) {
+  return Buffer.from(String(value || ''), 'base64').toString('utf8');
+}
+
+// ---------------------------------------------------------------------------
+// Users
+// ---------------------------------------------------------------------------
+
+/**
+ * Returns the user the credentials belong to (GET /auth/v1/users/me); used
+ * by /readyz to check that the credentials work.
+ * @returns {Promise<Object>}
+ */
+async function getAuthenticatedUser() {
+  const resp = await zFetch('/auth/v1/users/me', { method: 'GET' });
+  return resp.user || {};
+}
+
+/**
+ * @typedef {Object} NewHumanUser
+ * @property {string} [organizationId]
+ * @property {string} [userId]
+ * @property {string} [username]
+ * @property {Object} human - profile, email, password, metadata
+ */
+
+/**
+ * Creates a user (POST /v2/users/new).
+ * @param {NewHumanUser} body
+ * @returns {Promise<string>} - The new user's id
+ */
+async function createUser(body) {
+  const resp = await zFetch('/v2/users/new', { method: 'POST', body: JSON.stringify(body) });
+  return resp.id;
+}
+
+/**
+ * @param {string} userId
+ * @returns {Promise<Object>} - The `user` object, or {} if absent
+ */
+async function getUser(userId) {
+  const resp = await zFetch(`/v2/users/${encodeURIComponent(userId)}`, { method: 'GET' });
+  return resp.user || {};
+}
+
+/**
+ * Lists users matching the given queries (POST /v2/users).
+ * @param {Object} body - e.g. { queries: [{ userNameQuery: { userName, method } }] }
+ * @returns {Promise<{ details?: Object, result: Object[] }>}
+ */
+async function searchUsers(body) {
+  const resp = await zFetch('/v2/users', { method: 'POST', idempotent: true, body: JSON.stringify(body) });
+  return { ...resp, result: resp.result || [] };
+}
+
+/**
+ * Partially updates a user (PATCH /v2/users/{id}).
+ * @param {string} userId
+ * @param {Object} body
+ */
+async function updateUser(userId, body) {
+  return zFetch(`/v2/users/${encodeURIComponent(userId)}`, { method: 'PATCH', body: JSON.stringify(body) });
+}
+
+/**
+ * Sets a native ZITADEL password for a user.
+ * @param {string} userId
+ * @param {string} pw
+ */
+async function setUserPassword(userId, pw) {
+  await updateUser(userId, { human: { password: { password: { password: pw, changeRequired: false } } } });
+}
+
+// ---------------------------------------------------------------------------
+// Sessions
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {string} sessionId
+ * @param {string} [sessionToken]
+ * @returns {Promise<Object>} - The `session` object, or {} if absent
+ */
+async function getSession(sessionId, sessionToken) {
+  const query = sessionToken ? `?sessionToken=${encodeURIComponent(sessionToken)}` : '';
+  const resp = await zFetch(`/v2/sessions/${encodeURIComponent(sessionId)}${query}`, { method: 'GET' });
+  return resp.session || {};
+}
+
+/**
+ * @param {Object} body - /v2/sessions/search request body
+ * @returns {Promise<{ details?: Object, sessions: Object[] }>}
+ */
+async function searchSessions(body) {
+  const resp = await zFetch('/v2/sessions/search', { method: 'POST', idempotent: true, body: JSON.stringify(body) });
+  return { ...resp, sessions: resp.sessions || [] };
+}
+
+/**
+ * @param {string} sessionId
+ */
+async function deleteSession(sessionId) {
+  return zFetch(`/v2/sessions/${encodeURIComponent(sessionId)}`, { method: 'DELETE' });
+}
+
+// ---------------------------------------------------------------------------
+// Metadata
+// ---------------------------------------------------------------------------
+
+/**
+ * Reads a single user metadata entry.
+ * @param {string} userId
+ * @param {string} key
+ * @returns {Promise<string|null>} - Decoded value, or null when the key is not set
+ */
+async function getUserMetadataValue(userId, key) {
+  const resp = await zFetch(`/v2/users/${encodeURIComponent(userId)}/metadata/search`, {
+    method: 'POST',
+    idempotent: true,
+    body: JSON.stringify({
+      filters: [{ keyFilter: { key, method: 'TEXT_FILTER_METHOD_EQUALS' } }]
+    })
+  });
+  const entry = (resp.metadata || []).find(m => m.key === key);
+  return entry ? decodeMetadataValue(entry.value) : null;
+}
+
+/**
+ * Write one or many metadata entries for a user in a single call.
+ *
+ * @param {string} userId
+ * @param {Record<string,string>|Array<{key:string,value:string}>} meta
+ */
+async function setUserMetadata(userId, meta) {
+  // Accept either an object {k:v, …} or an array [{key,k,value:v} …]
+  const metadataArr = Array.isArray(meta)
+    ? meta.map(({ key, value }) => ({ key, value: encodeMetadataValue(value) }))
+    : Object.entries(meta).map(([k, v]) => ({ key: k, value: encodeMetadataValue(v) }));
+
+  log.debug('setting user metadata', { userId, keys: metadataArr.map(m => m.key) });
+  await zFetch(`/management/v1/users/${encodeURIComponent(userId)}/metadata/_bulk`, {
+    method: 'POST',
+    body: JSON.stringify({ metadata: metadataArr }),
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Organizations
+// ---------------------------------------------------------------------------
+
+/**
+ * Lists an organization's metadata (values still base64 encoded).
+ * @param {string} organizationId
+ * @returns {Promise<Array<{key:string,value:string}>>}
+ */
+async function listOrganizationMetadata(organizationId) {
+  const resp = await zFetch('/zitadel.org.v2beta.OrganizationService/ListOrganizationMetadata', {
+    method: 'POST',
+    idempotent: true,
+    body: JSON.stringify({ organizationId })
+  });
+  return resp.metadata || resp.result || [];
+}
+
+/**
+ * Creates or replaces organization metadata entries.
+ * @param {string} organizationId
+ * @param {Object<string, string>} metadata - key -> plain (not yet encoded) value
+ */
+async function setOrganizationMetadata(organizationId, metadata) {
+  const entries = Object.entries(metadata).map(([key, value]) => ({ key, value: encodeMetadataValue(value) }));
+  await zFetch('/zitadel.org.v2beta.OrganizationService/SetOrganizationMetadata', {
+    method: 'POST',
+    body: JSON.stringify({ organizationId, metadata: entries }),
+  });
+}
+
+/**
+ * @param {string} organizationId
+ * @param {string[]} keys
+ */
+async function deleteOrganizationMetadata(organizationId, keys) {
+  await zFetch('/zitadel.org.v2beta.OrganizationService/DeleteOrganizationMetadata', {
+    method: 'POST',
+    body: JSON.stringify({ organizationId, keys }),
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Projects
+// ---------------------------------------------------------------------------
+
+/**
+ * Lists the roles defined in a project.
+ * @param {string} projectId
+ * @returns {Promise<Array<{ key: string, displayName?: string, group?: string }>>}
+ */
+async function listProjectRoles(projectId) {
+  const resp = await zFetch('/zitadel.project.v2beta.ProjectService/ListProjectRoles', {
+    method: 'POST',
+    idempotent: true,
+    body: JSON.stringify({ projectId, pagination: { limit: 1000 } }),
+  });
+  return resp.projectRoles || resp.result || [];
+}
+
+// ---------------------------------------------------------------------------
+// Authorizations
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} CreateAuthorizationRequest
+ * @property {string} userId
+ * @property {string} projectId
+ * @property {string} organizationId
+ * @property {string[]} roleKeys
+ */
+
+/**
+ * @param {CreateAuthorizationRequest} body
+ */
+async function createAuthorization(body) {
+  return zFetch('/zitadel.authorization.v2.AuthorizationService/CreateAuthorization', {
+    method: 'POST',
+    body: JSON.stringify(body),
+  });
+}
+
+/**
+ * Lists a user's authorizations, optionally limited to one project.
+ * @param {string} userId
+ * @param {string} [projectId]
+ * @returns {Promise<Array<{ id: string, project: { id: string }, organization: { id: string }, roles: Array<{ key: string }> }>>}
+ */
+async function listAuthorizations(userId, projectId) {
+  const filters = [{ inUserIds: { ids: [userId] } }];
+  if (projectId) filters.push({ projectId: { id: projectId } });
+  const resp = await zFetch('/zitadel.authorization.v2.AuthorizationService/ListAuthorizations', {
+    method: 'POST',
+    idempotent: true,
+    body: JSON.stringify({ filters }),
+  });
+  return resp.authorizations || [];
+}
+
+/**
+ * Replaces the role keys of an authorization.
+ * @param {string} id
+ * @param {string[]} roleKeys
+ */
+async function updateAuthorization(id, roleKeys) {
+  return zFetch('/zitadel.authorization.v2.AuthorizationService/UpdateAuthorization', {
+    method: 'POST',
+    body: JSON.stringify({ id, roleKeys }),
+  });
+}
+
+/**
+ * @param {string} id
+ */
+async function deleteAuthorization(id) {
+  return zFetch('/zitadel.authorization.v2.AuthorizationService/DeleteAuthorization', {
+    method: 'POST',
+    body: JSON.stringify({ id }),
+  });
+}
+
+module.exports = {
+  zFetch,
+  getAccessToken,
+  clearTokenCache,
+  getAuthMode,
+  encodeMetadataValue,
+  decodeMetadataValue,
+  getAuthenticatedUser,
+  createUser,
+  getUser,
+  searchUsers,
+  updateUser,
+  setUserPassword,
+  getSession,
+  searchSessions,
+  deleteSession,
+  getUserMetadataValue,
+  setUserMetadata,
+  listOrganizationMetadata,
+  setOrganizationMetadata,
+  deleteOrganizationMetadata,
+  listProjectRoles,
+  createAuthorization,
+  listAuthorizations,
+  updateAuthorization,
+  deleteAuthorization,
+};
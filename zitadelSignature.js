@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+require('dotenv').config();
+
+const log = createLogger({ component: 'zitadelSignature' });
+
+// Maximum distance (in seconds) of the `t=` timestamp in the zitadel-signature
+// header from our clock. It cannot be switched off: the replay cache below
+// relies on it.
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+// Payloads we have already accepted, keyed by "<timestamp>.<sha256 of body>" ->
+// expiry (ms). Keyed by the payload rather than the matching v1= value, so a
+// header signed with several keys cannot be replayed with another of them.
+// Entries live until the signed timestamp leaves the tolerance window, after
+// which the timestamp check alone rejects the payload.
+const seenSignatures = new Map();
+
+function getToleranceSeconds() {
+  const raw = process.env.SIGNATURE_TOLERANCE_SECONDS;
+  if (raw === undefined || raw === '') return DEFAULT_TOLERANCE_SECONDS;
+  const parsed = Number(raw);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : DEFAULT_TOLERANCE_SECONDS;
+}
+
+/**
+ * Normalises the configured signing key(s) into a list.
+ * Accepts a single key, a comma separated list ("newKey,oldKey") or an array,
+ * so target signing keys can be rotated in ZITADEL without downtime.
+ *
+ * @param {string|string[]|undefined} signingKeys
+ * @returns {string[]}
+ */
+function parseSigningKeys(signingKeys) {
+  const list = Array.isArray(signingKeys) ? signingKeys : String(signingKeys || '').split(',');
+  return list.map(k => String(k || '').trim()).filter(Boolean);
+}
+
+/**
+ * Splits a `t=...,v1=...,v1=...` header into its timestamp and signatures.
+ *
+ * @param {string} header
+ * @returns {{ timestamp: string|null, signatures: string[] }}
+ */
+function parseSignatureHeader(header) {
+  let timestamp = null;
+  const signatures = [];
+
+  for (const element of String(header).split(',')) {
+    const idx = element.indexOf('=');
+    if (idx === -1) continue;
+    const name = element.slice(0, idx).trim();
+    const value = element.slice(idx + 1).trim();
+    if (name === 't') timestamp = value;
+    if (name === 'v1' && value) signatures.push(value);
+  }
+
+  return { timestamp, signatures };
+}
+
+function computeSignature(signingKey, timestamp, rawBody) {
+  return crypto.createHmac('sha256', signingKey)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+}
+
+// Constant-time comparison that never throws on malformed or length-mismatched input.
+function safeEqualHex(expectedHex, candidate) {
+  if (!/^[0-9a-f]+$/i.test(candidate) || candidate.length !== expectedHex.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(
+    Buffer.from(expectedHex, 'hex'),
+    Buffer.from(candidate, 'hex')
+  );
+}
+
+function pruneSeenSignatures(now) {
+  for (const [key, expiresAt] of seenSignatures) {
+    if (expiresAt < now) seenSignatures.delete(key);
+  }
+}
+
+/**
+ * Validates Zitadel webhook signature
+ * - rejects timestamps outside the configured tolerance window
+ * - rejects payloads that were already accepted once with the same timestamp (replay)
+ * - accepts any of the configured signing keys and any of the `v1=` values
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string|string[]} signingKey - The signing key(s) for this specific endpoint
+ * @returns {boolean} - Returns true if validation passes, sends error response and returns false if validation fails
+ */
+function validateZitadelSignature(req, res, signingKey) {
+  const signingKeys = parseSigningKeys(signingKey);
+  if (signingKeys.length === 0) {
+    log.error('no signing key configured', { path: req.originalUrl });
+    res.status(500).send('Signing key not configured');
+    return false;
+  }
+
+  // Get the webhook signature
+  const signatureHeader = req.headers['zitadel-signature'];
+  if (!signatureHeader) {
+    log.warn('signature rejected', { reason: 'missing' });
+    res.status(400).send('Missing signature');
+    return false;
+  }
+
+  const { timestamp, signatures } = parseSignatureHeader(signatureHeader);
+  if (!timestamp || !/^\d+$/.test(timestamp) || signatures.length === 0) {
+    log.warn('signature rejected', { reason: 'format' });
+    res.status(400).send('Invalid signature format');
+    return false;
+  }
+
+  const now = Date.now();
+  const toleranceSeconds = getToleranceSeconds();
+  if (Math.abs(now / 1000 - Number(timestamp)) > toleranceSeconds) {
+    log.warn('signature rejected', { reason: 'timestamp', timestamp });
+    res.status(400).send('Signature timestamp outside tolerance window');
+    return false;
+  }
+
+  let matched = null;
+  for (const key of signingKeys) {
+    const expected = computeSignature(key, timestamp, req.rawBody);
+    matched = signatures.find(sig => safeEqualHex(expected, sig)) || null;
+    if (matched) break;
+  }
+
+  if (!matched) {
+    log.warn('signature rejected', { reason: 'mismatch' });
+    res.status(400).send('Invalid signature');
+    return false;
+  }
+
+  pruneSeenSignatures(now);
+  const replayKey = `${timestamp}.${crypto.createHash('sha256').update(String(req.rawBody)).digest('hex')}`;
+  if (seenSignatures.has(replayKey)) {
+    log.warn('signature rejected', { reason: 'replay', timestamp });
+    res.status(400).send('Replayed signature');
+    return false;
+  }
+  // A timestamp ahead of our clock stays acceptable until timestamp + tolerance
+  seenSignatures.set(replayKey, Number(timestamp) * 1000 + toleranceSeconds * 1000);
+
+  log.debug('signature valid');
+  return true;
+}
+
+module.exports = { validateZitadelSignature, parseSigningKeys, parseSignatureHeader, computeSignature };